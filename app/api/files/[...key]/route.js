@@ -0,0 +1,43 @@
+import { NextResponse } from "next/server";
+import fs from "node:fs/promises";
+import { getStorage } from "../../../../lib/storage";
+
+// Serves and accepts files for the local storage driver only.
+async function getLocalStorage() {
+  const storage = await getStorage();
+  return storage.name === "local" ? storage : null;
+}
+
+export async function GET(request, { params }) {
+  const storage = await getLocalStorage();
+  if (!storage) return new NextResponse(null, { status: 404 });
+
+  const key = (await params).key.join("/");
+  try {
+    const file = await fs.readFile(storage.resolveKey(key));
+    return new NextResponse(file, {
+      headers: {
+        "Content-Type": key.endsWith(".mp4") ? "video/mp4" : "application/octet-stream",
+        "Content-Length": String(file.length),
+      },
+    });
+  } catch (error) {
+    return new NextResponse(null, { status: 404 });
+  }
+}
+
+export async function PUT(request, { params }) {
+  const storage = await getLocalStorage();
+  if (!storage) return new NextResponse(null, { status: 404 });
+
+  const key = (await params).key.join("/");
+  const { searchParams } = new URL(request.url);
+  if (!storage.verifySignature("PUT", key, searchParams.get("expires"), searchParams.get("signature"))) {
+    return NextResponse.json({ error: "Invalid or expired upload URL." }, { status: 403 });
+  }
+
+  await storage.put(key, Buffer.from(await request.arrayBuffer()));
+  return NextResponse.json({ path: key });
+}
+
+export const runtime = "nodejs";
@@ -8,9 +8,11 @@ import { analyzeVideoWithGemini } from '../../../lib/gemini';
 import { ffprobeDuration } from '../../../lib/ffmpeg';
 import { selectBestSegments } from '../../../lib/selection';
 import { ensureDir } from '../../../lib/util';
+import { getOutputSize, OUTPUT_ASPECT_RATIOS, OUTPUT_RESOLUTIONS } from '../../../lib/outputSize';
 
 // Service Clients
 import { supabase } from '../../../lib/supabase';
+import { getStorage } from '../../../lib/storage';
 import { uploadVideo, createVideoFromSegments } from '../../../lib/cloudinary';
 
 // Helper to create a writable stream for streaming response
@@ -65,7 +67,14 @@ export async function POST(request) {
     let localFinalVideoPath = ''; // Keep track for cleanup
 
     try {
-      const { videoPaths, prompt, isFastMode } = await request.json(); // Read isFastMode from request
+      const {
+        videoPaths,
+        pinnedPaths = [],
+        prompt,
+        isFastMode, // Read isFastMode from request
+        aspectRatio = '9:16',
+        resolution = '1080p',
+      } = await request.json();
       const userPrompt =
         prompt || 'anything that seems fun and makes my life look enjoyable';
 
@@ -73,14 +82,20 @@ export async function POST(request) {
         writer.write({ status: 'error', message: 'No video paths provided.' });
         return writer.close();
       }
+      if (!Object.hasOwn(OUTPUT_ASPECT_RATIOS, aspectRatio) || !Object.hasOwn(OUTPUT_RESOLUTIONS, resolution)) {
+        writer.write({
+          status: 'error',
+          message: `aspectRatio must be one of ${Object.keys(OUTPUT_ASPECT_RATIOS).join(', ')} and resolution one of ${Object.keys(OUTPUT_RESOLUTIONS).join(', ')}.`,
+        });
+        return writer.close();
+      }
 
       await ensureDir(workdir);
       await ensureDir(uploadsDir);
 
       writer.write({ status: 'processing', message: `Found ${videoPaths.length} videos. Generating URLs...` });
-      const videoUrls = videoPaths.map(
-        (p) => supabase.storage.from('videos').getPublicUrl(p).data.publicUrl
-      );
+      const storage = await getStorage();
+      const videoUrls = videoPaths.map((p) => storage.getPublicUrl(p));
 
       writer.write({ status: 'processing', message: 'Downloading videos for analysis...' });
       const savedFiles = await Promise.all(
@@ -129,7 +144,10 @@ export async function POST(request) {
       }
 
       writer.write({ status: 'processing', message: 'Selecting best segments...' });
-      const selection = selectBestSegments({ videos: validAnalyses, userPrompt });
+      // Excluded videos are never uploaded; pinned ones are always kept.
+      const pinnedFiles = savedFiles.filter((file, i) => pinnedPaths.includes(videoPaths[i]));
+      const selection = selectBestSegments({ videos: validAnalyses, userPrompt, pinnedFiles });
+      selection.report.warnings.forEach((message) => writer.write({ status: 'processing', message }));
       if (selection.chosen.length === 0) {
         writer.write({ status: 'error', message: 'AI could not select any segments from the available video parts.' });
         return writer.close();
@@ -145,30 +163,25 @@ export async function POST(request) {
       }));
 
       writer.write({ status: 'processing', message: 'Creating final edit in Cloudinary...' });
-      const cloudinaryVideoUrl = await createVideoFromSegments({ chosen: selection.chosen, videoPublicIds });
+      const { width, height } = getOutputSize(aspectRatio, resolution);
+      const cloudinaryVideoUrl = await createVideoFromSegments({ chosen: selection.chosen, videoPublicIds, width, height });
 
       writer.write({ status: 'processing', message: 'Downloading final edit...' });
       const finalVideoName = `montage-${Date.now()}.mp4`;
       localFinalVideoPath = path.join('/tmp', finalVideoName);
       await downloadVideoToLocal(cloudinaryVideoUrl, localFinalVideoPath);
 
-      writer.write({ status: 'processing', message: 'Uploading final video to Supabase...' });
+      writer.write({ status: 'processing', message: 'Uploading final video to storage...' });
       const videoBuffer = await fs.readFile(localFinalVideoPath);
-      const supabasePath = `final-montages/${finalVideoName}`;
-      const { error: uploadError } = await supabase.storage.from('videos').upload(supabasePath, videoBuffer, {
+      const finalVideoUrl = await storage.put(`final-montages/${finalVideoName}`, videoBuffer, {
         contentType: 'video/mp4',
-        upsert: true,
       });
-      if (uploadError) {
-        throw new Error(`Supabase upload failed: ${uploadError.message}`);
-      }
-      const { data: { publicUrl: supabaseFinalUrl } } = supabase.storage.from('videos').getPublicUrl(supabasePath);
 
       writer.write({ status: 'processing', message: 'Saving result to database...' });
       const { error: dbError } = await supabase.from('processed_videos').insert([
         {
           prompt: userPrompt,
-          final_video_url: supabaseFinalUrl,
+          final_video_url: finalVideoUrl,
           source_video_paths: videoPaths,
           metadata: selection,
         },
@@ -180,7 +193,7 @@ export async function POST(request) {
       writer.write({
         status: 'done',
         message: 'Final edit complete!',
-        videoUrl: supabaseFinalUrl,
+        videoUrl: finalVideoUrl,
       });
 
     } catch (error) {
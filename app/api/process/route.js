@@ -11,7 +11,7 @@ import {
 } from "../../../lib/ffmpeg";
 import { selectBestSegments } from "../../../lib/selection";
 import { ensureDir, writeJSON } from "../../../lib/util";
-import { put } from "@vercel/blob";
+import { getStorage } from "../../../lib/storage";
 
 // Helper to create a writable stream for streaming response
 function createStream() {
@@ -35,9 +35,9 @@ function createStream() {
   return { stream, writer };
 }
 
-// Helper to download video from Vercel Blob to local file
-async function downloadVideoToLocal(blobUrl, localPath) {
-  const response = await fetch(blobUrl);
+// Helper to download video from storage to local file
+async function downloadVideoToLocal(url, localPath) {
+  const response = await fetch(url);
   if (!response.ok) {
     throw new Error(`Failed to download video: ${response.statusText}`);
   }
@@ -59,8 +59,13 @@ export async function POST(request) {
   });
 
   (async () => {
+    const originalVideoUrls = [];
+    const tempFiles = [];
+    const tempDirs = [];
+
     try {
       const { videoUrls, prompt } = await request.json();
+      originalVideoUrls.push(...(videoUrls || []));
       const userPrompt =
         prompt || "anything that seems fun and makes my life look enjoyable";
       const targetDurationSec = Number(
@@ -81,10 +86,10 @@ export async function POST(request) {
 
       writer.write({
         status: "processing",
-        message: `Found ${videoUrls.length} videos. Downloading from Vercel Blob...`,
+        message: `Found ${videoUrls.length} videos. Downloading from storage...`,
       });
 
-      // Download videos from Vercel Blob to local files
+      // Download videos from storage to local files
       const savedFiles = [];
       for (let i = 0; i < videoUrls.length; i++) {
         const url = videoUrls[i];
@@ -220,21 +225,23 @@ export async function POST(request) {
       });
       await concatSegments(cutFiles, localOutFile);
 
-      // Upload the final video back to Vercel Blob
+      // Upload the final video back to storage
       writer.write({
         status: "processing",
         message: "Uploading final video to storage...",
       });
       const finalVideoBuffer = await fs.readFile(localOutFile);
-      const finalBlob = await put(outFileName, finalVideoBuffer, {
-        access: "public",
-        addRandomSuffix: true,
-      });
+      const storage = await getStorage();
+      const finalVideoUrl = await storage.put(
+        `final-edits/${outFileName}`,
+        finalVideoBuffer,
+        { contentType: "video/mp4" }
+      );
 
       writer.write({
         status: "done",
         message: "Final edit complete!",
-        videoUrl: finalBlob.url,
+        videoUrl: finalVideoUrl,
       });
 
       // Clean up local files (optional, /tmp gets cleared automatically)
@@ -262,13 +269,15 @@ export async function POST(request) {
         message: "Cleaning up temporary files...",
       });
 
-      // Delete original uploaded videos from Vercel Blob
+      // Delete original uploaded videos from storage
+      const storage = await getStorage();
       for (const url of originalVideoUrls) {
         try {
-          await del(url);
-          console.log("Deleted from Vercel Blob:", url);
+          const key = storage.getKeyFromUrl(url);
+          if (key) await storage.delete(key);
+          console.log("Deleted from storage:", url);
         } catch (error) {
-          console.error("Error deleting from Vercel Blob:", url, error);
+          console.error("Error deleting from storage:", url, error);
         }
       }
 
@@ -1,34 +1,32 @@
-import { handleUpload } from "@vercel/blob/client";
 import { NextResponse } from "next/server";
+import { getStorage } from "../../../lib/storage";
 
+const ALLOWED_CONTENT_TYPES = [
+  "video/mp4",
+  "video/quicktime",
+  "video/x-msvideo",
+  "video/x-flv",
+  "video/x-matroska",
+  "video/avi",
+  "video/mov",
+];
+
+// Hands the browser a signed URL to PUT one video part straight into storage.
 export async function POST(request) {
   try {
-    const body = await request.json();
+    const { fileName, contentType } = await request.json();
+    if (!fileName || !ALLOWED_CONTENT_TYPES.includes(contentType)) {
+      return NextResponse.json(
+        { error: `fileName and a contentType of ${ALLOWED_CONTENT_TYPES.join(", ")} are required.` },
+        { status: 400 }
+      );
+    }
 
-    const jsonResponse = await handleUpload({
-      body,
-      request,
-      onBeforeGenerateToken: async (pathname) => {
-        return {
-          allowedContentTypes: [
-            "video/mp4",
-            "video/quicktime",
-            "video/x-msvideo",
-            "video/x-flv",
-            "video/x-matroska",
-            "video/avi",
-            "video/mov",
-          ],
-          addRandomSuffix: true,
-          multipart: true, // Enable multipart uploads for large files (up to 5TB!)
-        };
-      },
-      onUploadCompleted: async ({ blob, tokenPayload }) => {
-        console.log("Upload completed:", blob.url);
-      },
-    });
+    const storage = await getStorage();
+    const path = `public/${Date.now()}-${fileName.replace(/[^\w.-]/g, "_")}`;
+    const uploadUrl = await storage.getSignedUrl(path, { method: "PUT" });
 
-    return NextResponse.json(jsonResponse);
+    return NextResponse.json({ path, uploadUrl });
   } catch (error) {
     console.error("Upload error:", error);
     return NextResponse.json(
@@ -1,16 +1,19 @@
 'use client';
 import { useState, useRef, useEffect } from 'react';
-import { supabase } from '../lib/supabase-client';
 import { processFilesForUpload } from '../lib/client-video-processor';
+import { OUTPUT_ASPECT_RATIOS, OUTPUT_RESOLUTIONS } from '../lib/outputSize';
 
 export default function Home() {
   const [files, setFiles] = useState([]);
+  const [clipFlags, setClipFlags] = useState({}); // fileKey -> 'pinned' | 'excluded'
   const [prompt, setPrompt] = useState('anything that seems fun and makes my life look enjoyable');
   const [progress, setProgress] = useState([]);
   const [finalVideoUrl, setFinalVideoUrl] = useState(null); // For the permanent URL / download link
   const [playerUrl, setPlayerUrl] = useState(null); // For the playable blob URL
   const [isProcessing, setIsProcessing] = useState(false);
   const [isFastMode, setIsFastMode] = useState(true); // State for the new toggle
+  const [aspectRatio, setAspectRatio] = useState('9:16');
+  const [resolution, setResolution] = useState('1080p');
   const fileInputRef = useRef(null);
 
   // Clean up blob URL when component unmounts or when a new video is made
@@ -24,9 +27,42 @@ export default function Home() {
 
   const handleFileChange = (e) => {
     setFiles(Array.from(e.target.files));
+    setClipFlags({});
   };
 
-  const processVideosOnServer = async (videoPaths) => {
+  // Names alone can repeat across folders, so flags are keyed per selected file
+  const fileKey = (file, index) => `${index}:${file.name}:${file.lastModified}`;
+
+  // Clicking the active flag again clears it
+  const toggleClipFlag = (key, flag) => {
+    setClipFlags(prev => ({ ...prev, [key]: prev[key] === flag ? undefined : flag }));
+  };
+
+  // The server signs an upload URL for whichever storage driver it runs
+  const uploadFileChunk = async (fileChunk) => {
+    const contentType = fileChunk.type || 'video/mp4';
+    const signResponse = await fetch('/api/upload', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fileName: fileChunk.name, contentType }),
+    });
+    const signed = await signResponse.json();
+    if (!signResponse.ok) {
+      throw new Error(`Upload failed: ${signed.error}`);
+    }
+
+    const uploadResponse = await fetch(signed.uploadUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      body: fileChunk,
+    });
+    if (!uploadResponse.ok) {
+      throw new Error(`Upload failed: ${uploadResponse.status} ${uploadResponse.statusText}`);
+    }
+    return signed.path;
+  };
+
+  const processVideosOnServer = async (videoPaths, pinnedPaths) => {
     updateProgress({ status: 'processing', message: 'Starting AI video generation...' });
     
     const response = await fetch("/api/process-final", {
@@ -34,7 +70,7 @@ export default function Home() {
       headers: {
         "Content-Type": "application/json",
       },
-      body: JSON.stringify({ videoPaths, prompt, isFastMode }), // Pass isFastMode to the API
+      body: JSON.stringify({ videoPaths, pinnedPaths, prompt, isFastMode, aspectRatio, resolution }), // Pass isFastMode to the API
     });
 
     if (!response.body) return;
@@ -96,6 +132,12 @@ export default function Home() {
       alert("Please select video files to upload.");
       return;
     }
+    // Excluded videos are never uploaded or analyzed
+    const includedFiles = files.filter((file, i) => clipFlags[fileKey(file, i)] !== 'excluded');
+    if (includedFiles.length === 0) {
+      alert("Every video is excluded. Include at least one.");
+      return;
+    }
 
     setIsProcessing(true);
     setProgress([]);
@@ -103,32 +145,34 @@ export default function Home() {
     setPlayerUrl(null);
 
     try {
-      const processedFileChunks = await processFilesForUpload({
-        files,
-        sizeLimit: 50 * 1024 * 1024,
-        progressCallback: (message) => updateProgress({ status: 'processing', message }),
-      });
-
-      updateProgress({ status: 'processing', message: `Uploading ${processedFileChunks.length} video parts to Supabase...` });
+      // Split one file at a time so every part remembers whether its video was pinned
+      const processedFileChunks = [];
+      const pinnedChunks = new Set();
+      for (const file of includedFiles) {
+        const isPinned = clipFlags[fileKey(file, files.indexOf(file))] === 'pinned';
+        const chunks = await processFilesForUpload({
+          files: [file],
+          sizeLimit: 50 * 1024 * 1024,
+          progressCallback: (message) => updateProgress({ status: 'processing', message }),
+        });
+        processedFileChunks.push(...chunks);
+        if (isPinned) chunks.forEach(chunk => pinnedChunks.add(chunk));
+      }
 
-      const uploadPromises = processedFileChunks.map(fileChunk => {
-        const fileName = `public/${Date.now()}-${fileChunk.name}`;
-        return supabase.storage.from('videos').upload(fileName, fileChunk);
-      });
+      updateProgress({ status: 'processing', message: `Uploading ${processedFileChunks.length} video parts...` });
 
-      const uploadResults = await Promise.all(uploadPromises);
+      const uploadedPaths = await Promise.all(processedFileChunks.map(uploadFileChunk));
 
       const videoPaths = [];
-      for (const result of uploadResults) {
-        if (result.error) {
-          throw new Error(`Supabase upload failed: ${result.error.message}`);
-        }
-        videoPaths.push(result.data.path);
-      }
+      const pinnedPaths = [];
+      uploadedPaths.forEach((path, i) => {
+        videoPaths.push(path);
+        if (pinnedChunks.has(processedFileChunks[i])) pinnedPaths.push(path);
+      });
 
       updateProgress({ status: 'processing', message: 'Uploads complete! Starting server process...' });
       
-      await processVideosOnServer(videoPaths);
+      await processVideosOnServer(videoPaths, pinnedPaths);
 
     } catch (error) {
       console.error("Processing error:", error);
@@ -167,12 +211,33 @@ export default function Home() {
                   className="hidden"
                 />
                 <p className="text-gray-500">Click to select files or drag and drop</p>
-                {files.length > 0 && (
-                  <ul className="mt-4 text-left text-sm text-gray-600">
-                    {files.map(file => <li key={file.name}>- {file.name}</li>)}
-                  </ul>
-                )}
               </div>
+              {files.length > 0 && (
+                <ul className="mt-4 text-left text-sm text-gray-600 space-y-2">
+                  {files.map((file, i) => (
+                    <li key={fileKey(file, i)} className="flex items-center justify-between gap-2">
+                      <span className={`truncate ${clipFlags[fileKey(file, i)] === 'excluded' ? 'line-through text-gray-400' : ''}`}>
+                        {file.name}
+                      </span>
+                      <span className="flex gap-1 shrink-0">
+                        {['pinned', 'excluded'].map(flag => (
+                          <button
+                            key={flag}
+                            onClick={() => toggleClipFlag(fileKey(file, i), flag)}
+                            disabled={isProcessing}
+                            className={`px-3 py-1 rounded-full text-xs font-bold border border-gray-300 transition ${clipFlags[fileKey(file, i)] === flag ? 'bg-black text-white' : 'bg-white text-black'}`}
+                          >
+                            {flag === 'pinned' ? 'Pin' : 'Exclude'}
+                          </button>
+                        ))}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {files.length > 0 && (
+                <p className="text-xs text-gray-500 mt-2">Pinned videos are always in the final edit; excluded ones are never used.</p>
+              )}
             </div>
 
             {/* --- NEW TOGGLE SWITCH --- */}
@@ -195,6 +260,22 @@ export default function Home() {
               <p className="text-center text-xs text-gray-500 mt-2">
                 {isFastMode ? 'Finds the single best clip from each video. (Quicker)' : 'Analyzes every scene in each video. (Slower, more detailed)'}
               </p>
+              <div className="flex gap-2 mt-4">
+                <select
+                  value={aspectRatio}
+                  onChange={(e) => setAspectRatio(e.target.value)}
+                  className="w-1/2 bg-white border border-gray-300 rounded-full py-2 px-3 text-sm text-black"
+                >
+                  {Object.keys(OUTPUT_ASPECT_RATIOS).map(ratio => <option key={ratio} value={ratio}>{ratio}</option>)}
+                </select>
+                <select
+                  value={resolution}
+                  onChange={(e) => setResolution(e.target.value)}
+                  className="w-1/2 bg-white border border-gray-300 rounded-full py-2 px-3 text-sm text-black"
+                >
+                  {Object.keys(OUTPUT_RESOLUTIONS).map(res => <option key={res} value={res}>{res}</option>)}
+                </select>
+              </div>
             </div>
 
             <div className="mb-6">
@@ -0,0 +1,59 @@
+-- Durable job queue used by the background worker (worker.js).
+-- Apply in the Supabase SQL editor or with `supabase db push`.
+
+create table if not exists public.job_queue (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  payload jsonb not null default '{}'::jsonb,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  run_at timestamptz not null default now(),
+  locked_by text,
+  locked_until timestamptz,
+  heartbeat_at timestamptz,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists job_queue_status_run_at_idx
+  on public.job_queue (status, run_at);
+
+create index if not exists job_queue_locked_until_idx
+  on public.job_queue (locked_until)
+  where status = 'running';
+
+-- Atomically leases the oldest runnable job for a worker.
+-- SKIP LOCKED lets several workers poll the same table without
+-- ever handing the same job to two of them.
+create or replace function public.claim_queue_job(
+  p_worker_id text,
+  p_lease_seconds integer
+)
+returns setof public.job_queue
+language plpgsql
+as $$
+begin
+  return query
+  update public.job_queue j
+     set status = 'running',
+         attempts = j.attempts + 1,
+         locked_by = p_worker_id,
+         locked_until = now() + make_interval(secs => p_lease_seconds),
+         heartbeat_at = now(),
+         updated_at = now()
+   where j.id = (
+     select q.id
+       from public.job_queue q
+      where q.status = 'queued'
+        and q.run_at <= now()
+      order by q.run_at
+      limit 1
+      for update skip locked
+   )
+  returning j.*;
+end;
+$$;
@@ -0,0 +1,9 @@
+-- Progress and result tracking for montages, exposed by GET /api/montages.
+
+alter table public.montages
+  add column if not exists stage text,
+  add column if not exists error_message text,
+  add column if not exists clip_ids uuid[] not null default '{}';
+
+create index if not exists montages_user_week_idx
+  on public.montages (user_id, week_end_date desc);
@@ -0,0 +1,13 @@
+-- Columns backing the clip library API (GET/PATCH /api/clips).
+
+alter table public.clips
+  add column if not exists duration_sec double precision,
+  add column if not exists pinned boolean not null default false,
+  add column if not exists excluded boolean not null default false,
+  add column if not exists updated_at timestamptz;
+
+create index if not exists clips_user_week_idx
+  on public.clips (user_id, week_end_date);
+
+create index if not exists clips_user_clip_date_idx
+  on public.clips (user_id, clip_date);
@@ -0,0 +1,7 @@
+-- Per-user week boundaries. Clips and montages are bucketed by the last
+-- day of the week in the user's own time zone.
+
+alter table public.profiles
+  add column if not exists timezone text not null default 'UTC',
+  add column if not exists week_start_day smallint not null default 1
+    check (week_start_day between 0 and 6);
@@ -0,0 +1,21 @@
+-- One row per user and week the automatic scheduler has handled.
+-- The unique constraint doubles as the lock that prevents double runs
+-- when several worker processes are up at once.
+
+create table if not exists public.montage_schedule_runs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  week_end_date timestamptz not null,
+  status text not null default 'running'
+    check (status in ('running', 'enqueued', 'skipped', 'failed')),
+  montage_id uuid references public.montages (id) on delete set null,
+  clip_count integer,
+  attempts integer not null default 1,
+  reason text,
+  created_at timestamptz not null default now(),
+  finished_at timestamptz,
+  unique (user_id, week_end_date)
+);
+
+create index if not exists montage_schedule_runs_week_idx
+  on public.montage_schedule_runs (week_end_date);
@@ -0,0 +1,9 @@
+-- Recap montages (month, year, custom range) and per-montage target length.
+-- Existing rows keep preset = null and are treated as weekly montages.
+
+alter table public.montages
+  add column if not exists preset text
+    check (preset in ('week', 'month', 'year', 'custom')),
+  add column if not exists range_start timestamptz,
+  add column if not exists range_end timestamptz,
+  add column if not exists target_duration_sec integer;
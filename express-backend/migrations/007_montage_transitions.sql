@@ -0,0 +1,7 @@
+-- Transition style between clips. Null on rows created before transitions
+-- existed, which render with hard cuts.
+
+alter table public.montages
+  add column if not exists transition text
+    check (transition in ('none', 'crossfade', 'dip_to_white', 'slide', 'zoom')),
+  add column if not exists transition_duration_sec double precision;
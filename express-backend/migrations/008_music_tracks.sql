@@ -0,0 +1,19 @@
+-- User-uploaded background music and the track chosen for each montage.
+
+create table if not exists public.music_tracks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  title text not null,
+  url text not null,
+  content_type text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists music_tracks_user_idx
+  on public.music_tracks (user_id, created_at desc);
+
+-- music_track is a snapshot of the chosen track ({ source, id, title, file | url })
+-- so re-renders use the same audio even if the library changes.
+alter table public.montages
+  add column if not exists music_track jsonb,
+  add column if not exists music_volume double precision;
@@ -0,0 +1,7 @@
+-- How clips that aren't 9:16 fill the frame. Null on older rows, which keep
+-- the white letterbox padding.
+
+alter table public.montages
+  add column if not exists fill_mode text
+    check (fill_mode in ('white', 'solid', 'blur', 'gradient', 'smart_crop')),
+  add column if not exists fill_color text;
@@ -0,0 +1,7 @@
+-- Output formats rendered for a montage, each with its own video and
+-- thumbnail: [{ aspect_ratio, resolution, width, height, video_url,
+-- thumbnail_url }]. video_url/thumbnail_url on the row mirror the first one.
+-- Empty on older rows, which only have the 9:16 1080p video.
+
+alter table public.montages
+  add column if not exists renditions jsonb not null default '[]';
@@ -0,0 +1,5 @@
+-- Text overlays and title cards for a montage:
+-- { theme, clip_text, intro, outro, user_name }. Null means none.
+
+alter table public.montages
+  add column if not exists overlays jsonb;
@@ -0,0 +1,5 @@
+-- POST /api/clips/complete looks up existing jobs by uploaded file so a
+-- repeated completion call doesn't process the clip twice.
+
+create index if not exists processing_jobs_user_upload_idx
+  on public.processing_jobs (user_id, upload_url);
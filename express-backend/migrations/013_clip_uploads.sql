@@ -0,0 +1,24 @@
+-- Resumable (tus) clip uploads. Each PATCH is stored as its own chunk
+-- object under uploads/tus/<id>/; upload_offset counts the bytes received
+-- so far and doubles as the lock between concurrent PATCH requests.
+
+create table if not exists public.clip_uploads (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  upload_length bigint not null,
+  upload_offset bigint not null default 0,
+  filename text,
+  content_type text not null,
+  user_prompt text,
+  clip_date text,
+  status text not null default 'uploading'
+    check (status in ('uploading', 'complete')),
+  final_key text,
+  job_id text,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists clip_uploads_expires_idx
+  on public.clip_uploads (expires_at)
+  where status = 'uploading';
@@ -0,0 +1,18 @@
+-- Capture details read from each clip's QuickTime/MP4 metadata.
+-- clip_date_source records where clip_date came from ('metadata', 'client'
+-- or 'upload'); date_mismatch flags clips whose client-supplied date
+-- (client_date) is more than a day off from the recorded one.
+
+alter table public.clips
+  add column if not exists clip_date_source text,
+  add column if not exists client_date timestamptz,
+  add column if not exists date_mismatch boolean not null default false,
+  add column if not exists latitude double precision,
+  add column if not exists longitude double precision,
+  add column if not exists altitude double precision,
+  add column if not exists device_make text,
+  add column if not exists device_model text;
+
+create index if not exists clips_user_date_mismatch_idx
+  on public.clips (user_id)
+  where date_mismatch;
@@ -0,0 +1,20 @@
+-- Duplicate upload detection. content_hash is the SHA-256 of the original
+-- file; fingerprint concatenates 64-bit difference hashes of evenly spaced
+-- frames so re-encoded copies still match.
+
+alter table public.clips
+  add column if not exists content_hash text,
+  add column if not exists fingerprint text,
+  add column if not exists duplicate_of uuid
+    references public.clips (id) on delete set null;
+
+create index if not exists clips_user_content_hash_idx
+  on public.clips (user_id, content_hash);
+
+alter table public.profiles
+  add column if not exists duplicate_handling text not null default 'mark'
+    check (duplicate_handling in ('reject', 'link', 'mark'));
+
+-- Set when an upload turned out to duplicate an existing clip.
+alter table public.processing_jobs
+  add column if not exists duplicate_of uuid;
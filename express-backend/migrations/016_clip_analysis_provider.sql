@@ -0,0 +1,6 @@
+-- Which analysis provider scored each clip ('gemini', 'heuristic', 'mock',
+-- or 'default' when every provider failed) and the model it used.
+
+alter table public.clips
+  add column if not exists analysis_provider text,
+  add column if not exists analysis_model text;
@@ -0,0 +1,9 @@
+-- AI answers that failed validation or had to be repaired (clamped times,
+-- out-of-range scores, non-JSON text, ...), kept for later inspection.
+-- Each entry: { provider, attempt?, message, repaired?, response? }.
+
+alter table public.processing_jobs
+  add column if not exists validation_issues jsonb;
+
+alter table public.montages
+  add column if not exists validation_issues jsonb;
@@ -0,0 +1,18 @@
+-- Cached AI analysis results, shared by the express worker and the Next.js
+-- /api/process routes. An entry is keyed by the SHA-256 of the video bytes,
+-- the SHA-256 of the full prompt sent with it and the model name, so
+-- changing the prompt template or model misses the cache by itself.
+
+create table if not exists public.analysis_cache (
+  content_hash text not null,
+  prompt_hash text not null,
+  model text not null,
+  result jsonb not null,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz not null default now(),
+  hit_count integer not null default 0,
+  primary key (content_hash, prompt_hash, model)
+);
+
+create index if not exists analysis_cache_model_idx
+  on public.analysis_cache (model, created_at);
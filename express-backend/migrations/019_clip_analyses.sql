@@ -0,0 +1,55 @@
+-- Every analysis run on a clip, so re-analyzing with a new prompt keeps the
+-- old result. The clip row still holds the trim and scores montages use;
+-- active_analysis_id records which of these versions they were copied from.
+
+create table if not exists public.clip_analyses (
+  id uuid primary key default gen_random_uuid(),
+  clip_id uuid not null references public.clips (id) on delete cascade,
+  user_id uuid not null,
+  user_prompt text,
+  start_sec double precision not null,
+  end_sec double precision not null,
+  description text,
+  relevance double precision,
+  quality double precision,
+  confidence double precision,
+  score double precision,
+  analysis_provider text,
+  analysis_model text,
+  validation_issues jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists clip_analyses_clip_idx
+  on public.clip_analyses (clip_id, created_at desc);
+
+-- compressed_url is the analysis copy kept for re-analysis; clips uploaded
+-- before this migration get one the first time they are re-analyzed.
+alter table public.clips
+  add column if not exists user_prompt text,
+  add column if not exists compressed_url text,
+  add column if not exists active_analysis_id uuid
+    references public.clip_analyses (id) on delete set null;
+
+-- Existing clips start with their current analysis as the only version.
+insert into public.clip_analyses (
+  clip_id, user_id, start_sec, end_sec, description, relevance, quality,
+  confidence, score, analysis_provider, analysis_model, created_at
+)
+select
+  c.id, c.user_id, c.start_sec, c.end_sec, c.description, c.relevance,
+  c.quality, c.confidence, c.score, c.analysis_provider, c.analysis_model,
+  c.created_at
+from public.clips c
+where c.active_analysis_id is null
+  and c.start_sec is not null
+  and c.end_sec is not null
+  and not exists (
+    select 1 from public.clip_analyses a where a.clip_id = c.id
+  );
+
+update public.clips c
+set active_analysis_id = a.id
+from public.clip_analyses a
+where a.clip_id = c.id
+  and c.active_analysis_id is null;
@@ -0,0 +1,38 @@
+-- Candidate moments found by each analysis. Long clips can have several,
+-- each with its own trim, tags and scores; montage selection may use more
+-- than one of them. position orders them as the provider ranked them
+-- (0 = best, mirrored on the clip row when the analysis is active).
+
+create table if not exists public.clip_segments (
+  id uuid primary key default gen_random_uuid(),
+  clip_id uuid not null references public.clips (id) on delete cascade,
+  analysis_id uuid not null
+    references public.clip_analyses (id) on delete cascade,
+  user_id uuid not null,
+  position integer not null default 0,
+  start_sec double precision not null,
+  end_sec double precision not null,
+  description text,
+  tags text[] not null default '{}',
+  relevance double precision,
+  quality double precision,
+  confidence double precision,
+  score double precision,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists clip_segments_analysis_idx
+  on public.clip_segments (analysis_id, position);
+
+-- Earlier analyses found exactly one segment.
+insert into public.clip_segments (
+  clip_id, analysis_id, user_id, start_sec, end_sec, description,
+  relevance, quality, confidence, score, created_at
+)
+select
+  a.clip_id, a.id, a.user_id, a.start_sec, a.end_sec, a.description,
+  a.relevance, a.quality, a.confidence, a.score, a.created_at
+from public.clip_analyses a
+where not exists (
+  select 1 from public.clip_segments s where s.analysis_id = a.id
+);
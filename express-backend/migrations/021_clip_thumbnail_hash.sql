@@ -0,0 +1,6 @@
+-- 64-bit difference hash of each clip's thumbnail (16 hex characters).
+-- Montage selection compares them to drop near-identical shots; clips
+-- without one are hashed from their stored thumbnail when first needed.
+
+alter table public.clips
+  add column if not exists thumbnail_hash text;
@@ -0,0 +1,11 @@
+-- Selection settings a montage was built with (score weights, minimum
+-- duration, daily cap, moments per clip) and the report explaining why
+-- each candidate clip was included or dropped:
+-- { config, total_duration_sec, warnings: [],
+--   clips: [{ clip_id, segment_id, start_sec, end_sec, score, scores,
+--             included, reason, detail, similar_to? }] }
+-- where reason is one of pinned, score, excluded, day_cap, similar, budget.
+
+alter table public.montages
+  add column if not exists selection_config jsonb,
+  add column if not exists selection_report jsonb;
@@ -0,0 +1,5 @@
+-- When a scheduler run was last claimed. A run still 'running' long after
+-- this belonged to a process that died mid-run and is claimed again.
+
+alter table public.montage_schedule_runs
+  add column if not exists claimed_at timestamptz not null default now();
@@ -0,0 +1,7 @@
+-- Storage keys of the chunks a tus upload has committed, in offset order.
+-- Each PATCH writes its bytes to a key of its own and only lands here once
+-- it wins the compare-and-set on upload_offset, so a request that loses the
+-- race can clean up without touching the winner's chunk.
+
+alter table public.clip_uploads
+  add column if not exists chunk_keys text[] not null default '{}';
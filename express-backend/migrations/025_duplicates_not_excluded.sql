@@ -0,0 +1,10 @@
+-- Duplicates used to be marked by also setting excluded, which is meant
+-- for the user's own choice. duplicate_of alone now keeps them out of
+-- montages, so clear the flag those uploads were given. A duplicate the
+-- user excluded by hand can't be told apart and is cleared too; it still
+-- stays out of montages as a duplicate.
+
+update public.clips
+   set excluded = false
+ where duplicate_of is not null
+   and excluded;
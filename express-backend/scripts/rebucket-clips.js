@@ -0,0 +1,38 @@
+// Re-buckets existing clips into weeks using each user's time zone.
+//
+// Usage:
+//   npm run rebucket-clips -- [--user <userId>] [--dry-run]
+import 'dotenv/config';
+import { supabase } from '../src/services/supabaseService.js';
+import { rebucketUserClips } from '../src/services/clipBucketService.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const userFlag = args.indexOf('--user');
+const onlyUserId = userFlag >= 0 ? args[userFlag + 1] : null;
+
+async function getUserIds() {
+  if (onlyUserId) return [onlyUserId];
+
+  const { data, error } = await supabase.from('profiles').select('id');
+  if (error) throw new Error(`Failed to list profiles: ${error.message}`);
+  return data.map((profile) => profile.id);
+}
+
+try {
+  const userIds = await getUserIds();
+  let moved = 0;
+
+  for (const userId of userIds) {
+    const result = await rebucketUserClips(userId, { dryRun });
+    moved += result.moved;
+    console.log(`User ${userId}: ${result.moved}/${result.checked} clips moved.`);
+  }
+
+  console.log(
+    `${dryRun ? '[Dry run] Would move' : 'Moved'} ${moved} clips across ${userIds.length} users.`
+  );
+} catch (error) {
+  console.error('Rebucketing failed:', error);
+  process.exit(1);
+}
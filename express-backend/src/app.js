@@ -1,11 +1,20 @@
 import express from 'express';
 import cors from 'cors';
 import clipRoutes from './routes/clips.js';
+import tusRoutes from './routes/tus.js';
 import profileRoutes from './routes/profiles.js';
 import montageRoutes from './routes/montages.js';
+import musicRoutes from './routes/music.js';
+import fileRoutes from './routes/files.js';
+import adminRoutes from './routes/admin.js';
+import { storage } from './services/storage/index.js';
 
 const app = express();
 
+// tus handles its own CORS: OPTIONS is part of the protocol, so preflights
+// must reach the router instead of being answered by cors() below.
+app.use('/api/clips/tus', tusRoutes);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -14,6 +23,13 @@ app.use(express.json());
 app.use('/api/clips', clipRoutes);
 app.use('/api/profiles', profileRoutes);
 app.use('/api/montages', montageRoutes);
+app.use('/api/music', musicRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Local storage has no bucket in front of it, so serve files ourselves.
+if (storage.name === 'local') {
+  app.use('/files', fileRoutes);
+}
 
 // Health check endpoint
 app.get('/', (req, res) => {
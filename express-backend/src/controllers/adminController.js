@@ -0,0 +1,58 @@
+import { invalidateAnalysisCache } from "../services/analysisCacheService.js";
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Deletes cached analysis results, e.g. after the analysis prompt changes.
+ * At least one filter, or all=true, is required so the whole cache isn't
+ * wiped by accident.
+ */
+export const invalidateCache = async (req, res) => {
+  const {
+    content_hash: contentHash,
+    prompt_hash: promptHash,
+    model,
+    created_before: createdBefore,
+    all,
+  } = req.query;
+
+  for (const [name, value] of Object.entries({
+    content_hash: contentHash,
+    prompt_hash: promptHash,
+  })) {
+    if (value !== undefined && !HASH_PATTERN.test(value)) {
+      return res
+        .status(400)
+        .json({ message: `${name} must be a SHA-256 hex digest.` });
+    }
+  }
+  if (createdBefore !== undefined && isNaN(new Date(createdBefore).getTime())) {
+    return res
+      .status(400)
+      .json({ message: "created_before must be a valid date." });
+  }
+  const hasFilter = contentHash || promptHash || model || createdBefore;
+  if (!hasFilter && all !== "true") {
+    return res.status(400).json({
+      message:
+        "Provide content_hash, prompt_hash, model or created_before, " +
+        "or all=true.",
+    });
+  }
+
+  try {
+    const deleted = await invalidateAnalysisCache({
+      contentHash,
+      promptHash,
+      model,
+      createdBefore: createdBefore && new Date(createdBefore).toISOString(),
+    });
+    console.log(`Admin ${req.user.id} invalidated ${deleted} cache entries.`);
+    res.status(200).json({ deleted });
+  } catch (error) {
+    console.error("Analysis cache invalidation failed:", error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
@@ -1,13 +1,151 @@
-import { randomUUID } from "node:crypto";
-import { upload } from "../services/s3Service.js";
-import { processVideoInBackground } from "../services/videoProcessingService.js";
+import {
+  upload,
+  deleteFile,
+  storage,
+  buildClipKey,
+  MAX_CLIP_UPLOAD_BYTES,
+} from "../services/storageService.js";
 import { supabase } from "../services/supabaseService.js";
-import { deleteFromS3 } from "../services/s3Service.js";
-import { createJob, getJob, updateJob } from "../services/jobStatusService.js";
+import { getJob, findJobIdByUploadUrl } from "../services/jobStatusService.js";
+import { queueClipProcessing } from "../services/clipIngestService.js";
+import {
+  queueClipReanalysis,
+  listClipAnalyses,
+  activateClipAnalysis,
+} from "../services/clipAnalysisService.js";
+import { getWeekSettings } from "../services/userSettingsService.js";
 import { getKeyFromUrl } from "../utils/getKeyFromUrl.js";
+import { getWeekEndDate } from "../utils/date.js";
+import { parsePagination } from "../utils/pagination.js";
 
 const uploadMiddleware = upload.single("video");
 
+// Direct uploads above this size are split into presigned parts.
+const MULTIPART_THRESHOLD_BYTES = 100 * 1024 * 1024;
+const MULTIPART_PART_SIZE_BYTES = 16 * 1024 * 1024;
+const UPLOAD_URL_EXPIRES_SEC = 60 * 60;
+
+const CLIP_SORT_FIELDS = ["score", "clip_date"];
+const MIN_CLIP_LENGTH_SEC = 0.5;
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+/**
+ * Validates a PATCH body against the stored clip and builds the update.
+ * Trims are checked against the clip's stored video duration when known.
+ * @param {object} body The request body.
+ * @param {object} clip The current clips row.
+ * @returns {{ updates?: object, error?: string }}
+ */
+function buildClipUpdates(body, clip) {
+  const updates = {};
+
+  if (body.start_sec !== undefined || body.end_sec !== undefined) {
+    const startSec =
+      body.start_sec !== undefined ? body.start_sec : clip.start_sec;
+    const endSec = body.end_sec !== undefined ? body.end_sec : clip.end_sec;
+
+    if (typeof startSec !== "number" || typeof endSec !== "number") {
+      return { error: "start_sec and end_sec must be numbers." };
+    }
+    if (startSec < 0) {
+      return { error: "start_sec cannot be negative." };
+    }
+    if (endSec - startSec < MIN_CLIP_LENGTH_SEC) {
+      return {
+        error: `end_sec must be at least ${MIN_CLIP_LENGTH_SEC}s after start_sec.`,
+      };
+    }
+    if (clip.duration_sec && endSec > clip.duration_sec) {
+      return {
+        error: `end_sec cannot exceed the video duration (${clip.duration_sec}s).`,
+      };
+    }
+
+    updates.start_sec = startSec;
+    updates.end_sec = endSec;
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== "string" || !body.description.trim()) {
+      return { error: "description must be a non-empty string." };
+    }
+    updates.description = body.description.trim();
+  }
+
+  if (body.clip_date !== undefined) {
+    if (!isValidDate(body.clip_date)) {
+      return { error: "clip_date must be a valid date." };
+    }
+    updates.clip_date = new Date(body.clip_date).toISOString();
+  }
+
+  for (const flag of ["pinned", "excluded"]) {
+    if (body[flag] !== undefined) {
+      if (typeof body[flag] !== "boolean") {
+        return { error: `${flag} must be a boolean.` };
+      }
+      updates[flag] = body[flag];
+    }
+  }
+
+  if ((updates.pinned ?? clip.pinned) && (updates.excluded ?? clip.excluded)) {
+    return { error: "A clip cannot be both pinned and excluded." };
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: "No editable fields were provided." };
+  }
+
+  return { updates };
+}
+
+/**
+ * Validates the body shared by the re-analysis endpoints.
+ * @returns {{ userPrompt?: string, activate?: boolean, error?: string }}
+ */
+function parseReanalysisBody(body) {
+  const { userPrompt, activate = true } = body;
+  if (typeof userPrompt !== "string" || !userPrompt.trim()) {
+    return { error: "userPrompt is required." };
+  }
+  if (typeof activate !== "boolean") {
+    return { error: "activate must be a boolean." };
+  }
+  return { userPrompt: userPrompt.trim(), activate };
+}
+
+/**
+ * Creates the processing_jobs row for an uploaded clip and queues its
+ * processing, then sends the 202 response.
+ * @param {object} file { key, bucket, location, originalname }
+ */
+async function startClipProcessing(req, res, file) {
+  const { userPrompt, date } = req.body;
+
+  try {
+    const jobId = await queueClipProcessing({
+      userId: req.user.id,
+      file,
+      userPrompt,
+      date,
+    });
+
+    // Respond to client
+    res.status(202).json({
+      message:
+        "Video uploaded successfully. Processing has started in the background.",
+      uploadUrl: file.location,
+      jobId: jobId,
+    });
+  } catch (dbError) {
+    console.error("Failed to create job:", dbError);
+    return res
+      .status(500)
+      .json({ message: "Failed to initialize upload job." });
+  }
+}
+
 export const uploadClip = (req, res) => {
   uploadMiddleware(req, res, async (err) => {
     // Make callback ASYNC
@@ -27,48 +165,178 @@ export const uploadClip = (req, res) => {
       return res.status(400).json({ message: "userPrompt is required." });
     }
 
+    // Optional: the file's own recording date wins when it has one.
     const { date } = req.body;
-    if (!date) {
-      return res.status(400).json({ message: "date is required." });
+    if (date && !isValidDate(date)) {
+      return res.status(400).json({ message: "date must be a valid date." });
     }
 
-    const jobId = randomUUID();
+    await startClipProcessing(req, res, {
+      key: req.file.key,
+      bucket: req.file.bucket,
+      location: req.file.location,
+      originalname: req.file.originalname,
+    });
+  });
+};
+
+/**
+ * Issues presigned URLs for uploading a clip straight to storage. Large
+ * files get one URL per part when the storage driver supports multipart.
+ */
+export const createClipUpload = async (req, res) => {
+  const { filename, content_type: contentType, size } = req.body || {};
 
-    try {
-      // 1. AWAIT the DB creation
-      await createJob(jobId, {
-        userId: req.user.id,
-        uploadUrl: req.file.location,
-        filename: req.file.originalname,
+  if (typeof filename !== "string" || !filename) {
+    return res.status(400).json({ message: "filename is required." });
+  }
+  if (typeof contentType !== "string" || !contentType.startsWith("video/")) {
+    return res
+      .status(400)
+      .json({ message: "content_type must be a video MIME type." });
+  }
+  if (!Number.isInteger(size) || size <= 0 || size > MAX_CLIP_UPLOAD_BYTES) {
+    return res.status(400).json({
+      message: `size must be a positive number of bytes up to ${MAX_CLIP_UPLOAD_BYTES}.`,
+    });
+  }
+
+  try {
+    const key = await buildClipKey(req.user.id, filename);
+    const expiresAt = new Date(
+      Date.now() + UPLOAD_URL_EXPIRES_SEC * 1000
+    ).toISOString();
+
+    if (size > MULTIPART_THRESHOLD_BYTES && storage.createMultipartUpload) {
+      const partCount = Math.ceil(size / MULTIPART_PART_SIZE_BYTES);
+      const { uploadId, parts } = await storage.createMultipartUpload(key, {
+        contentType,
+        partCount,
+        expiresIn: UPLOAD_URL_EXPIRES_SEC,
+      });
+      return res.status(201).json({
+        key,
+        method: "PUT",
+        multipart: true,
+        uploadId,
+        partSize: MULTIPART_PART_SIZE_BYTES,
+        parts,
+        expiresAt,
       });
+    }
 
-      // 2. Respond to client
-      res.status(202).json({
-        message:
-          "Video uploaded successfully. Processing has started in the background.",
-        uploadUrl: req.file.location,
-        jobId: jobId,
+    const uploadUrl = await storage.getSignedUrl(key, {
+      method: "PUT",
+      contentType,
+      expiresIn: UPLOAD_URL_EXPIRES_SEC,
+    });
+    res.status(201).json({
+      key,
+      method: "PUT",
+      multipart: false,
+      uploadUrl,
+      headers: { "Content-Type": contentType },
+      expiresAt,
+    });
+  } catch (error) {
+    console.error("Failed to create upload URL:", error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+/**
+ * Called once a direct upload has finished. Checks the stored object and
+ * starts processing it exactly like uploadClip.
+ */
+export const completeClipUpload = async (req, res) => {
+  const userId = req.user.id;
+  const {
+    key,
+    upload_id: uploadId,
+    parts,
+    filename,
+    userPrompt,
+    date,
+  } = req.body || {};
+
+  if (
+    typeof key !== "string" ||
+    !key.startsWith(`clips/${userId}/`) ||
+    key.split("/").includes("..")
+  ) {
+    return res.status(400).json({ message: "Invalid upload key." });
+  }
+  if (!userPrompt) {
+    return res.status(400).json({ message: "userPrompt is required." });
+  }
+  if (date && !isValidDate(date)) {
+    return res.status(400).json({ message: "date must be a valid date." });
+  }
+  if (uploadId !== undefined) {
+    const validParts =
+      Array.isArray(parts) &&
+      parts.length > 0 &&
+      parts.every(
+        (part) =>
+          Number.isInteger(part?.part_number) && typeof part?.etag === "string"
+      );
+    if (!validParts || !storage.completeMultipartUpload) {
+      return res.status(400).json({
+        message: "parts must list the part_number and etag of every uploaded part.",
       });
+    }
+  }
 
-      // 3. Trigger background processing
-      const jobData = {
-        file: req.file,
-        user: req.user,
-        userPrompt: userPrompt,
-        date: date,
-        jobId: jobId,
-      };
+  try {
+    const location = storage.getPublicUrl(key);
+
+    // Completing twice must not process the clip twice.
+    const existingJobId = await findJobIdByUploadUrl(userId, location);
+    if (existingJobId) {
+      return res.status(200).json({
+        message: "Upload already completed.",
+        uploadUrl: location,
+        jobId: existingJobId,
+      });
+    }
+
+    if (uploadId !== undefined) {
+      await storage.completeMultipartUpload(
+        key,
+        uploadId,
+        parts.map((part) => ({ partNumber: part.part_number, etag: part.etag }))
+      );
+    }
 
-      setImmediate(() => {
-        processVideoInBackground(jobData);
+    const object = await storage.head(key);
+    if (!object) {
+      return res.status(404).json({ message: "Uploaded file not found." });
+    }
+    if (
+      !object.size ||
+      object.size > MAX_CLIP_UPLOAD_BYTES ||
+      !object.contentType?.startsWith("video/")
+    ) {
+      await deleteFile(key);
+      return res.status(400).json({
+        message: `Uploads must be a video of at most ${MAX_CLIP_UPLOAD_BYTES} bytes.`,
       });
-    } catch (dbError) {
-      console.error("Failed to create job:", dbError);
-      return res
-        .status(500)
-        .json({ message: "Failed to initialize upload job." });
     }
-  });
+
+    await startClipProcessing(req, res, {
+      key,
+      bucket: storage.bucket,
+      location,
+      originalname: filename || key.split("/").pop(),
+    });
+  } catch (error) {
+    console.error(`Failed to complete upload ${key}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
 };
 
 export const getClipProcessingStatus = async (req, res) => {
@@ -119,13 +387,180 @@ export const getClipProcessingStatus = async (req, res) => {
     response.clip = job.clip;
   }
 
-  if (job.status === "failed" && job.error) {
+  if ((job.status === "failed" || job.status === "duplicate") && job.error) {
     response.error = job.error;
   }
 
+  if (job.duplicateOf) {
+    response.duplicateOf = job.duplicateOf;
+  }
+
   return res.status(200).json(response);
 };
 
+export const listClips = async (req, res) => {
+  const userId = req.user.id;
+  const { page, limit, from, to } = parsePagination(req.query);
+  const {
+    week_end_date: weekEndDate,
+    from: fromDate,
+    to: toDate,
+    sort = "clip_date",
+    order = "desc",
+    date_mismatch: dateMismatch,
+    pinned,
+    excluded,
+  } = req.query;
+
+  if (!CLIP_SORT_FIELDS.includes(sort)) {
+    return res.status(400).json({
+      message: `sort must be one of: ${CLIP_SORT_FIELDS.join(", ")}.`,
+    });
+  }
+  if (!["asc", "desc"].includes(order)) {
+    return res.status(400).json({ message: "order must be asc or desc." });
+  }
+  for (const [name, value] of Object.entries({
+    date_mismatch: dateMismatch,
+    pinned,
+    excluded,
+  })) {
+    if (value !== undefined && !["true", "false"].includes(value)) {
+      return res
+        .status(400)
+        .json({ message: `${name} must be true or false.` });
+    }
+  }
+  for (const [name, value] of Object.entries({
+    week_end_date: weekEndDate,
+    from: fromDate,
+    to: toDate,
+  })) {
+    if (value && !isValidDate(value)) {
+      return res.status(400).json({ message: `${name} must be a valid date.` });
+    }
+  }
+
+  try {
+    let query = supabase
+      .from("clips")
+      .select("*", { count: "exact" })
+      .eq("user_id", userId);
+
+    if (weekEndDate) {
+      // Match on the calendar day so clients can pass YYYY-MM-DD.
+      const day = new Date(weekEndDate).toISOString().split("T")[0];
+      query = query
+        .gte("week_end_date", `${day}T00:00:00.000Z`)
+        .lte("week_end_date", `${day}T23:59:59.999Z`);
+    }
+    if (fromDate) {
+      query = query.gte("clip_date", new Date(fromDate).toISOString());
+    }
+    if (toDate) {
+      query = query.lte("clip_date", new Date(toDate).toISOString());
+    }
+    if (dateMismatch !== undefined) {
+      query = query.eq("date_mismatch", dateMismatch === "true");
+    }
+    if (pinned !== undefined) {
+      query = query.eq("pinned", pinned === "true");
+    }
+    if (excluded !== undefined) {
+      query = query.eq("excluded", excluded === "true");
+    }
+
+    const { data, count, error } = await query
+      .order(sort, { ascending: order === "asc" })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(`Supabase clip fetch failed: ${error.message}`);
+    }
+
+    res.status(200).json({ clips: data, page, limit, total: count });
+  } catch (error) {
+    console.error(`Failed to list clips for user ${userId}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+export const getClip = async (req, res) => {
+  const { id: clipId } = req.params;
+
+  const { data: clip, error } = await supabase
+    .from("clips")
+    .select("*")
+    .eq("id", clipId)
+    .eq("user_id", req.user.id)
+    .single();
+
+  if (error || !clip) {
+    return res.status(404).json({
+      message: "Clip not found or you do not have permission to view it.",
+    });
+  }
+
+  return res.status(200).json(clip);
+};
+
+export const updateClip = async (req, res) => {
+  const { id: clipId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const { data: clip, error: fetchError } = await supabase
+      .from("clips")
+      .select("*")
+      .eq("id", clipId)
+      .eq("user_id", userId)
+      .single();
+
+    if (fetchError || !clip) {
+      return res.status(404).json({
+        message: "Clip not found or you do not have permission to edit it.",
+      });
+    }
+
+    const { updates, error: validationError } = buildClipUpdates(
+      req.body || {},
+      clip
+    );
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    // A corrected date moves the clip into the week it belongs to.
+    if (updates.clip_date) {
+      updates.week_end_date = getWeekEndDate(
+        new Date(updates.clip_date),
+        await getWeekSettings(userId)
+      ).toISOString();
+    }
+
+    const { data: updatedClip, error: updateError } = await supabase
+      .from("clips")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", clipId)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw new Error(`Supabase clip update failed: ${updateError.message}`);
+    }
+
+    res.status(200).json(updatedClip);
+  } catch (error) {
+    console.error(`Failed to update clip ${clipId}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
 export const deleteClip = async (req, res) => {
   const { id: clipId } = req.params;
   const userId = req.user.id;
@@ -136,7 +571,7 @@ export const deleteClip = async (req, res) => {
     // 1. Fetch the clip from Supabase to verify ownership and get URLs
     const { data: clip, error: fetchError } = await supabase
       .from("clips")
-      .select("clip_url, thumbnail_url")
+      .select("clip_url, thumbnail_url, compressed_url")
       .eq("id", clipId)
       .eq("user_id", userId)
       .single();
@@ -149,24 +584,28 @@ export const deleteClip = async (req, res) => {
       });
     }
 
-    // 2. Extract S3 keys from the URLs
+    // 2. Extract storage keys from the URLs
     const clipKey = getKeyFromUrl(clip.clip_url);
     const thumbKey = getKeyFromUrl(clip.thumbnail_url);
+    const compressedKey = getKeyFromUrl(clip.compressed_url);
 
     console.log(
       `Found clip. Video key: ${clipKey}, Thumbnail key: ${thumbKey}`
     );
 
-    // 3. Delete files from S3
+    // 3. Delete files from storage
     const deletePromises = [];
     if (clipKey) {
-      deletePromises.push(deleteFromS3(clipKey));
+      deletePromises.push(deleteFile(clipKey));
     }
     if (thumbKey) {
-      deletePromises.push(deleteFromS3(thumbKey));
+      deletePromises.push(deleteFile(thumbKey));
+    }
+    if (compressedKey) {
+      deletePromises.push(deleteFile(compressedKey));
     }
     await Promise.all(deletePromises);
-    console.log("Successfully deleted files from S3.");
+    console.log("Successfully deleted files from storage.");
 
     // 4. Delete the record from the Supabase table
     const { error: deleteError } = await supabase
@@ -187,3 +626,168 @@ export const deleteClip = async (req, res) => {
       .json({ message: error.message || "An internal error occurred." });
   }
 };
+
+export const reanalyzeClip = async (req, res) => {
+  const { id: clipId } = req.params;
+  const userId = req.user.id;
+
+  const { userPrompt, activate, error: validationError } =
+    parseReanalysisBody(req.body || {});
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const { data: clip, error: fetchError } = await supabase
+      .from("clips")
+      .select("id")
+      .eq("id", clipId)
+      .eq("user_id", userId)
+      .single();
+
+    if (fetchError || !clip) {
+      return res.status(404).json({
+        message: "Clip not found or you do not have permission to edit it.",
+      });
+    }
+
+    const jobId = await queueClipReanalysis({
+      userId,
+      clipId,
+      userPrompt,
+      activate,
+    });
+
+    res.status(202).json({
+      message: "Re-analysis has started in the background.",
+      clipId,
+      jobId,
+    });
+  } catch (error) {
+    console.error(`Failed to queue re-analysis of clip ${clipId}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+export const reanalyzeWeekClips = async (req, res) => {
+  const userId = req.user.id;
+  const { week_end_date: weekEndDate } = req.body || {};
+
+  if (!weekEndDate || !isValidDate(weekEndDate)) {
+    return res
+      .status(400)
+      .json({ message: "week_end_date must be a valid date." });
+  }
+  const { userPrompt, activate, error: validationError } =
+    parseReanalysisBody(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    // Duplicates never reach a montage, so they aren't worth re-analyzing.
+    const day = new Date(weekEndDate).toISOString().split("T")[0];
+    const { data: clips, error: fetchError } = await supabase
+      .from("clips")
+      .select("id")
+      .eq("user_id", userId)
+      .is("duplicate_of", null)
+      .gte("week_end_date", `${day}T00:00:00.000Z`)
+      .lte("week_end_date", `${day}T23:59:59.999Z`);
+
+    if (fetchError) {
+      throw new Error(`Supabase clip fetch failed: ${fetchError.message}`);
+    }
+    if (!clips || clips.length === 0) {
+      return res.status(404).json({ message: "No clips found for this week." });
+    }
+
+    const jobs = [];
+    for (const clip of clips) {
+      const jobId = await queueClipReanalysis({
+        userId,
+        clipId: clip.id,
+        userPrompt,
+        activate,
+      });
+      jobs.push({ clipId: clip.id, jobId });
+    }
+
+    res.status(202).json({
+      message: `Re-analysis of ${jobs.length} clip(s) has started in the background.`,
+      jobs,
+    });
+  } catch (error) {
+    console.error(`Failed to queue re-analysis for user ${userId}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+export const getClipAnalyses = async (req, res) => {
+  const { id: clipId } = req.params;
+
+  try {
+    const { data: clip, error: fetchError } = await supabase
+      .from("clips")
+      .select("id, active_analysis_id")
+      .eq("id", clipId)
+      .eq("user_id", req.user.id)
+      .single();
+
+    if (fetchError || !clip) {
+      return res.status(404).json({
+        message: "Clip not found or you do not have permission to view it.",
+      });
+    }
+
+    const analyses = await listClipAnalyses(clipId);
+    res.status(200).json({
+      active_analysis_id: clip.active_analysis_id,
+      analyses: analyses.map((analysis) => ({
+        ...analysis,
+        active: analysis.id === clip.active_analysis_id,
+      })),
+    });
+  } catch (error) {
+    console.error(`Failed to list analyses of clip ${clipId}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+export const activateClipAnalysisVersion = async (req, res) => {
+  const { id: clipId, analysisId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const { data: analysis, error: fetchError } = await supabase
+      .from("clip_analyses")
+      .select("*")
+      .eq("id", analysisId)
+      .eq("clip_id", clipId)
+      .eq("user_id", userId)
+      .single();
+
+    if (fetchError || !analysis) {
+      return res.status(404).json({
+        message: "Analysis not found or you do not have permission to use it.",
+      });
+    }
+
+    const clip = await activateClipAnalysis(clipId, analysis);
+    res.status(200).json(clip);
+  } catch (error) {
+    console.error(
+      `Failed to activate analysis ${analysisId} of clip ${clipId}:`,
+      error
+    );
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
@@ -0,0 +1,73 @@
+import { Transform } from "node:stream";
+import { storage } from "../services/storage/index.js";
+import { MAX_CLIP_UPLOAD_BYTES } from "../services/storageService.js";
+
+class UploadTooLargeError extends Error {}
+
+/**
+ * Passes the request body through, failing once it goes over `maxBytes`
+ * so a signed URL can't be used to fill the disk.
+ */
+function limitBytes(maxBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(
+          new UploadTooLargeError(`Uploads must be at most ${maxBytes} bytes.`)
+        );
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+// Only mounted when STORAGE_DRIVER=local; stands in for the bucket's own
+// public and signed URLs.
+
+export const getFile = (req, res) => {
+  const key = req.params[0];
+  res.sendFile(key, { root: storage.rootDir, dotfiles: "deny" }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status || 404).json({ message: "File not found." });
+    }
+  });
+};
+
+export const putFile = async (req, res) => {
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!storage.verifySignature("PUT", key, expires, signature)) {
+    return res
+      .status(403)
+      .json({ message: "Invalid or expired upload signature." });
+  }
+
+  const contentLength = Number(req.headers["content-length"]) || undefined;
+  if (contentLength > MAX_CLIP_UPLOAD_BYTES) {
+    return res.status(413).json({
+      message: `Uploads must be at most ${MAX_CLIP_UPLOAD_BYTES} bytes.`,
+    });
+  }
+
+  try {
+    await storage.put(key, req.pipe(limitBytes(MAX_CLIP_UPLOAD_BYTES)), {
+      contentType: req.headers["content-type"],
+      contentLength,
+    });
+    res.status(200).json({ key });
+  } catch (error) {
+    if (error instanceof UploadTooLargeError) {
+      // Stop reading the rest of the body.
+      res.set("Connection", "close");
+      return res.status(413).json({ message: error.message });
+    }
+    console.error(`Failed to store ${key}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
@@ -1,20 +1,577 @@
-import { processMontageCreation } from '../services/montageCreationService.js';
+import {
+  initializeMontage,
+  MONTAGE_PRESETS,
+  MIN_TARGET_DURATION_SEC,
+  MAX_TARGET_DURATION_SEC,
+  DEFAULT_TARGET_DURATION_SEC,
+} from '../services/montageCreationService.js';
+import { DEFAULT_SCORE_WEIGHTS } from "../services/analysis/index.js";
+import {
+  TRANSITIONS,
+  FILL_MODES,
+  ASPECT_RATIOS,
+  RESOLUTIONS,
+} from "../services/ffmpegService.js";
+import { resolveMusicTrack } from "../services/musicService.js";
+import {
+  OVERLAY_THEMES,
+  DEFAULT_OVERLAY_THEME,
+  CLIP_TEXT_MODES,
+} from "../services/overlayService.js";
+import { enqueueJob, JOB_TYPES } from "../services/jobQueueService.js";
 import { supabase } from "../services/supabaseService.js";
-import { deleteFromS3 } from "../services/s3Service.js";
+import { deleteFile } from "../services/storageService.js";
 import { getKeyFromUrl } from "../utils/getKeyFromUrl.js";
+import { parsePagination } from "../utils/pagination.js";
+import { parseDateKey } from "../utils/date.js";
 
-export const createMontage = (req, res) => {
+const MONTAGE_STATUSES = ["queued", "processing", "complete", "failed"];
+const MAX_CUSTOM_RANGE_DAYS = 366;
+const MIN_TRANSITION_DURATION_SEC = 0.2;
+const MAX_TRANSITION_DURATION_SEC = 1.5;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_RENDITIONS = 4;
+const SCORE_WEIGHT_NAMES = ["relevance", "quality", "confidence"];
+const MAX_CLIPS_PER_DAY = 50;
+const MAX_MOMENTS_PER_CLIP = 5;
+
+/**
+ * Validates the renditions list of a montage request, dropping duplicates.
+ * @returns {{ renditions?: object[], error?: string }}
+ */
+function parseRenditions(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: "renditions must be a non-empty array." };
+  }
+
+  const renditions = [];
+  const seen = new Set();
+  for (const item of value) {
+    const { aspect_ratio: aspectRatio, resolution } = item || {};
+    if (!Object.hasOwn(ASPECT_RATIOS, aspectRatio)) {
+      return {
+        error: `aspect_ratio must be one of: ${Object.keys(ASPECT_RATIOS).join(", ")}.`,
+      };
+    }
+    if (!Object.hasOwn(RESOLUTIONS, resolution)) {
+      return {
+        error: `resolution must be one of: ${Object.keys(RESOLUTIONS).join(", ")}.`,
+      };
+    }
+    const key = `${aspectRatio}@${resolution}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    renditions.push({ aspectRatio, resolution });
+  }
+
+  if (renditions.length > MAX_RENDITIONS) {
+    return { error: `At most ${MAX_RENDITIONS} renditions can be requested.` };
+  }
+  return { renditions };
+}
+
+/**
+ * Validates the overlays object of a montage request.
+ * @returns {{ overlays?: object|null, error?: string }} Null if nothing is enabled.
+ */
+function parseOverlays(value) {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    return { error: "overlays must be an object." };
+  }
+
+  const {
+    theme = DEFAULT_OVERLAY_THEME,
+    clip_text: clipText = "none",
+    intro = false,
+    outro = false,
+  } = value;
+
+  if (!Object.hasOwn(OVERLAY_THEMES, theme)) {
+    return {
+      error: `overlays.theme must be one of: ${Object.keys(OVERLAY_THEMES).join(", ")}.`,
+    };
+  }
+  if (!CLIP_TEXT_MODES.includes(clipText)) {
+    return {
+      error: `overlays.clip_text must be one of: ${CLIP_TEXT_MODES.join(", ")}.`,
+    };
+  }
+  if (typeof intro !== "boolean" || typeof outro !== "boolean") {
+    return { error: "overlays.intro and overlays.outro must be booleans." };
+  }
+
+  if (clipText === "none" && !intro && !outro) return { overlays: null };
+  return { overlays: { theme, clip_text: clipText, intro, outro } };
+}
+
+/**
+ * Validates the selection object of a montage request. Omitted fields keep
+ * their defaults.
+ * @returns {{ selection?: object, error?: string }} Snake-cased overrides
+ *   of DEFAULT_SELECTION_CONFIG.
+ */
+function parseSelection(value, targetDurationSec) {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    return { error: "selection must be an object." };
+  }
+
+  const {
+    weights,
+    min_duration_sec: minDurationSec,
+    max_clips_per_day: maxClipsPerDay,
+    max_moments_per_clip: maxMomentsPerClip,
+  } = value;
+  const selection = {};
+
+  if (weights !== undefined) {
+    if (typeof weights !== "object" || weights === null) {
+      return { error: "selection.weights must be an object." };
+    }
+    const merged = { ...DEFAULT_SCORE_WEIGHTS };
+    for (const name of SCORE_WEIGHT_NAMES) {
+      if (weights[name] === undefined) continue;
+      if (typeof weights[name] !== "number" || weights[name] < 0) {
+        return {
+          error: `selection.weights.${name} must be a non-negative number.`,
+        };
+      }
+      merged[name] = weights[name];
+    }
+    if (SCORE_WEIGHT_NAMES.every((name) => merged[name] === 0)) {
+      return { error: "At least one selection weight must be above 0." };
+    }
+    selection.weights = merged;
+  }
+
+  if (minDurationSec !== undefined) {
+    const maxDurationSec = targetDurationSec ?? MAX_TARGET_DURATION_SEC;
+    if (
+      typeof minDurationSec !== "number" ||
+      minDurationSec < 0 ||
+      minDurationSec > maxDurationSec
+    ) {
+      return {
+        error: `selection.min_duration_sec must be a number between 0 and ${maxDurationSec}.`,
+      };
+    }
+    selection.min_duration_sec = minDurationSec;
+  }
+
+  if (maxClipsPerDay !== undefined) {
+    if (
+      maxClipsPerDay !== null &&
+      (!Number.isInteger(maxClipsPerDay) ||
+        maxClipsPerDay < 1 ||
+        maxClipsPerDay > MAX_CLIPS_PER_DAY)
+    ) {
+      return {
+        error: `selection.max_clips_per_day must be null or an integer between 1 and ${MAX_CLIPS_PER_DAY}.`,
+      };
+    }
+    selection.max_clips_per_day = maxClipsPerDay;
+  }
+
+  if (maxMomentsPerClip !== undefined) {
+    if (
+      !Number.isInteger(maxMomentsPerClip) ||
+      maxMomentsPerClip < 1 ||
+      maxMomentsPerClip > MAX_MOMENTS_PER_CLIP
+    ) {
+      return {
+        error: `selection.max_moments_per_clip must be an integer between 1 and ${MAX_MOMENTS_PER_CLIP}.`,
+      };
+    }
+    selection.max_moments_per_clip = maxMomentsPerClip;
+  }
+
+  return { selection };
+}
+
+/**
+ * Validates the POST /api/montages body.
+ * @returns {{ options?: object, error?: string }} Options for initializeMontage.
+ */
+function parseMontageRequest(body = {}) {
+  const {
+    preset = "week",
+    date,
+    start_date: startDate,
+    end_date: endDate,
+    target_duration_sec: targetDurationSec,
+    transition,
+    transition_duration_sec: transitionDurationSec,
+    music_track_id: musicTrackId,
+    music_volume: musicVolume,
+    fill_mode: fillMode,
+    fill_color: fillColor,
+    renditions,
+    overlays,
+    selection,
+  } = body;
+
+  if (!MONTAGE_PRESETS.includes(preset)) {
+    return { error: `preset must be one of: ${MONTAGE_PRESETS.join(", ")}.` };
+  }
+
+  const options = { preset };
+
+  if (targetDurationSec !== undefined) {
+    if (
+      typeof targetDurationSec !== "number" ||
+      targetDurationSec < MIN_TARGET_DURATION_SEC ||
+      targetDurationSec > MAX_TARGET_DURATION_SEC
+    ) {
+      return {
+        error: `target_duration_sec must be a number between ${MIN_TARGET_DURATION_SEC} and ${MAX_TARGET_DURATION_SEC}.`,
+      };
+    }
+    options.targetDurationSec = targetDurationSec;
+  }
+
+  if (transition !== undefined) {
+    if (!Object.hasOwn(TRANSITIONS, transition)) {
+      return {
+        error: `transition must be one of: ${Object.keys(TRANSITIONS).join(", ")}.`,
+      };
+    }
+    options.transition = transition;
+  }
+
+  if (transitionDurationSec !== undefined) {
+    if (
+      typeof transitionDurationSec !== "number" ||
+      transitionDurationSec < MIN_TRANSITION_DURATION_SEC ||
+      transitionDurationSec > MAX_TRANSITION_DURATION_SEC
+    ) {
+      return {
+        error: `transition_duration_sec must be a number between ${MIN_TRANSITION_DURATION_SEC} and ${MAX_TRANSITION_DURATION_SEC}.`,
+      };
+    }
+    options.transitionDurationSec = transitionDurationSec;
+  }
+
+  if (musicTrackId !== undefined && typeof musicTrackId !== "string") {
+    return { error: "music_track_id must be a string." };
+  }
+  if (musicVolume !== undefined) {
+    if (typeof musicVolume !== "number" || musicVolume < 0 || musicVolume > 1) {
+      return { error: "music_volume must be a number between 0 and 1." };
+    }
+    options.musicVolume = musicVolume;
+  }
+
+  if (fillMode !== undefined) {
+    if (!FILL_MODES.includes(fillMode)) {
+      return { error: `fill_mode must be one of: ${FILL_MODES.join(", ")}.` };
+    }
+    options.fillMode = fillMode;
+  }
+  if (fillMode === "solid") {
+    if (!HEX_COLOR_PATTERN.test(fillColor || "")) {
+      return {
+        error: "fill_color must be a hex color like #000000 for the solid fill mode.",
+      };
+    }
+    options.fillColor = fillColor;
+  }
+
+  if (renditions !== undefined) {
+    const parsed = parseRenditions(renditions);
+    if (parsed.error) return { error: parsed.error };
+    options.renditions = parsed.renditions;
+  }
+
+  if (overlays !== undefined) {
+    const parsed = parseOverlays(overlays);
+    if (parsed.error) return { error: parsed.error };
+    options.overlays = parsed.overlays;
+  }
+
+  if (selection !== undefined) {
+    const parsed = parseSelection(
+      selection,
+      targetDurationSec ?? DEFAULT_TARGET_DURATION_SEC[preset]
+    );
+    if (parsed.error) return { error: parsed.error };
+    options.selection = parsed.selection;
+  }
+
+  if (preset === "custom") {
+    const first = parseDateKey(startDate);
+    const last = parseDateKey(endDate);
+    if (!first || !last) {
+      return {
+        error: "start_date and end_date (YYYY-MM-DD) are required for a custom montage.",
+      };
+    }
+    const spanDays =
+      (Date.UTC(last.year, last.month - 1, last.day) -
+        Date.UTC(first.year, first.month - 1, first.day)) /
+      (24 * 60 * 60 * 1000);
+    if (spanDays < 0) {
+      return { error: "end_date must not be before start_date." };
+    }
+    if (spanDays >= MAX_CUSTOM_RANGE_DAYS) {
+      return {
+        error: `A custom range can cover at most ${MAX_CUSTOM_RANGE_DAYS} days.`,
+      };
+    }
+    options.startDate = first;
+    options.endDate = last;
+  } else if (date !== undefined) {
+    if (isNaN(new Date(date).getTime())) {
+      return { error: "date must be a valid date." };
+    }
+    options.date = new Date(date);
+  }
+
+  return { options };
+}
+
+/**
+ * Lists a montage's renditions. Rows created before renditions existed
+ * have a single 9:16 1080p video.
+ */
+function toRenditionsResponse(montage) {
+  if (!montage.renditions?.length) {
+    return montage.video_url
+      ? [
+          {
+            aspectRatio: "9:16",
+            resolution: "1080p",
+            width: 1080,
+            height: 1920,
+            videoUrl: montage.video_url,
+            thumbnailUrl: montage.thumbnail_url,
+          },
+        ]
+      : [];
+  }
+
+  return montage.renditions.map((rendition) => ({
+    aspectRatio: rendition.aspect_ratio,
+    resolution: rendition.resolution,
+    width: rendition.width,
+    height: rendition.height,
+    videoUrl: rendition.video_url,
+    thumbnailUrl: rendition.thumbnail_url,
+  }));
+}
+
+/**
+ * Shapes a montages row into the response returned by the GET endpoints.
+ */
+function toMontageResponse(montage) {
+  return {
+    id: montage.id,
+    weekEndDate: montage.week_end_date,
+    preset: montage.preset || "week",
+    rangeStart: montage.range_start,
+    rangeEnd: montage.range_end,
+    targetDurationSec: montage.target_duration_sec,
+    transition: montage.transition || "none",
+    musicTrack: montage.music_track || null,
+    musicVolume: montage.music_volume,
+    fillMode: montage.fill_mode || "white",
+    fillColor: montage.fill_color,
+    renditions: toRenditionsResponse(montage),
+    overlays: montage.overlays || null,
+    selection: montage.selection_config || null,
+    status: montage.status,
+    stage: montage.stage,
+    error: montage.status === "failed" ? montage.error_message : null,
+    videoUrl: montage.video_url,
+    thumbnailUrl: montage.thumbnail_url,
+    clipIds: montage.clip_ids || [],
+    createdAt: montage.created_at,
+    completedAt: montage.completed_at,
+  };
+}
+
+export const createMontage = async (req, res) => {
   const user = req.user;
 
-  // Immediately respond to the client to let them know the process has started.
-  res.status(202).json({
-    message: 'Montage creation process has started. This may take several minutes.',
-  });
+  const { options, error: validationError } = parseMontageRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    if (req.body?.music_track_id) {
+      options.musicTrack = await resolveMusicTrack(
+        user.id,
+        req.body.music_track_id
+      );
+      if (!options.musicTrack) {
+        return res.status(400).json({ message: "Music track not found." });
+      }
+    }
+
+    // Title cards show the name from the user's auth profile, if any.
+    if (options.overlays) {
+      const metadata = user.user_metadata || {};
+      options.overlays.user_name =
+        metadata.full_name || metadata.name || null;
+    }
+
+    // Create the montage row up front so retries of the job reuse it.
+    const montageId = await initializeMontage(user.id, options);
+    await enqueueJob(JOB_TYPES.CREATE_MONTAGE, {
+      user: { id: user.id },
+      montageId,
+    });
+
+    // Respond to the client with the id it can poll for progress.
+    res.status(202).json({
+      message: 'Montage creation process has started. This may take several minutes.',
+      montageId,
+    });
+  } catch (error) {
+    console.error(`Failed to start montage for user ${user.id}:`, error);
+    res.status(500).json({ message: 'Failed to start montage creation.' });
+  }
+};
+
+export const listMontages = async (req, res) => {
+  const userId = req.user.id;
+  const { page, limit, from, to } = parsePagination(req.query);
+  const { week_end_date: weekEndDate, status, preset } = req.query;
+
+  if (status && !MONTAGE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      message: `status must be one of: ${MONTAGE_STATUSES.join(", ")}.`,
+    });
+  }
+  if (preset && !MONTAGE_PRESETS.includes(preset)) {
+    return res.status(400).json({
+      message: `preset must be one of: ${MONTAGE_PRESETS.join(", ")}.`,
+    });
+  }
+  if (weekEndDate && isNaN(new Date(weekEndDate).getTime())) {
+    return res.status(400).json({ message: "week_end_date must be a valid date." });
+  }
+
+  try {
+    let query = supabase
+      .from("montages")
+      .select("*", { count: "exact" })
+      .eq("user_id", userId);
+
+    if (status) query = query.eq("status", status);
+    if (preset === "week") {
+      query = query.or("preset.is.null,preset.eq.week");
+    } else if (preset) {
+      query = query.eq("preset", preset);
+    }
+    if (weekEndDate) {
+      // Match on the calendar day so clients can pass YYYY-MM-DD.
+      const day = new Date(weekEndDate).toISOString().split("T")[0];
+      query = query
+        .gte("week_end_date", `${day}T00:00:00.000Z`)
+        .lte("week_end_date", `${day}T23:59:59.999Z`);
+    }
+
+    const { data, count, error } = await query
+      .order("created_at", { ascending: false })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(`Supabase montage fetch failed: ${error.message}`);
+    }
+
+    res.status(200).json({
+      montages: data.map(toMontageResponse),
+      page,
+      limit,
+      total: count,
+    });
+  } catch (error) {
+    console.error(`Failed to list montages for user ${userId}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+/**
+ * The moments a montage rendered, in montage order: one entry per moment,
+ * so a clip cut twice appears twice, each with the range that was used.
+ * @param {object|null} report The montage's selection_report.
+ * @param {Map<string, object>} clipsById
+ * @returns {object[]|null} Null if the report does not list its moments.
+ */
+function getRenderedMoments(report, clipsById) {
+  if (!Array.isArray(report?.clips)) return null;
+
+  return report.clips
+    .filter((moment) => moment.included && clipsById.has(moment.clip_id))
+    .map((moment) => ({
+      ...clipsById.get(moment.clip_id),
+      segment_id: moment.segment_id,
+      start_sec: moment.start_sec,
+      end_sec: moment.end_sec,
+    }))
+    .sort(
+      (a, b) =>
+        new Date(a.clip_date) - new Date(b.clip_date) ||
+        a.start_sec - b.start_sec
+    );
+}
+
+export const getMontage = async (req, res) => {
+  const { id: montageId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const { data: montage, error: fetchError } = await supabase
+      .from("montages")
+      .select("*")
+      .eq("id", montageId)
+      .eq("user_id", userId)
+      .single();
 
-  // Trigger the long-running background process without awaiting it.
-  setImmediate(() => {
-    processMontageCreation({ user });
-  });
+    if (fetchError || !montage) {
+      return res.status(404).json({
+        message: "Montage not found or you do not have permission to view it.",
+      });
+    }
+
+    const response = toMontageResponse(montage);
+    response.selectionReport = montage.selection_report || null;
+    // e.g. pinned clips running over the target duration.
+    response.warnings = montage.selection_report?.warnings || [];
+
+    // Return the clips in the order they appear in the montage.
+    response.clips = [];
+    if (response.clipIds.length > 0) {
+      const { data: clips, error: clipsError } = await supabase
+        .from("clips")
+        .select(
+          "id, clip_url, thumbnail_url, start_sec, end_sec, description, clip_date, score"
+        )
+        .in("id", response.clipIds);
+
+      if (clipsError) {
+        throw new Error(`Supabase clip fetch failed: ${clipsError.message}`);
+      }
+
+      const clipsById = new Map(clips.map((clip) => [clip.id, clip]));
+      response.clips = getRenderedMoments(montage.selection_report, clipsById);
+      if (!response.clips) {
+        // Montages from before selection reports: one entry per clip.
+        response.clips = response.clipIds
+          .map((id) => clipsById.get(id))
+          .filter(Boolean);
+      }
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error(`Failed to fetch montage ${montageId}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
 };
 
 export const deleteMontage = async (req, res) => {
@@ -27,7 +584,7 @@ export const deleteMontage = async (req, res) => {
     // 1. Fetch the clip from Supabase to verify ownership and get URLs
     const { data: montage, error: fetchError } = await supabase
       .from("montages")
-      .select("video_url, thumbnail_url")
+      .select("video_url, thumbnail_url, renditions")
       .eq("id", montageId)
       .eq("user_id", userId)
       .single();
@@ -40,7 +597,7 @@ export const deleteMontage = async (req, res) => {
       });
     }
 
-    // 2. Extract S3 keys from the URLs
+    // 2. Extract storage keys from the URLs
     const montageKey = getKeyFromUrl(montage.video_url);
     const thumbKey = getKeyFromUrl(montage.thumbnail_url);
 
@@ -48,16 +605,18 @@ export const deleteMontage = async (req, res) => {
       `Found montage. Video key: ${montageKey}, Thumbnail key: ${thumbKey}`
     );
 
-    // 3. Delete files from S3
-    const deletePromises = [];
-    if (montageKey) {
-      deletePromises.push(deleteFromS3(montageKey));
-    }
-    if (thumbKey) {
-      deletePromises.push(deleteFromS3(thumbKey));
-    }
-    await Promise.all(deletePromises);
-    console.log("Successfully deleted files from S3.");
+    // Every rendition has its own files; the first is also the main video.
+    const renditionKeys = (montage.renditions || []).flatMap((rendition) => [
+      getKeyFromUrl(rendition.video_url),
+      getKeyFromUrl(rendition.thumbnail_url),
+    ]);
+
+    // 3. Delete files from storage
+    const keys = new Set(
+      [montageKey, thumbKey, ...renditionKeys].filter(Boolean)
+    );
+    await Promise.all([...keys].map((key) => deleteFile(key)));
+    console.log("Successfully deleted files from storage.");
 
     // 4. Delete the record from the Supabase table
     const { error: deleteError } = await supabase
@@ -0,0 +1,111 @@
+import path from "node:path";
+import { supabase } from "../services/supabaseService.js";
+import { uploadBuffer, deleteFile } from "../services/storageService.js";
+import {
+  listBundledTracks,
+  listUserTracks,
+} from "../services/musicService.js";
+import { getKeyFromUrl } from "../utils/getKeyFromUrl.js";
+
+export const listMusicTracks = async (req, res) => {
+  try {
+    const [bundled, uploaded] = await Promise.all([
+      listBundledTracks(),
+      listUserTracks(req.user.id),
+    ]);
+
+    res.status(200).json({
+      bundled: bundled.map(({ id, title, source }) => ({ id, title, source })),
+      uploaded,
+    });
+  } catch (error) {
+    console.error("Failed to list music tracks:", error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+/**
+ * Stores a user-uploaded audio file so it can be used as montage music.
+ * Expects multipart/form-data with an 'audio' file and an optional 'title'.
+ */
+export const uploadMusicTrack = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: "No audio file provided." });
+  }
+
+  const userId = req.user.id;
+  const title =
+    (req.body.title || "").trim() ||
+    path.basename(req.file.originalname, path.extname(req.file.originalname));
+
+  try {
+    const safeName = path
+      .basename(req.file.originalname)
+      .replace(/[^\w.-]/g, "_");
+    const key = `music/${userId}/${Date.now()}-${safeName}`;
+    const url = await uploadBuffer(req.file.buffer, key, req.file.mimetype);
+
+    const { data: track, error } = await supabase
+      .from("music_tracks")
+      .insert({
+        user_id: userId,
+        title,
+        url,
+        content_type: req.file.mimetype,
+      })
+      .select("id, title, url, content_type, created_at")
+      .single();
+
+    if (error) {
+      await deleteFile(key);
+      throw new Error(`Supabase music insert failed: ${error.message}`);
+    }
+
+    res.status(201).json({ ...track, source: "user" });
+  } catch (error) {
+    console.error("Music track upload failed:", error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+export const deleteMusicTrack = async (req, res) => {
+  const { id: trackId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const { data: track, error: fetchError } = await supabase
+      .from("music_tracks")
+      .select("url")
+      .eq("id", trackId)
+      .eq("user_id", userId)
+      .single();
+
+    if (fetchError || !track) {
+      return res.status(404).json({
+        message: "Track not found or you do not have permission to delete it.",
+      });
+    }
+
+    const { error: deleteError } = await supabase
+      .from("music_tracks")
+      .delete()
+      .eq("id", trackId);
+
+    if (deleteError) {
+      throw new Error(`Supabase delete failed: ${deleteError.message}`);
+    }
+
+    await deleteFile(getKeyFromUrl(track.url));
+
+    res.status(200).json({ message: "Track deleted successfully." });
+  } catch (error) {
+    console.error(`Failed to delete music track ${trackId}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
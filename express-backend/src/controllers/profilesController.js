@@ -1,27 +1,17 @@
 import sharp from 'sharp';
 import { supabase } from '../services/supabaseService.js';
-import { uploadBufferToS3, deleteFromS3 } from '../services/s3Service.js';
-
-/**
- * Extracts the S3 key from a full S3 URL.
- * @param {string} url The S3 URL.
- * @returns {string|null} The S3 key or null if the URL is invalid.
- */
-function getKeyFromUrl(url) {
-  if (!url) return null;
-  try {
-    const urlObject = new URL(url);
-    // The key is the pathname, but we need to remove the leading '/'
-    return urlObject.pathname.substring(1);
-  } catch (error) {
-    console.error('Invalid URL for key extraction:', url);
-    return null;
-  }
-}
+import { uploadBuffer, deleteFile } from '../services/storageService.js';
+import { getKeyFromUrl } from '../utils/getKeyFromUrl.js';
+import {
+  getWeekSettings,
+  getDuplicateHandling,
+  DUPLICATE_HANDLING_MODES,
+} from '../services/userSettingsService.js';
+import { isValidTimeZone } from '../utils/date.js';
 
 /**
  * Handles profile photo creation and updates.
- * Compresses the image, uploads to S3, updates the database,
+ * Compresses the image, uploads to storage, updates the database,
  * and deletes the old photo.
  */
 export const updateProfilePhoto = async (req, res) => {
@@ -54,9 +44,9 @@ export const updateProfilePhoto = async (req, res) => {
       .webp({ quality: 80 })
       .toBuffer();
 
-    // 3. Upload the new photo to S3
+    // 3. Upload the new photo to storage
     const newPhotoKey = `profiles/${userId}/${Date.now()}.webp`;
-    const newPhotoUrl = await uploadBufferToS3(compressedBuffer, newPhotoKey, 'image/webp');
+    const newPhotoUrl = await uploadBuffer(compressedBuffer, newPhotoKey, 'image/webp');
 
     // 4. Update the profile in Supabase with the new URL
     const { error: updateError } = await supabase
@@ -68,9 +58,9 @@ export const updateProfilePhoto = async (req, res) => {
       throw new Error(`Supabase profile update failed: ${updateError.message}`);
     }
 
-    // 5. If update was successful, delete the old photo from S3
+    // 5. If update was successful, delete the old photo from storage
     if (oldPhotoKey) {
-      await deleteFromS3(oldPhotoKey);
+      await deleteFile(oldPhotoKey);
     }
 
     res.status(200).json({
@@ -86,7 +76,7 @@ export const updateProfilePhoto = async (req, res) => {
 
 /**
  * Handles profile photo deletion.
- * Deletes the photo from S3 and sets the database field to null.
+ * Deletes the photo from storage and sets the database field to null.
  */
 export const deleteProfilePhoto = async (req, res) => {
   const userId = req.user.id;
@@ -119,8 +109,8 @@ export const deleteProfilePhoto = async (req, res) => {
       throw new Error(`Supabase profile update failed: ${updateError.message}`);
     }
 
-    // 3. Delete the file from S3
-    await deleteFromS3(photoKey);
+    // 3. Delete the file from storage
+    await deleteFile(photoKey);
 
     res.status(200).json({ message: 'Profile photo deleted successfully.' });
 
@@ -129,3 +119,83 @@ export const deleteProfilePhoto = async (req, res) => {
     res.status(500).json({ message: error.message || 'An internal error occurred.' });
   }
 };
+
+/**
+ * Returns the settings that control how the user's clips are grouped into
+ * weeks and what happens to duplicate uploads.
+ */
+export const getProfileSettings = async (req, res) => {
+  try {
+    const [{ timeZone, weekStartDay }, duplicateHandling] = await Promise.all([
+      getWeekSettings(req.user.id),
+      getDuplicateHandling(req.user.id),
+    ]);
+    res.status(200).json({
+      timezone: timeZone,
+      week_start_day: weekStartDay,
+      duplicate_handling: duplicateHandling,
+    });
+  } catch (error) {
+    console.error('Profile settings fetch failed:', error);
+    res.status(500).json({ message: error.message || 'An internal error occurred.' });
+  }
+};
+
+/**
+ * Updates the user's time zone, week start day and/or duplicate handling.
+ * Existing clips keep their week; run the rebucket-clips script to move them.
+ */
+export const updateProfileSettings = async (req, res) => {
+  const {
+    timezone,
+    week_start_day: weekStartDay,
+    duplicate_handling: duplicateHandling,
+  } = req.body || {};
+  const updates = {};
+
+  if (timezone !== undefined) {
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'timezone must be a valid IANA time zone, e.g. "Asia/Tokyo".' });
+    }
+    updates.timezone = timezone;
+  }
+
+  if (weekStartDay !== undefined) {
+    if (!Number.isInteger(weekStartDay) || weekStartDay < 0 || weekStartDay > 6) {
+      return res.status(400).json({ message: 'week_start_day must be an integer from 0 (Sunday) to 6 (Saturday).' });
+    }
+    updates.week_start_day = weekStartDay;
+  }
+
+  if (duplicateHandling !== undefined) {
+    if (!DUPLICATE_HANDLING_MODES.includes(duplicateHandling)) {
+      return res.status(400).json({ message: `duplicate_handling must be one of: ${DUPLICATE_HANDLING_MODES.join(', ')}.` });
+    }
+    updates.duplicate_handling = duplicateHandling;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ message: 'No settings were provided.' });
+  }
+
+  try {
+    const { data: profile, error: updateError } = await supabase
+      .from('profiles')
+      .update(updates)
+      .eq('id', req.user.id)
+      .select('timezone, week_start_day, duplicate_handling')
+      .single();
+
+    if (updateError) {
+      throw new Error(`Supabase profile update failed: ${updateError.message}`);
+    }
+
+    res.status(200).json({
+      message: 'Profile settings updated successfully.',
+      ...profile,
+    });
+  } catch (error) {
+    console.error('Profile settings update failed:', error);
+    res.status(500).json({ message: error.message || 'An internal error occurred.' });
+  }
+};
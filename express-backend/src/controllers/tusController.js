@@ -0,0 +1,225 @@
+import { MAX_CLIP_UPLOAD_BYTES } from "../services/storageService.js";
+import {
+  createUpload,
+  getUpload,
+  appendChunk,
+  terminateUpload,
+  isExpired,
+  TusUploadError,
+} from "../services/tusUploadService.js";
+
+// Implements the tus 1.0.0 core protocol plus the creation, termination and
+// expiration extensions (https://tus.io/protocols/resumable-upload).
+
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = "creation,termination,expiration";
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Response headers browser clients need to read.
+export const TUS_EXPOSED_HEADERS = [
+  "Location",
+  "Upload-Offset",
+  "Upload-Length",
+  "Upload-Expires",
+  "Tus-Resumable",
+  "Tus-Version",
+  "Tus-Extension",
+  "Tus-Max-Size",
+  "Upload-Job-Id",
+];
+
+/**
+ * Sets the headers every tus response carries and rejects requests from
+ * clients speaking another protocol version. Runs before `protect` so the
+ * OPTIONS discovery request works without a token.
+ */
+export const tusHeaders = (req, res, next) => {
+  res.set("Tus-Resumable", TUS_VERSION);
+
+  if (req.method !== "OPTIONS" && req.headers["tus-resumable"] !== TUS_VERSION) {
+    res.set("Tus-Version", TUS_VERSION);
+    return res
+      .status(412)
+      .json({ message: `Tus-Resumable must be ${TUS_VERSION}.` });
+  }
+  next();
+};
+
+/**
+ * Parses an Upload-Metadata header: comma-separated "key base64value" pairs.
+ * @returns {Record<string, string>|null} Null if the header is malformed.
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(",")) {
+    const [key, value, ...rest] = pair.trim().split(" ");
+    if (!key || rest.length > 0) return null;
+    metadata[key] = value ? Buffer.from(value, "base64").toString("utf8") : "";
+  }
+  return metadata;
+}
+
+function setUploadHeaders(res, upload) {
+  res.set("Upload-Offset", String(upload.upload_offset));
+  res.set("Upload-Length", String(upload.upload_length));
+  if (upload.status === "complete") {
+    res.set("Upload-Job-Id", upload.job_id);
+  } else {
+    res.set("Upload-Expires", new Date(upload.expires_at).toUTCString());
+  }
+}
+
+/**
+ * Loads the upload named in the URL, responding 404/410 if the caller
+ * can't use it.
+ * @returns {Promise<object|null>}
+ */
+async function findUpload(req, res) {
+  const { id } = req.params;
+  const upload = UUID_PATTERN.test(id)
+    ? await getUpload(req.user.id, id)
+    : null;
+
+  if (!upload) {
+    res.status(404).json({ message: "Upload not found." });
+    return null;
+  }
+  if (isExpired(upload)) {
+    res.status(410).json({ message: "Upload has expired." });
+    return null;
+  }
+  return upload;
+}
+
+export const getTusOptions = (req, res) => {
+  res.set({
+    "Tus-Version": TUS_VERSION,
+    "Tus-Extension": TUS_EXTENSIONS,
+    "Tus-Max-Size": String(MAX_CLIP_UPLOAD_BYTES),
+  });
+  res.status(204).end();
+};
+
+export const createTusUpload = async (req, res) => {
+  const uploadLength = Number(req.headers["upload-length"]);
+  if (!Number.isInteger(uploadLength) || uploadLength <= 0) {
+    return res
+      .status(400)
+      .json({ message: "Upload-Length must be a positive integer." });
+  }
+  if (uploadLength > MAX_CLIP_UPLOAD_BYTES) {
+    return res.status(413).json({
+      message: `Uploads must be at most ${MAX_CLIP_UPLOAD_BYTES} bytes.`,
+    });
+  }
+
+  const metadata = parseMetadata(req.headers["upload-metadata"]);
+  if (!metadata) {
+    return res.status(400).json({ message: "Invalid Upload-Metadata." });
+  }
+  const { filename, filetype, userPrompt, date } = metadata;
+  if (!filetype?.startsWith("video/")) {
+    return res
+      .status(400)
+      .json({ message: "Upload-Metadata filetype must be a video type." });
+  }
+  if (!userPrompt) {
+    return res.status(400).json({ message: "userPrompt is required." });
+  }
+  if (date && isNaN(new Date(date).getTime())) {
+    return res.status(400).json({ message: "date must be a valid date." });
+  }
+
+  try {
+    const upload = await createUpload({
+      userId: req.user.id,
+      uploadLength,
+      filename,
+      contentType: filetype,
+      userPrompt,
+      date,
+    });
+
+    const location = `${req.baseUrl}/${upload.id}`;
+    res.set("Location", location);
+    setUploadHeaders(res, upload);
+    res.status(201).end();
+  } catch (error) {
+    console.error("Failed to create tus upload:", error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+export const getTusUploadOffset = async (req, res) => {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+
+    res.set("Cache-Control", "no-store");
+    setUploadHeaders(res, upload);
+    res.status(200).end();
+  } catch (error) {
+    console.error(`Failed to fetch upload ${req.params.id}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+export const patchTusUpload = async (req, res) => {
+  if (req.headers["content-type"] !== "application/offset+octet-stream") {
+    return res.status(415).json({
+      message: "Content-Type must be application/offset+octet-stream.",
+    });
+  }
+  const offset = Number(req.headers["upload-offset"]);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res
+      .status(400)
+      .json({ message: "Upload-Offset must be a non-negative integer." });
+  }
+
+  try {
+    let upload = await findUpload(req, res);
+    if (!upload) return;
+    if (upload.status === "complete") {
+      return res.status(409).json({ message: "Upload is already complete." });
+    }
+
+    upload = await appendChunk(upload, offset, req);
+    setUploadHeaders(res, upload);
+    res.status(204).end();
+  } catch (error) {
+    if (error instanceof TusUploadError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`Failed to receive upload ${req.params.id}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
+
+export const deleteTusUpload = async (req, res) => {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+    if (upload.status === "complete") {
+      return res.status(409).json({
+        message: "Upload is already complete; delete the clip instead.",
+      });
+    }
+
+    await terminateUpload(upload);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Failed to delete upload ${req.params.id}:`, error);
+    res
+      .status(500)
+      .json({ message: error.message || "An internal error occurred." });
+  }
+};
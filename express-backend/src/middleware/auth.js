@@ -29,3 +29,20 @@ export const protect = async (req, res, next) => {
     res.status(500).json({ message: 'Internal server error during authentication.' });
   }
 };
+
+/**
+ * Allows only admins through. Use after `protect`. A user is an admin if
+ * their id is listed in ADMIN_USER_IDS (comma-separated) or their Supabase
+ * app_metadata.role is 'admin'.
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (adminIds.includes(req.user.id) || req.user.app_metadata?.role === 'admin') {
+    return next();
+  }
+  res.status(403).json({ message: 'Admin access is required.' });
+};
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { invalidateCache } from "../controllers/adminController.js";
+import { protect, requireAdmin } from "../middleware/auth.js";
+
+const router = Router();
+
+// DELETE /api/admin/analysis-cache
+// Admin-only route deleting cached analysis results. Query filters:
+// ?content_hash, ?prompt_hash, ?model, ?created_before, or ?all=true.
+router.delete("/analysis-cache", protect, requireAdmin, invalidateCache);
+
+export default router;
@@ -1,21 +1,86 @@
 import { Router } from "express";
 import {
   uploadClip,
+  createClipUpload,
+  completeClipUpload,
+  listClips,
+  getClip,
+  updateClip,
   deleteClip,
   getClipProcessingStatus,
+  reanalyzeClip,
+  reanalyzeWeekClips,
+  getClipAnalyses,
+  activateClipAnalysisVersion,
 } from "../controllers/clipsController.js";
 import { protect } from "../middleware/auth.js";
 
 const router = Router();
 
 // POST /api/clips/
-// Protected route for uploading a video clip.
+// Protected route for uploading a video clip. Multipart fields: video,
+// userPrompt and an optional date, used only when the file carries no
+// recording date of its own.
 router.post("/", protect, uploadClip);
 
+// POST /api/clips/uploads
+// Protected route issuing presigned URLs for a direct upload to storage.
+// JSON body: { filename, content_type, size }. Files over 100MB get one URL
+// per part when the storage driver supports multipart uploads.
+router.post("/uploads", protect, createClipUpload);
+
+// POST /api/clips/complete
+// Protected route called after a direct upload. JSON body: { key,
+// upload_id?, parts?: [{ part_number, etag }], filename?, userPrompt, date? }.
+// Verifies the file and starts processing it like POST /api/clips/.
+router.post("/complete", protect, completeClipUpload);
+
+// POST /api/clips/reanalyze
+// Protected route re-running analysis on every clip of a week with a new
+// prompt. JSON body: { week_end_date, userPrompt, activate? }. Responds
+// with one pollable job per clip.
+router.post("/reanalyze", protect, reanalyzeWeekClips);
+
 // GET /api/clips/jobs/:jobId
 // Polling endpoint to check the status of a background processing job.
 router.get("/jobs/:jobId", protect, getClipProcessingStatus);
 
+// GET /api/clips/
+// Protected route listing the user's clips. Supports ?page, ?limit,
+// ?week_end_date, ?from/?to (clip_date range), ?date_mismatch=true|false,
+// ?pinned=true|false, ?excluded=true|false, ?sort=score|clip_date and
+// ?order.
+router.get("/", protect, listClips);
+
+// GET /api/clips/:id
+// Protected route for fetching a single clip.
+router.get("/:id", protect, getClip);
+
+// PATCH /api/clips/:id
+// Protected route for overriding a clip's trim, description, date
+// or pin/exclude flags. Montages always keep pinned clips, even over their
+// target duration or when marked as a duplicate, and never use excluded
+// ones. Duplicates are not excluded, so they can be pinned directly.
+router.patch("/:id", protect, updateClip);
+
+// POST /api/clips/:id/reanalyze
+// Protected route re-running analysis on a stored clip with a new prompt.
+// JSON body: { userPrompt, activate? }. The result is added to the clip's
+// analysis history and, unless activate is false, used by montages.
+router.post("/:id/reanalyze", protect, reanalyzeClip);
+
+// GET /api/clips/:id/analyses
+// Protected route listing every analysis of a clip, newest first.
+router.get("/:id/analyses", protect, getClipAnalyses);
+
+// POST /api/clips/:id/analyses/:analysisId/activate
+// Protected route choosing which analysis (trim and scores) montages use.
+router.post(
+  "/:id/analyses/:analysisId/activate",
+  protect,
+  activateClipAnalysisVersion
+);
+
 // DELETE /api/clips/:id
 // Protected route for deleting a specific video clip.
 router.delete("/:id", protect, deleteClip);
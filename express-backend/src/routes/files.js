@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { getFile, putFile } from "../controllers/filesController.js";
+
+const router = Router();
+
+// GET /files/<key>
+// Public route serving a stored file (local storage driver only).
+router.get("/*", getFile);
+
+// PUT /files/<key>?expires=...&signature=...
+// Direct upload to a URL signed by the local storage driver.
+router.put("/*", putFile);
+
+export default router;
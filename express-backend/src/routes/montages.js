@@ -1,13 +1,38 @@
 import { Router } from 'express';
-import { createMontage, deleteMontage } from '../controllers/montagesController.js';
+import {
+  createMontage,
+  listMontages,
+  getMontage,
+  deleteMontage,
+} from '../controllers/montagesController.js';
 import { protect } from '../middleware/auth.js';
 
 const router = Router();
 
 // POST /api/montages
 // Protected route to trigger the creation of a new montage video.
+// Optional JSON body: { preset: "week" | "month" | "year" | "custom", date,
+// start_date, end_date, target_duration_sec, transition,
+// transition_duration_sec, music_track_id, music_volume, fill_mode,
+// fill_color, renditions: [{ aspect_ratio, resolution }],
+// overlays: { theme, clip_text, intro, outro },
+// selection: { weights: { relevance, quality, confidence },
+// min_duration_sec, max_clips_per_day, max_moments_per_clip } }.
+// Defaults to this week.
 router.post('/', protect, createMontage);
 
+// GET /api/montages
+// Protected route listing the user's montages, newest first.
+// Supports ?page, ?limit, ?week_end_date, ?status and ?preset filters.
+router.get('/', protect, listMontages);
+
+// GET /api/montages/:id
+// Protected route returning a montage's status, progress and the clips it
+// used, with a selectionReport explaining why each candidate clip was
+// included or dropped and any selection warnings, such as pinned clips
+// running over the target duration.
+router.get('/:id', protect, getMontage);
+
 // DELETE /api/montages/:id
 // Protected route for deleting a specific montage.
 router.delete("/:id", protect, deleteMontage);
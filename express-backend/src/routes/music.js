@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  listMusicTracks,
+  uploadMusicTrack,
+  deleteMusicTrack,
+} from "../controllers/musicController.js";
+import { protect } from "../middleware/auth.js";
+import { uploadAudioInMemory } from "../services/storageService.js";
+
+const router = Router();
+
+// Middleware for handling a single audio upload, stored in memory
+const audioUploadMiddleware = uploadAudioInMemory.single("audio");
+
+// GET /api/music
+// Protected route listing bundled tracks and the user's uploaded tracks.
+router.get("/", protect, listMusicTracks);
+
+// POST /api/music
+// Protected route for uploading a background music track.
+// Expects multipart/form-data with an 'audio' file and optional 'title'.
+router.post("/", protect, audioUploadMiddleware, uploadMusicTrack);
+
+// DELETE /api/music/:id
+// Protected route for deleting one of the user's uploaded tracks.
+router.delete("/:id", protect, deleteMusicTrack);
+
+export default router;
@@ -1,7 +1,12 @@
 import { Router } from 'express';
-import { updateProfilePhoto, deleteProfilePhoto } from '../controllers/profilesController.js';
+import {
+  updateProfilePhoto,
+  deleteProfilePhoto,
+  getProfileSettings,
+  updateProfileSettings,
+} from '../controllers/profilesController.js';
 import { protect } from '../middleware/auth.js';
-import { uploadInMemory } from '../services/s3Service.js';
+import { uploadInMemory } from '../services/storageService.js';
 
 const router = Router();
 
@@ -17,4 +22,16 @@ router.post('/photo', protect, photoUploadMiddleware, updateProfilePhoto);
 // Protected route for deleting a profile photo.
 router.delete('/photo', protect, deleteProfilePhoto);
 
+// GET /api/profiles/settings
+// Protected route returning the user's time zone, week start day and
+// duplicate upload handling.
+router.get('/settings', protect, getProfileSettings);
+
+// PATCH /api/profiles/settings
+// Protected route for updating the user's time zone, week start day and/or
+// duplicate upload handling.
+// Expects JSON: { "timezone": "Asia/Tokyo", "week_start_day": 1,
+// "duplicate_handling": "reject" | "link" | "mark" }
+router.patch('/settings', protect, updateProfileSettings);
+
 export default router;
@@ -0,0 +1,45 @@
+import { Router } from "express";
+import cors from "cors";
+import {
+  TUS_EXPOSED_HEADERS,
+  tusHeaders,
+  getTusOptions,
+  createTusUpload,
+  getTusUploadOffset,
+  patchTusUpload,
+  deleteTusUpload,
+} from "../controllers/tusController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = Router();
+
+router.use(
+  cors({ exposedHeaders: TUS_EXPOSED_HEADERS, preflightContinue: true })
+);
+router.use(tusHeaders);
+
+// OPTIONS /api/clips/tus
+// Public route advertising the tus version, extensions and max upload size.
+router.options("/", getTusOptions);
+
+// POST /api/clips/tus
+// Protected route creating a resumable upload. Headers: Upload-Length and
+// Upload-Metadata with filename, filetype, userPrompt and an optional date.
+// Responds 201 with the upload's URL in Location.
+router.post("/", protect, createTusUpload);
+
+// HEAD /api/clips/tus/:id
+// Protected route returning how many bytes were received (Upload-Offset).
+// Once complete, Upload-Job-Id names the processing job to poll.
+router.head("/:id", protect, getTusUploadOffset);
+
+// PATCH /api/clips/tus/:id
+// Protected route appending bytes at Upload-Offset. The last chunk starts
+// processing the clip like POST /api/clips/.
+router.patch("/:id", protect, patchTusUpload);
+
+// DELETE /api/clips/tus/:id
+// Protected route cancelling an unfinished upload.
+router.delete("/:id", protect, deleteTusUpload);
+
+export default router;
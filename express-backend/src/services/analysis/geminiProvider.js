@@ -0,0 +1,151 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { v4 as uuidv4 } from "uuid";
+import {
+  SEGMENT_RESPONSE_SCHEMA,
+  ResponseValidationError,
+  parseJsonResponse,
+  validateSegmentsResponse,
+  getSegmentLimit,
+} from "./responseSchemas.js";
+import { hashPrompt } from "../analysisCacheService.js";
+
+const MAX_RETRIES = 3;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function buildInstructions(userPrompt, maxSegments) {
+  if (maxSegments > 1) {
+    return `
+You are a video editor assistant. Analyze the provided video and return JSON ONLY.
+Goal: Find up to ${maxSegments} distinct moments, each between 2 and 8 seconds long, that match the user's intent.
+User intent: "${userPrompt}"
+Rules:
+- Moments must not overlap. Only return several if the video really has several different moments worth keeping; otherwise return one.
+- Each moment should be between 2 and 6 seconds, unless someone is speaking to the camera in which case you can include their full statement.
+- For each moment, provide: start_sec, end_sec, description (1–2 short sentences, concrete details), tags (array of short tokens like ["friends","party","outdoors"]), and scores for relevance (0..1: how well it matches user intent), quality (0..1: how high quality the video is), and confidence (0..1: confidence in your analysis).
+- Order the moments best first.
+- Return compact JSON with a top-level "segments" array.
+Example: { "segments": [ { "start_sec": 12.5, "end_sec": 17.0, "description": "...", "tags": ["..."], "scores": { "relevance": 0.9, "quality": 0.8, "confidence": 0.7 } } ] }`;
+  }
+
+  return `
+You are a video editor assistant. Analyze the provided video and return JSON ONLY.
+Goal: Find the single best segment, between 2 and 8 seconds long, that matches the user's intent.
+User intent: "${userPrompt}"
+Rules:
+- Find only the one best clip.
+- - The clip should be between 2 and 6 seconds, unless there is someone speaking to the camera in which case you can include their full statement.
+- Provide: start_sec, end_sec, description (1–2 short sentences, concrete details), tags (array of short tokens like ["friends","party","outdoors"]), and scores for relevance (0..1: how well it matches user intent), quality (0..1: how high quality the video is), and confidence (0..1: confidence in your analysis).
+- Return compact JSON with a top-level "segments" array containing just ONE segment.
+Example: { "segments": [ { "start_sec": 1.5, "end_sec": 5.2, "description": "...", "tags": ["..."], "scores": { "relevance": 0.9, "quality": 0.8, "confidence": 0.7 } } ] }`;
+}
+
+/**
+ * Analysis provider that sends the clip to Gemini.
+ * @param {object} config
+ * @param {string} config.apiKey
+ * @param {string} config.model
+ * @returns {import("./index.js").AnalysisProvider}
+ */
+export function createGeminiProvider({ apiKey, model: modelName }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model: modelName,
+
+    // Everything sent with the video, so a template or schema change
+    // misses the cache.
+    getPromptHash({ userPrompt, videoDuration }) {
+      return hashPrompt(
+        buildInstructions(userPrompt, getSegmentLimit(videoDuration)) +
+          JSON.stringify(SEGMENT_RESPONSE_SCHEMA)
+      );
+    },
+
+    async analyze({ localPath, userPrompt, videoDuration }) {
+      const videoBase64 = await fs.readFile(localPath, { encoding: "base64" });
+
+      if (!videoBase64 || videoBase64.length < 1000) {
+        throw new Error(
+          `Failed to read video file or file is corrupt/empty: ${path.basename(
+            localPath
+          )}`
+        );
+      }
+
+      const model = genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: {
+          temperature: 0.1,
+          responseMimeType: "application/json",
+          responseSchema: SEGMENT_RESPONSE_SCHEMA,
+        },
+      });
+
+      // Long clips may hold several moments worth keeping.
+      const maxSegments = getSegmentLimit(videoDuration);
+      const instructions = buildInstructions(userPrompt, maxSegments);
+
+      const inputs = [
+        { text: instructions },
+        { inlineData: { mimeType: "video/mp4", data: videoBase64 } },
+      ];
+
+      // Repairs and rejected answers, kept on the job for inspection.
+      const issues = [];
+      for (let attempt = 1; ; attempt++) {
+        try {
+          console.log(`Analyzing with Gemini (Attempt ${attempt})...`);
+          const result = await model.generateContent({
+            contents: [{ role: "user", parts: inputs }],
+          });
+
+          const text = result.response.text();
+          const { segments, repairs } = validateSegmentsResponse(
+            parseJsonResponse(text),
+            videoDuration,
+            maxSegments
+          );
+          for (const message of repairs) {
+            issues.push({ attempt, message, repaired: true });
+          }
+
+          console.log(
+            `Successfully analyzed video: ${segments.length} segment(s).`
+          );
+          const withIds = segments.map((segment) => ({
+            id: uuidv4(),
+            ...segment,
+          }));
+          return { ...withIds[0], segments: withIds, issues };
+        } catch (error) {
+          console.warn(`Gemini attempt ${attempt} failed: ${error.message}`);
+
+          // A malformed answer is worth asking again; so is a 503.
+          if (error instanceof ResponseValidationError) {
+            issues.push({
+              attempt,
+              message: error.message,
+              response: error.response,
+            });
+            if (attempt < MAX_RETRIES) continue;
+          }
+          if (!error.message?.includes("503") || attempt >= MAX_RETRIES) {
+            error.issues = issues;
+            throw error;
+          }
+          const delayTime = 2 ** attempt * 5000 + Math.random() * 1000;
+          console.warn(
+            `Gemini API returned 503. Retrying in ${Math.round(
+              delayTime / 1000
+            )}s...`
+          );
+          await delay(delayTime);
+        }
+      }
+    },
+  };
+}
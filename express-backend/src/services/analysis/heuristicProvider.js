@@ -0,0 +1,205 @@
+import { randomUUID } from "node:crypto";
+import {
+  extractGrayFrames,
+  extractAudioSamples,
+} from "../ffmpegService.js";
+import { getSegmentLimit } from "./responseSchemas.js";
+
+const SAMPLE_FPS = 4;
+const MAX_FRAMES = 240;
+const FRAME_SIZE = 96;
+const AUDIO_SAMPLE_RATE = 8000;
+const TARGET_SEGMENT_SEC = 4;
+// Mean per-pixel change (0..1) between samples that counts as a cut.
+const SCENE_CUT_THRESHOLD = 0.3;
+// Laplacian variance of a frame in sharp focus at FRAME_SIZE.
+const SHARPNESS_REFERENCE = 400;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const mean = (values) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+function measureFrame(frame) {
+  let sum = 0;
+  for (const pixel of frame) sum += pixel;
+  const brightness = sum / frame.length / 255;
+
+  // Variance of the Laplacian: low when the frame is blurry.
+  const laplacian = [];
+  for (let y = 1; y < FRAME_SIZE - 1; y++) {
+    for (let x = 1; x < FRAME_SIZE - 1; x++) {
+      const i = y * FRAME_SIZE + x;
+      laplacian.push(
+        4 * frame[i] -
+          frame[i - 1] -
+          frame[i + 1] -
+          frame[i - FRAME_SIZE] -
+          frame[i + FRAME_SIZE]
+      );
+    }
+  }
+  const lapMean = mean(laplacian);
+  const variance = mean(laplacian.map((v) => (v - lapMean) ** 2));
+
+  return { brightness, sharpness: clamp01(variance / SHARPNESS_REFERENCE) };
+}
+
+function frameDifference(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+  return sum / a.length / 255;
+}
+
+/**
+ * RMS loudness (0..1) of the audio under each sampled frame.
+ */
+function measureAudio(samples, frameCount) {
+  if (!samples || samples.length === 0) return new Array(frameCount).fill(0);
+
+  const perFrame = samples.length / frameCount;
+  const energy = [];
+  for (let f = 0; f < frameCount; f++) {
+    const start = Math.floor(f * perFrame);
+    const end = Math.max(start + 1, Math.floor((f + 1) * perFrame));
+    let sum = 0;
+    for (let i = start; i < end && i < samples.length; i++) {
+      sum += (samples[i] / 32768) ** 2;
+    }
+    energy.push(Math.sqrt(sum / (end - start)));
+  }
+  return energy;
+}
+
+const normalize = (values) => {
+  const max = Math.max(...values);
+  return max > 0 ? values.map((v) => v / max) : values.map(() => 0);
+};
+
+function describe({ motion, loudness, sharpness, hasAudio }) {
+  const movement =
+    motion > 0.12
+      ? "lots of movement"
+      : motion > 0.03
+        ? "some movement"
+        : "a still shot";
+  const sound = !hasAudio
+    ? "no sound"
+    : loudness > 0.1
+      ? "lively sound"
+      : "quiet sound";
+  const focus = sharpness > 0.5 ? "sharp" : "soft focus";
+  return `Automatically picked without AI analysis: ${movement}, ${sound}, ${focus}.`;
+}
+
+/**
+ * Offline analysis provider. Picks the segment with the most motion, sound
+ * and sharpness that doesn't cross a scene cut (on long videos, the best
+ * few that don't overlap), and scores quality from
+ * focus and exposure. It can't read the user's prompt, so relevance is
+ * neutral and confidence low.
+ * @returns {import("./index.js").AnalysisProvider}
+ */
+export function createHeuristicProvider() {
+  return {
+    name: "heuristic",
+    model: null,
+
+    async analyze({ localPath, videoDuration }) {
+      if (!videoDuration) {
+        throw new Error("Heuristic analysis needs the video duration.");
+      }
+
+      const count = Math.min(
+        MAX_FRAMES,
+        Math.max(2, Math.ceil(videoDuration * SAMPLE_FPS))
+      );
+      const [frames, samples] = await Promise.all([
+        extractGrayFrames(localPath, videoDuration, {
+          count,
+          width: FRAME_SIZE,
+          height: FRAME_SIZE,
+        }),
+        extractAudioSamples(localPath, { sampleRate: AUDIO_SAMPLE_RATE }),
+      ]);
+      if (frames.length === 0) {
+        throw new Error("No frames could be decoded.");
+      }
+
+      const fps = frames.length / videoDuration;
+      const stats = frames.map(measureFrame);
+      const motion = frames.map((frame, i) =>
+        i === 0 ? 0 : frameDifference(frame, frames[i - 1])
+      );
+      const audio = measureAudio(samples, frames.length);
+      const motionNorm = normalize(
+        motion.map((m) => (m >= SCENE_CUT_THRESHOLD ? 0 : m))
+      );
+      const audioNorm = normalize(audio);
+      const frameScores = stats.map(
+        (stat, i) =>
+          0.35 * motionNorm[i] + 0.35 * audioNorm[i] + 0.3 * stat.sharpness
+      );
+
+      const segmentSec = Math.min(videoDuration, TARGET_SEGMENT_SEC);
+      const window = Math.max(
+        1,
+        Math.min(frames.length, Math.round(segmentSec * fps))
+      );
+
+      const windows = [];
+      for (let start = 0; start + window <= frames.length; start++) {
+        let score = 0;
+        let crossesCut = false;
+        for (let i = start; i < start + window; i++) {
+          score += frameScores[i];
+          if (i > start && motion[i] >= SCENE_CUT_THRESHOLD) crossesCut = true;
+        }
+        // A window across a cut is only used if every window crosses one.
+        if (crossesCut) score -= window;
+        windows.push({ start, score });
+      }
+
+      // Best windows first, skipping any that overlap one already taken.
+      windows.sort((a, b) => b.score - a.score);
+      const picks = [];
+      for (const candidate of windows) {
+        if (picks.length >= getSegmentLimit(videoDuration)) break;
+        if (picks.every((p) => Math.abs(p.start - candidate.start) >= window)) {
+          picks.push(candidate);
+        }
+      }
+
+      const segments = picks.map(({ start }) => {
+        const picked = stats.slice(start, start + window);
+        const sharpness = mean(picked.map((s) => s.sharpness));
+        const exposure = mean(
+          picked.map((s) => clamp01(1 - Math.abs(s.brightness - 0.5) * 2))
+        );
+
+        const startSec = Math.round((start / fps) * 100) / 100;
+        const endSec = Math.min(videoDuration, startSec + segmentSec);
+
+        return {
+          id: randomUUID(),
+          startSec,
+          endSec,
+          description: describe({
+            motion: mean(motion.slice(start + 1, start + window)),
+            loudness: mean(audio.slice(start, start + window)),
+            sharpness,
+            hasAudio: !!samples?.length,
+          }),
+          tags: [],
+          scores: {
+            relevance: 0.5,
+            quality:
+              Math.round((0.6 * sharpness + 0.4 * exposure) * 100) / 100,
+            confidence: 0.3,
+          },
+        };
+      });
+
+      return { ...segments[0], segments };
+    },
+  };
+}
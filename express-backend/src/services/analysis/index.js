@@ -0,0 +1,251 @@
+import { v4 as uuidv4 } from "uuid";
+import { createGeminiProvider } from "./geminiProvider.js";
+import { createHeuristicProvider } from "./heuristicProvider.js";
+import { createMockProvider } from "./mockProvider.js";
+import { ResponseValidationError } from "./responseSchemas.js";
+import {
+  getCachedAnalysis,
+  saveCachedAnalysis,
+} from "../analysisCacheService.js";
+
+/**
+ * @typedef {object} AnalysisSegment
+ * @property {string} id
+ * @property {number} startSec
+ * @property {number} endSec
+ * @property {string} description
+ * @property {string[]} [tags] Short tokens like "friends" or "outdoors".
+ * @property {{ relevance: number, quality: number, confidence: number }} scores
+ *   Each 0..1.
+ * @property {AnalysisSegment[]} [segments] Every moment found, including
+ *   this one, when the provider found more than one.
+ * @property {AnalysisIssue[]} [issues] Repairs made to the model's answer.
+ */
+
+/**
+ * A rejected or repaired AI answer, recorded on the job for inspection.
+ * @typedef {object} AnalysisIssue
+ * @property {string} [provider]
+ * @property {number} [attempt]
+ * @property {string} message
+ * @property {boolean} [repaired] True if the answer was fixed up and used.
+ * @property {string} [response] The raw answer, truncated.
+ */
+
+/**
+ * @typedef {object} AnalysisProvider
+ * @property {string} name "gemini", "heuristic" or "mock".
+ * @property {string|null} model The model behind the provider, if any.
+ * @property {(options: { localPath: string, userPrompt: string, videoDuration?: number }) => Promise<AnalysisSegment>} analyze
+ *   Picks the best segment of a local video, and on long videos possibly
+ *   a few more in `segments`. Throws if the provider can't
+ *   analyze it, so the next provider in the chain gets a turn; the error's
+ *   `issues` lists any answers it rejected along the way.
+ * @property {(options: { userPrompt: string, videoDuration?: number }) => string} [getPromptHash]
+ *   Only on providers worth caching: hashes everything sent with the video.
+ */
+
+export const ANALYSIS_PROVIDERS = ["gemini", "heuristic", "mock"];
+export const DEFAULT_GEMINI_MODEL = "gemini-2.5-flash-lite";
+
+/**
+ * Builds the provider chain named by ANALYSIS_PROVIDERS, a comma-separated
+ * list tried in order (default "gemini,heuristic"). Gemini is left out
+ * when GOOGLE_API_KEY isn't set.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {AnalysisProvider[]}
+ */
+export function createAnalysisProviders(env = process.env) {
+  const names = (env.ANALYSIS_PROVIDERS || "gemini,heuristic")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const providers = [];
+  for (const name of names) {
+    switch (name) {
+      case "gemini":
+        if (!env.GOOGLE_API_KEY) {
+          console.warn("GOOGLE_API_KEY is not set; skipping Gemini analysis.");
+          break;
+        }
+        providers.push(
+          createGeminiProvider({
+            apiKey: env.GOOGLE_API_KEY,
+            model: env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL,
+          })
+        );
+        break;
+      case "heuristic":
+        providers.push(createHeuristicProvider());
+        break;
+      case "mock":
+        providers.push(createMockProvider());
+        break;
+      default:
+        throw new Error(
+          `Unknown analysis provider "${name}". Use one of: ${ANALYSIS_PROVIDERS.join(", ")}.`
+        );
+    }
+  }
+  return providers;
+}
+
+export const analysisProviders = createAnalysisProviders();
+
+// How much each analysis score counts towards a clip's ranking score.
+// Montages can override these; see montageSelectionService.
+export const DEFAULT_SCORE_WEIGHTS = {
+  relevance: 0.7,
+  quality: 0.2,
+  confidence: 0.1,
+};
+
+/**
+ * The single ranking score of a clip or segment: the weighted mean of its
+ * analysis scores, so it stays within 0..1 whatever the weights.
+ * @param {{ relevance: number, quality: number, confidence: number }} scores
+ * @param {{ relevance: number, quality: number, confidence: number }} [weights=DEFAULT_SCORE_WEIGHTS]
+ * @returns {number}
+ */
+export function computeClipScore(scores, weights = DEFAULT_SCORE_WEIGHTS) {
+  const total = weights.relevance + weights.quality + weights.confidence;
+  if (!(total > 0)) return 0;
+  return (
+    (scores.relevance * weights.relevance +
+      scores.quality * weights.quality +
+      scores.confidence * weights.confidence) /
+    total
+  );
+}
+
+const toSegment = ({ id, startSec, endSec, description, tags, scores }) => ({
+  id: id || uuidv4(),
+  startSec,
+  endSec,
+  description,
+  tags: tags || [],
+  scores,
+});
+
+/**
+ * Puts a provider's result in one shape: every moment in `segments`, in
+ * the provider's order (best first), with the first one's fields on the
+ * result itself.
+ */
+function normalizeSegments(result) {
+  const segments = (
+    result.segments?.length ? result.segments : [result]
+  ).map(toSegment);
+  return { ...segments[0], segments };
+}
+
+/**
+ * The segment used when every provider fails: the first 3 seconds (or the
+ * whole clip if shorter, or half a second if its length is unknown) with
+ * neutral scores.
+ * @param {number} [duration]
+ * @returns {AnalysisSegment}
+ */
+function createDefaultSegment(duration) {
+  console.log("Returning default segment due to analysis failure.");
+
+  // If duration is unknown (getVideoDuration returns 0 when ffprobe
+  // fails), keep to half a second, which fits any clip
+  const safeDuration = duration > 0 ? duration : 0.5;
+
+  return {
+    id: uuidv4(),
+    startSec: 0,
+    // Logic: The minimum of the clip length OR 3 seconds
+    endSec: Math.min(safeDuration, 3),
+    description: "Video analysis failed.",
+    scores: {
+      relevance: 0.5,
+      quality: 0.5,
+      confidence: 0.5,
+    },
+  };
+}
+
+/**
+ * Analyzes a local video with the first provider in the chain that
+ * succeeds. Results from cacheable providers are reused for the same
+ * video, prompt and model.
+ * @param {object} options
+ * @param {string} options.localPath
+ * @param {string} options.userPrompt
+ * @param {number} [options.videoDuration] In seconds.
+ * @param {string} [options.contentHash] SHA-256 of the original video;
+ *   without it the cache is skipped.
+ * @param {AnalysisProvider[]} [providers=analysisProviders]
+ * @returns {Promise<AnalysisSegment & { segments: AnalysisSegment[], provider: string, model: string|null, issues: AnalysisIssue[], cached?: boolean }>}
+ *   The best segment, with every segment found (best first) in
+ *   `segments`. `provider` is "default" if every provider failed.
+ *   `issues` collects validation problems and failures from every
+ *   provider tried.
+ */
+export async function analyzeVideo(options, providers = analysisProviders) {
+  const issues = [];
+  const addIssues = (provider, list = []) =>
+    issues.push(...list.map((issue) => ({ provider, ...issue })));
+
+  for (const provider of providers) {
+    const cacheKey =
+      options.contentHash && provider.getPromptHash
+        ? {
+            contentHash: options.contentHash,
+            promptHash: provider.getPromptHash(options),
+            model: provider.model,
+          }
+        : null;
+
+    try {
+      const cached = cacheKey && (await getCachedAnalysis(cacheKey));
+      if (cached) {
+        console.log(`Using cached ${provider.name} analysis.`);
+        // The ids were stripped when the result was saved.
+        return {
+          ...normalizeSegments(cached),
+          provider: provider.name,
+          model: provider.model,
+          issues,
+          cached: true,
+        };
+      }
+
+      const result = await provider.analyze(options);
+      addIssues(provider.name, result.issues);
+      const normalized = normalizeSegments(result);
+      if (cacheKey) {
+        const withoutIds = normalized.segments.map(({ id, ...rest }) => rest);
+        await saveCachedAnalysis(cacheKey, {
+          ...withoutIds[0],
+          segments: withoutIds,
+        });
+      }
+      return {
+        ...normalized,
+        provider: provider.name,
+        model: provider.model,
+        issues,
+      };
+    } catch (error) {
+      console.error(
+        `Analysis with ${provider.name} failed for ${options.localPath}: ${error.message}`
+      );
+      addIssues(provider.name, error.issues);
+      // Rejected answers are already in error.issues.
+      if (!(error instanceof ResponseValidationError)) {
+        issues.push({ provider: provider.name, message: error.message });
+      }
+    }
+  }
+
+  return {
+    ...normalizeSegments(createDefaultSegment(options.videoDuration)),
+    provider: "default",
+    model: null,
+    issues,
+  };
+}
@@ -0,0 +1,40 @@
+import { createHash } from "node:crypto";
+import path from "node:path";
+
+/**
+ * Analysis provider for tests and local development. Makes no network
+ * calls and always returns the same result for the same file name, prompt
+ * and duration.
+ * @returns {import("./index.js").AnalysisProvider}
+ */
+export function createMockProvider() {
+  return {
+    name: "mock",
+    model: null,
+
+    async analyze({ localPath, userPrompt, videoDuration }) {
+      const duration = videoDuration || 3;
+      const seed = createHash("sha256")
+        .update(`${path.basename(localPath)}|${userPrompt}|${duration}`)
+        .digest();
+      // Scores in 0.5..1 so mock clips sort but none look broken.
+      const score = (byte) => Math.round((0.5 + seed[byte] / 510) * 100) / 100;
+
+      // The middle three seconds, or the whole clip if it is shorter.
+      const length = Math.min(duration, 3);
+      const startSec = Math.round(((duration - length) / 2) * 100) / 100;
+
+      return {
+        id: seed.toString("hex").slice(0, 32),
+        startSec,
+        endSec: startSec + length,
+        description: `Mock analysis of ${path.basename(localPath)}.`,
+        scores: {
+          relevance: score(0),
+          quality: score(1),
+          confidence: score(2),
+        },
+      };
+    },
+  };
+}
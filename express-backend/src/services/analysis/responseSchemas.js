@@ -0,0 +1,314 @@
+// Response schemas for AI calls, plus the checks that turn a model's answer
+// into something the pipeline can trust. Schema types are the plain strings
+// Gemini expects ("OBJECT", "NUMBER", ...).
+
+export const MIN_SEGMENT_SEC = 2;
+export const MAX_SEGMENT_SEC = 8;
+// Clips at least this long may yield several moments, one per
+// SECONDS_PER_SEGMENT of video up to MAX_SEGMENTS_PER_CLIP.
+export const MULTI_SEGMENT_MIN_DURATION_SEC = 20;
+export const MAX_SEGMENTS_PER_CLIP = 4;
+const SECONDS_PER_SEGMENT = 10;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TAGS = 8;
+// How much of a bad response is kept for inspection.
+const MAX_RECORDED_RESPONSE_LENGTH = 2000;
+
+const scoreSchema = {
+  type: "NUMBER",
+  description: "Between 0 and 1.",
+};
+
+export const SEGMENT_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    segments: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          start_sec: { type: "NUMBER" },
+          end_sec: { type: "NUMBER" },
+          description: { type: "STRING" },
+          tags: { type: "ARRAY", items: { type: "STRING" } },
+          scores: {
+            type: "OBJECT",
+            properties: {
+              relevance: scoreSchema,
+              quality: scoreSchema,
+              confidence: scoreSchema,
+            },
+            required: ["relevance", "quality", "confidence"],
+          },
+        },
+        required: ["start_sec", "end_sec", "description", "scores"],
+      },
+    },
+  },
+  required: ["segments"],
+};
+
+export const PRUNING_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    remove_indices: {
+      type: "ARRAY",
+      items: { type: "INTEGER" },
+    },
+  },
+  required: ["remove_indices"],
+};
+
+/**
+ * Thrown when a model's answer can't be parsed or repaired. `response`
+ * holds the (truncated) raw text for the job record.
+ */
+export class ResponseValidationError extends Error {
+  constructor(message, response) {
+    super(message);
+    this.response = truncateResponse(response);
+  }
+}
+
+export const truncateResponse = (text) =>
+  typeof text === "string" && text.length > MAX_RECORDED_RESPONSE_LENGTH
+    ? `${text.slice(0, MAX_RECORDED_RESPONSE_LENGTH)}…`
+    : text;
+
+/**
+ * Parses a JSON answer, tolerating Markdown code fences and prose around
+ * the object.
+ * @param {string} text
+ * @returns {any}
+ */
+export function parseJsonResponse(text) {
+  const unfenced = String(text ?? "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    const start = unfenced.indexOf("{");
+    const end = unfenced.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(unfenced.slice(start, end + 1));
+      } catch {
+        // Fall through to the error below.
+      }
+    }
+    throw new ResponseValidationError("Response is not valid JSON.", text);
+  }
+}
+
+const toNumber = (value) =>
+  typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+/**
+ * How many moments to ask for in a video of this length.
+ * @param {number} [videoDuration]
+ * @returns {number}
+ */
+export function getSegmentLimit(videoDuration) {
+  if (!(videoDuration >= MULTI_SEGMENT_MIN_DURATION_SEC)) return 1;
+  return Math.min(
+    MAX_SEGMENTS_PER_CLIP,
+    Math.floor(videoDuration / SECONDS_PER_SEGMENT)
+  );
+}
+
+/**
+ * Checks one segment and repairs what it can: times are clamped to the
+ * video and the segment is stretched or cut to MIN_SEGMENT_SEC..
+ * MAX_SEGMENT_SEC; scores are clamped to 0..1.
+ */
+function validateSegment(raw, duration, parsed) {
+  if (!raw || typeof raw !== "object") {
+    throw new ResponseValidationError(
+      "Segment is not an object.",
+      JSON.stringify(parsed)
+    );
+  }
+
+  const repairs = [];
+  let startSec = toNumber(raw.start_sec);
+  let endSec = toNumber(raw.end_sec);
+  if (!Number.isFinite(startSec) || !Number.isFinite(endSec)) {
+    throw new ResponseValidationError(
+      "start_sec and end_sec must be numbers.",
+      JSON.stringify(parsed)
+    );
+  }
+
+  if (endSec < startSec) {
+    [startSec, endSec] = [endSec, startSec];
+    repairs.push("Swapped start_sec and end_sec.");
+  }
+  if (startSec < 0 || (duration && endSec > duration)) {
+    startSec = Math.max(0, startSec);
+    endSec = duration ? Math.min(endSec, duration) : endSec;
+    repairs.push("Clamped the segment to the video.");
+  }
+  if (duration && startSec >= duration) {
+    startSec = Math.max(0, duration - MIN_SEGMENT_SEC);
+    endSec = duration;
+    repairs.push("Moved a segment that started past the end of the video.");
+  }
+
+  const length = endSec - startSec;
+  if (length < MIN_SEGMENT_SEC && (!duration || duration > length)) {
+    // Grow forwards first, then backwards if the video ends too soon.
+    const target = duration
+      ? Math.min(MIN_SEGMENT_SEC, duration)
+      : MIN_SEGMENT_SEC;
+    endSec = duration
+      ? Math.min(duration, startSec + target)
+      : startSec + target;
+    startSec = Math.max(0, endSec - target);
+    repairs.push(`Extended the segment to ${target}s.`);
+  } else if (length > MAX_SEGMENT_SEC) {
+    endSec = startSec + MAX_SEGMENT_SEC;
+    repairs.push(`Shortened the segment to ${MAX_SEGMENT_SEC}s.`);
+  }
+
+  let description =
+    typeof raw.description === "string" ? raw.description.trim() : "";
+  if (!description) {
+    description = "No description";
+    repairs.push("Missing description.");
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    description = `${description.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…`;
+    repairs.push("Truncated the description.");
+  }
+
+  // Tags are optional; anything that isn't a short string is dropped.
+  const rawTags = Array.isArray(raw.tags) ? raw.tags : [];
+  const tags = [
+    ...new Set(
+      rawTags
+        .filter((tag) => typeof tag === "string" && tag.trim())
+        .map((tag) => tag.trim().toLowerCase().slice(0, 40))
+    ),
+  ].slice(0, MAX_TAGS);
+  if (raw.tags !== undefined && tags.length !== rawTags.length) {
+    repairs.push("Dropped invalid, repeated or extra tags.");
+  }
+
+  const defaults = { relevance: 0, quality: 0.5, confidence: 0.5 };
+  const scores = {};
+  for (const [name, fallback] of Object.entries(defaults)) {
+    const value = toNumber(raw.scores?.[name]);
+    if (!Number.isFinite(value)) {
+      scores[name] = fallback;
+      repairs.push(`Missing ${name} score; used ${fallback}.`);
+    } else if (value < 0 || value > 1) {
+      scores[name] = Math.min(1, Math.max(0, value));
+      repairs.push(`Clamped ${name} score ${value} to 0..1.`);
+    } else {
+      scores[name] = value;
+    }
+  }
+
+  return {
+    segment: { startSec, endSec, description, tags, scores },
+    repairs,
+  };
+}
+
+const overlaps = (a, b) => a.startSec < b.endSec && b.startSec < a.endSec;
+
+/**
+ * Validates a segment answer against SEGMENT_RESPONSE_SCHEMA. Segments are
+ * repaired one by one; ones that can't be are dropped, as are segments
+ * overlapping an earlier (better) one and any beyond `maxSegments`. Throws
+ * only if no segment survives.
+ * @param {any} parsed
+ * @param {number} [videoDuration]
+ * @param {number} [maxSegments=1]
+ * @returns {{ segments: { startSec: number, endSec: number, description: string, tags: string[], scores: { relevance: number, quality: number, confidence: number } }[], repairs: string[] }}
+ *   Segments in the order the model gave them, best first.
+ */
+export function validateSegmentsResponse(
+  parsed,
+  videoDuration,
+  maxSegments = 1
+) {
+  const raws = Array.isArray(parsed?.segments) ? parsed.segments : [];
+  if (raws.length === 0) {
+    throw new ResponseValidationError(
+      "Response has no segments.",
+      JSON.stringify(parsed)
+    );
+  }
+
+  const duration =
+    Number.isFinite(videoDuration) && videoDuration > 0 ? videoDuration : null;
+  const segments = [];
+  const repairs = [];
+  let firstError = null;
+  for (const [index, raw] of raws.entries()) {
+    // Repairs to a lone segment read as before; later ones say which.
+    const label = index === 0 ? "" : `Segment ${index + 1}: `;
+    if (segments.length >= maxSegments) {
+      repairs.push(
+        `Dropped ${raws.length - index} segment(s) beyond the limit of ${maxSegments}.`
+      );
+      break;
+    }
+    try {
+      const result = validateSegment(raw, duration, parsed);
+      if (segments.some((kept) => overlaps(kept, result.segment))) {
+        repairs.push(`${label}Dropped a segment overlapping an earlier one.`);
+        continue;
+      }
+      segments.push(result.segment);
+      repairs.push(...result.repairs.map((message) => label + message));
+    } catch (error) {
+      if (!(error instanceof ResponseValidationError)) throw error;
+      firstError ??= error;
+      repairs.push(`${label}Dropped an invalid segment: ${error.message}`);
+    }
+  }
+
+  if (segments.length === 0) throw firstError;
+  return { segments, repairs };
+}
+
+/**
+ * Validates a pruning answer against PRUNING_RESPONSE_SCHEMA, dropping
+ * indices that don't name one of the clips.
+ * @param {any} parsed
+ * @param {number} clipCount
+ * @returns {{ indices: number[], repairs: string[] }}
+ */
+export function validatePruningResponse(parsed, clipCount) {
+  if (!Array.isArray(parsed?.remove_indices)) {
+    throw new ResponseValidationError(
+      "Response has no remove_indices array.",
+      JSON.stringify(parsed)
+    );
+  }
+
+  const indices = [];
+  const dropped = [];
+  for (const value of parsed.remove_indices) {
+    const index = toNumber(value);
+    if (
+      Number.isInteger(index) &&
+      index >= 0 &&
+      index < clipCount &&
+      !indices.includes(index)
+    ) {
+      indices.push(index);
+    } else {
+      dropped.push(value);
+    }
+  }
+
+  const repairs = dropped.length
+    ? [`Dropped invalid or repeated indices: ${JSON.stringify(dropped)}.`]
+    : [];
+  return { indices, repairs };
+}
@@ -0,0 +1,104 @@
+import { createHash } from "node:crypto";
+import { supabase } from "./supabaseService.js";
+
+/**
+ * Hashes the full prompt sent with a video, so entries from an older
+ * prompt template are never reused.
+ * @param {string} prompt
+ * @returns {string}
+ */
+export const hashPrompt = (prompt) =>
+  createHash("sha256").update(prompt).digest("hex");
+
+/**
+ * Looks up a cached analysis. A failed lookup is logged and treated as a
+ * miss so the cache can never block processing.
+ * @param {{ contentHash: string, promptHash: string, model: string }} key
+ * @returns {Promise<object|null>} The stored result.
+ */
+export async function getCachedAnalysis({ contentHash, promptHash, model }) {
+  const { data, error } = await supabase
+    .from("analysis_cache")
+    .select("result, hit_count")
+    .eq("content_hash", contentHash)
+    .eq("prompt_hash", promptHash)
+    .eq("model", model)
+    .maybeSingle();
+
+  if (error) {
+    console.error("Analysis cache lookup failed:", error);
+    return null;
+  }
+  if (!data) return null;
+
+  const { error: touchError } = await supabase
+    .from("analysis_cache")
+    .update({
+      hit_count: data.hit_count + 1,
+      last_used_at: new Date().toISOString(),
+    })
+    .eq("content_hash", contentHash)
+    .eq("prompt_hash", promptHash)
+    .eq("model", model);
+
+  if (touchError) {
+    console.error("Failed to update analysis cache entry:", touchError);
+  }
+  return data.result;
+}
+
+/**
+ * Stores an analysis result, replacing any entry with the same key.
+ * @param {{ contentHash: string, promptHash: string, model: string }} key
+ * @param {object} result
+ */
+export async function saveCachedAnalysis(
+  { contentHash, promptHash, model },
+  result
+) {
+  const { error } = await supabase.from("analysis_cache").upsert({
+    content_hash: contentHash,
+    prompt_hash: promptHash,
+    model,
+    result,
+    created_at: new Date().toISOString(),
+    last_used_at: new Date().toISOString(),
+    hit_count: 0,
+  });
+
+  if (error) {
+    console.error("Failed to save analysis cache entry:", error);
+  }
+}
+
+/**
+ * Deletes cache entries matching every given filter.
+ * @param {object} filters
+ * @param {string} [filters.contentHash]
+ * @param {string} [filters.promptHash]
+ * @param {string} [filters.model]
+ * @param {string} [filters.createdBefore] ISO timestamp.
+ * @returns {Promise<number>} How many entries were deleted.
+ */
+export async function invalidateAnalysisCache(filters) {
+  let query = supabase.from("analysis_cache").delete({ count: "exact" });
+
+  if (filters.contentHash) {
+    query = query.eq("content_hash", filters.contentHash);
+  }
+  if (filters.promptHash) query = query.eq("prompt_hash", filters.promptHash);
+  if (filters.model) query = query.eq("model", filters.model);
+  if (filters.createdBefore) {
+    query = query.lt("created_at", filters.createdBefore);
+  }
+  // PostgREST refuses an unfiltered delete, so match everything explicitly.
+  if (Object.values(filters).every((value) => !value)) {
+    query = query.not("content_hash", "is", null);
+  }
+
+  const { count, error } = await query;
+  if (error) {
+    throw new Error(`Failed to invalidate analysis cache: ${error.message}`);
+  }
+  return count ?? 0;
+}
@@ -0,0 +1,280 @@
+import { randomUUID } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { supabase } from "./supabaseService.js";
+import { analyzeVideo, computeClipScore } from "./analysis/index.js";
+import { compressVideo, getVideoDuration } from "./ffmpegService.js";
+import { uploadFile, downloadFile } from "./storageService.js";
+import { createJob, updateJob } from "./jobStatusService.js";
+import { enqueueJob, JOB_TYPES } from "./jobQueueService.js";
+import { getKeyFromUrl } from "../utils/getKeyFromUrl.js";
+import { toDateKey } from "../utils/date.js";
+
+const TEMP_DIR = "/tmp/mylyfe-processing";
+
+/**
+ * Storage key for the compressed copy of a clip that analysis runs on.
+ */
+export const buildCompressedKey = (userId, weekEndDate) =>
+  `clips/compressed/${userId}/${toDateKey(weekEndDate)}/${randomUUID()}.mp4`;
+
+/**
+ * Saves an analysis result as a new version in the clip's history, with
+ * every segment it found in clip_segments.
+ * @param {{ id: string, user_id: string }} clip
+ * @param {object} analysis As returned by analyzeVideo.
+ * @param {string} [userPrompt]
+ * @returns {Promise<object>} The clip_analyses row.
+ */
+export async function recordClipAnalysis(clip, analysis, userPrompt) {
+  const { data, error } = await supabase
+    .from("clip_analyses")
+    .insert({
+      clip_id: clip.id,
+      user_id: clip.user_id,
+      user_prompt: userPrompt || null,
+      start_sec: analysis.startSec,
+      end_sec: analysis.endSec,
+      description: analysis.description,
+      relevance: analysis.scores.relevance,
+      quality: analysis.scores.quality,
+      confidence: analysis.scores.confidence,
+      score: computeClipScore(analysis.scores),
+      analysis_provider: analysis.provider,
+      analysis_model: analysis.model,
+      validation_issues: analysis.issues?.length ? analysis.issues : null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record analysis: ${error.message}`);
+  }
+
+  const segments = analysis.segments?.length ? analysis.segments : [analysis];
+  const { error: segmentsError } = await supabase
+    .from("clip_segments")
+    .insert(
+      segments.map((segment, index) => ({
+        clip_id: clip.id,
+        analysis_id: data.id,
+        user_id: clip.user_id,
+        position: index,
+        start_sec: segment.startSec,
+        end_sec: segment.endSec,
+        description: segment.description,
+        tags: segment.tags || [],
+        relevance: segment.scores.relevance,
+        quality: segment.scores.quality,
+        confidence: segment.scores.confidence,
+        score: computeClipScore(segment.scores),
+      }))
+    );
+  if (segmentsError) {
+    throw new Error(`Failed to record segments: ${segmentsError.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Fetches the segments of the given analyses, grouped by clip.
+ * @param {string[]} analysisIds
+ * @returns {Promise<Map<string, object[]>>} clip id -> clip_segments rows,
+ *   best first.
+ */
+export async function getSegmentsByClip(analysisIds) {
+  const byClip = new Map();
+  if (analysisIds.length === 0) return byClip;
+
+  const { data, error } = await supabase
+    .from("clip_segments")
+    .select("*")
+    .in("analysis_id", analysisIds)
+    .order("position", { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch clip segments: ${error.message}`);
+  }
+
+  for (const segment of data || []) {
+    if (!byClip.has(segment.clip_id)) byClip.set(segment.clip_id, []);
+    byClip.get(segment.clip_id).push(segment);
+  }
+  return byClip;
+}
+
+/**
+ * Makes a stored analysis the one montages use by copying its trim and
+ * scores onto the clip. Manual trim or description edits are replaced.
+ * @param {string} clipId
+ * @param {object} analysis A clip_analyses row of this clip.
+ * @returns {Promise<object>} The updated clip.
+ */
+export async function activateClipAnalysis(clipId, analysis) {
+  const { data, error } = await supabase
+    .from("clips")
+    .update({
+      active_analysis_id: analysis.id,
+      user_prompt: analysis.user_prompt,
+      start_sec: analysis.start_sec,
+      end_sec: analysis.end_sec,
+      description: analysis.description,
+      relevance: analysis.relevance,
+      quality: analysis.quality,
+      confidence: analysis.confidence,
+      score: analysis.score,
+      analysis_provider: analysis.analysis_provider,
+      analysis_model: analysis.analysis_model,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", clipId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to activate analysis: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * @param {string} clipId
+ * @returns {Promise<object[]>} Newest first, each with its `segments`.
+ */
+export async function listClipAnalyses(clipId) {
+  const { data, error } = await supabase
+    .from("clip_analyses")
+    .select("*, segments:clip_segments(*)")
+    .eq("clip_id", clipId)
+    .order("created_at", { ascending: false })
+    .order("position", { referencedTable: "clip_segments" });
+
+  if (error) {
+    throw new Error(`Failed to fetch analyses: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Creates a processing job clients can poll and queues a re-analysis of
+ * the clip with a new prompt.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.clipId
+ * @param {string} params.userPrompt
+ * @param {boolean} params.activate Whether montages should switch to the
+ *   new result once it's ready.
+ * @returns {Promise<string>} The job id.
+ */
+export async function queueClipReanalysis({
+  userId,
+  clipId,
+  userPrompt,
+  activate,
+}) {
+  const jobId = randomUUID();
+  await createJob(jobId, { userId });
+  await enqueueJob(JOB_TYPES.REANALYZE_CLIP, {
+    jobId,
+    userId,
+    clipId,
+    userPrompt,
+    activate,
+  });
+  return jobId;
+}
+
+/**
+ * Downloads the clip's compressed copy to `localPath`. Clips stored before
+ * copies were kept are compressed from the original once, and the copy is
+ * saved for next time.
+ */
+async function fetchCompressedCopy(clip, localPath) {
+  const compressedKey = getKeyFromUrl(clip.compressed_url);
+  if (compressedKey) {
+    await downloadFile(compressedKey, localPath);
+    return;
+  }
+
+  const originalPath = `${localPath}.original.mp4`;
+  try {
+    await downloadFile(getKeyFromUrl(clip.clip_url), originalPath);
+    await compressVideo(originalPath, localPath);
+  } finally {
+    await fs.unlink(originalPath).catch(() => {});
+  }
+
+  const compressedUrl = await uploadFile(
+    localPath,
+    buildCompressedKey(clip.user_id, clip.week_end_date),
+    "video/mp4"
+  );
+  const { error } = await supabase
+    .from("clips")
+    .update({ compressed_url: compressedUrl })
+    .eq("id", clip.id);
+  if (error) {
+    console.error(
+      `Failed to save compressed copy of clip ${clip.id}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Queue handler: runs analysis on a stored clip with a new prompt and adds
+ * the result to its history.
+ * @param {{ jobId: string, userId: string, clipId: string, userPrompt: string, activate: boolean }} payload
+ * @param {{ signal?: AbortSignal }} [options] Aborted when the worker loses the job.
+ */
+export async function reanalyzeClip(
+  { jobId, userId, clipId, userPrompt, activate },
+  { signal } = {}
+) {
+  await updateJob(jobId, { status: "processing" });
+
+  const { data: clip, error } = await supabase
+    .from("clips")
+    .select("*")
+    .eq("id", clipId)
+    .eq("user_id", userId)
+    .single();
+
+  if (error || !clip) {
+    // Deleted since the job was queued; nothing to retry.
+    await updateJob(jobId, { status: "failed", error: "Clip not found." });
+    return;
+  }
+
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  const localPath = path.join(TEMP_DIR, `${randomUUID()}_reanalyze.mp4`);
+
+  try {
+    await fetchCompressedCopy(clip, localPath);
+    const videoDuration =
+      clip.duration_sec || (await getVideoDuration(localPath));
+
+    const analysis = await analyzeVideo({
+      localPath,
+      userPrompt,
+      contentHash: clip.content_hash,
+      videoDuration,
+    });
+    signal?.throwIfAborted();
+    const version = await recordClipAnalysis(clip, analysis, userPrompt);
+    if (activate) {
+      await activateClipAnalysis(clip.id, version);
+    }
+
+    console.log(
+      `Re-analyzed clip ${clip.id} with ${analysis.provider} (version ${version.id}).`
+    );
+    await updateJob(jobId, {
+      status: "completed",
+      clipId: clip.id,
+      validationIssues: analysis.issues?.length ? analysis.issues : undefined,
+    });
+  } finally {
+    await fs.unlink(localPath).catch(() => {});
+  }
+}
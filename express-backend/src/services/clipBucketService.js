@@ -0,0 +1,65 @@
+import { supabase } from "./supabaseService.js";
+import { getWeekEndDate } from "../utils/date.js";
+import { getWeekSettings } from "./userSettingsService.js";
+
+const PAGE_SIZE = 500;
+
+/**
+ * Recomputes week_end_date for every clip of a user from its capture date
+ * (its upload time if it has none), using the user's current time zone and
+ * week start day, the same way new uploads are bucketed.
+ *
+ * Only the database bucket changes; stored objects keep their original key
+ * prefix, which is informational only.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] Report changes without writing them.
+ * @returns {Promise<{ checked: number, moved: number }>}
+ */
+export async function rebucketUserClips(userId, { dryRun = false } = {}) {
+  const settings = await getWeekSettings(userId);
+  let checked = 0;
+  let moved = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: clips, error } = await supabase
+      .from("clips")
+      .select("id, created_at, clip_date, week_end_date")
+      .eq("user_id", userId)
+      .order("id")
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch clips for ${userId}: ${error.message}`);
+    }
+
+    for (const clip of clips) {
+      checked++;
+      const bucketedAt = new Date(clip.clip_date || clip.created_at);
+      const weekEndDate = getWeekEndDate(bucketedAt, settings).toISOString();
+
+      if (new Date(clip.week_end_date).toISOString() === weekEndDate) continue;
+
+      moved++;
+      console.log(
+        `[Rebucket] Clip ${clip.id}: ${clip.week_end_date} -> ${weekEndDate}`
+      );
+      if (dryRun) continue;
+
+      const { error: updateError } = await supabase
+        .from("clips")
+        .update({ week_end_date: weekEndDate })
+        .eq("id", clip.id);
+
+      if (updateError) {
+        throw new Error(
+          `Failed to rebucket clip ${clip.id}: ${updateError.message}`
+        );
+      }
+    }
+
+    if (clips.length < PAGE_SIZE) break;
+  }
+
+  return { checked, moved };
+}
@@ -0,0 +1,37 @@
+import { randomUUID } from "node:crypto";
+import { createJob } from "./jobStatusService.js";
+import { enqueueJob, JOB_TYPES } from "./jobQueueService.js";
+
+/**
+ * Hands a stored upload to the clip processing pipeline: creates the
+ * processing_jobs row clients poll and queues the work.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {{ key: string, bucket: string|null, location: string, originalname: string }} params.file
+ * @param {string} params.userPrompt
+ * @param {string} [params.date] The capture date the client sent, used when
+ *   the file has no recording date of its own.
+ * @returns {Promise<string>} The job id.
+ */
+export async function queueClipProcessing({ userId, file, userPrompt, date }) {
+  const jobId = randomUUID();
+
+  // 1. AWAIT the DB creation
+  await createJob(jobId, {
+    userId,
+    uploadUrl: file.location,
+    filename: file.originalname,
+  });
+
+  // 2. Persist the processing work so it survives restarts
+  await enqueueJob(JOB_TYPES.PROCESS_CLIP, {
+    file,
+    user: { id: userId },
+    userPrompt: userPrompt,
+    date: date,
+    jobId: jobId,
+    uploadedAt: new Date().toISOString(),
+  });
+
+  return jobId;
+}
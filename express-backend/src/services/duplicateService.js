@@ -0,0 +1,163 @@
+import { createHash } from "node:crypto";
+import { createReadStream } from "node:fs";
+import { pipeline } from "node:stream/promises";
+import { supabase } from "./supabaseService.js";
+import { extractGrayFrames } from "./ffmpegService.js";
+
+const FINGERPRINT_FRAMES = 8;
+const FRAME_HASH_LENGTH = 16; // 64-bit dHash as hex.
+// Mean differing bits per frame hash (out of 64) still counted as the same
+// video. Re-encodes and resizes typically land well under this.
+const NEAR_DUPLICATE_MAX_DISTANCE = 10;
+const NEAR_DUPLICATE_DURATION_TOLERANCE_SEC = 1;
+
+/**
+ * Hashes a file's bytes with SHA-256.
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest.
+ */
+export async function hashFile(filePath) {
+  const hash = createHash("sha256");
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+/**
+ * Difference hash of a 9x8 grayscale frame: one bit per pixel, set when it
+ * is brighter than its right-hand neighbour.
+ * @param {Buffer} frame
+ * @returns {string} 16 hex characters.
+ */
+export function dHash(frame) {
+  let hex = "";
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      const i = row * 9 + col;
+      byte = (byte << 1) | (frame[i] > frame[i + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+/**
+ * Computes a perceptual fingerprint from evenly spaced frames. Unlike the
+ * content hash it survives re-encoding, resizing and metadata changes.
+ * @param {string} filePath
+ * @param {number} durationSec
+ * @returns {Promise<string|null>} Concatenated frame hashes, or null if the
+ *   frames couldn't be read.
+ */
+export async function computeFingerprint(filePath, durationSec) {
+  if (!durationSec) return null;
+  try {
+    const frames = await extractGrayFrames(filePath, durationSec, {
+      count: FINGERPRINT_FRAMES,
+    });
+    return frames.length > 0 ? frames.map(dHash).join("") : null;
+  } catch (error) {
+    console.error(
+      `Failed to fingerprint ${filePath}:`,
+      error.stderr || error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Mean number of differing bits between matching frames of two fingerprints
+ * (or between two single frame hashes).
+ * @returns {number} Infinity if the fingerprints aren't comparable.
+ */
+export function fingerprintDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+
+  let bits = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      bits += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return bits / (a.length / FRAME_HASH_LENGTH);
+}
+
+async function getClip(clipId) {
+  const { data, error } = await supabase
+    .from("clips")
+    .select("*")
+    .eq("id", clipId)
+    .single();
+
+  if (error) {
+    throw new Error(`Supabase clip fetch failed: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Looks for a clip the user already has with the same content: first an
+ * exact byte match, then the closest fingerprint among clips of about the
+ * same length. Matches against a clip that is itself a duplicate resolve
+ * to the clip it duplicates. The upload's own clip, saved by an earlier
+ * attempt of the same job, never counts.
+ * @param {string} userId
+ * @param {object} candidate
+ * @param {string} candidate.clipUrl URL of the uploaded original.
+ * @param {string} candidate.contentHash
+ * @param {string|null} candidate.fingerprint
+ * @param {number} candidate.durationSec
+ * @returns {Promise<{ clip: object, match: "exact"|"near" }|null>}
+ */
+export async function findDuplicateClip(userId, candidate) {
+  const { clipUrl, contentHash, fingerprint, durationSec } = candidate;
+
+  const { data: exact, error: exactError } = await supabase
+    .from("clips")
+    .select("id, duplicate_of")
+    .eq("user_id", userId)
+    .eq("content_hash", contentHash)
+    .neq("clip_url", clipUrl)
+    .limit(1);
+
+  if (exactError) {
+    throw new Error(`Supabase duplicate lookup failed: ${exactError.message}`);
+  }
+  if (exact.length > 0) {
+    const clip = await getClip(exact[0].duplicate_of || exact[0].id);
+    return { clip, match: "exact" };
+  }
+
+  if (!fingerprint || !durationSec) return null;
+
+  const { data: similar, error: similarError } = await supabase
+    .from("clips")
+    .select("id, duplicate_of, fingerprint")
+    .eq("user_id", userId)
+    .neq("clip_url", clipUrl)
+    .not("fingerprint", "is", null)
+    .gte("duration_sec", durationSec - NEAR_DUPLICATE_DURATION_TOLERANCE_SEC)
+    .lte("duration_sec", durationSec + NEAR_DUPLICATE_DURATION_TOLERANCE_SEC);
+
+  if (similarError) {
+    throw new Error(
+      `Supabase duplicate lookup failed: ${similarError.message}`
+    );
+  }
+
+  let best = null;
+  let bestDistance = NEAR_DUPLICATE_MAX_DISTANCE;
+  for (const row of similar) {
+    const distance = fingerprintDistance(fingerprint, row.fingerprint);
+    if (distance <= bestDistance) {
+      best = row;
+      bestDistance = distance;
+    }
+  }
+  if (!best) return null;
+
+  const clip = await getClip(best.duplicate_of || best.id);
+  return { clip, match: "near" };
+}
@@ -1,7 +1,80 @@
 import { execa } from "execa";
 import fs from "node:fs/promises";
 import path from "node:path";
+import sharp from "sharp";
 
+// Transition styles a montage can use, mapped to ffmpeg xfade transitions.
+// "none" keeps the fast copy-concat path.
+export const TRANSITIONS = {
+  none: null,
+  crossfade: "fade",
+  dip_to_white: "fadewhite", // Matches the white padding around clips
+  slide: "slideleft",
+  zoom: "zoomin",
+};
+export const DEFAULT_TRANSITION =
+  process.env.DEFAULT_MONTAGE_TRANSITION || "crossfade";
+export const DEFAULT_TRANSITION_DURATION_SEC = 0.5;
+
+// How the space around a clip that isn't 9:16 is filled.
+export const FILL_MODES = ["white", "solid", "blur", "gradient", "smart_crop"];
+export const DEFAULT_FILL_MODE = "white";
+
+// Output shapes a montage can be rendered in. The resolution sets the
+// length of the shorter side.
+export const ASPECT_RATIOS = {
+  "9:16": [9, 16],
+  "1:1": [1, 1],
+  "4:5": [4, 5],
+  "16:9": [16, 9],
+};
+export const RESOLUTIONS = { "720p": 720, "1080p": 1080 };
+export const DEFAULT_RENDITION = { aspectRatio: "9:16", resolution: "1080p" };
+
+/**
+ * Returns the pixel size of a rendition, e.g. 1080x1350 for 4:5 at 1080p.
+ * @param {string} aspectRatio A key of ASPECT_RATIOS.
+ * @param {string} resolution A key of RESOLUTIONS.
+ * @returns {{ width: number, height: number }}
+ */
+export function getRenderSize(aspectRatio, resolution) {
+  const [ratioW, ratioH] = ASPECT_RATIOS[aspectRatio];
+  const shortSide = RESOLUTIONS[resolution];
+  const scale = Math.max(ratioW, ratioH) / Math.min(ratioW, ratioH);
+  // libx264 with yuv420p needs even dimensions.
+  const longSide = Math.round((shortSide * scale) / 2) * 2;
+  return ratioW <= ratioH
+    ? { width: shortSide, height: longSide }
+    : { width: longSide, height: shortSide };
+}
+
+/**
+ * Checks whether a media file has at least one audio stream.
+ * @param {string} inputPath
+ * @returns {Promise<boolean>}
+ */
+export async function hasAudioStream(inputPath) {
+  try {
+    const { stdout } = await execa("ffprobe", [
+      "-v",
+      "error",
+      "-select_streams",
+      "a",
+      "-show_entries",
+      "stream=index",
+      "-of",
+      "csv=p=0",
+      inputPath,
+    ]);
+    return stdout.trim().length > 0;
+  } catch (error) {
+    console.error(
+      `Failed to probe audio streams for ${inputPath}:`,
+      error.stderr || error.message
+    );
+    return false;
+  }
+}
 
 /**
  * Gets the duration of a video file in seconds using ffprobe.
@@ -31,6 +104,190 @@ export async function getVideoDuration(inputPath) {
   }
 }
 
+// Tags some cameras write when the clock isn't set.
+const MIN_VALID_CAPTURE_TIME = Date.UTC(1971, 0, 1);
+const ISO6709_PATTERN =
+  /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/;
+
+/**
+ * Parses an ISO 6709 location string as written by iOS and Android,
+ * e.g. "+37.7749-122.4194+010.000/".
+ * @returns {{ latitude: number, longitude: number, altitude: number|null }|null}
+ */
+function parseIso6709(value) {
+  const match = ISO6709_PATTERN.exec(value?.trim() || "");
+  if (!match) return null;
+
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  // 0,0 is what some Android builds write when there was no fix.
+  if (latitude === 0 && longitude === 0) return null;
+  return {
+    latitude,
+    longitude,
+    altitude: match[3] ? parseFloat(match[3]) : null,
+  };
+}
+
+function parseCaptureTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  const time = date.getTime();
+  if (isNaN(time) || time < MIN_VALID_CAPTURE_TIME) return null;
+  return date;
+}
+
+/**
+ * Reads when, where and on what a video was recorded from its QuickTime/MP4
+ * metadata. Any field the file doesn't carry is null.
+ * @param {string} inputPath
+ * @returns {Promise<{ capturedAt: Date|null, location: { latitude: number, longitude: number, altitude: number|null }|null, deviceMake: string|null, deviceModel: string|null }>}
+ */
+export async function getVideoMetadata(inputPath) {
+  const empty = {
+    capturedAt: null,
+    location: null,
+    deviceMake: null,
+    deviceModel: null,
+  };
+
+  let probe;
+  try {
+    const { stdout } = await execa("ffprobe", [
+      "-v",
+      "error",
+      "-show_entries",
+      "format_tags:stream_tags",
+      "-of",
+      "json",
+      inputPath,
+    ]);
+    probe = JSON.parse(stdout);
+  } catch (error) {
+    console.error(
+      `Failed to read video metadata for ${inputPath}:`,
+      error.stderr || error.message
+    );
+    return empty;
+  }
+
+  // Tag names vary in case between muxers.
+  const lowerKeys = (tags = {}) =>
+    Object.fromEntries(
+      Object.entries(tags).map(([key, value]) => [key.toLowerCase(), value])
+    );
+  const format = lowerKeys(probe.format?.tags);
+  const streams = (probe.streams || []).map((stream) => lowerKeys(stream.tags));
+
+  // Apple's creationdate keeps the local UTC offset, so prefer it over
+  // creation_time, which some phones set to when the file was written.
+  const capturedAt =
+    parseCaptureTime(format["com.apple.quicktime.creationdate"]) ||
+    parseCaptureTime(format.creation_time) ||
+    streams.map((tags) => parseCaptureTime(tags.creation_time)).find(Boolean) ||
+    null;
+
+  const location =
+    parseIso6709(format["com.apple.quicktime.location.iso6709"]) ||
+    parseIso6709(format.location) ||
+    parseIso6709(format["location-eng"]);
+
+  const deviceMake =
+    format["com.apple.quicktime.make"] ||
+    format["com.android.manufacturer"] ||
+    format.make ||
+    null;
+  const deviceModel =
+    format["com.apple.quicktime.model"] ||
+    format["com.android.model"] ||
+    format.model ||
+    null;
+
+  return { ...empty, capturedAt, location, deviceMake, deviceModel };
+}
+
+/**
+ * Samples evenly spaced frames as tiny grayscale images for fingerprinting.
+ * @param {string} inputPath
+ * @param {number} durationSec
+ * @param {object} [options]
+ * @param {number} [options.count] Frames to sample.
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @returns {Promise<Buffer[]>} One buffer of width*height 8-bit pixels per frame.
+ */
+export async function extractGrayFrames(
+  inputPath,
+  durationSec,
+  { count = 8, width = 9, height = 8 } = {}
+) {
+  // fps=count/duration spreads the samples across the whole clip.
+  const fps = count / Math.max(durationSec, 0.1);
+  const { stdout } = await execa(
+    "ffmpeg",
+    [
+      "-v",
+      "error",
+      "-i",
+      inputPath,
+      "-vf",
+      `fps=${fps},scale=${width}:${height}:flags=area,format=gray`,
+      "-frames:v",
+      String(count),
+      "-f",
+      "rawvideo",
+      "-",
+    ],
+    { encoding: "buffer" }
+  );
+
+  const data = Buffer.from(stdout);
+  const frameSize = width * height;
+  const frames = [];
+  for (let i = 0; i + frameSize <= data.length; i += frameSize) {
+    frames.push(data.subarray(i, i + frameSize));
+  }
+  return frames;
+}
+
+/**
+ * Decodes a file's audio as mono 16-bit PCM.
+ * @param {string} inputPath
+ * @param {object} [options]
+ * @param {number} [options.sampleRate]
+ * @returns {Promise<Int16Array|null>} Null if the file has no audio.
+ */
+export async function extractAudioSamples(inputPath, { sampleRate = 8000 } = {}) {
+  if (!(await hasAudioStream(inputPath))) return null;
+
+  const { stdout } = await execa(
+    "ffmpeg",
+    [
+      "-v",
+      "error",
+      "-i",
+      inputPath,
+      "-vn",
+      "-ac",
+      "1",
+      "-ar",
+      String(sampleRate),
+      "-f",
+      "s16le",
+      "-",
+    ],
+    { encoding: "buffer" }
+  );
+
+  const data = Buffer.from(stdout);
+  const samples = new Int16Array(Math.floor(data.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = data.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
 /**
  * Generates a thumbnail from the first frame of a video.
  * @param {string} inputPath
@@ -94,36 +351,216 @@ export async function compressVideo(inputPath, outputPath) {
 }
 
 /**
- * Trims a video clip and formats it to 9:16 with a white background.
- * Adds necessary bitstream filters and STANDARDIZES AUDIO.
+ * Grabs a single frame from a video as a JPEG.
+ * @param {string} inputPath
+ * @param {number} atSec
+ * @param {string} outputPath
+ */
+async function extractFrame(inputPath, atSec, outputPath) {
+  await execa("ffmpeg", [
+    "-ss",
+    atSec.toString(),
+    "-i",
+    inputPath,
+    "-vframes",
+    "1",
+    "-f",
+    "image2",
+    "-y",
+    outputPath,
+  ]);
+}
+
+/**
+ * Renders a vertical gradient based on the dominant color of a frame.
+ * @param {string} framePath
+ * @param {string} outputPath PNG to write.
+ * @param {{ width: number, height: number }} size
+ */
+async function createDominantGradient(framePath, outputPath, { width, height }) {
+  const { dominant } = await sharp(framePath).stats();
+  const toHex = ({ r, g, b }) =>
+    "#" +
+    [r, g, b]
+      .map((v) => Math.round(v).toString(16).padStart(2, "0"))
+      .join("");
+  const darker = {
+    r: dominant.r * 0.35,
+    g: dominant.g * 0.35,
+    b: dominant.b * 0.35,
+  };
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs><linearGradient id="g" x1="0" y1="0" x2="0" y2="1">
+    <stop offset="0" stop-color="${toHex(dominant)}"/>
+    <stop offset="1" stop-color="${toHex(darker)}"/>
+  </linearGradient></defs>
+  <rect width="100%" height="100%" fill="url(#g)"/>
+</svg>`;
+  await sharp(Buffer.from(svg)).png().toFile(outputPath);
+}
+
+/**
+ * Finds where to crop a frame so the most interesting region stays in shot,
+ * using sharp's attention strategy (skin tones, saturation, contrast).
+ * @param {string} framePath
+ * @param {{ width: number, height: number }} size
+ * @returns {Promise<{ x: number, y: number }>} Offsets into the frame once it
+ *   has been scaled to cover the output size.
+ */
+async function findCropOffset(framePath, { width, height }) {
+  const { info } = await sharp(framePath)
+    .resize(width, height, {
+      fit: "cover",
+      position: sharp.strategy.attention,
+    })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    x: Math.abs(info.cropOffsetLeft || 0),
+    y: Math.abs(info.cropOffsetTop || 0),
+  };
+}
+
+/**
+ * Builds the video filtergraph (ending in [filled]) for a fill mode, plus any
+ * extra inputs it needs. Input 0 is always the clip.
+ * @returns {Promise<{ graph: string, extraInputs: string[], tempFiles: string[] }>}
+ */
+async function buildFillFilter(inputPath, outputPath, options) {
+  const { fillMode, fillColor, frameAtSec, width, height } = options;
+  const W = width;
+  const H = height;
+  const fit = `scale=${W}:${H}:force_original_aspect_ratio=decrease`;
+  const cover = `scale=${W}:${H}:force_original_aspect_ratio=increase`;
+
+  if (fillMode === "blur") {
+    return {
+      graph:
+        `[0:v]split=2[bg][fg];` +
+        `[bg]${cover},crop=${W}:${H},boxblur=20:2[blurred];` +
+        `[fg]${fit}[scaled];` +
+        `[blurred][scaled]overlay=(W-w)/2:(H-h)/2,setsar=1[filled]`,
+      extraInputs: [],
+      tempFiles: [],
+    };
+  }
+
+  if (fillMode === "gradient" || fillMode === "smart_crop") {
+    const framePath = `${outputPath}.frame.jpg`;
+    const tempFiles = [framePath];
+    await extractFrame(inputPath, frameAtSec, framePath);
+
+    if (fillMode === "gradient") {
+      const backgroundPath = `${outputPath}.bg.png`;
+      tempFiles.push(backgroundPath);
+      await createDominantGradient(framePath, backgroundPath, { width, height });
+      return {
+        graph:
+          `[1:v]format=yuv420p[bg];[0:v]${fit}[scaled];` +
+          `[bg][scaled]overlay=(W-w)/2:(H-h)/2:shortest=1,setsar=1[filled]`,
+        extraInputs: ["-loop", "1", "-i", backgroundPath],
+        tempFiles,
+      };
+    }
+
+    const { x, y } = await findCropOffset(framePath, { width, height });
+    return {
+      graph: `[0:v]${cover},crop=${W}:${H}:min(${x}\,iw-ow):min(${y}\,ih-oh),setsar=1[filled]`,
+      extraInputs: [],
+      tempFiles,
+    };
+  }
+
+  // "white" and "solid" pad with a flat color.
+  const color = fillMode === "solid" && fillColor ? fillColor : "white";
+  return {
+    graph: `[0:v]${fit},pad=${W}:${H}:-1:-1:color=${color},setsar=1[filled]`,
+    extraInputs: [],
+    tempFiles: [],
+  };
+}
+
+/**
+ * Trims a video clip and formats it to the output size (1080x1920 unless
+ * given), filling any leftover space according to the fill mode.
+ * Adds necessary bitstream filters and STANDARDIZES AUDIO. Clips without
+ * sound get a silent track so every segment can be crossfaded and concatenated.
  * @param {string} inputPath
  * @param {string} outputPath
  * @param {number} startSec
  * @param {number} endSec
+ * @param {object} [options]
+ * @param {string} [options.fillMode] One of FILL_MODES.
+ * @param {string} [options.fillColor] Hex color for the "solid" mode, e.g. "#000000".
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @param {string} [options.overlayPath] Full-frame transparent PNG (date stamp,
+ *   caption) drawn over the clip.
  */
 export async function trimAndFormatClip(
   inputPath,
   outputPath,
   startSec,
-  endSec
+  endSec,
+  {
+    fillMode = DEFAULT_FILL_MODE,
+    fillColor,
+    width = 1080,
+    height = 1920,
+    overlayPath,
+  } = {}
 ) {
+  let fillTempFiles = [];
   try {
     const duration = endSec - startSec;
     console.log(
-      `Trimming and formatting ${inputPath} from ${startSec}s for ${duration}s...`
+      `Trimming and formatting ${inputPath} from ${startSec}s for ${duration}s at ${width}x${height} (${fillMode} fill)...`
     );
 
+    const fill = await buildFillFilter(inputPath, outputPath, {
+      fillMode,
+      fillColor,
+      frameAtSec: startSec + duration / 2,
+      width,
+      height,
+    });
+    fillTempFiles = fill.tempFiles;
+
+    // Inputs: the clip, any fill inputs, the overlay, then the silent track.
+    let nextInputIndex =
+      1 + fill.extraInputs.filter((arg) => arg === "-i").length;
+    let graph = `${fill.graph};[filled]null[vout]`;
+    const overlayArgs = [];
+    if (overlayPath) {
+      graph = `${fill.graph};[filled][${nextInputIndex}:v]overlay=0:0[vout]`;
+      overlayArgs.push("-i", overlayPath);
+      nextInputIndex += 1;
+    }
+
+    const hasAudio = await hasAudioStream(inputPath);
+    const silentAudioArgs = hasAudio
+      ? []
+      : ["-f", "lavfi", "-i", "anullsrc=channel_layout=stereo:sample_rate=44100"];
+
     await execa("ffmpeg", [
       "-ss",
       startSec.toString(),
       "-i",
       inputPath,
+      ...fill.extraInputs,
+      ...overlayArgs,
+      ...silentAudioArgs,
       "-t",
       duration.toString(),
 
       // VIDEO FILTERS
-      "-vf",
-      "scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:-1:-1:color=white",
+      "-filter_complex",
+      graph,
+      "-map",
+      "[vout]",
+      "-map",
+      hasAudio ? "0:a:0" : `${nextInputIndex}:a:0`,
       "-c:v",
       "libx264",
       "-pix_fmt",
@@ -152,6 +589,67 @@ export async function trimAndFormatClip(
     );
     await fs.unlink(outputPath).catch(() => {});
     throw new Error("Failed to trim and format clip.");
+  } finally {
+    for (const tempFile of fillTempFiles) {
+      await fs.unlink(tempFile).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Turns a still image (e.g. a title card) into a short silent segment in
+ * the same format as trimAndFormatClip output, so it can be concatenated
+ * with the clips.
+ * @param {string} imagePath
+ * @param {string} outputPath
+ * @param {number} durationSec
+ */
+export async function createStillSegment(imagePath, outputPath, durationSec) {
+  try {
+    console.log(`Creating ${durationSec}s segment from ${imagePath}...`);
+    await execa("ffmpeg", [
+      "-loop",
+      "1",
+      "-framerate",
+      "30",
+      "-i",
+      imagePath,
+      "-f",
+      "lavfi",
+      "-i",
+      "anullsrc=channel_layout=stereo:sample_rate=44100",
+      "-t",
+      durationSec.toString(),
+      "-map",
+      "0:v:0",
+      "-map",
+      "1:a:0",
+      "-vf",
+      "setsar=1",
+      "-c:v",
+      "libx264",
+      "-pix_fmt",
+      "yuv420p",
+      "-bsf:v",
+      "h264_mp4toannexb",
+      "-c:a",
+      "aac",
+      "-ar",
+      "44100",
+      "-ac",
+      "2",
+      "-f",
+      "mpegts",
+      "-y",
+      outputPath,
+    ]);
+  } catch (error) {
+    console.error(
+      `FFmpeg still segment failed for ${imagePath}:`,
+      error.stderr || error.message
+    );
+    await fs.unlink(outputPath).catch(() => {});
+    throw new Error("Failed to create title card segment.");
   }
 }
 
@@ -207,3 +705,188 @@ export async function concatenateTsFiles(tsFilePaths, outputPath) {
     }
   }
 }
+
+/**
+ * Joins formatted .ts clips with a transition between each pair, using
+ * ffmpeg's xfade (video) and acrossfade (audio) filters. Falls back to the
+ * copy-concat path when transitions are off or there is only one clip.
+ * @param {string[]} tsFilePaths Clips produced by trimAndFormatClip.
+ * @param {string} outputPath
+ * @param {object} [options]
+ * @param {string} [options.transition] A key of TRANSITIONS.
+ * @param {number} [options.durationSec] Length of each transition.
+ */
+export async function concatenateWithTransitions(
+  tsFilePaths,
+  outputPath,
+  {
+    transition = DEFAULT_TRANSITION,
+    durationSec = DEFAULT_TRANSITION_DURATION_SEC,
+  } = {}
+) {
+  const xfadeName = TRANSITIONS[transition];
+  if (!xfadeName || tsFilePaths.length < 2) {
+    return concatenateTsFiles(tsFilePaths, outputPath);
+  }
+
+  const durations = await Promise.all(tsFilePaths.map(getVideoDuration));
+  // A transition can't be longer than half of the shortest clip.
+  const fadeSec = Math.min(durationSec, Math.min(...durations) / 2);
+  if (!(fadeSec >= 0.1)) {
+    console.warn("Clips too short for transitions, using plain concat.");
+    return concatenateTsFiles(tsFilePaths, outputPath);
+  }
+
+  try {
+    console.log(
+      `Concatenating ${tsFilePaths.length} clips with ${transition} transitions (${fadeSec.toFixed(
+        2
+      )}s)...`
+    );
+
+    // Normalize frame rate, timestamps and sample aspect ratio so xfade
+    // accepts every input.
+    const filters = [];
+    tsFilePaths.forEach((_, i) => {
+      filters.push(
+        `[${i}:v]fps=30,settb=AVTB,setpts=PTS-STARTPTS,setsar=1,format=yuv420p[v${i}]`
+      );
+      filters.push(`[${i}:a]asetpts=PTS-STARTPTS[a${i}]`);
+    });
+
+    let offset = 0;
+    let prevVideo = "v0";
+    let prevAudio = "a0";
+    for (let i = 1; i < tsFilePaths.length; i++) {
+      // Each transition starts fadeSec before the end of the output so far.
+      offset += durations[i - 1] - fadeSec;
+      const isLast = i === tsFilePaths.length - 1;
+      const outVideo = isLast ? "vout" : `vx${i}`;
+      const outAudio = isLast ? "aout" : `ax${i}`;
+      filters.push(
+        `[${prevVideo}][v${i}]xfade=transition=${xfadeName}:duration=${fadeSec.toFixed(
+          3
+        )}:offset=${offset.toFixed(3)}[${outVideo}]`
+      );
+      filters.push(
+        `[${prevAudio}][a${i}]acrossfade=d=${fadeSec.toFixed(
+          3
+        )}:c1=tri:c2=tri[${outAudio}]`
+      );
+      prevVideo = outVideo;
+      prevAudio = outAudio;
+    }
+
+    await execa("ffmpeg", [
+      ...tsFilePaths.flatMap((p) => ["-i", p]),
+      "-filter_complex",
+      filters.join(";"),
+      "-map",
+      "[vout]",
+      "-map",
+      "[aout]",
+      "-c:v",
+      "libx264",
+      "-preset",
+      "veryfast",
+      "-crf",
+      "20",
+      "-pix_fmt",
+      "yuv420p",
+      "-c:a",
+      "aac",
+      "-ar",
+      "44100",
+      "-ac",
+      "2",
+      "-movflags",
+      "+faststart",
+      "-y",
+      outputPath,
+    ]);
+
+    console.log(`Final montage saved to ${outputPath}`);
+  } catch (error) {
+    console.error(
+      "FFmpeg transition rendering failed:",
+      error.stderr || error.message
+    );
+    await fs.unlink(outputPath).catch(() => {});
+    throw new Error("Failed to render montage transitions.");
+  }
+}
+
+/**
+ * Mixes a music bed under a finished montage. The music is looped or trimmed
+ * to the montage length, faded in and out, and ducked with a sidechain
+ * compressor whenever the clips' own audio (usually speech) is loud.
+ * The video stream is copied untouched.
+ * @param {string} videoPath The rendered montage.
+ * @param {string} musicPath A local audio file.
+ * @param {string} outputPath
+ * @param {object} [options]
+ * @param {number} [options.volume=0.3] Music level before ducking, 0..1.
+ */
+export async function mixBackgroundMusic(
+  videoPath,
+  musicPath,
+  outputPath,
+  { volume = 0.3 } = {}
+) {
+  try {
+    const duration = await getVideoDuration(videoPath);
+    if (!duration) {
+      throw new Error("Could not determine montage duration.");
+    }
+    const fadeIn = Math.min(1.5, duration / 4);
+    const fadeOut = Math.min(2, duration / 4);
+
+    console.log(`Mixing background music under ${videoPath}...`);
+
+    const filters = [
+      `[1:a]atrim=0:${duration.toFixed(3)},asetpts=PTS-STARTPTS,` +
+        `aresample=44100,aformat=channel_layouts=stereo,volume=${volume},` +
+        `afade=t=in:st=0:d=${fadeIn.toFixed(3)},` +
+        `afade=t=out:st=${(duration - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}[music]`,
+      "[0:a]asplit=2[clips][sidechain]",
+      "[music][sidechain]sidechaincompress=threshold=0.05:ratio=8:attack=20:release=400[ducked]",
+      "[clips][ducked]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[aout]",
+    ];
+
+    await execa("ffmpeg", [
+      "-i",
+      videoPath,
+      "-stream_loop",
+      "-1", // Loop short tracks; atrim cuts them to length
+      "-i",
+      musicPath,
+      "-filter_complex",
+      filters.join(";"),
+      "-map",
+      "0:v",
+      "-map",
+      "[aout]",
+      "-c:v",
+      "copy",
+      "-c:a",
+      "aac",
+      "-ar",
+      "44100",
+      "-ac",
+      "2",
+      "-movflags",
+      "+faststart",
+      "-y",
+      outputPath,
+    ]);
+
+    console.log(`Montage with music saved to ${outputPath}`);
+  } catch (error) {
+    console.error(
+      "FFmpeg music mixing failed:",
+      error.stderr || error.message
+    );
+    await fs.unlink(outputPath).catch(() => {});
+    throw new Error("Failed to mix background music.");
+  }
+}
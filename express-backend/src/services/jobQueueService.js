@@ -0,0 +1,178 @@
+import { supabase } from "./supabaseService.js";
+
+export const JOB_TYPES = {
+  PROCESS_CLIP: "process_clip",
+  CREATE_MONTAGE: "create_montage",
+  REANALYZE_CLIP: "reanalyze_clip",
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+/**
+ * Adds a job to the persistent queue. The worker process picks it up.
+ * @param {string} type One of JOB_TYPES.
+ * @param {object} payload JSON-serializable job data.
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] How many times to try before giving up.
+ * @param {Date} [options.runAt] Earliest time the job may run.
+ * @returns {Promise<object>} The inserted queue row.
+ */
+export async function enqueueJob(type, payload, options = {}) {
+  const { maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = new Date() } = options;
+
+  const { data, error } = await supabase
+    .from("job_queue")
+    .insert({
+      type,
+      payload,
+      status: "queued",
+      max_attempts: maxAttempts,
+      run_at: runAt.toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Error enqueueing ${type} job:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Leases the next runnable job for this worker, or returns null if the queue is empty.
+ * @param {string} workerId
+ * @param {number} leaseSeconds How long the lease lasts without a heartbeat.
+ * @returns {Promise<object|null>}
+ */
+export async function claimNextJob(workerId, leaseSeconds) {
+  const { data, error } = await supabase.rpc("claim_queue_job", {
+    p_worker_id: workerId,
+    p_lease_seconds: leaseSeconds,
+  });
+
+  if (error) {
+    throw new Error(`Failed to claim queue job: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Extends the lease on a running job.
+ * @returns {Promise<boolean>} False if the lease was lost to another worker.
+ */
+export async function heartbeatJob(jobId, workerId, leaseSeconds) {
+  const now = Date.now();
+  const { data, error } = await supabase
+    .from("job_queue")
+    .update({
+      locked_until: new Date(now + leaseSeconds * 1000).toISOString(),
+      heartbeat_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+    })
+    .eq("id", jobId)
+    .eq("locked_by", workerId)
+    .eq("status", "running")
+    .select("id");
+
+  if (error) {
+    console.error(`Heartbeat failed for queue job ${jobId}:`, error);
+    return true; // Transient error, the lease may still be ours.
+  }
+
+  return data.length > 0;
+}
+
+export async function completeQueueJob(jobId, workerId) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from("job_queue")
+    .update({
+      status: "completed",
+      locked_by: null,
+      locked_until: null,
+      last_error: null,
+      completed_at: now,
+      updated_at: now,
+    })
+    .eq("id", jobId)
+    .eq("locked_by", workerId);
+
+  if (error) {
+    console.error(`Error completing queue job ${jobId}:`, error);
+  }
+}
+
+/**
+ * Computes the delay before the next attempt using exponential backoff with jitter.
+ * @param {number} attempts Attempts made so far (1 after the first failure).
+ * @returns {number} Delay in milliseconds.
+ */
+export function getRetryDelayMs(attempts) {
+  const exponential = BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(exponential, MAX_BACKOFF_MS) + Math.random() * 1000;
+}
+
+/**
+ * Records a failed attempt. The job is re-queued with backoff unless it has
+ * used all of its attempts, in which case it is marked failed for good.
+ * @param {object} job The queue row as returned by claimNextJob.
+ * @param {string|null} workerId The worker holding the lease, or null when recovering an orphan.
+ * @param {string} errorMessage
+ * @returns {Promise<boolean>} True if the job will be retried.
+ */
+export async function failQueueJob(job, workerId, errorMessage) {
+  const willRetry = job.attempts < job.max_attempts;
+  const now = Date.now();
+
+  const updates = {
+    status: willRetry ? "queued" : "failed",
+    locked_by: null,
+    locked_until: null,
+    last_error: errorMessage,
+    updated_at: new Date(now).toISOString(),
+  };
+  if (willRetry) {
+    updates.run_at = new Date(now + getRetryDelayMs(job.attempts)).toISOString();
+  }
+
+  let query = supabase
+    .from("job_queue")
+    .update(updates)
+    .eq("id", job.id)
+    .eq("status", "running");
+  // During recovery only touch the row if its lease is still expired.
+  query = workerId
+    ? query.eq("locked_by", workerId)
+    : query.lt("locked_until", new Date(now).toISOString());
+
+  const { error } = await query;
+  if (error) {
+    console.error(`Error recording failure for queue job ${job.id}:`, error);
+  }
+
+  return willRetry;
+}
+
+/**
+ * Finds running jobs whose lease expired (the worker crashed or was
+ * redeployed mid-job) so they can be re-queued or failed.
+ * @returns {Promise<object[]>}
+ */
+export async function getOrphanedJobs() {
+  const { data, error } = await supabase
+    .from("job_queue")
+    .select("*")
+    .eq("status", "running")
+    .lt("locked_until", new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to fetch orphaned jobs: ${error.message}`);
+  }
+
+  return data || [];
+}
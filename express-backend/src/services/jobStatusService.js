@@ -27,6 +27,10 @@ export async function updateJob(jobId, patch = {}) {
 
   if (patch.clipId) updates.clip_id = patch.clipId;
   if (patch.error) updates.error = patch.error;
+  if (patch.duplicateOf) updates.duplicate_of = patch.duplicateOf;
+  if (patch.validationIssues) {
+    updates.validation_issues = patch.validationIssues;
+  }
 
   const { error } = await supabase
     .from("processing_jobs")
@@ -58,10 +62,32 @@ export async function getJob(jobId) {
     filename: data.filename,
     clipId: data.clip_id,
     error: data.error,
+    duplicateOf: data.duplicate_of,
+    validationIssues: data.validation_issues,
     updatedAt: data.updated_at,
   };
 }
 
+/**
+ * Finds the processing job already created for an uploaded file, so a
+ * repeated upload completion doesn't process the clip twice.
+ * @returns {Promise<string|null>} The job id.
+ */
+export async function findJobIdByUploadUrl(userId, uploadUrl) {
+  const { data, error } = await supabase
+    .from("processing_jobs")
+    .select("job_id")
+    .eq("user_id", userId)
+    .eq("upload_url", uploadUrl)
+    .limit(1);
+
+  if (error) {
+    console.error("Error looking up job by upload URL:", error);
+    throw error;
+  }
+  return data[0]?.job_id || null;
+}
+
 // Optional, if you ever need to clean up
 export async function deleteJob(jobId) {
   await supabase.from("processing_jobs").delete().eq("job_id", jobId);
@@ -1,236 +1,700 @@
 import { supabase } from "./supabaseService.js";
-import { getUpcomingSunday } from "../utils/date.js";
-import { getPruningSuggestions } from "./geminiService.js";
+import {
+  getWeekEndDate,
+  getWeekWindow,
+  getMonthWindow,
+  getYearWindow,
+  getDayRangeWindow,
+  getZonedDateParts,
+  toDateKey,
+} from "../utils/date.js";
+import { getWeekSettings } from "./userSettingsService.js";
+import {
+  selectMontageClips,
+  expandClipMoments,
+  getTotalDuration,
+  DEFAULT_SELECTION_CONFIG,
+} from "./montageSelectionService.js";
+import { getSegmentsByClip } from "./clipAnalysisService.js";
 import {
   trimAndFormatClip,
-  concatenateTsFiles,
+  concatenateWithTransitions,
+  mixBackgroundMusic,
   generateThumbnail,
+  createStillSegment,
+  DEFAULT_TRANSITION,
+  DEFAULT_TRANSITION_DURATION_SEC,
+  DEFAULT_FILL_MODE,
+  DEFAULT_RENDITION,
+  getRenderSize,
 } from "./ffmpegService.js";
-import { uploadBufferToS3 } from "./s3Service.js";
-import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { uploadFile, downloadFile } from "./storageService.js";
+import { getKeyFromUrl } from "../utils/getKeyFromUrl.js";
+import {
+  renderClipOverlay,
+  renderTitleCard,
+  formatMontageTitle,
+  TITLE_CARD_DURATION_SEC,
+} from "./overlayService.js";
+import {
+  getBundledTrackPath,
+  DEFAULT_MUSIC_VOLUME,
+} from "./musicService.js";
 import fs from "node:fs/promises";
 import path from "node:path";
 
-const s3 = new S3Client({ region: process.env.AWS_REGION });
-const MAX_DURATION_SEC = 90;
+export const MONTAGE_PRESETS = ["week", "month", "year", "custom"];
+export const DEFAULT_TARGET_DURATION_SEC = {
+  week: 90,
+  month: 180,
+  year: 300,
+  custom: 180,
+};
+export const MIN_TARGET_DURATION_SEC = 15;
+export const MAX_TARGET_DURATION_SEC = 600;
+
+// Custom ranges longer than this are balanced per month instead of per week.
+const WEEKLY_BALANCE_MAX_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Narrows a clips query to the clips a montage may use. Clips marked as
+ * duplicates would show the same moment twice unless the user pinned them
+ * anyway, and excluded clips are never used.
+ * @param {object} query A supabase query on the clips table.
+ * @returns {object} The same query, filtered.
+ */
+export const filterUsableClips = (query) =>
+  query.eq("excluded", false).or("duplicate_of.is.null,pinned.eq.true");
+
+/**
+ * Works out the time span a montage covers in the user's time zone.
+ * @param {string} preset One of MONTAGE_PRESETS.
+ * @param {object} options See initializeMontage.
+ * @param {{ timeZone: string, weekStartDay: number }} weekSettings
+ * @returns {{ weekEndDate: Date, start: Date, end: Date }}
+ */
+function resolveMontageRange(preset, options, weekSettings) {
+  const { date = new Date(), startDate, endDate } = options;
+  let window;
+
+  if (preset === "week") {
+    const weekEndDate =
+      options.weekEndDate || getWeekEndDate(date, weekSettings);
+    return { weekEndDate, ...getWeekWindow(weekEndDate, weekSettings) };
+  }
+  if (preset === "month") {
+    window = getMonthWindow(date, weekSettings);
+  } else if (preset === "year") {
+    window = getYearWindow(date, weekSettings);
+  } else {
+    window = getDayRangeWindow(startDate, endDate, weekSettings);
+  }
+
+  // Recaps are filed under the week their range ends in.
+  return { weekEndDate: getWeekEndDate(window.end, weekSettings), ...window };
+}
 
-async function downloadFileFromS3(bucket, key, downloadPath) {
-  console.log(`Downloading ${key} from S3 to ${downloadPath}...`);
-  const command = new GetObjectCommand({ Bucket: bucket, Key: key });
-  const response = await s3.send(command);
+/**
+ * Creates a montage row in the "queued" state.
+ * The queue worker fills it in via processMontageCreation.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.preset="week"] One of MONTAGE_PRESETS.
+ * @param {Date} [options.weekEndDate] Week bucket to build for the "week" preset.
+ * @param {Date} [options.date] A moment inside the week, month or year to build. Defaults to now.
+ * @param {{ year: number, month: number, day: number }} [options.startDate] First day of a "custom" range.
+ * @param {{ year: number, month: number, day: number }} [options.endDate] Last day of a "custom" range.
+ * @param {number} [options.targetDurationSec] Defaults per preset.
+ * @param {string} [options.transition] A key of TRANSITIONS. Defaults to DEFAULT_TRANSITION.
+ * @param {number} [options.transitionDurationSec]
+ * @param {object} [options.musicTrack] Snapshot from resolveMusicTrack, or omitted for no music.
+ * @param {number} [options.musicVolume]
+ * @param {string} [options.fillMode] One of FILL_MODES. Defaults to DEFAULT_FILL_MODE.
+ * @param {string} [options.fillColor] Hex color for the "solid" fill mode.
+ * @param {Array<{ aspectRatio: string, resolution: string }>} [options.renditions]
+ *   Output formats rendered from the same clip selection. Defaults to 9:16 1080p.
+ * @param {object} [options.overlays] Text overlays and title cards:
+ *   { theme, clip_text, intro, outro, user_name }. Omitted for none.
+ * @param {object} [options.selection] Overrides of DEFAULT_SELECTION_CONFIG.
+ * @returns {Promise<string>} The new montage id.
+ */
+export async function initializeMontage(userId, options = {}) {
+  const {
+    preset = "week",
+    targetDurationSec,
+    transition = DEFAULT_TRANSITION,
+    transitionDurationSec = DEFAULT_TRANSITION_DURATION_SEC,
+    musicTrack = null,
+    musicVolume = DEFAULT_MUSIC_VOLUME,
+    fillMode = DEFAULT_FILL_MODE,
+    fillColor = null,
+    renditions = [DEFAULT_RENDITION],
+    overlays = null,
+    selection = {},
+  } = options;
+  const weekSettings = await getWeekSettings(userId);
+  const { weekEndDate, start, end } = resolveMontageRange(
+    preset,
+    options,
+    weekSettings
+  );
+
+  const { data: newMontage, error } = await supabase
+    .from("montages")
+    .insert({
+      user_id: userId,
+      week_end_date: weekEndDate.toISOString(),
+      preset,
+      range_start: start.toISOString(),
+      range_end: end.toISOString(),
+      target_duration_sec:
+        targetDurationSec || DEFAULT_TARGET_DURATION_SEC[preset],
+      transition,
+      transition_duration_sec: transitionDurationSec,
+      music_track: musicTrack,
+      music_volume: musicTrack ? musicVolume : null,
+      fill_mode: fillMode,
+      fill_color: fillMode === "solid" ? fillColor : null,
+      renditions: renditions.map(toRenditionRecord),
+      overlays,
+      selection_config: { ...DEFAULT_SELECTION_CONFIG, ...selection },
+      status: "queued",
+      stage: "queued",
+      // video_url is now nullable, so we don't include it yet
+    })
+    .select("id")
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to initialize montage record: ${error.message}`);
+  }
+  return newMontage.id;
+}
 
-  const stream = response.Body;
-  const chunks = [];
-  for await (const chunk of stream) {
-    chunks.push(chunk);
+/**
+ * Returns how clips of a multi-week montage are grouped for balanced selection.
+ * @returns {((clip: object) => string)|null} Null for single-week montages.
+ */
+function getBalanceGroupKey(montage, weekSettings) {
+  const preset = montage.preset || "week";
+  if (preset === "week") return null;
+
+  const spanDays =
+    (new Date(montage.range_end) - new Date(montage.range_start)) / DAY_MS;
+  const byWeek =
+    preset === "month" ||
+    (preset === "custom" && spanDays <= WEEKLY_BALANCE_MAX_DAYS);
+
+  if (byWeek) {
+    return (clip) =>
+      toDateKey(getWeekEndDate(new Date(clip.clip_date), weekSettings));
   }
-  const buffer = Buffer.concat(chunks);
-  await fs.writeFile(downloadPath, buffer);
-  console.log(`Successfully downloaded ${key}.`);
+  return (clip) => {
+    const { year, month } = getZonedDateParts(
+      new Date(clip.clip_date),
+      weekSettings.timeZone
+    );
+    return `${year}-${String(month).padStart(2, "0")}`;
+  };
 }
 
-function getKeyFromUrl(url) {
-  if (!url) return null;
-  try {
-    const urlObject = new URL(url);
-    return urlObject.pathname.substring(1);
-  } catch (error) {
-    console.error("Invalid URL for key extraction:", url);
-    return null;
+/**
+ * Marks a montage as failed once its queue job has run out of attempts.
+ * @param {string} montageId
+ * @param {string} [errorMessage] Shown to the client by GET /api/montages/:id.
+ */
+export async function markMontageFailed(montageId, errorMessage) {
+  if (!montageId) return;
+
+  const { error } = await supabase
+    .from("montages")
+    .update({ status: "failed", error_message: errorMessage || null })
+    .eq("id", montageId);
+
+  if (error) {
+    console.error(`Failed to update montage ${montageId} to failed:`, error);
+  }
+}
+
+/**
+ * Makes the montage's music track available on local disk.
+ * @param {object} track The music_track snapshot stored on the montage.
+ * @param {string} tempDir
+ * @returns {Promise<string>} Local path of the audio file.
+ */
+async function getMusicTrackPath(track, tempDir) {
+  if (track.source === "bundled") {
+    const trackPath = getBundledTrackPath(track.file);
+    await fs.access(trackPath).catch(() => {
+      throw new Error(`Bundled music track ${track.id} is missing.`);
+    });
+    return trackPath;
+  }
+
+  const key = getKeyFromUrl(track.url);
+  if (!key) throw new Error(`Invalid URL for music track ${track.id}.`);
+  const downloadPath = path.join(tempDir, `music_${path.basename(key)}`);
+  await downloadFile(key, downloadPath);
+  return downloadPath;
+}
+
+/**
+ * Records which step of the pipeline a montage is in, for progress polling.
+ * @param {string} montageId
+ * @param {string} stage
+ */
+async function setMontageStage(montageId, stage) {
+  const { error } = await supabase
+    .from("montages")
+    .update({ stage })
+    .eq("id", montageId);
+
+  if (error) {
+    console.error(`Failed to set montage ${montageId} stage to ${stage}:`, error);
+  }
+}
+
+/**
+ * Stores problems with the AI's answers on the montage for later inspection.
+ * @param {string} montageId
+ * @param {object[]} issues
+ */
+async function recordValidationIssues(montageId, issues) {
+  const { error } = await supabase
+    .from("montages")
+    .update({ validation_issues: issues })
+    .eq("id", montageId);
+
+  if (error) {
+    console.error(
+      `Failed to record validation issues for montage ${montageId}:`,
+      error
+    );
+  }
+}
+
+/**
+ * Saves why each candidate clip was or wasn't used. A failure only costs
+ * the explanation, so it is logged rather than thrown.
+ * @param {string} montageId
+ * @param {object} report From selectMontageClips.
+ */
+async function recordSelectionReport(montageId, report) {
+  const { error } = await supabase
+    .from("montages")
+    .update({ selection_report: report })
+    .eq("id", montageId);
+
+  if (error) {
+    console.error(
+      `Failed to record selection report for montage ${montageId}:`,
+      error
+    );
+  }
+}
+
+/**
+ * Returns the renditions a montage should be rendered in. Rows created
+ * before renditions existed get a single 9:16 1080p video.
+ * @param {object} montage
+ * @returns {Array<{ aspect_ratio: string, resolution: string, width: number, height: number }>}
+ */
+function getMontageRenditions(montage) {
+  const requested = montage.renditions?.length
+    ? montage.renditions
+    : [toRenditionRecord(DEFAULT_RENDITION)];
+  return requested.map((rendition) => ({
+    ...rendition,
+    ...getRenderSize(rendition.aspect_ratio, rendition.resolution),
+  }));
+}
+
+function toRenditionRecord({ aspectRatio, resolution }) {
+  return {
+    aspect_ratio: aspectRatio,
+    resolution,
+    ...getRenderSize(aspectRatio, resolution),
+    video_url: null,
+    thumbnail_url: null,
+  };
+}
+
+const getRenditionSlug = (rendition) =>
+  `${rendition.aspect_ratio.replace(":", "x")}_${rendition.resolution}`;
+
+/**
+ * Gathers what the montage's overlays need beyond the row itself: the
+ * user's time zone, the card title and a local copy of the profile photo.
+ * @returns {Promise<object|null>} Null if the montage has no overlays.
+ */
+async function prepareOverlays(montage, weekSettings, tempDir) {
+  const { overlays } = montage;
+  if (!overlays) return null;
+
+  const context = {
+    ...overlays,
+    timeZone: weekSettings.timeZone,
+    title: formatMontageTitle(montage, weekSettings.timeZone),
+    photoPath: null,
+  };
+  if (!overlays.intro && !overlays.outro) return context;
+
+  const { data: profile, error } = await supabase
+    .from("profiles")
+    .select("profile_pic_url")
+    .eq("id", montage.user_id)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[Montage] Failed to fetch profile photo:", error);
+  }
+  const photoKey = getKeyFromUrl(profile?.profile_pic_url);
+  if (photoKey) {
+    const photoPath = path.join(tempDir, `profile_${path.basename(photoKey)}`);
+    try {
+      await downloadFile(photoKey, photoPath);
+      context.photoPath = photoPath;
+    } catch (error) {
+      // The cards still work without the photo.
+      console.error("[Montage] Failed to download profile photo:", error);
+    }
+  }
+  return context;
+}
+
+/**
+ * Renders an intro or outro card for a rendition as a .ts segment.
+ * @returns {Promise<string>} The segment path.
+ */
+async function renderTitleCardSegment(kind, overlays, rendition, renditionDir) {
+  const cardPath = path.join(renditionDir, `${kind}_card.png`);
+  const segmentPath = path.join(renditionDir, `${kind}_card.ts`);
+  let title = overlays.title;
+  let subtitle = overlays.user_name;
+  if (kind === "outro" && overlays.user_name) {
+    // The outro leads with the user instead of the dates.
+    [title, subtitle] = [overlays.user_name, overlays.title];
+  }
+
+  await renderTitleCard({
+    title,
+    subtitle,
+    photoPath: overlays.photoPath,
+    theme: overlays.theme,
+    width: rendition.width,
+    height: rendition.height,
+    outputPath: cardPath,
+  });
+  await createStillSegment(cardPath, segmentPath, TITLE_CARD_DURATION_SEC);
+  return segmentPath;
+}
+
+/**
+ * Formats the downloaded clips for one rendition and assembles them into a
+ * finished video with overlays, transitions, music and a thumbnail.
+ * @returns {Promise<{ montagePath: string, thumbnailPath: string, renditionDir: string }>}
+ */
+async function renderRendition({
+  montage,
+  rendition,
+  downloadedClips,
+  musicPath,
+  overlays,
+  tempDir,
+}) {
+  const { width, height } = rendition;
+  const renditionDir = path.join(tempDir, getRenditionSlug(rendition));
+  await fs.mkdir(renditionDir, { recursive: true });
+  console.log(
+    `[Montage] Rendering ${rendition.aspect_ratio} ${rendition.resolution} (${width}x${height}).`
+  );
+
+  // a. Trim and format each clip
+  await setMontageStage(montage.id, "rendering_clips");
+  const formattedClipPaths = [];
+  for (let i = 0; i < downloadedClips.length; i++) {
+    const { clip, downloadPath } = downloadedClips[i];
+    const formattedPath = path.join(renditionDir, `${i}_formatted.ts`);
+    const overlayPath =
+      overlays && overlays.clip_text !== "none"
+        ? await renderClipOverlay(clip, {
+            clipText: overlays.clip_text,
+            theme: overlays.theme,
+            timeZone: overlays.timeZone,
+            width,
+            height,
+            outputPath: path.join(renditionDir, `${i}_overlay.png`),
+          })
+        : null;
+    await trimAndFormatClip(
+      downloadPath,
+      formattedPath,
+      clip.start_sec,
+      clip.end_sec,
+      {
+        fillMode: montage.fill_mode || DEFAULT_FILL_MODE,
+        fillColor: montage.fill_color,
+        width,
+        height,
+        overlayPath,
+      }
+    );
+    formattedClipPaths.push(formattedPath);
+  }
+
+  // Title cards go in as extra segments, so transitions apply to them too.
+  if (overlays?.intro) {
+    formattedClipPaths.unshift(
+      await renderTitleCardSegment("intro", overlays, rendition, renditionDir)
+    );
+  }
+  if (overlays?.outro) {
+    formattedClipPaths.push(
+      await renderTitleCardSegment("outro", overlays, rendition, renditionDir)
+    );
+  }
+
+  // b. Concatenate. Rows created before transitions existed keep their hard cuts.
+  await setMontageStage(montage.id, "concatenating");
+  let montagePath = path.join(renditionDir, "final_montage.mp4");
+  await concatenateWithTransitions(formattedClipPaths, montagePath, {
+    transition: montage.transition || "none",
+    durationSec:
+      montage.transition_duration_sec || DEFAULT_TRANSITION_DURATION_SEC,
+  });
+
+  // c. Mix in the background music, if one was chosen
+  if (musicPath) {
+    await setMontageStage(montage.id, "mixing_music");
+    const mixedPath = path.join(renditionDir, "final_montage_music.mp4");
+    await mixBackgroundMusic(montagePath, musicPath, mixedPath, {
+      volume: montage.music_volume ?? DEFAULT_MUSIC_VOLUME,
+    });
+    montagePath = mixedPath;
   }
+
+  // d. Thumbnail
+  const thumbnailPath = path.join(renditionDir, "final_montage_thumb.jpg");
+  await generateThumbnail(montagePath, thumbnailPath);
+
+  return { montagePath, thumbnailPath, renditionDir };
 }
 
-export async function processMontageCreation({ user }) {
+/**
+ * Queue handler: selects, renders and uploads a queued montage.
+ * @param {{ user: { id: string }, montageId: string }} payload
+ * @param {{ signal?: AbortSignal }} [options] Checked before each rendition and
+ *   before the montage is marked complete.
+ */
+export async function processMontageCreation(
+  { user, montageId },
+  { signal } = {}
+) {
   const userId = user.id;
   const tempDir = path.join("/tmp/mylyfe-montage", `${userId}-${Date.now()}`);
   const tempFiles = [];
 
-  // Track the ID to update it later
-  let montageId = null;
-
   try {
-    console.log(`[Montage] Starting montage creation for user ${userId}`);
+    console.log(`[Montage] Starting montage ${montageId} for user ${userId}`);
     await fs.mkdir(tempDir, { recursive: true });
 
-    // 0. INITIALIZE STATUS: Create the row immediately as 'processing'
-    const upcomingSunday = getUpcomingSunday().toISOString();
-
-    const { data: newMontage, error: initError } = await supabase
+    // 0. UPDATE STATUS: The row was created as 'queued' when the job was enqueued.
+    // Read the week and render options back from it so a retry after
+    // midnight Sunday still builds the montage the user asked for.
+    const { data: montage, error: initError } = await supabase
       .from("montages")
-      .insert({
-        user_id: userId,
-        week_end_date: upcomingSunday,
+      .update({
         status: "processing",
-        // video_url is now nullable, so we don't include it yet
+        stage: "selecting_clips",
+        error_message: null,
       })
-      .select("id")
+      .eq("id", montageId)
+      .select("*")
       .single();
 
     if (initError)
       throw new Error(
-        `Failed to initialize montage record: ${initError.message}`
+        `Failed to mark montage ${montageId} as processing: ${initError.message}`
       );
-    montageId = newMontage.id;
-    console.log(`[Montage] Initialized record ID ${montageId} as processing.`);
+    const upcomingSunday = new Date(montage.week_end_date).toISOString();
+    // Rows created before presets existed are weekly montages.
+    const preset = montage.preset || "week";
+    const maxDurationSec =
+      montage.target_duration_sec || DEFAULT_TARGET_DURATION_SEC[preset];
+    console.log(
+      `[Montage] Marked record ID ${montageId} (${preset}, ${maxDurationSec}s) as processing.`
+    );
 
-    // 1. Fetch clips from Supabase
-    const { data: initialClips, error: fetchError } = await supabase
-      .from("clips")
-      .select("*")
-      .eq("user_id", userId)
-      .eq("week_end_date", upcomingSunday)
-      .order("score", { ascending: false });
+    // 1. Fetch clips from Supabase. Weekly montages use the upload-week
+    // bucket; recaps take every clip captured inside their range.
+    let clipsQuery = filterUsableClips(
+      supabase.from("clips").select("*").eq("user_id", userId)
+    );
+    clipsQuery =
+      preset === "week"
+        ? clipsQuery.eq("week_end_date", upcomingSunday)
+        : clipsQuery
+            .gte("clip_date", montage.range_start)
+            .lte("clip_date", montage.range_end);
+    const { data: initialClips, error: fetchError } = await clipsQuery.order(
+      "score",
+      { ascending: false }
+    );
 
     if (fetchError)
       throw new Error(`Failed to fetch clips: ${fetchError.message}`);
 
     // Handle case where no clips exist
     if (!initialClips || initialClips.length === 0) {
-      console.log("[Montage] No clips found for the upcoming week. Exiting.");
+      console.log(
+        "[Montage] No usable clips found for the montage range. Exiting."
+      );
       // Update status to failed (or you might want a specific 'no_clips' status)
       await supabase
         .from("montages")
-        .update({ status: "failed", description: "No clips found" })
+        .update({
+          status: "failed",
+          description: "No clips found",
+          error_message:
+            preset === "week"
+              ? "No clips found for this week."
+              : "No clips found in the selected date range.",
+        })
         .eq("id", montageId);
       return;
     }
     console.log(`[Montage] Found ${initialClips.length} initial clips.`);
 
-    // 2. AI Pruning
-    const descriptionsForPruning = initialClips.map((clip, index) => ({
-      index: index,
-      description: clip.description,
-    }));
-    const indicesToRemove = await getPruningSuggestions(descriptionsForPruning);
-
-    let clipsById = initialClips.reduce((acc, clip, index) => {
-      acc[index] = clip;
-      return acc;
-    }, {});
-
-    let currentDuration = initialClips.reduce(
-      (sum, clip) => sum + (clip.end_sec - clip.start_sec),
-      0
+    // 2. Selection. Long clips may offer several moments, each competing
+    // on its own score. Rows created before selection settings existed
+    // use the defaults.
+    const selectionConfig = {
+      ...DEFAULT_SELECTION_CONFIG,
+      ...montage.selection_config,
+    };
+    const segmentsByClip = await getSegmentsByClip(
+      initialClips.map((clip) => clip.active_analysis_id).filter(Boolean)
     );
-
-    // 3. Smart Selection
-    console.log(
-      `[Montage] Starting selection. Initial duration: ${currentDuration.toFixed(
-        2
-      )}s`
+    const candidates = expandClipMoments(
+      initialClips,
+      segmentsByClip,
+      selectionConfig.max_moments_per_clip
     );
-    if (currentDuration > MAX_DURATION_SEC) {
-      // 3a. Prune based on AI suggestions
-      for (const index of indicesToRemove) {
-        if (clipsById[index]) {
-          const clip = clipsById[index];
-          currentDuration -= clip.end_sec - clip.start_sec;
-          delete clipsById[index];
-          console.log(
-            `[Montage] AI prune: Removed clip index ${index}. New duration: ${currentDuration.toFixed(
-              2
-            )}s`
-          );
-          if (currentDuration <= MAX_DURATION_SEC) break;
-        }
-      }
-
-      // 3b. Prune based on lowest score if still over duration
-      if (currentDuration > MAX_DURATION_SEC) {
-        const remainingClips = Object.values(clipsById).sort(
-          (a, b) => b.score - a.score
-        );
-        while (
-          currentDuration > MAX_DURATION_SEC &&
-          remainingClips.length > 0
-        ) {
-          const removedClip = remainingClips.pop(); // Removes the lowest score
-          currentDuration -= removedClip.end_sec - removedClip.start_sec;
-          // Find and delete from clipsById using the actual clip id
-          const indexToDelete = Object.keys(clipsById).find(
-            (key) => clipsById[key].id === removedClip.id
-          );
-          if (indexToDelete) delete clipsById[indexToDelete];
-          console.log(
-            `[Montage] Score prune: Removed clip ${
-              removedClip.id
-            }. New duration: ${currentDuration.toFixed(2)}s`
-          );
-        }
-      }
+    const weekSettings = await getWeekSettings(userId);
+    const {
+      clips: selectedClips,
+      report,
+      issues,
+    } = await selectMontageClips(candidates, {
+      maxDurationSec,
+      config: selectionConfig,
+      timeZone: weekSettings.timeZone,
+      getGroupKey: getBalanceGroupKey(montage, weekSettings),
+    });
+    await recordSelectionReport(montageId, report);
+    if (issues.length > 0) {
+      await recordValidationIssues(montageId, issues);
     }
+    const currentDuration = getTotalDuration(selectedClips);
 
-    let selectedClips = Object.values(clipsById);
-
-    // 4. Final Sort
-    selectedClips.sort((a, b) => new Date(a.clip_date) - new Date(b.clip_date));
+    // 3. Final Sort
+    selectedClips.sort(
+      (a, b) =>
+        new Date(a.clip_date) - new Date(b.clip_date) ||
+        a.start_sec - b.start_sec
+    );
     console.log(
       `[Montage] Final selection: ${
         selectedClips.length
       } clips with total duration ${currentDuration.toFixed(2)}s`
     );
 
-    // 5. Download and Process clips
-    const formattedClipPaths = [];
+    // 4. Download the selected clips once; every rendition and every
+    // moment of the same clip reuses them.
+    await setMontageStage(montageId, "downloading_clips");
+    const downloadedClips = [];
+    const downloadPaths = new Map();
     for (let i = 0; i < selectedClips.length; i++) {
       const clip = selectedClips[i];
-      const s3Key = getKeyFromUrl(clip.clip_url);
-      if (!s3Key) continue;
-
-      const downloadPath = path.join(tempDir, `${i}_${path.basename(s3Key)}`);
-      const formattedPath = path.join(tempDir, `${i}_formatted.ts`);
-      tempFiles.push(downloadPath, formattedPath);
-
-      await downloadFileFromS3(process.env.S3_BUCKET_NAME, s3Key, downloadPath);
-      await trimAndFormatClip(
-        downloadPath,
-        formattedPath,
-        clip.start_sec,
-        clip.end_sec
-      );
-      formattedClipPaths.push(formattedPath);
+      const clipKey = getKeyFromUrl(clip.clip_url);
+      if (!clipKey) continue;
+
+      if (!downloadPaths.has(clip.id)) {
+        const downloadPath = path.join(
+          tempDir,
+          `${i}_${path.basename(clipKey)}`
+        );
+        tempFiles.push(downloadPath);
+        await downloadFile(clipKey, downloadPath);
+        downloadPaths.set(clip.id, downloadPath);
+      }
+      downloadedClips.push({ clip, downloadPath: downloadPaths.get(clip.id) });
     }
 
-    if (formattedClipPaths.length === 0) {
+    if (downloadedClips.length === 0) {
       throw new Error("No clips could be processed for the final montage.");
     }
+    const usedClipIds = [...downloadPaths.keys()];
 
-    // 6. Concatenate and create final montage
-    const montagePath = path.join(tempDir, "final_montage.mp4");
-    tempFiles.push(montagePath);
-    await concatenateTsFiles(formattedClipPaths, montagePath);
-
-    // 7. Generate thumbnail for final montage
-    const montageThumbnailPath = path.join(tempDir, "final_montage_thumb.jpg");
-    tempFiles.push(montageThumbnailPath);
-    await generateThumbnail(montagePath, montageThumbnailPath);
+    const musicPath = montage.music_track
+      ? await getMusicTrackPath(montage.music_track, tempDir)
+      : null;
+    const overlays = await prepareOverlays(montage, weekSettings, tempDir);
 
-    // 8. Upload final video and thumbnail to S3
+    // 5. Render and upload each requested rendition
     const weekEndDate = upcomingSunday.split("T")[0];
     const uniqueId = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-    const montageKey = `montages/${userId}/${weekEndDate}/${uniqueId}.mp4`;
-    const montageThumbKey = `montages/thumbnails/${userId}/${weekEndDate}/${uniqueId}.jpg`;
-
-    const uploadPromises = [
-      fs
-        .readFile(montagePath)
-        .then((buffer) => uploadBufferToS3(buffer, montageKey, "video/mp4")),
-      fs
-        .readFile(montageThumbnailPath)
-        .then((buffer) =>
-          uploadBufferToS3(buffer, montageThumbKey, "image/jpeg")
-        ),
-    ];
-    const [montageUrl, montageThumbnailUrl] = await Promise.all(uploadPromises);
-    console.log(`[Montage] Final video uploaded to ${montageUrl}`);
-
-    // 9. UPDATE STATUS: Success
+    const completedRenditions = [];
+    for (const rendition of getMontageRenditions(montage)) {
+      signal?.throwIfAborted();
+      const { montagePath, thumbnailPath, renditionDir } =
+        await renderRendition({
+          montage,
+          rendition,
+          downloadedClips,
+          musicPath,
+          overlays,
+          tempDir,
+        });
+
+      await setMontageStage(montageId, "uploading");
+      const suffix = getRenditionSlug(rendition);
+      const montageKey = `montages/${userId}/${weekEndDate}/${uniqueId}_${suffix}.mp4`;
+      const montageThumbKey = `montages/thumbnails/${userId}/${weekEndDate}/${uniqueId}_${suffix}.jpg`;
+
+      const uploadPromises = [
+        uploadFile(montagePath, montageKey, "video/mp4"),
+        uploadFile(thumbnailPath, montageThumbKey, "image/jpeg"),
+      ];
+      const [montageUrl, montageThumbnailUrl] = await Promise.all(
+        uploadPromises
+      );
+      console.log(
+        `[Montage] ${rendition.aspect_ratio} ${rendition.resolution} uploaded to ${montageUrl}`
+      );
+
+      completedRenditions.push({
+        ...rendition,
+        video_url: montageUrl,
+        thumbnail_url: montageThumbnailUrl,
+      });
+      // Free the disk before the next rendition.
+      await fs.rm(renditionDir, { recursive: true, force: true });
+    }
+
+    // 6. UPDATE STATUS: Success
+    signal?.throwIfAborted();
     const { error: updateError } = await supabase
       .from("montages")
       .update({
-        video_url: montageUrl,
-        thumbnail_url: montageThumbnailUrl,
+        // The first rendition doubles as the montage's main video.
+        video_url: completedRenditions[0].video_url,
+        thumbnail_url: completedRenditions[0].thumbnail_url,
+        renditions: completedRenditions,
         status: "complete",
+        stage: "complete",
+        clip_ids: usedClipIds,
         completed_at: new Date().toISOString(),
       })
       .eq("id", montageId);
@@ -241,42 +705,32 @@ export async function processMontageCreation({ user }) {
       );
     }
 
-    // 10. UPDATE USER PROFILE: reset week_vids_count
-    const { error: profileError } = await supabase
-      .from("profiles")
-      .update({ week_vids_count: 0 })
-      .eq("id", userId);
+    // 7. UPDATE USER PROFILE: reset week_vids_count (weekly montages only)
+    if (preset === "week") {
+      const { error: profileError } = await supabase
+        .from("profiles")
+        .update({ week_vids_count: 0 })
+        .eq("id", userId);
 
-    if (profileError) {
-      console.error(
-        `Failed to reset week_vids_count for user ${userId}: ${profileError.message}`
-      );
-    } else {
-      console.log(
-        `[Montage] Reset week_vids_count for user ${userId} to 0.`
-      );
+      if (profileError) {
+        console.error(
+          `Failed to reset week_vids_count for user ${userId}: ${profileError.message}`
+        );
+      } else {
+        console.log(
+          `[Montage] Reset week_vids_count for user ${userId} to 0.`
+        );
+      }
     }
 
-
     console.log(`[Montage] Process complete for user ${userId}.`);
   } catch (error) {
     console.error(`[Montage] CRITICAL FAILURE for user ${userId}:`, error);
-
-    // 10. UPDATE STATUS: Failed
-    if (montageId) {
-      await supabase
-        .from("montages")
-        .update({
-          status: "failed",
-          // Optional: You could add a 'error_message' column to your DB to store `error.message`
-        })
-        .eq("id", montageId)
-        .catch((err) =>
-          console.error("Failed to update status to failed:", err)
-        );
-    }
+    // Rethrow so the queue worker can retry. It marks the montage as failed
+    // once all attempts are used up.
+    throw error;
   } finally {
-    // 11. Final Cleanup
+    // 8. Final Cleanup
     console.log(`[Montage] Cleaning up temporary directory: ${tempDir}`);
     await fs.rm(tempDir, { recursive: true, force: true }).catch((err) => {
       console.error(`Failed to clean up temp directory ${tempDir}:`, err);
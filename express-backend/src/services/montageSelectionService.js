@@ -0,0 +1,479 @@
+import { getPruningSuggestions } from "./geminiService.js";
+import {
+  embedDescriptions,
+  cosineSimilarity,
+  getThumbnailHashes,
+} from "./similarityService.js";
+import { fingerprintDistance } from "./duplicateService.js";
+import {
+  computeClipScore,
+  DEFAULT_SCORE_WEIGHTS,
+} from "./analysis/index.js";
+import { getZonedDateParts } from "../utils/date.js";
+
+// Montage selection: turns a montage's candidate clips into the ones it
+// uses, and records why each candidate was kept or dropped.
+
+export const getClipDuration = (clip) => clip.end_sec - clip.start_sec;
+
+export const getTotalDuration = (clips) =>
+  clips.reduce((sum, clip) => sum + getClipDuration(clip), 0);
+
+/**
+ * Tunable selection settings, stored per montage in selection_config.
+ * - weights: how relevance, quality and confidence make up a clip's score.
+ * - min_duration_sec: caps are relaxed rather than end up shorter.
+ * - max_clips_per_day: at most this many clips from one calendar day
+ *   (null for no cap).
+ * - max_moments_per_clip: how many moments a long clip may contribute.
+ */
+export const DEFAULT_SELECTION_CONFIG = {
+  weights: DEFAULT_SCORE_WEIGHTS,
+  min_duration_sec: 0,
+  max_clips_per_day: null,
+  max_moments_per_clip: 3,
+};
+
+// Description similarity that alone makes two moments redundant. Local
+// bag-of-words vectors score lower for the same meaning, so need less.
+const TEXT_DUPLICATE_SIMILARITY = { gemini: 0.92, local: 0.8 };
+// Differing thumbnail bits (of 64) that alone make two clips redundant,
+// and the looser limit that does so together with similar descriptions.
+const VISUAL_DUPLICATE_BITS = 6;
+const VISUAL_SIMILAR_BITS = 14;
+const TEXT_SIMILAR_MARGIN = 0.1;
+// Scores closer than this count as a tie within a cluster.
+const SCORE_TIE_EPSILON = 0.01;
+// Ask Gemini to settle ties instead of preferring the better quality.
+const AI_TIE_BREAK = process.env.PRUNING_AI_TIEBREAK === "true";
+
+/**
+ * Turns clips into the moments selection chooses from. Every clip is one
+ * moment with its current trim; clips whose active analysis found more
+ * segments add those that overlap neither that trim nor each other, each
+ * with its own trim, description and score.
+ * @param {object[]} clips
+ * @param {Map<string, object[]>} segmentsByClip clip id -> clip_segments
+ *   rows of its active analysis, best first.
+ * @param {number} [maxMomentsPerClip]
+ * @returns {object[]} Clip rows, best score first. Extra moments are
+ *   copies of their clip carrying `segment_id`. Only the best moment of a
+ *   pinned clip stays pinned; the others compete like any moment.
+ */
+export function expandClipMoments(
+  clips,
+  segmentsByClip,
+  maxMomentsPerClip = DEFAULT_SELECTION_CONFIG.max_moments_per_clip
+) {
+  const moments = [];
+  for (const clip of clips) {
+    const taken = [clip];
+    for (const segment of segmentsByClip.get(clip.id) || []) {
+      if (taken.length >= maxMomentsPerClip) break;
+      const overlaps = taken.some(
+        (moment) =>
+          segment.start_sec < moment.end_sec &&
+          moment.start_sec < segment.end_sec
+      );
+      if (overlaps) continue;
+      taken.push({
+        ...clip,
+        segment_id: segment.id,
+        start_sec: segment.start_sec,
+        end_sec: segment.end_sec,
+        description: segment.description,
+        relevance: segment.relevance,
+        quality: segment.quality,
+        confidence: segment.confidence,
+        score: segment.score,
+        pinned: false,
+      });
+    }
+    if (clip.pinned && taken.length > 1) {
+      const best = taken.reduce((a, b) => (b.score > a.score ? b : a));
+      taken.forEach((moment, i) => {
+        taken[i] = { ...moment, pinned: moment === best };
+      });
+    }
+    moments.push(...taken);
+  }
+
+  if (moments.length > clips.length) {
+    console.log(
+      `[Montage] ${clips.length} clips offer ${moments.length} moments.`
+    );
+  }
+  return moments.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Groups near-duplicate moments: ones with nearly the same description, or
+ * with nearly identical thumbnails, or with similar thumbnails and
+ * descriptions. Moments of the same clip share a thumbnail, so only their
+ * descriptions are compared.
+ * @param {object[]} clips
+ * @returns {Promise<{ clusters: object[][], compare: (a: object, b: object) => { text: number, visual: number } }>}
+ *   Clusters of two or more moments, and how similar two moments are.
+ */
+async function clusterSimilarClips(clips) {
+  const [{ vectors, source }, thumbnailHashes] = await Promise.all([
+    embedDescriptions(clips.map((clip) => clip.description)),
+    getThumbnailHashes(clips),
+  ]);
+  const textThreshold = TEXT_DUPLICATE_SIMILARITY[source];
+
+  const indexOf = new Map(clips.map((clip, i) => [clip, i]));
+  const compare = (a, b) => {
+    const i = indexOf.get(a);
+    const j = indexOf.get(b);
+    return {
+      text: cosineSimilarity(vectors[i], vectors[j]),
+      visual:
+        a.id === b.id
+          ? Infinity
+          : fingerprintDistance(
+              thumbnailHashes.get(a.id),
+              thumbnailHashes.get(b.id)
+            ),
+    };
+  };
+
+  // Union-find over every similar pair.
+  const parent = clips.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < clips.length; i++) {
+    for (let j = i + 1; j < clips.length; j++) {
+      const { text, visual } = compare(clips[i], clips[j]);
+      const similar =
+        text >= textThreshold ||
+        visual <= VISUAL_DUPLICATE_BITS ||
+        (visual <= VISUAL_SIMILAR_BITS &&
+          text >= textThreshold - TEXT_SIMILAR_MARGIN);
+      if (similar) parent[find(j)] = find(i);
+    }
+  }
+
+  const clusters = new Map();
+  clips.forEach((clip, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(clip);
+  });
+  console.log(
+    `[Montage] Compared ${clips.length} clips using ${source} embeddings and ${thumbnailHashes.size} thumbnails.`
+  );
+  return {
+    clusters: [...clusters.values()].filter((cluster) => cluster.length > 1),
+    compare,
+  };
+}
+
+/**
+ * Orders a cluster best first: pinned moments, then the highest score,
+ * then (for ties) the better quality, then the earlier moment.
+ */
+const rankCluster = (cluster) =>
+  [...cluster].sort(
+    (a, b) =>
+      !!b.pinned - !!a.pinned ||
+      (Math.abs(b.score - a.score) >= SCORE_TIE_EPSILON
+        ? b.score - a.score
+        : 0) ||
+      (b.quality ?? 0) - (a.quality ?? 0) ||
+      new Date(a.clip_date) - new Date(b.clip_date) ||
+      a.start_sec - b.start_sec
+  );
+
+/**
+ * Lets Gemini pick between tied representatives: in each cluster, the
+ * first tied moment Gemini didn't flag as redundant moves to the front.
+ * @returns {Promise<object[]>} Problems with Gemini's answer.
+ */
+async function breakTiesWithAi(rankedClusters) {
+  const tied = rankedClusters
+    .filter((cluster) => !cluster[0].pinned)
+    .map((cluster) =>
+      cluster.filter(
+        (clip) => cluster[0].score - clip.score < SCORE_TIE_EPSILON
+      )
+    )
+    .filter((members) => members.length > 1);
+  if (tied.length === 0) return [];
+
+  const candidates = tied.flat();
+  const { indices, issues } = await getPruningSuggestions(
+    candidates.map((clip, index) => ({
+      index,
+      description: clip.description,
+    }))
+  );
+  const flagged = new Set(indices.map((index) => candidates[index]));
+
+  for (const members of tied) {
+    const keep = members.find((clip) => !flagged.has(clip));
+    if (!keep) continue;
+    const cluster = rankedClusters.find((c) => c.includes(keep));
+    cluster.splice(cluster.indexOf(keep), 1);
+    cluster.unshift(keep);
+  }
+  return issues;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Drops near-duplicates while the selection is over budget, lowest score
+ * first, keeping the best (or pinned) moment of each cluster.
+ * @returns {Promise<object[]>} Problems with Gemini's tie-breaking answer.
+ */
+async function pruneSimilarClips(ledger, budget) {
+  const pool = ledger.kept();
+  const { clusters, compare } = await clusterSimilarClips(pool);
+  const ranked = clusters.map(rankCluster);
+  const issues = AI_TIE_BREAK ? await breakTiesWithAi(ranked) : [];
+
+  const redundant = ranked
+    .flatMap((cluster) =>
+      cluster.slice(1).map((clip) => ({ clip, keeper: cluster[0] }))
+    )
+    .filter(({ clip }) => !clip.pinned)
+    .sort((a, b) => a.clip.score - b.clip.score);
+  for (const { clip, keeper } of redundant) {
+    if (ledger.duration() <= budget) break;
+    const { text, visual } = compare(clip, keeper);
+    ledger.drop(
+      clip,
+      "similar",
+      `Too similar to a better clip (description similarity ${round(
+        text
+      )}${Number.isFinite(visual) ? `, thumbnail distance ${visual} bits` : ""}).`,
+      { similar_to: keeper.id }
+    );
+  }
+  return issues;
+}
+
+/**
+ * Takes clips round-robin across periods (weeks or months) so every
+ * period gets a fair share: the best clip of every period first, then the
+ * second best of every period, and so on until the budget is used. One
+ * busy vacation week can therefore never crowd out the rest of the year.
+ */
+function selectBalanced(ledger, budget, getGroupKey) {
+  const groups = new Map();
+  let total = 0;
+  for (const clip of ledger.kept()) {
+    if (clip.pinned) {
+      total += getClipDuration(clip);
+      continue;
+    }
+    const key = getGroupKey(clip);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(clip);
+  }
+  for (const group of groups.values()) {
+    group.sort((a, b) => b.score - a.score);
+  }
+
+  const groupKeys = [...groups.keys()].sort();
+  const selected = new Set();
+  let addedThisRound = true;
+  while (addedThisRound) {
+    addedThisRound = false;
+    for (const key of groupKeys) {
+      const group = groups.get(key);
+      // Take this period's best remaining clip that still fits the budget.
+      while (group.length > 0) {
+        const clip = group.shift();
+        const duration = getClipDuration(clip);
+        if (total + duration <= budget) {
+          selected.add(clip);
+          ledger.note(clip, `Best remaining clip of ${key}.`);
+          total += duration;
+          addedThisRound = true;
+          break;
+        }
+        ledger.drop(
+          clip,
+          "budget",
+          `Did not fit in the remaining duration of ${key}'s turn.`
+        );
+      }
+    }
+  }
+
+  console.log(
+    `[Montage] Balanced selection: ${selected.size} clips across ${
+      groupKeys.length
+    } periods, ${total.toFixed(2)}s`
+  );
+}
+
+/**
+ * Chooses a montage's clips and explains every decision. In order:
+ * excluded clips are dropped and pinned ones kept; clips over the daily
+ * cap are dropped (unless that leaves the montage under its minimum);
+ * then, while over budget, near-duplicates and the lowest scores go. For
+ * multi-period montages (`getGroupKey` set) the last step takes clips
+ * round-robin per period instead.
+ * @param {object[]} candidates Clips and extra moments from
+ *   expandClipMoments.
+ * @param {object} options
+ * @param {number} options.maxDurationSec
+ * @param {object} [options.config] Overrides of DEFAULT_SELECTION_CONFIG.
+ * @param {string} [options.timeZone] For the daily cap.
+ * @param {((clip: object) => string)|null} [options.getGroupKey]
+ * @returns {Promise<{ clips: object[], report: object, issues: object[] }>}
+ *   The selected moments (rescored with the configured weights), the
+ *   selection report for the montage row, and any problems with Gemini's
+ *   tie-breaking answer.
+ */
+export async function selectMontageClips(candidates, options) {
+  const { maxDurationSec, timeZone = "UTC", getGroupKey = null } = options;
+  const config = { ...DEFAULT_SELECTION_CONFIG, ...options.config };
+  const { weights } = config;
+  const minDurationSec = Math.min(config.min_duration_sec, maxDurationSec);
+
+  const scored = candidates
+    .map((clip) => ({
+      ...clip,
+      score: computeClipScore(
+        {
+          relevance: clip.relevance ?? 0,
+          quality: clip.quality ?? 0.5,
+          confidence: clip.confidence ?? 0.5,
+        },
+        weights
+      ),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  // Every candidate starts included; steps below drop them with a reason.
+  const decisions = new Map(
+    scored.map((clip, index) => [
+      clip,
+      {
+        included: true,
+        reason: clip.pinned ? "pinned" : "score",
+        detail: clip.pinned
+          ? "Pinned by the user."
+          : `Score ${round(clip.score)}, ranked ${index + 1} of ${scored.length}.`,
+      },
+    ])
+  );
+  const ledger = {
+    kept: () => scored.filter((clip) => decisions.get(clip).included),
+    duration: () => getTotalDuration(ledger.kept()),
+    drop: (clip, reason, detail, extra = {}) =>
+      decisions.set(clip, { included: false, reason, detail, ...extra }),
+    note: (clip, detail) => {
+      decisions.get(clip).detail = detail;
+    },
+  };
+  const warnings = [];
+  let issues = [];
+
+  // 1. The user's exclusions and pins.
+  for (const clip of scored) {
+    if (clip.excluded) ledger.drop(clip, "excluded", "Excluded by the user.");
+  }
+  const pinnedDuration = getTotalDuration(
+    scored.filter((clip) => clip.pinned && !clip.excluded)
+  );
+  if (pinnedDuration > maxDurationSec) {
+    warnings.push(
+      `Pinned clips run ${round(pinnedDuration)}s, over the ${maxDurationSec}s target.`
+    );
+  }
+
+  // 2. Daily cap, relaxed best-first if it would leave too little footage.
+  if (config.max_clips_per_day) {
+    const dayKey = (clip) => {
+      const { year, month, day } = getZonedDateParts(
+        new Date(clip.clip_date),
+        timeZone
+      );
+      const pad = (value) => String(value).padStart(2, "0");
+      return `${year}-${pad(month)}-${pad(day)}`;
+    };
+    const perDay = new Map();
+    const capped = [];
+    // Pinned clips count towards their day's cap first.
+    const byPriority = [...ledger.kept()].sort(
+      (a, b) => !!b.pinned - !!a.pinned
+    );
+    for (const clip of byPriority) {
+      const day = dayKey(clip);
+      const count = perDay.get(day) || 0;
+      if (!clip.pinned && count >= config.max_clips_per_day) {
+        ledger.drop(
+          clip,
+          "day_cap",
+          `${day} already has ${config.max_clips_per_day} better clip(s).`
+        );
+        capped.push(clip);
+      } else {
+        perDay.set(day, count + 1);
+      }
+    }
+    while (ledger.duration() < minDurationSec && capped.length > 0) {
+      const clip = capped.shift();
+      decisions.set(clip, {
+        included: true,
+        reason: "score",
+        detail: `Kept over the daily cap to reach the ${minDurationSec}s minimum.`,
+      });
+    }
+  }
+
+  // 3. Fit the duration budget.
+  console.log(
+    `[Montage] Starting selection. Initial duration: ${ledger
+      .duration()
+      .toFixed(2)}s`
+  );
+  if (getGroupKey) {
+    selectBalanced(ledger, maxDurationSec, getGroupKey);
+  } else if (ledger.duration() > maxDurationSec) {
+    issues = await pruneSimilarClips(ledger, maxDurationSec);
+
+    const remaining = ledger.kept().filter((clip) => !clip.pinned);
+    while (ledger.duration() > maxDurationSec && remaining.length > 0) {
+      const clip = remaining.pop(); // Removes the lowest score
+      ledger.drop(
+        clip,
+        "budget",
+        `Lowest remaining score (${round(clip.score)}) while over the ${maxDurationSec}s target.`
+      );
+    }
+  }
+
+  const clips = ledger.kept();
+  const totalDurationSec = getTotalDuration(clips);
+  if (totalDurationSec < minDurationSec) {
+    warnings.push(
+      `Only ${round(totalDurationSec)}s of clips were available, short of the ${minDurationSec}s minimum.`
+    );
+  }
+  for (const warning of warnings) console.warn(`[Montage] ${warning}`);
+
+  const report = {
+    config: { ...config, max_duration_sec: maxDurationSec },
+    total_duration_sec: round(totalDurationSec),
+    warnings,
+    clips: scored.map((clip) => ({
+      clip_id: clip.id,
+      segment_id: clip.segment_id || null,
+      start_sec: clip.start_sec,
+      end_sec: clip.end_sec,
+      score: round(clip.score),
+      scores: {
+        relevance: clip.relevance ?? null,
+        quality: clip.quality ?? null,
+        confidence: clip.confidence ?? null,
+      },
+      ...decisions.get(clip),
+    })),
+  };
+  return { clips, report, issues };
+}
@@ -0,0 +1,106 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { supabase } from "./supabaseService.js";
+
+const MUSIC_DIR = fileURLToPath(
+  new URL("../../assets/music/", import.meta.url)
+);
+const AUDIO_EXTENSIONS = [".mp3", ".m4a", ".aac", ".wav"];
+const BUNDLED_PREFIX = "bundled:";
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const DEFAULT_MUSIC_VOLUME = 0.3;
+
+/**
+ * Lists the tracks shipped in assets/music.
+ * @returns {Promise<Array<{ id: string, title: string, source: string, file: string }>>}
+ */
+export async function listBundledTracks() {
+  let files = [];
+  try {
+    files = await fs.readdir(MUSIC_DIR);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  return files
+    .filter((file) =>
+      AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase())
+    )
+    .sort()
+    .map((file) => ({
+      id: `${BUNDLED_PREFIX}${file}`,
+      title: path.basename(file, path.extname(file)),
+      source: "bundled",
+      file,
+    }));
+}
+
+/**
+ * Returns the local path of a bundled track file.
+ * @param {string} file The `file` field of a bundled track.
+ * @returns {string}
+ */
+export function getBundledTrackPath(file) {
+  // basename() keeps a stored snapshot from pointing outside the library.
+  return path.join(MUSIC_DIR, path.basename(file));
+}
+
+/**
+ * Lists the tracks a user has uploaded.
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function listUserTracks(userId) {
+  const { data, error } = await supabase
+    .from("music_tracks")
+    .select("id, title, url, content_type, created_at")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    throw new Error(`Supabase music fetch failed: ${error.message}`);
+  }
+
+  return data.map((track) => ({ ...track, source: "user" }));
+}
+
+/**
+ * Resolves a track id from a montage request into the snapshot stored on
+ * the montage row.
+ * @param {string} userId
+ * @param {string} trackId `bundled:<file>` or the id of one of the user's uploads.
+ * @returns {Promise<object|null>} Null if the track does not exist.
+ */
+export async function resolveMusicTrack(userId, trackId) {
+  if (trackId.startsWith(BUNDLED_PREFIX)) {
+    const bundled = await listBundledTracks();
+    const track = bundled.find((t) => t.id === trackId);
+    if (!track) return null;
+    return {
+      source: "bundled",
+      id: track.id,
+      title: track.title,
+      file: track.file,
+    };
+  }
+
+  if (!UUID_PATTERN.test(trackId)) return null;
+
+  const { data: track, error } = await supabase
+    .from("music_tracks")
+    .select("id, title, url")
+    .eq("id", trackId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Supabase music fetch failed: ${error.message}`);
+  }
+
+  return track
+    ? { source: "user", id: track.id, title: track.title, url: track.url }
+    : null;
+}
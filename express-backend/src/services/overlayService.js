@@ -0,0 +1,274 @@
+import sharp from "sharp";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const FONT_DIR = fileURLToPath(new URL("../../assets/fonts/", import.meta.url));
+const MAX_CAPTION_LENGTH = 120;
+
+/**
+ * Font and layout themes for clip captions and title cards. Fonts are loaded
+ * from assets/fonts; if a file is missing, the system font named by `font`
+ * is used instead.
+ */
+export const OVERLAY_THEMES = {
+  classic: {
+    fontFile: "Inter-SemiBold.ttf",
+    font: "Inter SemiBold",
+    textColor: "#ffffff",
+    backdrop: "rgba(0,0,0,0.45)",
+    captionPosition: "bottom",
+    cardBackground: "#111111",
+    cardTextColor: "#ffffff",
+  },
+  typewriter: {
+    fontFile: "SpecialElite-Regular.ttf",
+    font: "Special Elite",
+    textColor: "#fdf6e3",
+    backdrop: "rgba(40,30,20,0.55)",
+    captionPosition: "bottom",
+    cardBackground: "#f4ecd8",
+    cardTextColor: "#3b2f2f",
+  },
+  bold: {
+    fontFile: "Anton-Regular.ttf",
+    font: "Anton",
+    textColor: "#ffe600",
+    backdrop: null,
+    captionPosition: "top",
+    cardBackground: "#ff3b30",
+    cardTextColor: "#ffffff",
+  },
+};
+export const DEFAULT_OVERLAY_THEME = "classic";
+
+// What is burned into each clip.
+export const CLIP_TEXT_MODES = ["none", "date", "caption", "date_and_caption"];
+
+export const TITLE_CARD_DURATION_SEC = 2.5;
+
+const escapeMarkup = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+async function getFontFile(theme) {
+  const fontPath = path.join(FONT_DIR, theme.fontFile);
+  try {
+    await fs.access(fontPath);
+    return fontPath;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Renders text onto a transparent PNG sized to fit it.
+ * @returns {Promise<{ data: Buffer, width: number, height: number }>}
+ */
+async function renderText(text, { theme, sizePx, maxWidth, color }) {
+  const { data, info } = await sharp({
+    text: {
+      text: `<span foreground="${color}">${escapeMarkup(text)}</span>`,
+      font: `${theme.font} ${sizePx}`,
+      fontfile: await getFontFile(theme),
+      width: maxWidth,
+      align: "center",
+      rgba: true,
+    },
+  })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Formats a clip's capture date as e.g. "Mon, Oct 13" in the user's time zone.
+ */
+function formatClipDate(clipDate, timeZone) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  }).format(new Date(clipDate));
+}
+
+/**
+ * Builds the title for a montage's intro card, e.g. "Week of Oct 13–19",
+ * "October 2026", "2026" or "Oct 3 – Nov 2, 2026".
+ * @param {object} montage A montages row.
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function formatMontageTitle(montage, timeZone) {
+  const start = new Date(montage.range_start);
+  const end = new Date(montage.range_end);
+  const format = (date, options) =>
+    new Intl.DateTimeFormat("en-US", { timeZone, ...options }).format(date);
+
+  switch (montage.preset || "week") {
+    case "year":
+      return format(start, { year: "numeric" });
+    case "month":
+      return format(start, { month: "long", year: "numeric" });
+    case "week": {
+      const startMonth = format(start, { month: "short" });
+      const endMonth = format(end, { month: "short" });
+      const startDay = format(start, { day: "numeric" });
+      const endDay = format(end, { day: "numeric" });
+      return startMonth === endMonth
+        ? `Week of ${startMonth} ${startDay}–${endDay}`
+        : `Week of ${startMonth} ${startDay} – ${endMonth} ${endDay}`;
+    }
+    default:
+      return `${format(start, { month: "short", day: "numeric" })} – ${format(
+        end,
+        { month: "short", day: "numeric", year: "numeric" }
+      )}`;
+  }
+}
+
+/**
+ * Renders the date stamp and/or caption for one clip as a full-frame
+ * transparent PNG, ready to be overlaid at 0:0.
+ * @param {object} clip A clips row.
+ * @param {object} options
+ * @param {string} options.clipText One of CLIP_TEXT_MODES.
+ * @param {string} options.theme A key of OVERLAY_THEMES.
+ * @param {string} options.timeZone
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {string} options.outputPath
+ * @returns {Promise<string|null>} The PNG path, or null if there is nothing to draw.
+ */
+export async function renderClipOverlay(clip, options) {
+  const { clipText, timeZone, width, height, outputPath } = options;
+  const theme = OVERLAY_THEMES[options.theme] || OVERLAY_THEMES.classic;
+
+  const lines = [];
+  if ((clipText === "date" || clipText === "date_and_caption") && clip.clip_date) {
+    lines.push(formatClipDate(clip.clip_date, timeZone));
+  }
+  if (
+    (clipText === "caption" || clipText === "date_and_caption") &&
+    clip.description
+  ) {
+    const caption = clip.description.trim();
+    lines.push(
+      caption.length > MAX_CAPTION_LENGTH
+        ? `${caption.slice(0, MAX_CAPTION_LENGTH - 1).trimEnd()}…`
+        : caption
+    );
+  }
+  if (lines.length === 0) return null;
+
+  const shortSide = Math.min(width, height);
+  const padding = Math.round(shortSide * 0.03);
+  const text = await renderText(lines.join("\n"), {
+    theme,
+    sizePx: Math.round(shortSide * 0.042),
+    maxWidth: Math.round(width * 0.84),
+    color: theme.textColor,
+  });
+
+  const boxWidth = text.width + padding * 2;
+  const boxHeight = text.height + padding * 2;
+  const left = Math.round((width - boxWidth) / 2);
+  const margin = Math.round(height * 0.07);
+  const top =
+    theme.captionPosition === "top" ? margin : height - margin - boxHeight;
+
+  const layers = [];
+  if (theme.backdrop) {
+    const backdrop = `<svg xmlns="http://www.w3.org/2000/svg" width="${boxWidth}" height="${boxHeight}"><rect width="100%" height="100%" rx="${padding}" fill="${theme.backdrop}"/></svg>`;
+    layers.push({ input: Buffer.from(backdrop), left, top });
+  }
+  layers.push({ input: text.data, left: left + padding, top: top + padding });
+
+  await sharp({
+    create: {
+      width,
+      height,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    },
+  })
+    .composite(layers)
+    .png()
+    .toFile(outputPath);
+  return outputPath;
+}
+
+/**
+ * Renders an intro or outro card as a PNG.
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} [options.subtitle] E.g. the user's name.
+ * @param {string} [options.photoPath] Local profile photo, drawn as a circle.
+ * @param {string} options.theme A key of OVERLAY_THEMES.
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {string} options.outputPath
+ * @returns {Promise<string>} The PNG path.
+ */
+export async function renderTitleCard(options) {
+  const { title, subtitle, photoPath, width, height, outputPath } = options;
+  const theme = OVERLAY_THEMES[options.theme] || OVERLAY_THEMES.classic;
+  const shortSide = Math.min(width, height);
+  const gap = Math.round(shortSide * 0.04);
+
+  // Build the column of elements, then center it vertically.
+  const items = [];
+  if (photoPath) {
+    const size = Math.round(shortSide * 0.28);
+    const mask = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}"><circle cx="${
+      size / 2
+    }" cy="${size / 2}" r="${size / 2}"/></svg>`;
+    const data = await sharp(photoPath)
+      .resize(size, size, { fit: "cover" })
+      .composite([{ input: Buffer.from(mask), blend: "dest-in" }])
+      .png()
+      .toBuffer();
+    items.push({ data, width: size, height: size });
+  }
+  items.push(
+    await renderText(title, {
+      theme,
+      sizePx: Math.round(shortSide * 0.08),
+      maxWidth: Math.round(width * 0.86),
+      color: theme.cardTextColor,
+    })
+  );
+  if (subtitle) {
+    items.push(
+      await renderText(subtitle, {
+        theme,
+        sizePx: Math.round(shortSide * 0.045),
+        maxWidth: Math.round(width * 0.86),
+        color: theme.cardTextColor,
+      })
+    );
+  }
+
+  const columnHeight =
+    items.reduce((sum, item) => sum + item.height, 0) + gap * (items.length - 1);
+  let top = Math.round((height - columnHeight) / 2);
+  const layers = items.map((item) => {
+    const layer = {
+      input: item.data,
+      left: Math.round((width - item.width) / 2),
+      top,
+    };
+    top += item.height + gap;
+    return layer;
+  });
+
+  await sharp({
+    create: { width, height, channels: 4, background: theme.cardBackground },
+  })
+    .composite(layers)
+    .flatten({ background: theme.cardBackground })
+    .png()
+    .toFile(outputPath);
+  return outputPath;
+}
@@ -0,0 +1,148 @@
+import { createHash } from "node:crypto";
+import { GoogleGenerativeAI, TaskType } from "@google/generative-ai";
+import sharp from "sharp";
+import { supabase } from "./supabaseService.js";
+import { storage } from "./storageService.js";
+import { dHash } from "./duplicateService.js";
+import { getKeyFromUrl } from "../utils/getKeyFromUrl.js";
+
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || "text-embedding-004";
+// The most texts batchEmbedContents accepts in one call.
+const EMBEDDING_BATCH_SIZE = 100;
+const LOCAL_EMBEDDING_DIMENSIONS = 256;
+
+const genAI = process.env.GOOGLE_API_KEY
+  ? new GoogleGenerativeAI(process.env.GOOGLE_API_KEY)
+  : null;
+
+const normalize = (vector) => {
+  const length = Math.hypot(...vector);
+  return length > 0 ? vector.map((v) => v / length) : vector;
+};
+
+/**
+ * Offline stand-in for a text embedding: words and word pairs hashed into
+ * a fixed-size vector. It only catches descriptions sharing wording, but is
+ * deterministic and free.
+ */
+function localEmbedding(text) {
+  const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+  const words = String(text || "").toLowerCase().match(/[a-z0-9']+/g) || [];
+  const terms = [
+    ...words.filter((word) => word.length > 2),
+    ...words.slice(1).map((word, i) => `${words[i]} ${word}`),
+  ];
+  for (const term of terms) {
+    const bucket =
+      createHash("md5").update(term).digest().readUInt32BE(0) %
+      LOCAL_EMBEDDING_DIMENSIONS;
+    vector[bucket] += 1;
+  }
+  return normalize(vector);
+}
+
+/**
+ * Embeds clip descriptions for similarity comparison, using Gemini's
+ * embedding model when an API key is set and falling back to a local
+ * bag-of-words vector otherwise or on failure.
+ * @param {string[]} texts
+ * @returns {Promise<{ vectors: number[][], source: "gemini"|"local" }>}
+ *   Unit-length vectors, one per text.
+ */
+export async function embedDescriptions(texts) {
+  if (genAI && texts.length > 0) {
+    try {
+      const model = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        const { embeddings } = await model.batchEmbedContents({
+          requests: texts.slice(i, i + EMBEDDING_BATCH_SIZE).map((text) => ({
+            content: { role: "user", parts: [{ text: text || "" }] },
+            taskType: TaskType.SEMANTIC_SIMILARITY,
+          })),
+        });
+        vectors.push(...embeddings.map(({ values }) => normalize(values)));
+      }
+      return { vectors, source: "gemini" };
+    } catch (error) {
+      console.error(
+        `Embedding with ${EMBEDDING_MODEL} failed, using local embeddings:`,
+        error.message
+      );
+    }
+  }
+  return { vectors: texts.map(localEmbedding), source: "local" };
+}
+
+/**
+ * @param {number[]} a Unit-length vector.
+ * @param {number[]} b Unit-length vector.
+ * @returns {number} -1..1
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * 64-bit difference hash of an image, for spotting near-identical
+ * thumbnails.
+ * @param {string|Buffer} image A file path or the image bytes.
+ * @returns {Promise<string>} 16 hex characters.
+ */
+export async function computeThumbnailHash(image) {
+  const pixels = await sharp(image)
+    .grayscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+  return dHash(pixels);
+}
+
+async function readStoredImage(key) {
+  const { stream } = await storage.getStream(key);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Thumbnail hashes for a set of clips. Clips stored before hashes were
+ * recorded are hashed from their stored thumbnail once and saved.
+ * @param {object[]} clips Rows with id, thumbnail_url and thumbnail_hash.
+ * @returns {Promise<Map<string, string>>} clip id -> hash, for the clips
+ *   whose thumbnail could be read.
+ */
+export async function getThumbnailHashes(clips) {
+  const hashes = new Map();
+  for (const clip of clips) {
+    if (hashes.has(clip.id)) continue;
+    if (clip.thumbnail_hash) {
+      hashes.set(clip.id, clip.thumbnail_hash);
+      continue;
+    }
+
+    const key = getKeyFromUrl(clip.thumbnail_url);
+    if (!key) continue;
+    try {
+      const hash = await computeThumbnailHash(await readStoredImage(key));
+      hashes.set(clip.id, hash);
+      const { error } = await supabase
+        .from("clips")
+        .update({ thumbnail_hash: hash })
+        .eq("id", clip.id);
+      if (error) {
+        console.error(
+          `Failed to save thumbnail hash of clip ${clip.id}: ${error.message}`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Failed to hash thumbnail of clip ${clip.id}:`,
+        error.message
+      );
+    }
+  }
+  return hashes;
+}
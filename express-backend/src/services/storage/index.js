@@ -0,0 +1,67 @@
+import path from "node:path";
+import { createS3Driver } from "./s3Driver.js";
+import { createSupabaseDriver } from "./supabaseDriver.js";
+import { createLocalDriver } from "./localDriver.js";
+
+/**
+ * @typedef {object} StorageDriver
+ * @property {string} name "s3", "supabase" or "local".
+ * @property {string|null} bucket
+ * @property {(key: string, body: Buffer|import("node:stream").Readable, options?: { contentType?: string, contentLength?: number, onProgress?: (progress: { loaded: number, total?: number }) => void }) => Promise<string>} put
+ *   Stores an object and returns its public URL.
+ * @property {(key: string) => Promise<{ stream: import("node:stream").Readable, contentLength?: number, contentType?: string }>} getStream
+ * @property {(key: string) => Promise<{ size: number, contentType?: string }|null>} head
+ *   Null if the object does not exist.
+ * @property {(key: string) => Promise<void>} delete
+ * @property {(key: string, options?: { method?: "GET"|"PUT", expiresIn?: number, contentType?: string }) => Promise<string>} getSignedUrl
+ *   A time-limited URL to download (GET) or upload (PUT) the object directly.
+ * @property {(prefix: string) => Promise<Array<{ key: string, size?: number, lastModified?: Date }>>} list
+ * @property {(key: string) => string} getPublicUrl
+ * @property {(url: string) => string|null} getKeyFromUrl
+ *   Inverse of getPublicUrl; throws on a malformed URL.
+ * @property {(key: string, options: { contentType?: string, partCount: number, expiresIn?: number }) => Promise<{ uploadId: string, parts: Array<{ partNumber: number, url: string }> }>} [createMultipartUpload]
+ *   Only on drivers that support direct multipart uploads (S3).
+ * @property {(key: string, uploadId: string, parts: Array<{ partNumber: number, etag: string }>) => Promise<void>} [completeMultipartUpload]
+ * @property {(key: string, uploadId: string) => Promise<void>} [abortMultipartUpload]
+ */
+
+export const STORAGE_DRIVERS = ["s3", "supabase", "local"];
+
+/**
+ * Builds the driver selected by STORAGE_DRIVER (default "s3").
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {StorageDriver}
+ */
+export function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || "s3";
+
+  switch (driver) {
+    case "s3":
+      return createS3Driver({
+        bucket: env.S3_BUCKET_NAME,
+        region: env.AWS_REGION,
+        credentials: {
+          accessKeyId: env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        },
+      });
+    case "supabase":
+      return createSupabaseDriver({
+        bucket: env.SUPABASE_STORAGE_BUCKET || "mylyfe",
+      });
+    case "local":
+      return createLocalDriver({
+        rootDir: env.LOCAL_STORAGE_DIR || path.resolve("storage"),
+        publicUrl:
+          env.LOCAL_STORAGE_PUBLIC_URL ||
+          `http://localhost:${env.PORT || 3001}/files`,
+        signingSecret: env.LOCAL_STORAGE_SECRET || "local-dev-secret",
+      });
+    default:
+      throw new Error(
+        `Unknown STORAGE_DRIVER "${driver}". Use one of: ${STORAGE_DRIVERS.join(", ")}.`
+      );
+  }
+}
+
+export const storage = createStorage();
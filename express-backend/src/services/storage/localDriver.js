@@ -0,0 +1,160 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { createReadStream, createWriteStream } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+// Content types are kept in a sidecar file next to each object.
+const META_SUFFIX = ".meta.json";
+
+/**
+ * Storage driver that keeps objects in a local directory, for running the
+ * backend offline. Files are served by the /files route (see routes/files.js).
+ * @param {object} config
+ * @param {string} config.rootDir Directory objects are stored in.
+ * @param {string} config.publicUrl Base URL the /files route is reachable at.
+ * @param {string} config.signingSecret Key for signed URLs.
+ * @returns {import("./index.js").StorageDriver}
+ */
+export function createLocalDriver({ rootDir, publicUrl, signingSecret }) {
+  const root = path.resolve(rootDir);
+  const baseUrl = publicUrl.replace(/\/+$/, "");
+
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  const sign = (method, key, expires) =>
+    createHmac("sha256", signingSecret)
+      .update(`${method}\n${key}\n${expires}`)
+      .digest("hex");
+
+  return {
+    name: "local",
+    bucket: null,
+    rootDir: root,
+
+    async put(key, body, { contentType, contentLength, onProgress } = {}) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      let loaded = 0;
+      const total = Buffer.isBuffer(body) ? body.length : contentLength;
+      const progress = new Transform({
+        transform(chunk, encoding, callback) {
+          loaded += chunk.length;
+          onProgress?.({ loaded, total });
+          callback(null, chunk);
+        },
+      });
+
+      // Write next to the target and rename, so readers never see half a file.
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.part`;
+      try {
+        const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+        await pipeline(source, progress, createWriteStream(tempPath));
+        await fs.rename(tempPath, filePath);
+        await fs.writeFile(
+          `${filePath}${META_SUFFIX}`,
+          JSON.stringify({ contentType: contentType || null })
+        );
+      } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+      return this.getPublicUrl(key);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      const { size } = await fs.stat(filePath);
+      return { stream: createReadStream(filePath), contentLength: size };
+    },
+
+    async head(key) {
+      const filePath = resolveKey(key);
+      try {
+        const { size } = await fs.stat(filePath);
+        const meta = await fs
+          .readFile(`${filePath}${META_SUFFIX}`, "utf8")
+          .then(JSON.parse)
+          .catch(() => ({}));
+        return { size, contentType: meta.contentType || undefined };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      const filePath = resolveKey(key);
+      for (const target of [filePath, `${filePath}${META_SUFFIX}`]) {
+        await fs.unlink(target).catch((error) => {
+          if (error.code !== "ENOENT") throw error;
+        });
+      }
+    },
+
+    async getSignedUrl(key, { method = "GET", expiresIn = 900 } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({
+        expires: String(expires),
+        signature: sign(method, key, expires),
+      });
+      return `${this.getPublicUrl(key)}?${query}`;
+    },
+
+    /**
+     * Checks a signature from a URL made by getSignedUrl.
+     * @returns {boolean}
+     */
+    verifySignature(method, key, expires, signature) {
+      if (!signature || !(Number(expires) * 1000 > Date.now())) return false;
+      const expected = Buffer.from(sign(method, key, expires));
+      const given = Buffer.from(String(signature));
+      return expected.length === given.length && timingSafeEqual(expected, given);
+    },
+
+    async list(prefix = "") {
+      let entries = [];
+      try {
+        entries = await fs.readdir(root, { recursive: true, withFileTypes: true });
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+
+      const objects = [];
+      for (const entry of entries) {
+        if (
+          !entry.isFile() ||
+          entry.name.endsWith(".part") ||
+          entry.name.endsWith(META_SUFFIX)
+        ) {
+          continue;
+        }
+        const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+        const key = path.relative(root, filePath).split(path.sep).join("/");
+        if (!key.startsWith(prefix)) continue;
+        const { size, mtime } = await fs.stat(filePath);
+        objects.push({ key, size, lastModified: mtime });
+      }
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    getPublicUrl(key) {
+      return `${baseUrl}/${key.split("/").map(encodeURIComponent).join("/")}`;
+    },
+
+    getKeyFromUrl(url) {
+      const { pathname } = new URL(url);
+      const basePath = new URL(baseUrl).pathname.replace(/\/+$/, "");
+      if (!pathname.startsWith(`${basePath}/`)) return null;
+      return decodeURIComponent(pathname.slice(basePath.length + 1));
+    },
+  };
+}
@@ -0,0 +1,207 @@
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  UploadPartCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+// Multipart uploads send the body in parts of this size, a few at a time,
+// so memory stays at roughly PART_SIZE * UPLOAD_QUEUE_SIZE per transfer.
+const PART_SIZE = 8 * 1024 * 1024;
+const UPLOAD_QUEUE_SIZE = 4;
+
+/**
+ * Storage driver backed by an AWS S3 bucket.
+ * @param {object} config
+ * @param {string} config.bucket
+ * @param {string} config.region
+ * @param {{ accessKeyId: string, secretAccessKey: string }} config.credentials
+ * @returns {import("./index.js").StorageDriver}
+ */
+export function createS3Driver({ bucket, region, credentials }) {
+  if (!bucket) {
+    throw new Error("S3_BUCKET_NAME is required for the s3 storage driver.");
+  }
+
+  const s3 = new S3Client({
+    region,
+    credentials,
+    // Otherwise presigned PUTs carry the checksum of an empty body, which
+    // S3 rejects once the real file arrives.
+    requestChecksumCalculation: "WHEN_REQUIRED",
+  });
+  const getPublicUrl = (key) =>
+    `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+
+  return {
+    name: "s3",
+    bucket,
+
+    async put(key, body, { contentType, contentLength, onProgress } = {}) {
+      const upload = new Upload({
+        client: s3,
+        params: {
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          ContentLength: contentLength,
+        },
+        partSize: PART_SIZE,
+        queueSize: UPLOAD_QUEUE_SIZE,
+      });
+      upload.on("httpUploadProgress", ({ loaded, total }) =>
+        onProgress?.({ loaded, total: contentLength ?? total })
+      );
+
+      await upload.done();
+      return getPublicUrl(key);
+    },
+
+    async getStream(key) {
+      const response = await s3.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return {
+        stream: response.Body,
+        contentLength: response.ContentLength,
+        contentType: response.ContentType,
+      };
+    },
+
+    async head(key) {
+      try {
+        const response = await s3.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return {
+          size: response.ContentLength,
+          contentType: response.ContentType,
+        };
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async getSignedUrl(key, { method = "GET", expiresIn = 900, contentType } = {}) {
+      const command =
+        method === "PUT"
+          ? new PutObjectCommand({
+              Bucket: bucket,
+              Key: key,
+              ContentType: contentType,
+            })
+          : new GetObjectCommand({ Bucket: bucket, Key: key });
+      // Signing the content type holds uploads to the type they were signed for.
+      return getSignedUrl(s3, command, {
+        expiresIn,
+        signableHeaders:
+          method === "PUT" && contentType ? new Set(["content-type"]) : undefined,
+      });
+    },
+
+    async createMultipartUpload(
+      key,
+      { contentType, partCount, expiresIn = 3600 }
+    ) {
+      const { UploadId: uploadId } = await s3.send(
+        new CreateMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          ContentType: contentType,
+        })
+      );
+
+      const parts = [];
+      for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+        parts.push({
+          partNumber,
+          url: await getSignedUrl(
+            s3,
+            new UploadPartCommand({
+              Bucket: bucket,
+              Key: key,
+              UploadId: uploadId,
+              PartNumber: partNumber,
+            }),
+            { expiresIn }
+          ),
+        });
+      }
+      return { uploadId, parts };
+    },
+
+    async completeMultipartUpload(key, uploadId, parts) {
+      await s3.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: {
+            Parts: [...parts]
+              .sort((a, b) => a.partNumber - b.partNumber)
+              .map(({ partNumber, etag }) => ({
+                PartNumber: partNumber,
+                ETag: etag,
+              })),
+          },
+        })
+      );
+    },
+
+    async abortMultipartUpload(key, uploadId) {
+      await s3.send(
+        new AbortMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+        })
+      );
+    },
+
+    async list(prefix) {
+      const objects = [];
+      let continuationToken;
+      do {
+        const response = await s3.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken: continuationToken,
+          })
+        );
+        for (const object of response.Contents || []) {
+          objects.push({
+            key: object.Key,
+            size: object.Size,
+            lastModified: object.LastModified,
+          });
+        }
+        continuationToken = response.IsTruncated
+          ? response.NextContinuationToken
+          : undefined;
+      } while (continuationToken);
+      return objects;
+    },
+
+    getPublicUrl,
+
+    getKeyFromUrl(url) {
+      // The key is the pathname without its leading '/'.
+      return new URL(url).pathname.substring(1);
+    },
+  };
+}
@@ -0,0 +1,149 @@
+import { Readable, Transform } from "node:stream";
+import { supabase } from "../supabaseService.js";
+
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Storage driver backed by a Supabase Storage bucket.
+ * @param {object} config
+ * @param {string} config.bucket
+ * @returns {import("./index.js").StorageDriver}
+ */
+export function createSupabaseDriver({ bucket }) {
+  const storage = () => supabase.storage.from(bucket);
+  const objectPathPattern = new RegExp(
+    `/storage/v1/object/(?:public|sign|authenticated)/${bucket}/(.+)$`
+  );
+
+  async function listFolder(folder, objects) {
+    for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+      const { data, error } = await storage().list(folder, {
+        limit: LIST_PAGE_SIZE,
+        offset,
+      });
+      if (error) {
+        throw new Error(`Supabase storage list failed: ${error.message}`);
+      }
+
+      for (const entry of data) {
+        const key = folder ? `${folder}/${entry.name}` : entry.name;
+        if (entry.id === null) {
+          // Folders come back without an id.
+          await listFolder(key, objects);
+        } else {
+          objects.push({
+            key,
+            size: entry.metadata?.size,
+            lastModified: entry.updated_at ? new Date(entry.updated_at) : undefined,
+          });
+        }
+      }
+      if (data.length < LIST_PAGE_SIZE) return;
+    }
+  }
+
+  return {
+    name: "supabase",
+    bucket,
+
+    async put(key, body, { contentType, contentLength, onProgress } = {}) {
+      // Supabase has no progress events, so count bytes as they go out.
+      let uploadBody = body;
+      if (body instanceof Readable) {
+        let loaded = 0;
+        uploadBody = body.pipe(
+          new Transform({
+            transform(chunk, encoding, callback) {
+              loaded += chunk.length;
+              onProgress?.({ loaded, total: contentLength });
+              callback(null, chunk);
+            },
+          })
+        );
+      }
+
+      const { error } = await storage().upload(key, uploadBody, {
+        contentType,
+        upsert: true,
+      });
+      if (error) {
+        throw new Error(`Supabase storage upload failed: ${error.message}`);
+      }
+      if (Buffer.isBuffer(body)) {
+        onProgress?.({ loaded: body.length, total: body.length });
+      }
+      return this.getPublicUrl(key);
+    },
+
+    async getStream(key) {
+      // download() buffers the whole object, so stream from a signed URL.
+      const url = await this.getSignedUrl(key, { expiresIn: 60 });
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(
+          `Supabase storage download failed: ${response.status} ${response.statusText}`
+        );
+      }
+      const contentLength = response.headers.get("content-length");
+      return {
+        stream: Readable.fromWeb(response.body),
+        contentLength: contentLength ? Number(contentLength) : undefined,
+        contentType: response.headers.get("content-type") || undefined,
+      };
+    },
+
+    async head(key) {
+      // exists() resolves false for a missing object and throws otherwise.
+      const { data: exists } = await storage().exists(key);
+      if (!exists) return null;
+
+      const { data, error } = await storage().info(key);
+      if (error) {
+        throw new Error(`Supabase storage lookup failed: ${error.message}`);
+      }
+      return {
+        size: data.size ?? data.metadata?.size,
+        contentType: data.contentType ?? data.metadata?.mimetype,
+      };
+    },
+
+    async delete(key) {
+      const { error } = await storage().remove([key]);
+      if (error) {
+        throw new Error(`Supabase storage delete failed: ${error.message}`);
+      }
+    },
+
+    async getSignedUrl(key, { method = "GET", expiresIn = 900 } = {}) {
+      // Signed upload URLs have a fixed lifetime set by Supabase.
+      const { data, error } =
+        method === "PUT"
+          ? await storage().createSignedUploadUrl(key, { upsert: true })
+          : await storage().createSignedUrl(key, expiresIn);
+      if (error) {
+        throw new Error(`Supabase storage signing failed: ${error.message}`);
+      }
+      return data.signedUrl;
+    },
+
+    async list(prefix = "") {
+      // Supabase lists one folder at a time, so walk down from the deepest
+      // folder in the prefix and filter on the rest.
+      const folder = prefix.includes("/")
+        ? prefix.slice(0, prefix.lastIndexOf("/"))
+        : "";
+      const objects = [];
+      await listFolder(folder, objects);
+      return objects.filter((object) => object.key.startsWith(prefix));
+    },
+
+    getPublicUrl(key) {
+      return storage().getPublicUrl(key).data.publicUrl;
+    },
+
+    getKeyFromUrl(url) {
+      const match = objectPathPattern.exec(new URL(url).pathname);
+      return match ? decodeURIComponent(match[1]) : null;
+    },
+  };
+}
@@ -0,0 +1,307 @@
+import { createReadStream, createWriteStream } from "node:fs";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { supabase } from "./supabaseService.js";
+import {
+  storage,
+  buildClipKey,
+  deleteFile,
+  logTransferProgress,
+} from "./storageService.js";
+import { queueClipProcessing } from "./clipIngestService.js";
+import { findJobIdByUploadUrl } from "./jobStatusService.js";
+
+// Unfinished uploads (and their chunks) are dropped after this long.
+export const TUS_UPLOAD_EXPIRES_MS = 24 * 60 * 60 * 1000;
+
+const CHUNK_PREFIX = "uploads/tus";
+
+const chunkPrefix = (uploadId) => `${CHUNK_PREFIX}/${uploadId}/`;
+// Zero-padded so chunk keys list in offset order. The random suffix gives
+// every request its own key, even when two PATCHes race for one offset.
+const chunkKey = (uploadId, offset) =>
+  `${chunkPrefix(uploadId)}${String(offset).padStart(12, "0")}-${randomUUID()}`;
+
+/**
+ * Thrown when a PATCH doesn't fit the upload's current state. `status` is
+ * the HTTP status the tus protocol expects for it.
+ */
+export class TusUploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Creates a resumable upload.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.uploadLength Total size in bytes.
+ * @param {string} params.filename
+ * @param {string} params.contentType
+ * @param {string} params.userPrompt
+ * @param {string} params.date The clip's capture date as sent by the client.
+ * @returns {Promise<object>} The clip_uploads row.
+ */
+export async function createUpload(params) {
+  const { data, error } = await supabase
+    .from("clip_uploads")
+    .insert({
+      user_id: params.userId,
+      upload_length: params.uploadLength,
+      filename: params.filename,
+      content_type: params.contentType,
+      user_prompt: params.userPrompt,
+      clip_date: params.date,
+      expires_at: new Date(Date.now() + TUS_UPLOAD_EXPIRES_MS).toISOString(),
+    })
+    .select("*")
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create upload: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Fetches one of a user's uploads.
+ * @returns {Promise<object|null>} Null if it doesn't exist or isn't theirs.
+ */
+export async function getUpload(userId, uploadId) {
+  const { data, error } = await supabase
+    .from("clip_uploads")
+    .select("*")
+    .eq("id", uploadId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch upload: ${error.message}`);
+  }
+  return data;
+}
+
+export const isExpired = (upload) =>
+  upload.status !== "complete" && new Date(upload.expires_at) <= new Date();
+
+/**
+ * Receives the body of a PATCH request at `offset`. Whatever arrives before
+ * the connection drops is kept, so the client can resume from there. Once
+ * the last byte is in, the chunks are assembled into the clip and handed to
+ * the processing pipeline.
+ * @param {object} upload The clip_uploads row.
+ * @param {number} offset The client's Upload-Offset.
+ * @param {import("node:stream").Readable} body The request stream.
+ * @returns {Promise<object>} The updated row.
+ */
+export async function appendChunk(upload, offset, body) {
+  if (offset !== Number(upload.upload_offset)) {
+    throw new TusUploadError(409, "Upload-Offset does not match the upload.");
+  }
+
+  const remaining = Number(upload.upload_length) - offset;
+  const tempPath = path.join(os.tmpdir(), `tus-${upload.id}-${randomUUID()}`);
+  let received = 0;
+  let tooLarge = false;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        tooLarge = true;
+        return callback(new Error("Chunk exceeds Upload-Length."));
+      }
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    try {
+      await pipeline(body, limit, createWriteStream(tempPath));
+    } catch (error) {
+      if (tooLarge) {
+        throw new TusUploadError(413, "Chunk exceeds Upload-Length.");
+      }
+      // The client went away mid-chunk; keep what made it to disk.
+      console.warn(
+        `Upload ${upload.id} interrupted after ${received} bytes: ${error.message}`
+      );
+    }
+
+    const { size } = await fs.stat(tempPath);
+    if (size > 0) {
+      const key = chunkKey(upload.id, offset);
+      await storage.put(key, createReadStream(tempPath), {
+        contentType: "application/octet-stream",
+        contentLength: size,
+      });
+
+      // Only the request that started at the current offset may move it
+      // and commit its chunk.
+      const { data, error } = await supabase
+        .from("clip_uploads")
+        .update({
+          upload_offset: offset + size,
+          chunk_keys: [...(upload.chunk_keys || []), key],
+        })
+        .eq("id", upload.id)
+        .eq("upload_offset", offset)
+        .select("*");
+
+      if (error || data.length === 0) {
+        await deleteFile(key);
+        if (error) {
+          throw new Error(`Failed to record chunk: ${error.message}`);
+        }
+        throw new TusUploadError(409, "Upload-Offset does not match the upload.");
+      }
+      upload = data[0];
+    }
+  } finally {
+    await fs.unlink(tempPath).catch(() => {});
+  }
+
+  if (Number(upload.upload_offset) === Number(upload.upload_length)) {
+    upload = await finishUpload(upload);
+  }
+  return upload;
+}
+
+/**
+ * Streams the committed chunks of an upload, in order, as a single stream.
+ */
+async function* readChunks(upload) {
+  let keys = upload.chunk_keys || [];
+  if (keys.length === 0 && Number(upload.upload_offset) > 0) {
+    // Started before chunk keys were recorded.
+    keys = (await storage.list(chunkPrefix(upload.id)))
+      .map((chunk) => chunk.key)
+      .sort();
+  }
+  for (const key of keys) {
+    const { stream } = await storage.getStream(key);
+    yield* stream;
+  }
+}
+
+/**
+ * Picks the clip key an upload is assembled into. The key is saved on the
+ * row first so a retry reuses it, and with it the job already queued.
+ * @returns {Promise<string>}
+ */
+async function reserveFinalKey(upload) {
+  if (upload.final_key) return upload.final_key;
+
+  const key = await buildClipKey(upload.user_id, upload.filename);
+  const { data, error } = await supabase
+    .from("clip_uploads")
+    .update({ final_key: key })
+    .eq("id", upload.id)
+    .is("final_key", null)
+    .select("final_key");
+
+  if (error) {
+    throw new Error(`Failed to reserve clip key: ${error.message}`);
+  }
+  if (data.length > 0) return key;
+
+  // Another request reserved one first.
+  const current = await getUpload(upload.user_id, upload.id);
+  return current.final_key;
+}
+
+/**
+ * Assembles a fully received upload into a clip and starts processing it.
+ * Safe to call again if a previous attempt failed part way: the clip is
+ * queued for processing only once.
+ * @param {object} upload The clip_uploads row.
+ * @returns {Promise<object>} The updated row.
+ */
+async function finishUpload(upload) {
+  const key = await reserveFinalKey(upload);
+  const location = await storage.put(key, Readable.from(readChunks(upload)), {
+    contentType: upload.content_type,
+    contentLength: Number(upload.upload_length),
+    onProgress: logTransferProgress(`Assembling ${key}`),
+  });
+
+  const jobId =
+    (await findJobIdByUploadUrl(upload.user_id, location)) ||
+    (await queueClipProcessing({
+      userId: upload.user_id,
+      file: {
+        key,
+        bucket: storage.bucket,
+        location,
+        originalname: upload.filename || key.split("/").pop(),
+      },
+      userPrompt: upload.user_prompt,
+      date: upload.clip_date,
+    }));
+
+  const { data, error } = await supabase
+    .from("clip_uploads")
+    .update({ status: "complete", final_key: key, job_id: jobId })
+    .eq("id", upload.id)
+    .select("*")
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to mark upload complete: ${error.message}`);
+  }
+
+  await deleteChunks(upload.id);
+  return data;
+}
+
+async function deleteChunks(uploadId) {
+  const chunks = await storage.list(chunkPrefix(uploadId));
+  for (const chunk of chunks) {
+    await deleteFile(chunk.key);
+  }
+}
+
+/**
+ * Cancels an unfinished upload and removes whatever was received.
+ * @param {object} upload The clip_uploads row.
+ */
+export async function terminateUpload(upload) {
+  await deleteChunks(upload.id);
+
+  const { error } = await supabase
+    .from("clip_uploads")
+    .delete()
+    .eq("id", upload.id)
+    .eq("status", "uploading");
+
+  if (error) {
+    throw new Error(`Failed to delete upload: ${error.message}`);
+  }
+}
+
+/**
+ * Removes unfinished uploads past their expiry date, along with their
+ * chunks. Finished uploads are kept; they record the job they started.
+ * @returns {Promise<number>} How many uploads were removed.
+ */
+export async function deleteExpiredUploads() {
+  const { data, error } = await supabase
+    .from("clip_uploads")
+    .select("id, status")
+    .eq("status", "uploading")
+    .lt("expires_at", new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to fetch expired uploads: ${error.message}`);
+  }
+
+  for (const upload of data) {
+    await terminateUpload(upload);
+  }
+  return data.length;
+}
@@ -0,0 +1,74 @@
+import { supabase } from "./supabaseService.js";
+import {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_WEEK_START_DAY,
+  isValidTimeZone,
+} from "../utils/date.js";
+
+/**
+ * Loads the settings that decide how a user's clips are bucketed into weeks.
+ * Falls back to the defaults if the profile is missing or unreadable so a
+ * lookup failure never blocks an upload.
+ * @param {string} userId
+ * @returns {Promise<{ timeZone: string, weekStartDay: number }>}
+ */
+export async function getWeekSettings(userId) {
+  const { data: profile, error } = await supabase
+    .from("profiles")
+    .select("timezone, week_start_day")
+    .eq("id", userId)
+    .single();
+
+  if (error && error.code !== "PGRST116") {
+    console.error(`Failed to load week settings for user ${userId}:`, error);
+  }
+
+  return toWeekSettings(profile);
+}
+
+/**
+ * Normalizes a profiles row into week settings, applying the defaults.
+ * @param {{ timezone?: string, week_start_day?: number }|null} profile
+ * @returns {{ timeZone: string, weekStartDay: number }}
+ */
+export function toWeekSettings(profile) {
+  return {
+    timeZone: isValidTimeZone(profile?.timezone)
+      ? profile.timezone
+      : DEFAULT_TIME_ZONE,
+    weekStartDay: Number.isInteger(profile?.week_start_day)
+      ? profile.week_start_day
+      : DEFAULT_WEEK_START_DAY,
+  };
+}
+
+// What happens when a user uploads a clip they already have:
+// "reject" drops the upload, "link" returns the existing clip instead, and
+// "mark" keeps it as a duplicate that montages leave out.
+export const DUPLICATE_HANDLING_MODES = ["reject", "link", "mark"];
+export const DEFAULT_DUPLICATE_HANDLING = "mark";
+
+/**
+ * Loads how the user wants duplicate uploads handled, falling back to the
+ * default if the profile is missing or unreadable.
+ * @param {string} userId
+ * @returns {Promise<string>} One of DUPLICATE_HANDLING_MODES.
+ */
+export async function getDuplicateHandling(userId) {
+  const { data: profile, error } = await supabase
+    .from("profiles")
+    .select("duplicate_handling")
+    .eq("id", userId)
+    .single();
+
+  if (error && error.code !== "PGRST116") {
+    console.error(
+      `Failed to load duplicate handling for user ${userId}:`,
+      error
+    );
+  }
+
+  return DUPLICATE_HANDLING_MODES.includes(profile?.duplicate_handling)
+    ? profile.duplicate_handling
+    : DEFAULT_DUPLICATE_HANDLING;
+}
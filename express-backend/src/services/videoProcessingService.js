@@ -1,19 +1,94 @@
 import { supabase } from "./supabaseService.js";
-import { getUpcomingSunday } from "../utils/date.js";
-import { analyzeVideoWithGemini } from "./geminiService.js";
+import { getWeekEndDate, toDateKey } from "../utils/date.js";
+import {
+  getWeekSettings,
+  getDuplicateHandling,
+} from "./userSettingsService.js";
+import { analyzeVideo, computeClipScore } from "./analysis/index.js";
 import {
   generateThumbnail,
   compressVideo,
   getVideoDuration, // <--- Added import
+  getVideoMetadata,
 } from "./ffmpegService.js";
-import { uploadBufferToS3 } from "./s3Service.js";
+import { uploadFile, downloadFile, deleteFile } from "./storageService.js";
+import {
+  hashFile,
+  computeFingerprint,
+  findDuplicateClip,
+} from "./duplicateService.js";
 import { updateJob } from "./jobStatusService.js";
-import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { computeThumbnailHash } from "./similarityService.js";
+import {
+  buildCompressedKey,
+  recordClipAnalysis,
+} from "./clipAnalysisService.js";
 import fs from "node:fs/promises";
 import path from "node:path";
 import sharp from "sharp";
 
-const s3 = new S3Client({ region: process.env.AWS_REGION });
+// Client and file dates further apart than this are flagged for review.
+const DATE_MISMATCH_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Picks the clip's capture date: the file's own metadata first, then the
+ * date the client sent, then the upload time.
+ * @param {Date|null} capturedAt From getVideoMetadata.
+ * @param {string} [clientDate]
+ * @param {Date} uploadedAt
+ * @returns {{ clipDate: Date, source: string, clientDate: Date|null, mismatch: boolean }}
+ */
+function resolveClipDate(capturedAt, clientDate, uploadedAt) {
+  const client = clientDate ? new Date(clientDate) : null;
+  const validClient = client && !isNaN(client.getTime()) ? client : null;
+
+  if (capturedAt) {
+    return {
+      clipDate: capturedAt,
+      source: "metadata",
+      clientDate: validClient,
+      mismatch:
+        !!validClient &&
+        Math.abs(validClient - capturedAt) > DATE_MISMATCH_TOLERANCE_MS,
+    };
+  }
+  if (validClient) {
+    return {
+      clipDate: validClient,
+      source: "client",
+      clientDate: validClient,
+      mismatch: false,
+    };
+  }
+  return {
+    clipDate: uploadedAt,
+    source: "upload",
+    clientDate: null,
+    mismatch: false,
+  };
+}
+
+/**
+ * Reuses an existing clip's analysis for a duplicate of it, clamping the
+ * trim to the new file's length.
+ */
+function analysisFromClip(clip, videoDuration) {
+  const endSec = videoDuration
+    ? Math.min(clip.end_sec, videoDuration)
+    : clip.end_sec;
+  return {
+    startSec: Math.min(clip.start_sec, endSec),
+    endSec,
+    description: clip.description,
+    scores: {
+      relevance: clip.relevance,
+      quality: clip.quality,
+      confidence: clip.confidence,
+    },
+    provider: clip.analysis_provider,
+    model: clip.analysis_model,
+  };
+}
 
 async function getImageDimensions(imagePath) {
   const { width, height } = await sharp(imagePath).metadata();
@@ -21,24 +96,32 @@ async function getImageDimensions(imagePath) {
   return { width, height };
 }
 
-async function downloadFileFromS3(bucket, key, downloadPath) {
-  console.log(`Downloading ${key} from S3 to ${downloadPath}...`);
-  const command = new GetObjectCommand({ Bucket: bucket, Key: key });
-  const response = await s3.send(command);
+/**
+ * The clip an earlier attempt of this job already saved for the upload.
+ * @returns {Promise<object|null>}
+ */
+async function findSavedClip(userId, clipUrl) {
+  const { data, error } = await supabase
+    .from("clips")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("clip_url", clipUrl)
+    .limit(1);
 
-  const stream = response.Body;
-  const chunks = [];
-  for await (const chunk of stream) {
-    chunks.push(chunk);
+  if (error) {
+    throw new Error(`Supabase clip lookup failed: ${error.message}`);
   }
-  const buffer = Buffer.concat(chunks);
-  await fs.writeFile(downloadPath, buffer);
-  console.log(`Successfully downloaded ${key}.`);
+  return data[0] || null;
 }
 
-export async function processVideoInBackground(jobData) {
-  const { file, user, userPrompt, date, jobId } = jobData;
-  const { key: s3Key, bucket: s3Bucket, location: clipUrl } = file;
+/**
+ * Queue handler: processes an uploaded clip and saves it.
+ * @param {object} jobData
+ * @param {{ signal?: AbortSignal }} [options] Aborted when the worker loses the job.
+ */
+export async function processVideoInBackground(jobData, { signal } = {}) {
+  const { file, user, userPrompt, date, jobId, uploadedAt } = jobData;
+  const { key: s3Key, location: clipUrl } = file;
   const userId = user.id;
 
   const tempDir = "/tmp/mylyfe-processing";
@@ -46,20 +129,35 @@ export async function processVideoInBackground(jobData) {
   const originalPath = path.join(tempDir, `${uniqueId}_original.mp4`);
   const thumbnailPath = path.join(tempDir, `${uniqueId}_thumb.jpg`);
   const compressedPath = path.join(tempDir, `${uniqueId}_compressed.mp4`);
-  const weekEndDate = getUpcomingSunday();
-
   const tempFiles = [originalPath, thumbnailPath, compressedPath];
 
   try {
     console.log(`Starting background processing for ${s3Key}`);
     await fs.mkdir(tempDir, { recursive: true });
 
+    // A retried job whose clip was saved before it failed only has to
+    // finish the job record; processing again would duplicate the clip.
+    const savedClip = await findSavedClip(userId, clipUrl);
+    if (savedClip) {
+      console.log(`Clip ${s3Key} was already saved as ${savedClip.id}.`);
+      if (jobId) {
+        const { user_id: _userId, ...clipPayload } = savedClip;
+        await updateJob(jobId, {
+          status: "completed",
+          clipId: savedClip.id,
+          clip: clipPayload,
+          duplicateOf: savedClip.duplicate_of,
+        });
+      }
+      return;
+    }
+
     if (jobId) {
       await updateJob(jobId, { status: "processing" });
     }
 
-    // 1. Download original video from S3
-    await downloadFileFromS3(s3Bucket, s3Key, originalPath);
+    // 1. Download original video from storage
+    await downloadFile(s3Key, originalPath);
 
     // --- NEW: Get Duration immediately after download ---
     // We check the original file to be safe, though the compressed one would likely have the same duration.
@@ -67,59 +165,156 @@ export async function processVideoInBackground(jobData) {
     console.log(`Video duration detected: ${videoDuration} seconds`);
     // ----------------------------------------------------
 
-    // 2. Generate thumbnail and compress video (can run in parallel)
+    // Bucket by when the clip was recorded, in the user's zone, so a clip
+    // uploaded days later still lands in the week it was filmed.
+    const metadata = await getVideoMetadata(originalPath);
+    const captureDate = resolveClipDate(
+      metadata.capturedAt,
+      date,
+      uploadedAt ? new Date(uploadedAt) : new Date()
+    );
+    if (captureDate.mismatch) {
+      console.warn(
+        `Clip ${s3Key}: client date ${captureDate.clientDate.toISOString()} ` +
+          `disagrees with recorded date ${captureDate.clipDate.toISOString()}.`
+      );
+    }
+    const weekSettings = await getWeekSettings(userId);
+    const weekEndDate = getWeekEndDate(captureDate.clipDate, weekSettings);
+
+    // Catch re-uploads before paying for another analysis.
+    const [contentHash, fingerprint] = await Promise.all([
+      hashFile(originalPath),
+      computeFingerprint(originalPath, videoDuration),
+    ]);
+    const duplicate = await findDuplicateClip(userId, {
+      clipUrl,
+      contentHash,
+      fingerprint,
+      durationSec: videoDuration,
+    });
+
+    signal?.throwIfAborted();
+    if (duplicate) {
+      const handling = await getDuplicateHandling(userId);
+      console.log(
+        `Clip ${s3Key} is a ${duplicate.match} duplicate of ${duplicate.clip.id} (${handling}).`
+      );
+
+      if (handling !== "mark") {
+        // Nothing new to keep: drop the upload and point at the original.
+        await deleteFile(s3Key);
+        if (jobId) {
+          await updateJob(jobId, {
+            status: handling === "reject" ? "duplicate" : "completed",
+            clipId: duplicate.clip.id,
+            duplicateOf: duplicate.clip.id,
+            error:
+              handling === "reject"
+                ? "This video has already been uploaded."
+                : undefined,
+          });
+        }
+        return;
+      }
+    }
+
+    // 2. Generate thumbnail and compress video (can run in parallel).
+    // The compressed copy is only needed for analysis.
     await Promise.all([
       generateThumbnail(originalPath, thumbnailPath),
-      compressVideo(originalPath, compressedPath),
+      duplicate ? null : compressVideo(originalPath, compressedPath),
     ]);
 
-    // 3. Upload thumbnail to S3
-    const thumbnailKey = `clips/thumbnails/${userId}/${
-      weekEndDate.toISOString().split("T")[0]
-    }/${uniqueId}.jpg`;
-    const thumbnailUploadPromise = fs
-      .readFile(thumbnailPath)
-      .then((buffer) => uploadBufferToS3(buffer, thumbnailKey, "image/jpeg"));
-
-    // 4. Analyze the *compressed* video with Gemini
-    const analysisPromise = analyzeVideoWithGemini({
-      localPath: compressedPath,
-      userPrompt,
-      videoDuration, // <--- Passing the duration here
-    });
+    // 3. Upload thumbnail to storage
+    const thumbnailKey = `clips/thumbnails/${userId}/${toDateKey(
+      weekEndDate
+    )}/${uniqueId}.jpg`;
+    const thumbnailUploadPromise = uploadFile(
+      thumbnailPath,
+      thumbnailKey,
+      "image/jpeg"
+    );
+
+    // 4. Analyze the *compressed* video, falling back through the
+    // configured providers (duplicates reuse the original's analysis)
+    const analysisPromise = duplicate
+      ? analysisFromClip(duplicate.clip, videoDuration)
+      : analyzeVideo({
+          localPath: compressedPath,
+          userPrompt,
+          contentHash,
+          videoDuration, // <--- Passing the duration here
+        });
 
-    // 5. Wait for analysis and thumbnail upload to complete
-    const [thumbnailUrl, analysisResult] = await Promise.all([
+    // Keep the compressed copy so the clip can be re-analyzed later.
+    const compressedUploadPromise = duplicate
+      ? null
+      : uploadFile(
+          compressedPath,
+          buildCompressedKey(userId, weekEndDate),
+          "video/mp4"
+        );
+
+    // 5. Wait for analysis and uploads to complete
+    const [thumbnailUrl, analysisResult, compressedUrl] = await Promise.all([
       thumbnailUploadPromise,
       analysisPromise,
+      compressedUploadPromise,
     ]);
 
     console.log(`Thumbnail uploaded to ${thumbnailUrl}`);
 
+    if (jobId && analysisResult.issues?.length > 0) {
+      await updateJob(jobId, {
+        status: "processing",
+        validationIssues: analysisResult.issues,
+      });
+    }
+
     const { width, height } = await getImageDimensions(thumbnailPath);
+    // Lets montage selection spot near-identical shots.
+    const thumbnailHash = await computeThumbnailHash(thumbnailPath);
 
     // 6. Prepare data for Supabase
     const clipData = {
       user_id: userId,
       clip_url: clipUrl, // URL of the original, full-quality video
       thumbnail_url: thumbnailUrl, // URL of the new thumbnail
+      thumbnail_hash: thumbnailHash,
       start_sec: analysisResult.startSec,
       end_sec: analysisResult.endSec,
+      duration_sec: videoDuration || null,
       description: analysisResult.description,
       relevance: analysisResult.scores.relevance,
       quality: analysisResult.scores.quality,
       confidence: analysisResult.scores.confidence,
-      score:
-        analysisResult.scores.relevance * 0.7 +
-        analysisResult.scores.quality * 0.2 +
-        analysisResult.scores.confidence * 0.1,
-      clip_date: new Date(date),
+      score: computeClipScore(analysisResult.scores),
+      analysis_provider: analysisResult.provider,
+      analysis_model: analysisResult.model,
+      user_prompt: userPrompt || null,
+      compressed_url: compressedUrl,
+      clip_date: captureDate.clipDate,
+      clip_date_source: captureDate.source,
+      client_date: captureDate.clientDate,
+      date_mismatch: captureDate.mismatch,
       week_end_date: weekEndDate,
+      latitude: metadata.location?.latitude ?? null,
+      longitude: metadata.location?.longitude ?? null,
+      altitude: metadata.location?.altitude ?? null,
+      device_make: metadata.deviceMake,
+      device_model: metadata.deviceModel,
+      content_hash: contentHash,
+      fingerprint,
+      // Marked duplicates stay in the library but out of montages unless
+      // the user pins them; `excluded` is left for the user's own choice.
+      duplicate_of: duplicate ? duplicate.clip.id : null,
       width: width,
       height: height,
     };
 
     // 7. Insert into Supabase
+    signal?.throwIfAborted();
     console.log("Inserting clip data into Supabase...");
     const { data: insertedClips, error } = await supabase
       .from("clips")
@@ -131,25 +326,53 @@ export async function processVideoInBackground(jobData) {
       throw new Error(`Supabase insert failed: ${error.message}`);
     }
 
-    const clipRecord =
+    let clipRecord =
       insertedClips && insertedClips[0] ? insertedClips[0] : null;
 
-    console.log(`Successfully processed and saved clip ${s3Key}`);
-
-    // 8. Update user profile by incrementing week_vids_count
-    const { data, error: userError } = await supabase.rpc(
-      "increment_week_vids_count",
-      {
-        p_row_id: userId,
+    // Start the clip's analysis history. The clip is already saved, so a
+    // failure here is logged rather than retried.
+    if (clipRecord) {
+      try {
+        const version = await recordClipAnalysis(
+          clipRecord,
+          analysisResult,
+          userPrompt
+        );
+        const { data: updated, error: activeError } = await supabase
+          .from("clips")
+          .update({ active_analysis_id: version.id })
+          .eq("id", clipRecord.id)
+          .select()
+          .single();
+        if (activeError) throw activeError;
+        clipRecord = updated;
+      } catch (historyError) {
+        console.error(
+          `Failed to record analysis history for clip ${clipRecord.id}:`,
+          historyError
+        );
       }
-    );
+    }
 
-    if (userError) {
-      console.error(
-        `Failed to update user ${userId} profile: ${userError.message}`
+    console.log(`Successfully processed and saved clip ${s3Key}`);
+
+    // 8. Update user profile by incrementing week_vids_count. Duplicates
+    // don't count as new videos.
+    if (!duplicate) {
+      const { data, error: userError } = await supabase.rpc(
+        "increment_week_vids_count",
+        {
+          p_row_id: userId,
+        }
       );
-    } else {
-      console.log(`User ${userId} profile updated successfully.`);
+
+      if (userError) {
+        console.error(
+          `Failed to update user ${userId} profile: ${userError.message}`
+        );
+      } else {
+        console.log(`User ${userId} profile updated successfully.`);
+      }
     }
 
     if (jobId) {
@@ -162,17 +385,14 @@ export async function processVideoInBackground(jobData) {
         status: "completed",
         clipId: clipRecord ? clipRecord.id : null,
         clip: clipPayload,
+        duplicateOf: duplicate?.clip.id,
       });
     }
   } catch (error) {
     console.error(`[FAIL] Background processing for ${s3Key} failed:`, error);
-    if (jobId) {
-      await updateJob(jobId, {
-        status: "failed",
-        error: error.message || "Processing failed",
-      });
-    }
-    // Optional: Here you could update a status in your DB to reflect the failure.
+    // Rethrow so the queue worker can retry. It marks the job as failed
+    // once all attempts are used up.
+    throw error;
   } finally {
     // 8. Clean up all temporary files
     console.log("Cleaning up temporary files...");
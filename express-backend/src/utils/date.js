@@ -1,24 +1,201 @@
+export const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || "UTC";
+export const DEFAULT_WEEK_START_DAY = 1; // Monday, so weeks end on Sunday.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks that a string is an IANA time zone name the runtime understands.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the wall-clock date and time of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+export function getZonedDateParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const values = {};
+  for (const { type, value } of parts) {
+    if (type !== "literal") values[type] = Number(value);
+  }
+  return values;
+}
+
 /**
- * Calculates the date of the upcoming Sunday at 23:59:59.
- * If today is Sunday, it returns today.
+ * Converts a wall-clock time in a time zone to the matching instant.
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number, second?: number, ms?: number }} wallTime
+ * @param {string} timeZone
  * @returns {Date}
  */
-export function getUpcomingSunday() {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const currentDay = today.getDay(); // 0 for Sunday, 1 for Monday, etc.
+export function zonedTimeToUtc(wallTime, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0, ms = 0 } =
+    wallTime;
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second, ms);
 
-  // Calculate days until next Sunday.
-  // If today is Sunday (0), we want 0.
-  // If today is Monday (1), we want 6 (7-1).
-  // Formula: (7 - currentDay) % 7
-  const daysUntilSunday = (7 - currentDay) % 7;
+  // Guess the offset, then correct once more in case the guess crossed a DST change.
+  let guess = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedDateParts(new Date(guess), timeZone);
+    const zoned = Date.UTC(
+      p.year,
+      p.month - 1,
+      p.day,
+      p.hour,
+      p.minute,
+      p.second
+    );
+    const offset = zoned - Math.floor(guess / 1000) * 1000;
+    guess = asUtc - offset;
+  }
+  return new Date(guess);
+}
 
-  const upcomingSunday = new Date(today);
-  upcomingSunday.setDate(today.getDate() + daysUntilSunday);
+/**
+ * Returns the week bucket a moment belongs to for a user.
+ *
+ * Buckets are stored as the last local day of the week at 23:59:59.999Z, so
+ * `toISOString().split("T")[0]` is always the user's calendar date regardless
+ * of where the server runs. Use getWeekWindow for the real start/end instants.
+ * @param {Date} [date=new Date()]
+ * @param {object} [settings]
+ * @param {string} [settings.timeZone] IANA zone name.
+ * @param {number} [settings.weekStartDay] 0 (Sunday) to 6 (Saturday).
+ * @returns {Date}
+ */
+export function getWeekEndDate(date = new Date(), settings = {}) {
+  const {
+    timeZone = DEFAULT_TIME_ZONE,
+    weekStartDay = DEFAULT_WEEK_START_DAY,
+  } = settings;
+
+  const { year, month, day } = getZonedDateParts(date, timeZone);
+  const localDay = new Date(Date.UTC(year, month - 1, day));
 
-  // Set time to the very end of the day
-  upcomingSunday.setHours(23, 59, 59, 999);
+  const weekEndDay = (weekStartDay + 6) % 7;
+  const daysUntilWeekEnd = (weekEndDay - localDay.getUTCDay() + 7) % 7;
+
+  localDay.setUTCDate(localDay.getUTCDate() + daysUntilWeekEnd);
+  localDay.setUTCHours(23, 59, 59, 999);
+  return localDay;
+}
+
+/**
+ * Returns the instants at which a week bucket starts and ends in a time zone.
+ * @param {Date|string} weekEndDate A bucket as returned by getWeekEndDate.
+ * @param {object} [settings]
+ * @param {string} [settings.timeZone]
+ * @returns {{ start: Date, end: Date }}
+ */
+export function getWeekWindow(weekEndDate, settings = {}) {
+  const lastDay = new Date(weekEndDate);
+  const firstDay = new Date(lastDay.getTime() - 6 * DAY_MS);
 
-  return upcomingSunday;
-}
\ No newline at end of file
+  const toParts = (d) => ({
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+  });
+  return getDayRangeWindow(toParts(firstDay), toParts(lastDay), settings);
+}
+
+/**
+ * Formats a week bucket as YYYY-MM-DD for storage keys and query params.
+ * @param {Date|string} weekEndDate
+ * @returns {string}
+ */
+export function toDateKey(weekEndDate) {
+  return new Date(weekEndDate).toISOString().split("T")[0];
+}
+
+/**
+ * Returns the instants bounding a calendar month in a time zone.
+ * @param {Date} date Any moment inside the month.
+ * @param {object} [settings]
+ * @param {string} [settings.timeZone]
+ * @returns {{ start: Date, end: Date }}
+ */
+export function getMonthWindow(date, settings = {}) {
+  const { timeZone = DEFAULT_TIME_ZONE } = settings;
+  const { year, month } = getZonedDateParts(date, timeZone);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return getDayRangeWindow(
+    { year, month, day: 1 },
+    { year, month, day: lastDay },
+    settings
+  );
+}
+
+/**
+ * Returns the instants bounding a calendar year in a time zone.
+ * @param {Date} date Any moment inside the year.
+ * @param {object} [settings]
+ * @param {string} [settings.timeZone]
+ * @returns {{ start: Date, end: Date }}
+ */
+export function getYearWindow(date, settings = {}) {
+  const { timeZone = DEFAULT_TIME_ZONE } = settings;
+  const { year } = getZonedDateParts(date, timeZone);
+  return getDayRangeWindow(
+    { year, month: 1, day: 1 },
+    { year, month: 12, day: 31 },
+    settings
+  );
+}
+
+/**
+ * Parses a YYYY-MM-DD string into calendar parts.
+ * @param {string} value
+ * @returns {{ year: number, month: number, day: number }|null} Null if invalid.
+ */
+export function parseDateKey(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+/**
+ * Returns the instants bounding an inclusive range of calendar days in a time zone.
+ * @param {{ year: number, month: number, day: number }} firstDay
+ * @param {{ year: number, month: number, day: number }} lastDay
+ * @param {object} [settings]
+ * @param {string} [settings.timeZone]
+ * @returns {{ start: Date, end: Date }}
+ */
+export function getDayRangeWindow(firstDay, lastDay, settings = {}) {
+  const { timeZone = DEFAULT_TIME_ZONE } = settings;
+  return {
+    start: zonedTimeToUtc(firstDay, timeZone),
+    end: zonedTimeToUtc(
+      { ...lastDay, hour: 23, minute: 59, second: 59, ms: 999 },
+      timeZone
+    ),
+  };
+}
@@ -1,14 +1,14 @@
+import { storage } from "../services/storage/index.js";
+
 /**
- * Extracts the S3 key from a full S3 URL.
- * @param {string} url The S3 URL.
- * @returns {string|null} The S3 key or null if the URL is invalid.
+ * Extracts the storage key from a file's public URL.
+ * @param {string} url The public URL, as returned when the file was stored.
+ * @returns {string|null} The key or null if the URL is invalid.
  */
 export function getKeyFromUrl(url) {
   if (!url) return null;
   try {
-    const urlObject = new URL(url);
-    // The key is the pathname, but we need to remove the leading '/'
-    return urlObject.pathname.substring(1);
+    return storage.getKeyFromUrl(url);
   } catch (error) {
     console.error("Invalid URL for key extraction:", url);
     return null;
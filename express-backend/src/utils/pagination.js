@@ -0,0 +1,18 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parses `page` and `limit` query params into a Supabase range.
+ * Pages are 1-based; invalid values fall back to the defaults.
+ * @param {object} query The Express request query.
+ * @returns {{ page: number, limit: number, from: number, to: number }}
+ */
+export function parsePagination(query = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT)
+  );
+  const from = (page - 1) * limit;
+  return { page, limit, from, to: from + limit - 1 };
+}
@@ -0,0 +1,289 @@
+import { supabase } from "../services/supabaseService.js";
+import { getWeekEndDate, getWeekWindow } from "../utils/date.js";
+import { toWeekSettings } from "../services/userSettingsService.js";
+import {
+  initializeMontage,
+  filterUsableClips,
+} from "../services/montageCreationService.js";
+import { enqueueJob, JOB_TYPES } from "../services/jobQueueService.js";
+
+const TICK_INTERVAL_MS = Number(
+  process.env.MONTAGE_SCHEDULER_INTERVAL_MS || 5 * 60 * 1000
+);
+const DELAY_AFTER_WEEK_END_MS =
+  Number(process.env.MONTAGE_SCHEDULER_DELAY_MINUTES || 30) * 60 * 1000;
+const MAX_RUN_ATTEMPTS = 3;
+// A run still marked running after this long belongs to a process that
+// died before finishing it.
+const RUN_LEASE_MS =
+  Number(process.env.MONTAGE_SCHEDULER_LEASE_MINUTES || 30) * 60 * 1000;
+const PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const runKey = (userId, weekEndDate) =>
+  `${userId}|${new Date(weekEndDate).toISOString()}`;
+
+const isStaleRun = (run, now) =>
+  run.status === "running" && now - new Date(run.claimed_at) >= RUN_LEASE_MS;
+
+/**
+ * Returns the most recent week that has fully ended for a user.
+ */
+function getLastCompletedWeek(now, settings) {
+  const currentWeekEnd = getWeekEndDate(now, settings);
+  return new Date(currentWeekEnd.getTime() - 7 * DAY_MS);
+}
+
+/**
+ * Loads existing scheduler runs for the candidate users and weeks.
+ * @returns {Promise<Map<string, object>>} Keyed by runKey.
+ */
+async function getExistingRuns(candidates) {
+  const userIds = candidates.map((c) => c.userId);
+  const weekEndDates = [
+    ...new Set(candidates.map((c) => c.weekEndDate.toISOString())),
+  ];
+
+  const { data, error } = await supabase
+    .from("montage_schedule_runs")
+    .select("user_id, week_end_date, status, attempts, claimed_at")
+    .in("user_id", userIds)
+    .in("week_end_date", weekEndDates);
+
+  if (error) {
+    throw new Error(`Failed to fetch scheduler runs: ${error.message}`);
+  }
+
+  return new Map(
+    data.map((run) => [runKey(run.user_id, run.week_end_date), run])
+  );
+}
+
+/**
+ * Takes the lock for one user's week. A fresh week is claimed by inserting
+ * its run row; a failed or stale run is re-claimed by bumping its attempt
+ * count. Either write loses cleanly if another process got there first.
+ * @returns {Promise<string|null>} The run id, or null if not claimed.
+ */
+async function claimRun(userId, weekEndDate, existingRun) {
+  if (!existingRun) {
+    const { data, error } = await supabase
+      .from("montage_schedule_runs")
+      .insert({
+        user_id: userId,
+        week_end_date: weekEndDate.toISOString(),
+        status: "running",
+      })
+      .select("id")
+      .single();
+
+    if (error?.code === "23505") return null; // Unique violation: already claimed.
+    if (error) throw new Error(`Failed to claim run: ${error.message}`);
+    return data.id;
+  }
+
+  const { data, error } = await supabase
+    .from("montage_schedule_runs")
+    .update({
+      status: "running",
+      attempts: existingRun.attempts + 1,
+      reason: null,
+      finished_at: null,
+      claimed_at: new Date().toISOString(),
+    })
+    .eq("user_id", userId)
+    .eq("week_end_date", weekEndDate.toISOString())
+    .eq("status", existingRun.status)
+    .eq("attempts", existingRun.attempts)
+    .select("id");
+
+  if (error) throw new Error(`Failed to re-claim run: ${error.message}`);
+  return data.length > 0 ? data[0].id : null;
+}
+
+/**
+ * Marks a stale run that has no attempts left as failed, so it stops
+ * looking like it is still in progress.
+ */
+async function expireRun(userId, weekEndDate, run) {
+  const { error } = await supabase
+    .from("montage_schedule_runs")
+    .update({
+      status: "failed",
+      reason: "Timed out after the scheduler stopped mid-run.",
+      finished_at: new Date().toISOString(),
+    })
+    .eq("user_id", userId)
+    .eq("week_end_date", weekEndDate.toISOString())
+    .eq("status", "running")
+    .eq("attempts", run.attempts);
+
+  if (error) {
+    console.error(`[Scheduler] Failed to expire run for ${userId}:`, error);
+  }
+}
+
+async function finishRun(runId, fields) {
+  const { error } = await supabase
+    .from("montage_schedule_runs")
+    .update({ ...fields, finished_at: new Date().toISOString() })
+    .eq("id", runId);
+
+  if (error) {
+    console.error(`[Scheduler] Failed to record run ${runId}:`, error);
+  }
+}
+
+/**
+ * Builds the montage for one user's finished week unless there is nothing
+ * to build or a montage for that week already exists.
+ */
+async function scheduleUserMontage(userId, weekEndDate, existingRun) {
+  const runId = await claimRun(userId, weekEndDate, existingRun);
+  if (!runId) return;
+
+  const weekEndIso = weekEndDate.toISOString();
+
+  try {
+    // Count only the clips montage creation would actually use.
+    const { count: clipCount, error: countError } = await filterUsableClips(
+      supabase
+        .from("clips")
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", userId)
+    ).eq("week_end_date", weekEndIso);
+
+    if (countError) {
+      throw new Error(`Failed to count clips: ${countError.message}`);
+    }
+
+    if (!clipCount) {
+      await finishRun(runId, {
+        status: "skipped",
+        clip_count: 0,
+        reason: "No usable clips this week.",
+      });
+      return;
+    }
+
+    const { data: existingMontages, error: montageError } = await supabase
+      .from("montages")
+      .select("id")
+      .eq("user_id", userId)
+      .eq("week_end_date", weekEndIso)
+      .or("preset.is.null,preset.eq.week")
+      .neq("status", "failed")
+      .limit(1);
+
+    if (montageError) {
+      throw new Error(`Failed to check montages: ${montageError.message}`);
+    }
+
+    if (existingMontages.length > 0) {
+      await finishRun(runId, {
+        status: "skipped",
+        clip_count: clipCount,
+        montage_id: existingMontages[0].id,
+        reason: "A montage for this week already exists.",
+      });
+      return;
+    }
+
+    const montageId = await initializeMontage(userId, { weekEndDate });
+    await enqueueJob(JOB_TYPES.CREATE_MONTAGE, {
+      user: { id: userId },
+      montageId,
+    });
+
+    await finishRun(runId, {
+      status: "enqueued",
+      clip_count: clipCount,
+      montage_id: montageId,
+    });
+    console.log(
+      `[Scheduler] Enqueued montage ${montageId} for user ${userId}, week ending ${weekEndIso}.`
+    );
+  } catch (error) {
+    console.error(`[Scheduler] Run for user ${userId} failed:`, error);
+    await finishRun(runId, { status: "failed", reason: error.message });
+  }
+}
+
+/**
+ * Checks every user once and schedules montages for weeks that ended at
+ * least MONTAGE_SCHEDULER_DELAY_MINUTES ago in the user's time zone.
+ * @param {Date} [now=new Date()]
+ */
+export async function runSchedulerTick(now = new Date()) {
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: profiles, error } = await supabase
+      .from("profiles")
+      .select("id, timezone, week_start_day")
+      .order("id")
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch profiles: ${error.message}`);
+    }
+
+    const due = [];
+    for (const profile of profiles) {
+      const settings = toWeekSettings(profile);
+      const weekEndDate = getLastCompletedWeek(now, settings);
+      const { end } = getWeekWindow(weekEndDate, settings);
+      if (now - end >= DELAY_AFTER_WEEK_END_MS) {
+        due.push({ userId: profile.id, weekEndDate });
+      }
+    }
+
+    if (due.length > 0) {
+      const existingRuns = await getExistingRuns(due);
+      for (const { userId, weekEndDate } of due) {
+        const run = existingRuns.get(runKey(userId, weekEndDate));
+        const canRetry =
+          (run?.status === "failed" || (run && isStaleRun(run, now))) &&
+          run.attempts < MAX_RUN_ATTEMPTS;
+        if (run && !canRetry) {
+          if (isStaleRun(run, now)) await expireRun(userId, weekEndDate, run);
+          continue;
+        }
+
+        await scheduleUserMontage(userId, weekEndDate, run);
+      }
+    }
+
+    if (profiles.length < PAGE_SIZE) break;
+  }
+}
+
+/**
+ * Runs the scheduler immediately and then every MONTAGE_SCHEDULER_INTERVAL_MS.
+ * @returns {{ stop: () => void }}
+ */
+export function startMontageScheduler() {
+  let ticking = false;
+
+  const tick = async () => {
+    if (ticking) return; // Skip if the previous tick is still going.
+    ticking = true;
+    try {
+      await runSchedulerTick();
+    } catch (error) {
+      console.error("[Scheduler] Tick failed:", error);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  console.log(
+    `[Scheduler] Starting weekly montage scheduler (every ${Math.round(
+      TICK_INTERVAL_MS / 1000
+    )}s).`
+  );
+  tick();
+  const timer = setInterval(tick, TICK_INTERVAL_MS);
+
+  return {
+    stop: () => clearInterval(timer),
+  };
+}
@@ -0,0 +1,172 @@
+import os from "node:os";
+import { randomUUID } from "node:crypto";
+import {
+  JOB_TYPES,
+  claimNextJob,
+  heartbeatJob,
+  completeQueueJob,
+  failQueueJob,
+  getOrphanedJobs,
+} from "../services/jobQueueService.js";
+import { processVideoInBackground } from "../services/videoProcessingService.js";
+import { reanalyzeClip } from "../services/clipAnalysisService.js";
+import {
+  processMontageCreation,
+  markMontageFailed,
+} from "../services/montageCreationService.js";
+import { updateJob } from "../services/jobStatusService.js";
+
+const LEASE_SECONDS = Number(process.env.QUEUE_LEASE_SECONDS || 120);
+const POLL_INTERVAL_MS = Number(process.env.QUEUE_POLL_INTERVAL_MS || 2000);
+const RECOVERY_INTERVAL_MS = Number(
+  process.env.QUEUE_RECOVERY_INTERVAL_MS || 60 * 1000
+);
+const CONCURRENCY = Number(process.env.QUEUE_CONCURRENCY || 1);
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Each job type maps to the function that runs it and a hook that is called
+// once the job has failed for the last time. `run` gets a signal that aborts
+// if the worker loses the job's lease; it should stop before its next write.
+const handlers = {
+  [JOB_TYPES.PROCESS_CLIP]: {
+    run: (payload, signal) => processVideoInBackground(payload, { signal }),
+    onFailed: (payload, message) =>
+      updateJob(payload.jobId, { status: "failed", error: message }),
+  },
+  [JOB_TYPES.REANALYZE_CLIP]: {
+    run: (payload, signal) => reanalyzeClip(payload, { signal }),
+    onFailed: (payload, message) =>
+      updateJob(payload.jobId, { status: "failed", error: message }),
+  },
+  [JOB_TYPES.CREATE_MONTAGE]: {
+    run: (payload, signal) => processMontageCreation(payload, { signal }),
+    onFailed: (payload, message) =>
+      markMontageFailed(payload.montageId, message),
+  },
+};
+
+async function handleFinalFailure(job, message) {
+  const handler = handlers[job.type];
+  if (!handler) return;
+  try {
+    await handler.onFailed(job.payload, message);
+  } catch (error) {
+    console.error(`[Worker] onFailed hook for job ${job.id} failed:`, error);
+  }
+}
+
+/**
+ * Re-queues (or fails) jobs whose worker died without finishing them.
+ */
+export async function recoverOrphanedJobs() {
+  const orphans = await getOrphanedJobs();
+  if (orphans.length === 0) return;
+
+  console.log(`[Worker] Recovering ${orphans.length} orphaned job(s).`);
+  for (const job of orphans) {
+    const message = `Lease expired while held by ${job.locked_by}.`;
+    const willRetry = await failQueueJob(job, null, message);
+    if (!willRetry) {
+      await handleFinalFailure(job, message);
+    }
+  }
+}
+
+/**
+ * Runs one claimed job and records its outcome, unless the lease was lost
+ * while it ran: the job then belongs to whichever worker reclaimed it.
+ * @param {object} job The queue row as returned by claimNextJob.
+ * @param {string} workerId
+ */
+export async function runJob(job, workerId) {
+  const handler = handlers[job.type];
+  console.log(
+    `[Worker] Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`
+  );
+
+  if (!handler) {
+    const message = `Unknown job type: ${job.type}`;
+    console.error(`[Worker] ${message}`);
+    await failQueueJob({ ...job, max_attempts: job.attempts }, workerId, message);
+    return;
+  }
+
+  // Keep the lease alive for as long as the handler runs.
+  const lease = new AbortController();
+  const heartbeat = setInterval(async () => {
+    const stillOwned = await heartbeatJob(job.id, workerId, LEASE_SECONDS);
+    if (!stillOwned && !lease.signal.aborted) {
+      console.warn(`[Worker] Lost the lease on job ${job.id}, abandoning it.`);
+      lease.abort(new Error(`Lost the lease on job ${job.id}.`));
+    }
+  }, (LEASE_SECONDS * 1000) / 3);
+
+  try {
+    await handler.run(job.payload, lease.signal);
+    if (lease.signal.aborted) return;
+    await completeQueueJob(job.id, workerId);
+    console.log(`[Worker] Job ${job.id} completed.`);
+  } catch (error) {
+    if (lease.signal.aborted) return;
+    const message = error.message || "Job failed";
+    const willRetry = await failQueueJob(job, workerId, message);
+    if (willRetry) {
+      console.warn(`[Worker] Job ${job.id} failed, will retry: ${message}`);
+    } else {
+      console.error(`[Worker] Job ${job.id} failed permanently: ${message}`);
+      await handleFinalFailure(job, message);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Recovers orphaned jobs, then starts polling the queue.
+ * @returns {{ stop: () => Promise<void> }} `stop` resolves once in-flight jobs finish.
+ */
+export function startWorker() {
+  const workerId = `${os.hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`;
+  let running = true;
+
+  console.log(
+    `[Worker] ${workerId} starting (concurrency ${CONCURRENCY}, lease ${LEASE_SECONDS}s)`
+  );
+
+  const recover = () =>
+    recoverOrphanedJobs().catch((error) =>
+      console.error("[Worker] Orphan recovery failed:", error)
+    );
+  const recoveryTimer = setInterval(recover, RECOVERY_INTERVAL_MS);
+
+  const loop = async () => {
+    while (running) {
+      let job = null;
+      try {
+        job = await claimNextJob(workerId, LEASE_SECONDS);
+      } catch (error) {
+        console.error("[Worker] Failed to poll queue:", error.message);
+      }
+
+      if (job) {
+        await runJob(job, workerId);
+      } else {
+        await delay(POLL_INTERVAL_MS);
+      }
+    }
+  };
+
+  const loops = recover().then(() =>
+    Promise.all(Array.from({ length: CONCURRENCY }, loop))
+  );
+
+  return {
+    stop: async () => {
+      running = false;
+      clearInterval(recoveryTimer);
+      await loops;
+      console.log(`[Worker] ${workerId} stopped.`);
+    },
+  };
+}
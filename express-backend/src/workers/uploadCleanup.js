@@ -0,0 +1,27 @@
+import { deleteExpiredUploads } from "../services/tusUploadService.js";
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Periodically removes resumable uploads that were never finished.
+ * @returns {{ stop: () => void }}
+ */
+export function startUploadCleanup() {
+  const run = async () => {
+    try {
+      const count = await deleteExpiredUploads();
+      if (count > 0) {
+        console.log(`[Uploads] Removed ${count} expired upload(s).`);
+      }
+    } catch (error) {
+      console.error("[Uploads] Cleanup failed:", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CLEANUP_INTERVAL_MS);
+
+  return {
+    stop: () => clearInterval(timer),
+  };
+}
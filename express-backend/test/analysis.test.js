@@ -0,0 +1,158 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createAnalysisProviders,
+  analyzeVideo,
+  computeClipScore,
+} from "../src/services/analysis/index.js";
+import { createMockProvider } from "../src/services/analysis/mockProvider.js";
+import { ResponseValidationError } from "../src/services/analysis/responseSchemas.js";
+
+const options = {
+  localPath: "/tmp/clip.mp4",
+  userPrompt: "Beach day",
+  videoDuration: 10,
+};
+
+const segment = {
+  startSec: 2,
+  endSec: 5,
+  description: "Waves",
+  scores: { relevance: 0.9, quality: 0.8, confidence: 0.7 },
+};
+
+const failing = (name, error = new Error(`${name} is down`)) => ({
+  name,
+  model: null,
+  async analyze() {
+    throw error;
+  },
+});
+
+const succeeding = (name, result = segment) => ({
+  name,
+  model: `${name}-model`,
+  async analyze() {
+    return result;
+  },
+});
+
+test("createAnalysisProviders skips Gemini without an API key", (t) => {
+  t.mock.method(console, "warn", () => {});
+
+  const providers = createAnalysisProviders({
+    ANALYSIS_PROVIDERS: " gemini , mock ",
+  });
+
+  assert.deepEqual(providers.map((provider) => provider.name), ["mock"]);
+});
+
+test("createAnalysisProviders uses the configured Gemini model", () => {
+  const [gemini, heuristic] = createAnalysisProviders({
+    GOOGLE_API_KEY: "key",
+    GEMINI_MODEL: "gemini-test",
+  });
+
+  assert.equal(gemini.name, "gemini");
+  assert.equal(gemini.model, "gemini-test");
+  assert.equal(heuristic.name, "heuristic");
+});
+
+test("createAnalysisProviders rejects unknown providers", () => {
+  assert.throws(
+    () => createAnalysisProviders({ ANALYSIS_PROVIDERS: "openai" }),
+    /Unknown analysis provider "openai"/
+  );
+});
+
+test("analyzeVideo falls through to the next provider", async (t) => {
+  t.mock.method(console, "error", () => {});
+
+  const result = await analyzeVideo(options, [
+    failing("gemini"),
+    succeeding("heuristic"),
+  ]);
+
+  assert.equal(result.provider, "heuristic");
+  assert.equal(result.model, "heuristic-model");
+  assert.equal(result.startSec, 2);
+  assert.equal(result.segments.length, 1);
+  assert.equal(typeof result.id, "string");
+  assert.deepEqual(result.issues, [
+    { provider: "gemini", message: "gemini is down" },
+  ]);
+});
+
+test("analyzeVideo keeps rejected answers without repeating them", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const rejected = new ResponseValidationError("No usable answer.", "{}");
+  rejected.issues = [
+    { attempt: 1, message: "endSec is missing", response: "{}" },
+  ];
+
+  const result = await analyzeVideo(options, [
+    failing("gemini", rejected),
+    succeeding("heuristic"),
+  ]);
+
+  assert.deepEqual(result.issues, [
+    {
+      provider: "gemini",
+      attempt: 1,
+      message: "endSec is missing",
+      response: "{}",
+    },
+  ]);
+});
+
+test("analyzeVideo falls back to a default segment", async (t) => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(console, "log", () => {});
+
+  const long = await analyzeVideo(options, [failing("heuristic")]);
+  assert.equal(long.provider, "default");
+  assert.equal(long.endSec, 3);
+  assert.deepEqual(long.scores, {
+    relevance: 0.5,
+    quality: 0.5,
+    confidence: 0.5,
+  });
+
+  const short = await analyzeVideo({ ...options, videoDuration: 1.2 }, []);
+  assert.equal(short.endSec, 1.2);
+
+  const unknown = await analyzeVideo(
+    { ...options, videoDuration: undefined },
+    []
+  );
+  assert.equal(unknown.endSec, 0.5);
+
+  // getVideoDuration reports 0 when it can't read the file.
+  const unreadable = await analyzeVideo({ ...options, videoDuration: 0 }, []);
+  assert.equal(unreadable.endSec, 0.5);
+});
+
+test("the mock provider is deterministic", async () => {
+  const mock = createMockProvider();
+
+  const first = await mock.analyze(options);
+  const second = await mock.analyze(options);
+
+  assert.deepEqual(first, second);
+  assert.equal(first.startSec, 3.5);
+  assert.equal(first.endSec, 6.5);
+});
+
+test("computeClipScore is the weighted mean of the scores", () => {
+  const clipScores = { relevance: 1, quality: 0.5, confidence: 0 };
+
+  assert.equal(computeClipScore(clipScores), 0.8);
+  assert.equal(
+    computeClipScore(clipScores, { relevance: 0, quality: 2, confidence: 0 }),
+    0.5
+  );
+  assert.equal(
+    computeClipScore(clipScores, { relevance: 0, quality: 0, confidence: 0 }),
+    0
+  );
+});
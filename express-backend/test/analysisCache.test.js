@@ -0,0 +1,150 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { stubSupabase, findCall, findCalls } from "./fakeSupabase.js";
+import {
+  getCachedAnalysis,
+  invalidateAnalysisCache,
+} from "../src/services/analysisCacheService.js";
+import { analyzeVideo } from "../src/services/analysis/index.js";
+import { createGeminiProvider } from "../src/services/analysis/geminiProvider.js";
+
+const key = { contentHash: "content", promptHash: "prompt", model: "model-1" };
+
+const cachedResult = {
+  startSec: 1,
+  endSec: 4,
+  description: "Waves",
+  tags: [],
+  scores: { relevance: 0.9, quality: 0.8, confidence: 0.7 },
+};
+
+/**
+ * A cacheable provider that counts its calls.
+ */
+const cacheableProvider = () => ({
+  name: "gemini",
+  model: "model-1",
+  calls: 0,
+  getPromptHash: ({ userPrompt }) => `hash:${userPrompt}`,
+  async analyze() {
+    this.calls += 1;
+    return { id: "segment-1", ...cachedResult };
+  },
+});
+
+const options = {
+  localPath: "/tmp/clip.mp4",
+  userPrompt: "Beach day",
+  videoDuration: 10,
+  contentHash: "content",
+};
+
+test("getCachedAnalysis returns the stored result and counts the hit", async (t) => {
+  const queries = stubSupabase(t, () => ({
+    data: { result: cachedResult, hit_count: 2 },
+  }));
+
+  assert.deepEqual(await getCachedAnalysis(key), cachedResult);
+
+  assert.deepEqual(findCalls(queries[0], "eq"), [
+    ["content_hash", "content"],
+    ["prompt_hash", "prompt"],
+    ["model", "model-1"],
+  ]);
+  assert.equal(findCall(queries[1], "update")[0].hit_count, 3);
+});
+
+test("getCachedAnalysis treats a failed lookup as a miss", async (t) => {
+  t.mock.method(console, "error", () => {});
+  stubSupabase(t, () => ({ error: { message: "timeout" } }));
+
+  assert.equal(await getCachedAnalysis(key), null);
+});
+
+test("invalidateAnalysisCache without filters matches every entry", async (t) => {
+  const queries = stubSupabase(t, () => ({ count: 5 }));
+
+  assert.equal(await invalidateAnalysisCache({}), 5);
+  assert.deepEqual(findCall(queries[0], "not"), ["content_hash", "is", null]);
+});
+
+test("invalidateAnalysisCache narrows by model and age", async (t) => {
+  const queries = stubSupabase(t, () => ({ count: 1 }));
+
+  await invalidateAnalysisCache({
+    model: "model-1",
+    createdBefore: "2026-10-01T00:00:00.000Z",
+  });
+
+  assert.deepEqual(findCalls(queries[0], "eq"), [["model", "model-1"]]);
+  assert.deepEqual(findCall(queries[0], "lt"), [
+    "created_at",
+    "2026-10-01T00:00:00.000Z",
+  ]);
+  assert.equal(findCall(queries[0], "not"), undefined);
+});
+
+test("analyzeVideo reuses a cached analysis of the same video", async (t) => {
+  t.mock.method(console, "log", () => {});
+  stubSupabase(t, () => ({ data: { result: cachedResult, hit_count: 0 } }));
+  const provider = cacheableProvider();
+
+  const result = await analyzeVideo(options, [provider]);
+
+  assert.equal(provider.calls, 0);
+  assert.equal(result.cached, true);
+  assert.equal(result.provider, "gemini");
+  assert.equal(result.description, "Waves");
+  assert.equal(typeof result.id, "string");
+});
+
+test("analyzeVideo caches a fresh analysis without its ids", async (t) => {
+  const queries = stubSupabase(t);
+  const provider = cacheableProvider();
+
+  const result = await analyzeVideo(options, [provider]);
+
+  assert.equal(provider.calls, 1);
+  assert.equal(result.cached, undefined);
+  const saved = findCall(
+    queries.find((q) => findCall(q, "upsert")),
+    "upsert"
+  )[0];
+  assert.deepEqual(
+    [saved.content_hash, saved.prompt_hash, saved.model],
+    ["content", "hash:Beach day", "model-1"]
+  );
+  assert.equal(saved.result.id, undefined);
+  assert.equal(saved.result.segments[0].id, undefined);
+});
+
+test("analyzeVideo skips the cache without a content hash", async (t) => {
+  const queries = stubSupabase(t);
+  const provider = cacheableProvider();
+
+  await analyzeVideo({ ...options, contentHash: undefined }, [provider]);
+
+  assert.equal(provider.calls, 1);
+  assert.equal(queries.length, 0);
+});
+
+test("the Gemini prompt hash changes with the number of moments asked for", () => {
+  const gemini = createGeminiProvider({ apiKey: "key", model: "model-1" });
+
+  const short = gemini.getPromptHash({
+    userPrompt: "Beach",
+    videoDuration: 10,
+  });
+  assert.equal(
+    gemini.getPromptHash({ userPrompt: "Beach", videoDuration: 12 }),
+    short
+  );
+  assert.notEqual(
+    gemini.getPromptHash({ userPrompt: "Beach", videoDuration: 40 }),
+    short
+  );
+  assert.notEqual(
+    gemini.getPromptHash({ userPrompt: "Party", videoDuration: 10 }),
+    short
+  );
+});
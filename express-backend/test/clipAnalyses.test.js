@@ -0,0 +1,158 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  stubSupabase,
+  findCall,
+  findCalls,
+  createResponse,
+} from "./fakeSupabase.js";
+import {
+  reanalyzeClip,
+  getClipAnalyses,
+  activateClipAnalysisVersion,
+} from "../src/controllers/clipsController.js";
+import { buildCompressedKey } from "../src/services/clipAnalysisService.js";
+
+const user = { id: "user-1" };
+
+/**
+ * Runs reanalyzeClip with `body`; `clipExists` decides whether the clip
+ * lookup finds the user's clip.
+ */
+async function reanalyze(t, body, { clipExists = true } = {}) {
+  const queries = stubSupabase(t, (query) =>
+    query.table === "clips"
+      ? { data: clipExists ? { id: "clip-1" } : null }
+      : { data: { id: "queue-1" } }
+  );
+  const res = createResponse();
+  await reanalyzeClip({ user, params: { id: "clip-1" }, body }, res);
+  return { res, queries };
+}
+
+test("buildCompressedKey files copies by user and week", () => {
+  const key = buildCompressedKey("user-1", "2026-10-25T23:59:59.999Z");
+
+  assert.match(
+    key,
+    /^clips\/compressed\/user-1\/2026-10-25\/[0-9a-f-]{36}\.mp4$/
+  );
+});
+
+test("reanalyzeClip queues the clip with the new prompt", async (t) => {
+  const { res, queries } = await reanalyze(t, {
+    userPrompt: "  Focus on the dog ",
+    activate: false,
+  });
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.clipId, "clip-1");
+  const queued = findCall(
+    queries.find((q) => q.table === "job_queue"),
+    "insert"
+  )[0];
+  assert.equal(queued.type, "reanalyze_clip");
+  const { jobId, ...payload } = queued.payload;
+  assert.equal(jobId, res.body.jobId);
+  assert.deepEqual(payload, {
+    userId: "user-1",
+    clipId: "clip-1",
+    userPrompt: "Focus on the dog",
+    activate: false,
+  });
+});
+
+test("reanalyzeClip validates the prompt and activate flag", async (t) => {
+  const missing = await reanalyze(t, { userPrompt: "   " });
+  assert.equal(missing.res.statusCode, 400);
+  assert.equal(missing.queries.length, 0);
+
+  const activate = await reanalyze(t, { userPrompt: "x", activate: "yes" });
+  assert.equal(activate.res.statusCode, 400);
+});
+
+test("reanalyzeClip answers 404 for someone else's clip", async (t) => {
+  const { res, queries } = await reanalyze(
+    t,
+    { userPrompt: "x" },
+    { clipExists: false }
+  );
+
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(findCalls(queries[0], "eq"), [
+    ["id", "clip-1"],
+    ["user_id", "user-1"],
+  ]);
+});
+
+test("getClipAnalyses marks the active version", async (t) => {
+  stubSupabase(t, (query) =>
+    query.table === "clips"
+      ? { data: { id: "clip-1", active_analysis_id: "analysis-2" } }
+      : { data: [{ id: "analysis-2" }, { id: "analysis-1" }] }
+  );
+  const res = createResponse();
+
+  await getClipAnalyses({ user, params: { id: "clip-1" } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    res.body.analyses.map(({ id, active }) => [id, active]),
+    [
+      ["analysis-2", true],
+      ["analysis-1", false],
+    ]
+  );
+});
+
+test("activateClipAnalysisVersion copies the version onto the clip", async (t) => {
+  const analysis = {
+    id: "analysis-1",
+    user_prompt: "Beach",
+    start_sec: 2,
+    end_sec: 5,
+    description: "Waves",
+    relevance: 0.9,
+    quality: 0.8,
+    confidence: 0.7,
+    score: 0.86,
+    analysis_provider: "gemini",
+    analysis_model: "gemini-2.5-flash-lite",
+  };
+  const queries = stubSupabase(t, (query) =>
+    query.table === "clip_analyses"
+      ? { data: analysis }
+      : { data: { id: "clip-1" } }
+  );
+  const res = createResponse();
+
+  await activateClipAnalysisVersion(
+    { user, params: { id: "clip-1", analysisId: "analysis-1" } },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  const { updated_at: updatedAt, ...update } = findCall(
+    queries.find((q) => q.table === "clips"),
+    "update"
+  )[0];
+  assert.equal(typeof updatedAt, "string");
+  const { id, ...copied } = analysis;
+  assert.deepEqual(update, { active_analysis_id: id, ...copied });
+});
+
+test("activateClipAnalysisVersion answers 404 for another clip's version", async (t) => {
+  const queries = stubSupabase(t, () => ({ data: null }));
+  const res = createResponse();
+
+  await activateClipAnalysisVersion(
+    { user, params: { id: "clip-1", analysisId: "analysis-9" } },
+    res
+  );
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(
+    queries.some((q) => q.table === "clips"),
+    false
+  );
+});
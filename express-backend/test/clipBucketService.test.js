@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { stubSupabase, findCall, findCalls } from "./fakeSupabase.js";
+import { rebucketUserClips } from "../src/services/clipBucketService.js";
+
+test("rebucketUserClips files clips by when they were recorded", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const clips = [
+    // Filmed in the week ending Oct 18, uploaded the week after.
+    {
+      id: "late-upload",
+      clip_date: "2026-10-16T12:00:00Z",
+      created_at: "2026-10-21T09:00:00Z",
+      week_end_date: "2026-10-18T23:59:59.999Z",
+    },
+    // Without a capture date the upload time decides.
+    {
+      id: "no-capture-date",
+      clip_date: null,
+      created_at: "2026-10-21T09:00:00Z",
+      week_end_date: "2026-10-18T23:59:59.999Z",
+    },
+  ];
+  const queries = stubSupabase(t, (query) =>
+    query.table === "clips" && findCall(query, "select")
+      ? { data: clips }
+      : { data: null }
+  );
+
+  const result = await rebucketUserClips("user-1");
+
+  assert.deepEqual(result, { checked: 2, moved: 1 });
+  const updates = queries.filter((q) => findCall(q, "update"));
+  assert.equal(updates.length, 1);
+  assert.deepEqual(findCall(updates[0], "update"), [
+    { week_end_date: "2026-10-25T23:59:59.999Z" },
+  ]);
+  assert.deepEqual(findCalls(updates[0], "eq"), [["id", "no-capture-date"]]);
+});
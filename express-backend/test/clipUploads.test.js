@@ -0,0 +1,163 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { stubSupabase, findCall, createResponse } from "./fakeSupabase.js";
+import {
+  createClipUpload,
+  completeClipUpload,
+} from "../src/controllers/clipsController.js";
+import {
+  storage,
+  MAX_CLIP_UPLOAD_BYTES,
+} from "../src/services/storageService.js";
+
+const user = { id: "user-1" };
+
+after(() => fs.rm(storage.rootDir, { recursive: true, force: true }));
+
+/**
+ * Answers the job lookups of completeClipUpload; `existingJobId` is the
+ * processing job already recorded for the upload, if any.
+ */
+const uploadResponder =
+  (existingJobId = null) =>
+  (query) => {
+    if (query.table === "processing_jobs" && findCall(query, "select")) {
+      return { data: existingJobId ? [{ job_id: existingJobId }] : [] };
+    }
+    return { data: null };
+  };
+
+test("createClipUpload signs a PUT URL under the user's week prefix", async (t) => {
+  stubSupabase(t);
+  const res = createResponse();
+
+  await createClipUpload(
+    {
+      user,
+      body: {
+        filename: "beach day.mov",
+        content_type: "video/quicktime",
+        size: 1024,
+      },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.multipart, false);
+  assert.match(
+    res.body.key,
+    /^clips\/user-1\/\d{4}-\d{2}-\d{2}\/\d+-\d+-beach_day\.mov$/
+  );
+  const url = new URL(res.body.uploadUrl);
+  assert.equal(
+    storage.verifySignature(
+      "PUT",
+      res.body.key,
+      url.searchParams.get("expires"),
+      url.searchParams.get("signature")
+    ),
+    true
+  );
+});
+
+test("createClipUpload rejects non-video files and oversized uploads", async (t) => {
+  stubSupabase(t);
+
+  const image = createResponse();
+  await createClipUpload(
+    { user, body: { filename: "a.png", content_type: "image/png", size: 10 } },
+    image
+  );
+  assert.equal(image.statusCode, 400);
+
+  const huge = createResponse();
+  await createClipUpload(
+    {
+      user,
+      body: {
+        filename: "a.mp4",
+        content_type: "video/mp4",
+        size: MAX_CLIP_UPLOAD_BYTES + 1,
+      },
+    },
+    huge
+  );
+  assert.equal(huge.statusCode, 400);
+});
+
+test("completeClipUpload queues processing for a stored video", async (t) => {
+  const key = "clips/user-1/2026-10-25/1-a.mp4";
+  await storage.put(key, Buffer.from("video"), { contentType: "video/mp4" });
+  const queries = stubSupabase(t, uploadResponder());
+  const res = createResponse();
+
+  await completeClipUpload(
+    { user, body: { key, userPrompt: "Beach day", filename: "a.mp4" } },
+    res
+  );
+
+  assert.equal(res.statusCode, 202);
+  const job = findCall(
+    queries.find((q) => q.table === "processing_jobs" && findCall(q, "insert")),
+    "insert"
+  )[0];
+  assert.equal(job.upload_url, storage.getPublicUrl(key));
+  const queued = findCall(
+    queries.find((q) => q.table === "job_queue"),
+    "insert"
+  )[0];
+  assert.equal(queued.type, "process_clip");
+  assert.equal(queued.payload.file.key, key);
+  assert.equal(queued.payload.userPrompt, "Beach day");
+});
+
+test("completeClipUpload returns the existing job when called twice", async (t) => {
+  const key = "clips/user-1/2026-10-25/2-a.mp4";
+  const queries = stubSupabase(t, uploadResponder("job-1"));
+  const res = createResponse();
+
+  await completeClipUpload({ user, body: { key, userPrompt: "Again" } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.jobId, "job-1");
+  assert.equal(
+    queries.some((q) => q.table === "job_queue"),
+    false
+  );
+});
+
+test("completeClipUpload rejects keys outside the user's prefix", async (t) => {
+  stubSupabase(t, uploadResponder());
+
+  for (const key of ["clips/user-2/x.mp4", "clips/user-1/../user-2/x.mp4"]) {
+    const res = createResponse();
+    await completeClipUpload({ user, body: { key, userPrompt: "x" } }, res);
+    assert.equal(res.statusCode, 400, key);
+  }
+});
+
+test("completeClipUpload deletes uploads that are not videos", async (t) => {
+  const key = "clips/user-1/2026-10-25/3-a.txt";
+  await storage.put(key, Buffer.from("text"), { contentType: "text/plain" });
+  stubSupabase(t, uploadResponder());
+  const res = createResponse();
+
+  await completeClipUpload({ user, body: { key, userPrompt: "x" } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(await storage.head(key), null);
+});
+
+test("completeClipUpload answers 404 when nothing was uploaded", async (t) => {
+  stubSupabase(t, uploadResponder());
+  const res = createResponse();
+
+  await completeClipUpload(
+    { user, body: { key: "clips/user-1/2026-10-25/4-a.mp4", userPrompt: "x" } },
+    res
+  );
+
+  assert.equal(res.statusCode, 404);
+});
@@ -0,0 +1,208 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  stubSupabase,
+  findCall,
+  findCalls,
+  createResponse,
+} from "./fakeSupabase.js";
+import { listClips, updateClip } from "../src/controllers/clipsController.js";
+import { parsePagination } from "../src/utils/pagination.js";
+
+const user = { id: "user-1" };
+const storedClip = {
+  id: "clip-1",
+  user_id: "user-1",
+  start_sec: 1,
+  end_sec: 4,
+  duration_sec: 10,
+  pinned: false,
+  excluded: false,
+};
+
+/**
+ * Runs updateClip with `body` against `clip` and returns the response and
+ * the update it wrote, if any.
+ */
+async function patchClip(t, body, clip = storedClip) {
+  const queries = stubSupabase(t, (query) =>
+    findCall(query, "update")
+      ? { data: { ...clip, ...findCall(query, "update")[0] } }
+      : { data: clip }
+  );
+  const res = createResponse();
+  await updateClip({ user, params: { id: clip.id }, body }, res);
+  const update = queries.find((query) => findCall(query, "update"));
+  return { res, updates: update && findCall(update, "update")[0] };
+}
+
+test("parsePagination clamps the page and limit", () => {
+  assert.deepEqual(parsePagination({ page: "3", limit: "10" }), {
+    page: 3,
+    limit: 10,
+    from: 20,
+    to: 29,
+  });
+  assert.deepEqual(parsePagination({ page: "-1", limit: "1000" }), {
+    page: 1,
+    limit: 100,
+    from: 0,
+    to: 99,
+  });
+});
+
+test("listClips rejects an unknown sort field", async (t) => {
+  const queries = stubSupabase(t);
+  const res = createResponse();
+
+  await listClips({ user, query: { sort: "size" } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(queries.length, 0);
+});
+
+test("listClips filters by week and sorts as asked", async (t) => {
+  const queries = stubSupabase(t, () => ({ data: [], count: 0 }));
+  const res = createResponse();
+
+  await listClips(
+    {
+      user,
+      query: { week_end_date: "2026-10-18", sort: "score", order: "asc" },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(findCall(queries[0], "gte"), [
+    "week_end_date",
+    "2026-10-18T00:00:00.000Z",
+  ]);
+  assert.deepEqual(findCall(queries[0], "order"), [
+    "score",
+    { ascending: true },
+  ]);
+});
+
+test("updateClip saves a new trim within the video", async (t) => {
+  const { res, updates } = await patchClip(t, { start_sec: 2, end_sec: 9 });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(updates.start_sec, 2);
+  assert.equal(updates.end_sec, 9);
+  assert.ok(updates.updated_at);
+});
+
+test("updateClip rejects trims past the end of the video", async (t) => {
+  const { res, updates } = await patchClip(t, { end_sec: 12 });
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /video duration/);
+  assert.equal(updates, undefined);
+});
+
+test("updateClip rejects trims shorter than half a second", async (t) => {
+  const { res } = await patchClip(t, { start_sec: 3.8 });
+  assert.equal(res.statusCode, 400);
+});
+
+test("updateClip requires at least one editable field", async (t) => {
+  const { res } = await patchClip(t, { clip_url: "x" });
+  assert.equal(res.statusCode, 400);
+});
+
+test("updateClip responds 404 for another user's clip", async (t) => {
+  const queries = stubSupabase(t, () => ({ data: null }));
+  const res = createResponse();
+
+  await updateClip({ user, params: { id: "clip-1" }, body: {} }, res);
+
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(findCalls(queries[0], "eq")[1], ["user_id", "user-1"]);
+});
+
+test("updateClip pins a clip, even one marked as a duplicate", async (t) => {
+  const { res, updates } = await patchClip(
+    t,
+    { pinned: true },
+    { ...storedClip, duplicate_of: "clip-0" }
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(updates.pinned, true);
+});
+
+test("updateClip refuses to pin and exclude a clip at once", async (t) => {
+  const both = await patchClip(t, { pinned: true, excluded: true });
+  assert.equal(both.res.statusCode, 400);
+
+  const alreadyExcluded = await patchClip(
+    t,
+    { pinned: true },
+    { ...storedClip, excluded: true }
+  );
+  assert.equal(alreadyExcluded.res.statusCode, 400);
+
+  const swapped = await patchClip(
+    t,
+    { pinned: true, excluded: false },
+    { ...storedClip, excluded: true }
+  );
+  assert.equal(swapped.res.statusCode, 200);
+
+  const notBoolean = await patchClip(t, { pinned: "yes" });
+  assert.equal(notBoolean.res.statusCode, 400);
+});
+
+test("listClips filters pinned and excluded clips", async (t) => {
+  const queries = stubSupabase(t, () => ({ data: [], count: 0 }));
+  const res = createResponse();
+
+  await listClips({ user, query: { pinned: "true", excluded: "false" } }, res);
+
+  assert.equal(res.statusCode, 200);
+  const eqs = findCalls(queries[0], "eq");
+  assert.deepEqual(eqs.slice(-2), [
+    ["pinned", true],
+    ["excluded", false],
+  ]);
+
+  const bad = createResponse();
+  await listClips({ user, query: { pinned: "1" } }, bad);
+  assert.equal(bad.statusCode, 400);
+});
+
+test("updateClip moves a redated clip into its week", async (t) => {
+  const queries = stubSupabase(t, (query) => {
+    if (query.table === "profiles") {
+      return { data: { timezone: "America/New_York" } };
+    }
+    const update = findCall(query, "update");
+    return { data: update ? { ...storedClip, ...update[0] } : storedClip };
+  });
+  const res = createResponse();
+
+  // Late on Sunday Oct 18 in New York, already Monday in UTC.
+  await updateClip(
+    {
+      user,
+      params: { id: "clip-1" },
+      body: { clip_date: "2026-10-19T02:00:00Z" },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  const updates = findCall(
+    queries.find((q) => findCall(q, "update")),
+    "update"
+  )[0];
+  assert.equal(updates.clip_date, "2026-10-19T02:00:00.000Z");
+  assert.equal(updates.week_end_date, "2026-10-18T23:59:59.999Z");
+});
+
+test("updateClip leaves the week alone when the date is unchanged", async (t) => {
+  const { updates } = await patchClip(t, { description: "Sunset" });
+
+  assert.equal(updates.week_end_date, undefined);
+});
@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  getWeekEndDate,
+  getWeekWindow,
+  toDateKey,
+} from "../src/utils/date.js";
+import { toWeekSettings } from "../src/services/userSettingsService.js";
+
+test("isValidTimeZone accepts IANA names only", () => {
+  assert.equal(isValidTimeZone("America/New_York"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus"), false);
+  assert.equal(isValidTimeZone(""), false);
+  assert.equal(isValidTimeZone(undefined), false);
+});
+
+test("zonedTimeToUtc applies the offset in force on that day", () => {
+  const winter = zonedTimeToUtc(
+    { year: 2026, month: 1, day: 15, hour: 9 },
+    "America/New_York"
+  );
+  const summer = zonedTimeToUtc(
+    { year: 2026, month: 7, day: 15, hour: 9 },
+    "America/New_York"
+  );
+  assert.equal(winter.toISOString(), "2026-01-15T14:00:00.000Z");
+  assert.equal(summer.toISOString(), "2026-07-15T13:00:00.000Z");
+});
+
+test("getWeekEndDate buckets Monday-to-Sunday weeks by default", () => {
+  // Wednesday 14 October 2026.
+  const bucket = getWeekEndDate(new Date("2026-10-14T12:00:00Z"));
+  assert.equal(bucket.toISOString(), "2026-10-18T23:59:59.999Z");
+  // A Sunday is the last day of its own week.
+  assert.equal(
+    toDateKey(getWeekEndDate(new Date("2026-10-18T12:00:00Z"))),
+    "2026-10-18"
+  );
+});
+
+test("getWeekEndDate uses the user's calendar day, not UTC's", () => {
+  // Sunday evening in Los Angeles is already Monday in UTC.
+  const instant = new Date("2026-10-19T02:00:00Z");
+  assert.equal(toDateKey(getWeekEndDate(instant)), "2026-10-25");
+  assert.equal(
+    toDateKey(getWeekEndDate(instant, { timeZone: "America/Los_Angeles" })),
+    "2026-10-18"
+  );
+});
+
+test("getWeekEndDate honours the week start day", () => {
+  const sundayStart = { weekStartDay: 0 };
+  // Wednesday 14 October 2026; Sunday-started weeks end on Saturday.
+  assert.equal(
+    toDateKey(getWeekEndDate(new Date("2026-10-14T12:00:00Z"), sundayStart)),
+    "2026-10-17"
+  );
+});
+
+test("getWeekWindow spans seven local days across a DST change", () => {
+  // Clocks go back in Europe/London on 25 October 2026.
+  const settings = { timeZone: "Europe/London" };
+  const { start, end } = getWeekWindow(
+    getWeekEndDate(new Date("2026-10-22T12:00:00Z"), settings),
+    settings
+  );
+  assert.equal(start.toISOString(), "2026-10-18T23:00:00.000Z");
+  assert.equal(end.toISOString(), "2026-10-25T23:59:59.999Z");
+});
+
+test("toWeekSettings falls back to the defaults", () => {
+  assert.deepEqual(toWeekSettings(null), {
+    timeZone: "UTC",
+    weekStartDay: 1,
+  });
+  assert.deepEqual(
+    toWeekSettings({ timezone: "Nowhere/Special", week_start_day: 0 }),
+    { timeZone: "UTC", weekStartDay: 0 }
+  );
+});
@@ -0,0 +1,124 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { stubSupabase, findCall, findCalls } from "./fakeSupabase.js";
+import {
+  hashFile,
+  dHash,
+  fingerprintDistance,
+  findDuplicateClip,
+} from "../src/services/duplicateService.js";
+
+// A 9x8 frame that gets brighter to the right, so every dHash bit is 0.
+const gradient = Buffer.from(
+  Array.from({ length: 72 }, (_, i) => (i % 9) * 20)
+);
+
+test("dHash sets a bit wherever a pixel outshines its neighbour", () => {
+  assert.equal(dHash(gradient), "0000000000000000");
+  assert.equal(dHash(Buffer.from(gradient).reverse()), "ffffffffffffffff");
+});
+
+test("fingerprintDistance averages differing bits per frame", () => {
+  assert.equal(fingerprintDistance("00000000000000ff", "0000000000000000"), 8);
+  // Two frames: 8 differing bits in the first, none in the second.
+  assert.equal(
+    fingerprintDistance(
+      "00000000000000ff0000000000000000",
+      "00000000000000000000000000000000"
+    ),
+    4
+  );
+  assert.equal(fingerprintDistance("00", "0000"), Infinity);
+  assert.equal(fingerprintDistance(null, "00"), Infinity);
+});
+
+test("hashFile hashes the file's bytes", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mylyfe-hash-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "clip.mp4");
+  await fs.writeFile(filePath, "abc");
+
+  assert.equal(
+    await hashFile(filePath),
+    "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+  );
+});
+
+test("findDuplicateClip resolves an exact match to the original clip", async (t) => {
+  const queries = stubSupabase(t, (query) =>
+    findCall(query, "limit")
+      ? { data: [{ id: "clip-2", duplicate_of: "clip-1" }] }
+      : { data: { id: "clip-1" } }
+  );
+
+  const result = await findDuplicateClip("user-1", {
+    clipUrl: "http://files.test/files/clips/user-1/new.mp4",
+    contentHash: "hash",
+    fingerprint: null,
+    durationSec: 10,
+  });
+
+  assert.deepEqual(result, { clip: { id: "clip-1" }, match: "exact" });
+  assert.deepEqual(findCalls(queries[1], "eq"), [["id", "clip-1"]]);
+  // A retried job must not find the clip it saved itself.
+  assert.deepEqual(findCall(queries[0], "neq"), [
+    "clip_url",
+    "http://files.test/files/clips/user-1/new.mp4",
+  ]);
+});
+
+test("findDuplicateClip picks the closest fingerprint within range", async (t) => {
+  const fingerprint = "0000000000000000";
+  const queries = stubSupabase(t, (query) => {
+    if (findCall(query, "limit")) return { data: [] };
+    if (findCall(query, "gte")) {
+      return {
+        data: [
+          { id: "far", duplicate_of: null, fingerprint: "ffffffffffffffff" },
+          { id: "near", duplicate_of: null, fingerprint: "000000000000000f" },
+          { id: "other", duplicate_of: null, fingerprint: "00000000000000ff" },
+        ],
+      };
+    }
+    return { data: { id: findCalls(query, "eq")[0][1] } };
+  });
+
+  const result = await findDuplicateClip("user-1", {
+    clipUrl: "http://files.test/files/clips/user-1/new.mp4",
+    contentHash: "hash",
+    fingerprint,
+    durationSec: 10,
+  });
+
+  assert.deepEqual(result, { clip: { id: "near" }, match: "near" });
+  assert.deepEqual(findCall(queries[1], "neq"), [
+    "clip_url",
+    "http://files.test/files/clips/user-1/new.mp4",
+  ]);
+  assert.deepEqual(findCall(queries[1], "gte"), ["duration_sec", 9]);
+  assert.deepEqual(findCall(queries[1], "lte"), ["duration_sec", 11]);
+});
+
+test("findDuplicateClip ignores fingerprints that are too different", async (t) => {
+  stubSupabase(t, (query) =>
+    findCall(query, "gte")
+      ? {
+          data: [
+            { id: "far", duplicate_of: null, fingerprint: "ffffffffffffffff" },
+          ],
+        }
+      : { data: [] }
+  );
+
+  const result = await findDuplicateClip("user-1", {
+    clipUrl: "http://files.test/files/clips/user-1/new.mp4",
+    contentHash: "hash",
+    fingerprint: "0000000000000000",
+    durationSec: 10,
+  });
+
+  assert.equal(result, null);
+});
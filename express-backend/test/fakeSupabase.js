@@ -0,0 +1,81 @@
+import { supabase } from "../src/services/supabaseService.js";
+
+/**
+ * Replaces supabase.from (and rpc) for one test. Every query is recorded
+ * as { table, calls: [[method, ...args]] } and, when awaited, resolves to
+ * whatever `respond(query)` returns ({ data, error, count }).
+ * @param {import("node:test").TestContext} t
+ * @param {(query: { table: string, calls: any[][] }) => object} [respond]
+ * @returns {{ table: string, calls: any[][] }[]} The recorded queries.
+ */
+export function stubSupabase(t, respond = () => ({ data: [], error: null })) {
+  const queries = [];
+  const original = { from: supabase.from, rpc: supabase.rpc };
+
+  const makeQuery = (table, firstCall) => {
+    const query = { table, calls: firstCall ? [firstCall] : [] };
+    queries.push(query);
+    const builder = new Proxy(
+      {},
+      {
+        get(target, method) {
+          if (method === "then") {
+            return (resolve, reject) =>
+              Promise.resolve()
+                .then(() => ({ data: null, error: null, ...respond(query) }))
+                .then(resolve, reject);
+          }
+          return (...args) => {
+            query.calls.push([method, ...args]);
+            return builder;
+          };
+        },
+      }
+    );
+    return builder;
+  };
+
+  supabase.from = (table) => makeQuery(table);
+  supabase.rpc = (name, args) => makeQuery(`rpc:${name}`, ["rpc", args]);
+  t.after(() => Object.assign(supabase, original));
+  return queries;
+}
+
+/**
+ * The first recorded call of `method` on a query, without the method name.
+ */
+export const findCall = (query, method) =>
+  query.calls.find(([name]) => name === method)?.slice(1);
+
+/**
+ * Every recorded call of `method` on a query, without the method name.
+ */
+export const findCalls = (query, method) =>
+  query.calls.filter(([name]) => name === method).map((call) => call.slice(1));
+
+/**
+ * A minimal Express response that records the status and body sent.
+ */
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+  return res;
+}
@@ -0,0 +1,24 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ASPECT_RATIOS,
+  RESOLUTIONS,
+  getRenderSize,
+} from "../src/services/ffmpegService.js";
+
+test("getRenderSize sets the shorter side from the resolution", () => {
+  assert.deepEqual(getRenderSize("9:16", "1080p"), { width: 1080, height: 1920 });
+  assert.deepEqual(getRenderSize("4:5", "1080p"), { width: 1080, height: 1350 });
+  assert.deepEqual(getRenderSize("16:9", "720p"), { width: 1280, height: 720 });
+  assert.deepEqual(getRenderSize("1:1", "720p"), { width: 720, height: 720 });
+});
+
+test("getRenderSize always returns even dimensions", () => {
+  for (const aspectRatio of Object.keys(ASPECT_RATIOS)) {
+    for (const resolution of Object.keys(RESOLUTIONS)) {
+      const { width, height } = getRenderSize(aspectRatio, resolution);
+      assert.equal(width % 2, 0, `${aspectRatio}@${resolution} width`);
+      assert.equal(height % 2, 0, `${aspectRatio}@${resolution} height`);
+    }
+  }
+});
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { stubSupabase, findCall, findCalls } from "./fakeSupabase.js";
+import {
+  enqueueJob,
+  claimNextJob,
+  failQueueJob,
+  getRetryDelayMs,
+  JOB_TYPES,
+} from "../src/services/jobQueueService.js";
+
+test("getRetryDelayMs backs off exponentially up to 15 minutes", () => {
+  const base = (attempts) => Math.floor(getRetryDelayMs(attempts) / 1000);
+  assert.equal(base(1), 30);
+  assert.equal(base(2), 60);
+  assert.equal(base(3), 120);
+  assert.equal(base(10), 15 * 60);
+});
+
+test("enqueueJob inserts a queued row", async (t) => {
+  const queries = stubSupabase(t, () => ({ data: { id: "job-1" } }));
+
+  const row = await enqueueJob(JOB_TYPES.PROCESS_CLIP, { a: 1 });
+
+  assert.equal(row.id, "job-1");
+  const [inserted] = findCall(queries[0], "insert");
+  assert.equal(queries[0].table, "job_queue");
+  assert.equal(inserted.type, "process_clip");
+  assert.equal(inserted.status, "queued");
+  assert.deepEqual(inserted.payload, { a: 1 });
+});
+
+test("claimNextJob returns null when the queue is empty", async (t) => {
+  stubSupabase(t, () => ({ data: [] }));
+  assert.equal(await claimNextJob("worker", 60), null);
+});
+
+test("failQueueJob re-queues with backoff while attempts remain", async (t) => {
+  const queries = stubSupabase(t);
+
+  const willRetry = await failQueueJob(
+    { id: "j", attempts: 1, max_attempts: 3 },
+    "worker",
+    "boom"
+  );
+
+  assert.equal(willRetry, true);
+  const [updates] = findCall(queries[0], "update");
+  assert.equal(updates.status, "queued");
+  assert.equal(updates.last_error, "boom");
+  assert.ok(new Date(updates.run_at) > new Date());
+  assert.deepEqual(findCalls(queries[0], "eq"), [
+    ["id", "j"],
+    ["status", "running"],
+    ["locked_by", "worker"],
+  ]);
+});
+
+test("failQueueJob fails for good on the last attempt", async (t) => {
+  const queries = stubSupabase(t);
+
+  const willRetry = await failQueueJob(
+    { id: "j", attempts: 3, max_attempts: 3 },
+    null,
+    "boom"
+  );
+
+  assert.equal(willRetry, false);
+  const [updates] = findCall(queries[0], "update");
+  assert.equal(updates.status, "failed");
+  assert.equal(updates.run_at, undefined);
+  // Recovering an orphan only touches rows whose lease really expired.
+  assert.ok(findCall(queries[0], "lt"));
+});
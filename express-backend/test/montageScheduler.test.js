@@ -0,0 +1,113 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { stubSupabase, findCall, findCalls } from "./fakeSupabase.js";
+import { runSchedulerTick } from "../src/workers/montageScheduler.js";
+
+const now = new Date("2026-10-19T12:00:00Z"); // Monday after the week.
+const weekEnd = "2026-10-18T23:59:59.999Z";
+const minutesAgo = (minutes) =>
+  new Date(now.getTime() - minutes * 60 * 1000).toISOString();
+
+/**
+ * Runs one tick for a single UTC user with the given existing run and
+ * usable clip count, and returns the recorded queries.
+ */
+async function tick(t, { run = null, clipCount = 3, reclaimed = true } = {}) {
+  const queries = stubSupabase(t, (query) => {
+    const has = (method) => findCall(query, method);
+    switch (query.table) {
+      case "profiles":
+        return has("range")
+          ? { data: [{ id: "u1", timezone: "UTC", week_start_day: 1 }] }
+          : { data: null };
+      case "montage_schedule_runs":
+        if (has("insert")) return { data: { id: "run-new" } };
+        if (has("update") && has("select")) {
+          return { data: reclaimed ? [{ id: "run-old" }] : [] };
+        }
+        if (has("update")) return {};
+        return { data: run ? [{ user_id: "u1", week_end_date: weekEnd, ...run }] : [] };
+      case "clips":
+        return { count: clipCount };
+      case "montages":
+        return has("insert") ? { data: { id: "m1" } } : { data: [] };
+      default:
+        return { data: { id: "queue-1" } };
+    }
+  });
+  await runSchedulerTick(now);
+  return queries;
+}
+
+const queued = (queries) => queries.filter((q) => q.table === "job_queue");
+const runUpdates = (queries) =>
+  queries
+    .filter((q) => q.table === "montage_schedule_runs" && findCall(q, "update"))
+    .map((q) => ({ fields: findCall(q, "update")[0], eq: findCalls(q, "eq") }));
+
+test("schedules a montage for a finished week with usable clips", async (t) => {
+  const queries = await tick(t);
+
+  assert.equal(queued(queries).length, 1);
+  const [finished] = runUpdates(queries);
+  assert.equal(finished.fields.status, "enqueued");
+  assert.equal(finished.fields.montage_id, "m1");
+});
+
+test("counts only clips montage creation would use", async (t) => {
+  const queries = await tick(t, { clipCount: 0 });
+
+  const count = queries.find((q) => q.table === "clips");
+  assert.deepEqual(findCalls(count, "eq"), [
+    ["user_id", "u1"],
+    ["excluded", false],
+    ["week_end_date", weekEnd],
+  ]);
+  assert.deepEqual(findCall(count, "or"), ["duplicate_of.is.null,pinned.eq.true"]);
+  assert.equal(queued(queries).length, 0);
+  assert.equal(runUpdates(queries)[0].fields.status, "skipped");
+});
+
+test("leaves a run another process is still working on", async (t) => {
+  const queries = await tick(t, {
+    run: { status: "running", attempts: 1, claimed_at: minutesAgo(5) },
+  });
+
+  assert.equal(queued(queries).length, 0);
+  assert.deepEqual(runUpdates(queries), []);
+});
+
+test("re-claims a run left running past its lease", async (t) => {
+  const queries = await tick(t, {
+    run: { status: "running", attempts: 1, claimed_at: minutesAgo(90) },
+  });
+
+  const [reclaim] = runUpdates(queries);
+  assert.equal(reclaim.fields.status, "running");
+  assert.equal(reclaim.fields.attempts, 2);
+  assert.deepEqual(reclaim.eq.slice(2), [
+    ["status", "running"],
+    ["attempts", 1],
+  ]);
+  assert.equal(queued(queries).length, 1);
+});
+
+test("gives up on a stale run that has no attempts left", async (t) => {
+  const queries = await tick(t, {
+    run: { status: "running", attempts: 3, claimed_at: minutesAgo(90) },
+  });
+
+  const [expired] = runUpdates(queries);
+  assert.equal(expired.fields.status, "failed");
+  assert.equal(queued(queries).length, 0);
+});
+
+test("does nothing when another process re-claims the run first", async (t) => {
+  const queries = await tick(t, {
+    run: { status: "failed", attempts: 1, claimed_at: minutesAgo(90) },
+    reclaimed: false,
+  });
+
+  assert.equal(queued(queries).length, 0);
+  assert.equal(queries.filter((q) => q.table === "clips").length, 0);
+});
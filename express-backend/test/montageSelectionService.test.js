@@ -0,0 +1,243 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  expandClipMoments,
+  selectMontageClips,
+} from "../src/services/montageSelectionService.js";
+
+let nextId = 0;
+
+/**
+ * A candidate clip of `durationSec` seconds with a unique description, so
+ * similarity pruning leaves it alone unless a test says otherwise.
+ */
+const clip = (fields = {}) => {
+  nextId += 1;
+  return {
+    id: `clip-${nextId}`,
+    clip_date: "2026-10-14T12:00:00Z",
+    start_sec: 0,
+    end_sec: 10,
+    relevance: 0.5,
+    quality: 0.5,
+    confidence: 0.5,
+    description: `moment ${nextId} ${"abcdefghij"[nextId % 10]}${nextId}`,
+    thumbnail_hash: null,
+    ...fields,
+  };
+};
+
+const includedIds = (report) =>
+  report.clips.filter((entry) => entry.included).map((entry) => entry.clip_id);
+
+test("balanced selection gives every period a turn", async () => {
+  const busyWeek = [0.9, 0.85, 0.8].map((relevance) =>
+    clip({ relevance, clip_date: "2026-06-03T12:00:00Z" })
+  );
+  const quietWeek = clip({ relevance: 0.2, clip_date: "2026-06-10T12:00:00Z" });
+
+  const { clips, report } = await selectMontageClips(
+    [...busyWeek, quietWeek],
+    {
+      maxDurationSec: 20,
+      getGroupKey: (c) => c.clip_date.slice(0, 10),
+    }
+  );
+
+  assert.deepEqual(
+    clips.map((c) => c.id).sort(),
+    [busyWeek[0].id, quietWeek.id].sort()
+  );
+  const dropped = report.clips.find((entry) => entry.clip_id === busyWeek[1].id);
+  assert.equal(dropped.reason, "budget");
+  assert.equal(includedIds(report).length, 2);
+});
+
+test("expandClipMoments adds the other moments a clip's analysis found", (t) => {
+  t.mock.method(console, "log", () => {});
+  const long = clip({ start_sec: 10, end_sec: 14, score: 0.6 });
+  const short = clip({ score: 0.5 });
+  const segment = (id, startSec, endSec, score) => ({
+    id,
+    clip_id: long.id,
+    start_sec: startSec,
+    end_sec: endSec,
+    description: id,
+    score,
+  });
+  const segments = new Map([
+    [
+      long.id,
+      [
+        segment("same-as-trim", 10, 14, 0.6),
+        segment("later", 30, 34, 0.8),
+        segment("overlapping", 32, 36, 0.7),
+        segment("earlier", 0, 4, 0.4),
+      ],
+    ],
+  ]);
+
+  const moments = expandClipMoments([long, short], segments, 3);
+
+  assert.deepEqual(
+    moments.map((moment) => [moment.id, moment.segment_id, moment.start_sec]),
+    [
+      [long.id, "later", 30],
+      [long.id, undefined, 10],
+      [short.id, undefined, 0],
+      [long.id, "earlier", 0],
+    ]
+  );
+});
+
+test("selection drops the weaker of two near-identical clips", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const best = clip({
+    relevance: 0.9,
+    description: "Sunset over the lake from the dock",
+    thumbnail_hash: "0f0f0f0f0f0f0f0f",
+  });
+  const repeat = clip({
+    relevance: 0.6,
+    description: "Sunset over the lake from the dock again",
+    thumbnail_hash: "0f0f0f0f0f0f0f0e",
+  });
+  const other = clip({ relevance: 0.3, thumbnail_hash: "f0f0f0f0f0f0f0f0" });
+
+  const { clips, report } = await selectMontageClips([best, repeat, other], {
+    maxDurationSec: 20,
+  });
+
+  assert.deepEqual(
+    clips.map((c) => c.id).sort(),
+    [best.id, other.id].sort()
+  );
+  const dropped = report.clips.find((entry) => entry.clip_id === repeat.id);
+  assert.equal(dropped.reason, "similar");
+  assert.equal(dropped.similar_to, best.id);
+});
+
+test("selection ranks clips with the montage's own weights", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const relevant = clip({ relevance: 0.9, quality: 0.2 });
+  const crisp = clip({ relevance: 0.3, quality: 0.9 });
+
+  const { clips, report } = await selectMontageClips([relevant, crisp], {
+    maxDurationSec: 10,
+    config: { weights: { relevance: 0, quality: 1, confidence: 0 } },
+  });
+
+  assert.deepEqual(clips.map((c) => c.id), [crisp.id]);
+  assert.equal(clips[0].score, 0.9);
+  const entry = (c) => report.clips.find((e) => e.clip_id === c.id);
+  assert.equal(entry(crisp).reason, "score");
+  assert.equal(entry(relevant).reason, "budget");
+  assert.deepEqual(report.config.weights, {
+    relevance: 0,
+    quality: 1,
+    confidence: 0,
+  });
+});
+
+test("the daily cap counts days in the user's time zone", async (t) => {
+  t.mock.method(console, "log", () => {});
+  // 01:00 UTC on the 15th is still the 14th in New York.
+  const evening = clip({ relevance: 0.9, clip_date: "2026-10-14T22:00:00Z" });
+  const lateNight = clip({ relevance: 0.8, clip_date: "2026-10-15T01:00:00Z" });
+  const nextDay = clip({ relevance: 0.7, clip_date: "2026-10-15T15:00:00Z" });
+
+  const { clips, report } = await selectMontageClips(
+    [evening, lateNight, nextDay],
+    {
+      maxDurationSec: 60,
+      timeZone: "America/New_York",
+      config: { max_clips_per_day: 1 },
+    }
+  );
+
+  assert.deepEqual(clips.map((c) => c.id), [evening.id, nextDay.id]);
+  const capped = report.clips.find((e) => e.clip_id === lateNight.id);
+  assert.equal(capped.reason, "day_cap");
+  assert.match(capped.detail, /^2026-10-14 already has 1/);
+});
+
+test("the daily cap gives way to the minimum duration", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const day = "2026-10-14T12:00:00Z";
+  const first = clip({ relevance: 0.9, clip_date: day });
+  const second = clip({ relevance: 0.8, clip_date: day });
+  const third = clip({ relevance: 0.7, clip_date: day });
+
+  const { clips, report } = await selectMontageClips([first, second, third], {
+    maxDurationSec: 60,
+    config: { max_clips_per_day: 1, min_duration_sec: 20 },
+  });
+
+  assert.deepEqual(clips.map((c) => c.id), [first.id, second.id]);
+  assert.match(
+    report.clips.find((e) => e.clip_id === second.id).detail,
+    /Kept over the daily cap to reach the 20s minimum/
+  );
+  assert.equal(
+    report.clips.find((e) => e.clip_id === third.id).reason,
+    "day_cap"
+  );
+});
+
+test("pinned clips are kept over the budget and excluded ones dropped", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const pinned = [0.1, 0.2].map((relevance) =>
+    clip({ relevance, pinned: true })
+  );
+  const best = clip({ relevance: 0.9 });
+  const excluded = clip({ relevance: 1, excluded: true });
+
+  const { clips, report } = await selectMontageClips(
+    [...pinned, best, excluded],
+    { maxDurationSec: 15 }
+  );
+
+  assert.deepEqual(
+    clips.map((c) => c.id).sort(),
+    pinned.map((c) => c.id).sort()
+  );
+  const reasons = Object.fromEntries(
+    report.clips.map((entry) => [entry.clip_id, entry.reason])
+  );
+  assert.equal(reasons[pinned[0].id], "pinned");
+  assert.equal(reasons[best.id], "budget");
+  assert.equal(reasons[excluded.id], "excluded");
+  assert.deepEqual(report.warnings, [
+    "Pinned clips run 20s, over the 15s target.",
+  ]);
+});
+
+test("only the best moment of a pinned clip stays pinned", (t) => {
+  t.mock.method(console, "log", () => {});
+  const pinned = clip({ pinned: true, start_sec: 0, end_sec: 4, score: 0.5 });
+  const segments = new Map([
+    [
+      pinned.id,
+      [
+        {
+          id: "seg-1",
+          start_sec: 10,
+          end_sec: 14,
+          description: "x",
+          score: 0.8,
+        },
+      ],
+    ],
+  ]);
+
+  const moments = expandClipMoments([pinned], segments);
+
+  assert.deepEqual(
+    moments.map((moment) => [moment.segment_id, moment.pinned]),
+    [
+      ["seg-1", true],
+      [undefined, false],
+    ]
+  );
+});
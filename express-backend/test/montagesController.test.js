@@ -0,0 +1,410 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  stubSupabase,
+  findCall,
+  findCalls,
+  createResponse,
+} from "./fakeSupabase.js";
+import {
+  createMontage,
+  listMontages,
+  getMontage,
+} from "../src/controllers/montagesController.js";
+
+const user = { id: "user-1" };
+
+/**
+ * Answers the queries createMontage makes: the profile lookup, the montage
+ * insert and the queue insert.
+ */
+const creationResponder = (query) => {
+  if (query.table === "profiles") return { data: null };
+  if (query.table === "montages") return { data: { id: "montage-1" } };
+  return { data: { id: "queue-1" } };
+};
+
+/**
+ * Runs createMontage with `body` and returns the response and the montage
+ * row it inserted, if any.
+ */
+async function create(t, body) {
+  const queries = stubSupabase(t, creationResponder);
+  const res = createResponse();
+  await createMontage({ user, body }, res);
+  const insert = queries.find((q) => q.table === "montages");
+  return { res, queries, row: insert && findCall(insert, "insert")[0] };
+}
+
+test("createMontage queues the montage and returns its id", async (t) => {
+  const { res, queries } = await create(t, {});
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.montageId, "montage-1");
+  const queued = findCall(
+    queries.find((q) => q.table === "job_queue"),
+    "insert"
+  )[0];
+  assert.equal(queued.type, "create_montage");
+  assert.deepEqual(queued.payload, {
+    user: { id: "user-1" },
+    montageId: "montage-1",
+  });
+});
+
+test("listMontages rejects an unknown status", async (t) => {
+  const queries = stubSupabase(t);
+  const res = createResponse();
+
+  await listMontages({ user, query: { status: "done" } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(queries.length, 0);
+});
+
+test("listMontages pages through the user's montages", async (t) => {
+  const queries = stubSupabase(t, () => ({
+    data: [{ id: "m1", status: "complete", clip_ids: ["c1"] }],
+    count: 11,
+  }));
+  const res = createResponse();
+
+  await listMontages(
+    { user, query: { status: "complete", page: "2", limit: "10" } },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.total, 11);
+  assert.equal(res.body.page, 2);
+  assert.equal(res.body.montages[0].id, "m1");
+  assert.deepEqual(res.body.montages[0].clipIds, ["c1"]);
+  assert.deepEqual(findCall(queries[0], "range"), [10, 19]);
+  assert.deepEqual(findCalls(queries[0], "eq"), [
+    ["user_id", "user-1"],
+    ["status", "complete"],
+  ]);
+});
+
+test("getMontage responds 404 for a montage that isn't the user's", async (t) => {
+  stubSupabase(t, () => ({ data: null, error: { message: "No rows" } }));
+  const res = createResponse();
+
+  await getMontage({ user, params: { id: "m1" } }, res);
+
+  assert.equal(res.statusCode, 404);
+});
+
+test("getMontage returns the clips in montage order", async (t) => {
+  stubSupabase(t, (query) =>
+    query.table === "montages"
+      ? { data: { id: "m1", status: "complete", clip_ids: ["b", "a"] } }
+      : { data: [{ id: "a" }, { id: "b" }] }
+  );
+  const res = createResponse();
+
+  await getMontage({ user, params: { id: "m1" } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, "complete");
+  assert.deepEqual(
+    res.body.clips.map((clip) => clip.id),
+    ["b", "a"]
+  );
+});
+
+test("getMontage returns each rendered moment with the range it used", async (t) => {
+  const report = {
+    warnings: [],
+    clips: [
+      { clip_id: "a", segment_id: "s2", start_sec: 40, end_sec: 46, included: true },
+      { clip_id: "b", segment_id: null, start_sec: 0, end_sec: 5, included: true },
+      { clip_id: "a", segment_id: "s1", start_sec: 3, end_sec: 9, included: true },
+      { clip_id: "a", segment_id: "s3", start_sec: 70, end_sec: 75, included: false },
+    ],
+  };
+  stubSupabase(t, (query) =>
+    query.table === "montages"
+      ? {
+          data: {
+            id: "m1",
+            status: "complete",
+            clip_ids: ["a", "b"],
+            selection_report: report,
+          },
+        }
+      : {
+          data: [
+            { id: "a", clip_date: "2026-10-13T10:00:00Z", start_sec: 3, end_sec: 9 },
+            { id: "b", clip_date: "2026-10-15T10:00:00Z", start_sec: 0, end_sec: 5 },
+          ],
+        }
+  );
+  const res = createResponse();
+
+  await getMontage({ user, params: { id: "m1" } }, res);
+
+  assert.deepEqual(
+    res.body.clips.map(({ id, segment_id, start_sec, end_sec }) => [
+      id,
+      segment_id,
+      start_sec,
+      end_sec,
+    ]),
+    [
+      ["a", "s1", 3, 9],
+      ["a", "s2", 40, 46],
+      ["b", null, 0, 5],
+    ]
+  );
+});
+
+test("createMontage stores a custom range in the user's time zone", async (t) => {
+  const { res, row } = await create(t, {
+    preset: "custom",
+    start_date: "2026-06-01",
+    end_date: "2026-06-30",
+  });
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(row.preset, "custom");
+  assert.equal(row.range_start, "2026-06-01T00:00:00.000Z");
+  assert.equal(row.range_end, "2026-06-30T23:59:59.999Z");
+  // Filed under the week the range ends in.
+  assert.equal(row.week_end_date, "2026-07-05T23:59:59.999Z");
+});
+
+test("createMontage rejects custom ranges that are reversed or too long", async (t) => {
+  const reversed = await create(t, {
+    preset: "custom",
+    start_date: "2026-06-30",
+    end_date: "2026-06-01",
+  });
+  assert.equal(reversed.res.statusCode, 400);
+  assert.equal(reversed.row, undefined);
+
+  const tooLong = await create(t, {
+    preset: "custom",
+    start_date: "2025-01-01",
+    end_date: "2026-06-01",
+  });
+  assert.equal(tooLong.res.statusCode, 400);
+
+  const missing = await create(t, { preset: "custom" });
+  assert.equal(missing.res.statusCode, 400);
+});
+
+test("createMontage covers the whole month for a monthly recap", async (t) => {
+  const { row } = await create(t, { preset: "month", date: "2026-02-14" });
+
+  assert.equal(row.range_start, "2026-02-01T00:00:00.000Z");
+  assert.equal(row.range_end, "2026-02-28T23:59:59.999Z");
+  assert.equal(row.target_duration_sec > 60, true);
+});
+
+test("createMontage stores the chosen transition", async (t) => {
+  const { res, row } = await create(t, {
+    transition: "slide",
+    transition_duration_sec: 1,
+  });
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(row.transition, "slide");
+  assert.equal(row.transition_duration_sec, 1);
+});
+
+test("createMontage rejects unknown transitions and out-of-range durations", async (t) => {
+  const unknown = await create(t, { transition: "wipe" });
+  assert.equal(unknown.res.statusCode, 400);
+  assert.match(unknown.res.body.message, /transition must be one of/);
+
+  const tooLong = await create(t, { transition_duration_sec: 2 });
+  assert.equal(tooLong.res.statusCode, 400);
+
+  const notNumber = await create(t, { transition_duration_sec: "0.5" });
+  assert.equal(notNumber.res.statusCode, 400);
+});
+
+test("createMontage rejects a music volume outside 0 to 1", async (t) => {
+  const { res, row } = await create(t, { music_volume: 1.5 });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(row, undefined);
+});
+
+test("createMontage rejects a music track that does not exist", async (t) => {
+  const { res, row } = await create(t, {
+    music_track_id: "bundled:missing.mp3",
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, "Music track not found.");
+  assert.equal(row, undefined);
+});
+
+test("createMontage only stores a volume alongside a track", async (t) => {
+  const { row } = await create(t, { music_volume: 0.8 });
+
+  assert.equal(row.music_track, null);
+  assert.equal(row.music_volume, null);
+});
+
+test("createMontage keeps the fill color only for the solid mode", async (t) => {
+  const solid = await create(t, { fill_mode: "solid", fill_color: "#1a2B3c" });
+  assert.equal(solid.row.fill_mode, "solid");
+  assert.equal(solid.row.fill_color, "#1a2B3c");
+
+  const blur = await create(t, { fill_mode: "blur", fill_color: "#000000" });
+  assert.equal(blur.row.fill_mode, "blur");
+  assert.equal(blur.row.fill_color, null);
+});
+
+test("createMontage rejects unknown fill modes and bad solid colors", async (t) => {
+  const unknown = await create(t, { fill_mode: "mirror" });
+  assert.equal(unknown.res.statusCode, 400);
+
+  const missingColor = await create(t, { fill_mode: "solid" });
+  assert.equal(missingColor.res.statusCode, 400);
+
+  const namedColor = await create(t, { fill_mode: "solid", fill_color: "red" });
+  assert.equal(namedColor.res.statusCode, 400);
+});
+
+test("createMontage stores each distinct rendition with its size", async (t) => {
+  const { res, row } = await create(t, {
+    renditions: [
+      { aspect_ratio: "9:16", resolution: "1080p" },
+      { aspect_ratio: "1:1", resolution: "720p" },
+      { aspect_ratio: "9:16", resolution: "1080p" },
+    ],
+  });
+
+  assert.equal(res.statusCode, 202);
+  assert.deepEqual(
+    row.renditions.map(({ aspect_ratio, width, height }) => [
+      aspect_ratio,
+      width,
+      height,
+    ]),
+    [
+      ["9:16", 1080, 1920],
+      ["1:1", 720, 720],
+    ]
+  );
+});
+
+test("createMontage rejects bad renditions", async (t) => {
+  const empty = await create(t, { renditions: [] });
+  assert.equal(empty.res.statusCode, 400);
+
+  const ratio = await create(t, {
+    renditions: [{ aspect_ratio: "21:9", resolution: "1080p" }],
+  });
+  assert.match(ratio.res.body.message, /aspect_ratio must be one of/);
+
+  const tooMany = await create(t, {
+    renditions: ["9:16", "1:1", "4:5", "16:9"].flatMap((aspect_ratio) => [
+      { aspect_ratio, resolution: "720p" },
+      { aspect_ratio, resolution: "1080p" },
+    ]),
+  });
+  assert.equal(tooMany.res.statusCode, 400);
+  assert.match(tooMany.res.body.message, /At most/);
+});
+
+test("createMontage stores overlays with the user's display name", async (t) => {
+  const queries = stubSupabase(t, creationResponder);
+  const res = createResponse();
+
+  await createMontage(
+    {
+      user: { ...user, user_metadata: { full_name: "Sam Lee" } },
+      body: { overlays: { theme: "bold", intro: true } },
+    },
+    res
+  );
+
+  const row = findCall(
+    queries.find((q) => q.table === "montages"),
+    "insert"
+  )[0];
+  assert.deepEqual(row.overlays, {
+    theme: "bold",
+    clip_text: "none",
+    intro: true,
+    outro: false,
+    user_name: "Sam Lee",
+  });
+});
+
+test("createMontage drops overlays that enable nothing", async (t) => {
+  const { row } = await create(t, { overlays: { theme: "typewriter" } });
+
+  assert.equal(row.overlays, null);
+});
+
+test("createMontage rejects bad overlay options", async (t) => {
+  const theme = await create(t, { overlays: { theme: "neon" } });
+  assert.match(theme.res.body.message, /overlays.theme must be one of/);
+
+  const clipText = await create(t, { overlays: { clip_text: "all" } });
+  assert.equal(clipText.res.statusCode, 400);
+
+  const intro = await create(t, { overlays: { intro: "yes" } });
+  assert.equal(intro.res.statusCode, 400);
+
+  const notObject = await create(t, { overlays: ["date"] });
+  assert.equal(notObject.res.statusCode, 400);
+});
+
+test("createMontage stores the selection settings over the defaults", async (t) => {
+  const { res, row } = await create(t, {
+    target_duration_sec: 90,
+    selection: {
+      weights: { quality: 0.5 },
+      min_duration_sec: 60,
+      max_clips_per_day: 2,
+    },
+  });
+
+  assert.equal(res.statusCode, 202);
+  assert.deepEqual(row.selection_config, {
+    weights: { relevance: 0.7, quality: 0.5, confidence: 0.1 },
+    min_duration_sec: 60,
+    max_clips_per_day: 2,
+    max_moments_per_clip: 3,
+  });
+});
+
+test("createMontage rejects bad selection settings", async (t) => {
+  const cases = [
+    { weights: { relevance: 0, quality: 0, confidence: 0 } },
+    { weights: { relevance: -1 } },
+    { min_duration_sec: 120 },
+    { max_clips_per_day: 0 },
+    { max_moments_per_clip: 6 },
+  ];
+
+  for (const selection of cases) {
+    const { res } = await create(t, { target_duration_sec: 90, selection });
+    assert.equal(res.statusCode, 400, JSON.stringify(selection));
+  }
+});
+
+test("getMontage passes on the selection warnings", async (t) => {
+  const warnings = ["Pinned clips run 75s, over the 60s target."];
+  stubSupabase(t, () => ({
+    data: {
+      id: "m1",
+      status: "complete",
+      clip_ids: [],
+      selection_report: { warnings, clips: [] },
+    },
+  }));
+  const res = createResponse();
+
+  await getMontage({ user, params: { id: "m1" } }, res);
+
+  assert.deepEqual(res.body.warnings, warnings);
+  assert.deepEqual(res.body.selectionReport.warnings, warnings);
+});
@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { stubSupabase, findCalls } from "./fakeSupabase.js";
+import {
+  listBundledTracks,
+  getBundledTrackPath,
+  resolveMusicTrack,
+} from "../src/services/musicService.js";
+
+const trackId = "0b6a3c52-3f1e-4a47-9d0e-1c2b3a4d5e6f";
+
+test("listBundledTracks lists the shipped tracks and skips other files", async () => {
+  const tracks = await listBundledTracks();
+
+  assert.deepEqual(
+    tracks.find((track) => track.file === "Sunny Loop.wav"),
+    {
+      id: "bundled:Sunny Loop.wav",
+      title: "Sunny Loop",
+      source: "bundled",
+      file: "Sunny Loop.wav",
+    }
+  );
+  assert.equal(
+    tracks.some((track) => track.file === "README.md"),
+    false
+  );
+});
+
+test("resolveMusicTrack snapshots a bundled track without a lookup", async (t) => {
+  const queries = stubSupabase(t);
+
+  assert.deepEqual(await resolveMusicTrack("user-1", "bundled:Sunny Loop.wav"), {
+    source: "bundled",
+    id: "bundled:Sunny Loop.wav",
+    title: "Sunny Loop",
+    file: "Sunny Loop.wav",
+  });
+  assert.equal(queries.length, 0);
+});
+
+test("getBundledTrackPath stays inside the music library", () => {
+  const trackPath = getBundledTrackPath("../../.env");
+
+  assert.equal(path.basename(trackPath), ".env");
+  assert.equal(path.basename(path.dirname(trackPath)), "music");
+});
+
+test("resolveMusicTrack snapshots one of the user's uploads", async (t) => {
+  const queries = stubSupabase(t, () => ({
+    data: { id: trackId, title: "Summer", url: "https://cdn.test/summer.mp3" },
+  }));
+
+  const track = await resolveMusicTrack("user-1", trackId);
+
+  assert.deepEqual(track, {
+    source: "user",
+    id: trackId,
+    title: "Summer",
+    url: "https://cdn.test/summer.mp3",
+  });
+  assert.deepEqual(findCalls(queries[0], "eq"), [
+    ["id", trackId],
+    ["user_id", "user-1"],
+  ]);
+});
+
+test("resolveMusicTrack returns null for unknown ids without a lookup", async (t) => {
+  const queries = stubSupabase(t);
+
+  assert.equal(await resolveMusicTrack("user-1", "bundled:missing.mp3"), null);
+  assert.equal(await resolveMusicTrack("user-1", "not-a-uuid"), null);
+  assert.equal(queries.length, 0);
+});
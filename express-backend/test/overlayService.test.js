@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import {
+  OVERLAY_THEMES,
+  formatMontageTitle,
+  renderTitleCard,
+} from "../src/services/overlayService.js";
+
+const title = (preset, rangeStart, rangeEnd, timeZone = "UTC") =>
+  formatMontageTitle(
+    { preset, range_start: rangeStart, range_end: rangeEnd },
+    timeZone
+  );
+
+test("formatMontageTitle names weeks by their days", () => {
+  assert.equal(
+    title("week", "2026-10-13T00:00:00Z", "2026-10-19T23:59:59.999Z"),
+    "Week of Oct 13–19"
+  );
+  assert.equal(
+    title("week", "2026-09-29T00:00:00Z", "2026-10-05T23:59:59.999Z"),
+    "Week of Sep 29 – Oct 5"
+  );
+});
+
+test("formatMontageTitle names months, years and custom ranges", () => {
+  assert.equal(
+    title("month", "2026-10-01T00:00:00Z", "2026-10-31T23:59:59.999Z"),
+    "October 2026"
+  );
+  assert.equal(
+    title("year", "2026-01-01T00:00:00Z", "2026-12-31T23:59:59.999Z"),
+    "2026"
+  );
+  assert.equal(
+    title("custom", "2026-10-03T00:00:00Z", "2026-11-02T23:59:59.999Z"),
+    "Oct 3 – Nov 2, 2026"
+  );
+});
+
+test("formatMontageTitle uses the user's time zone", () => {
+  // Midnight UTC on Oct 1 is still September in Los Angeles.
+  assert.equal(
+    title(
+      "month",
+      "2026-10-01T00:00:00Z",
+      "2026-10-31T23:59:59.999Z",
+      "America/Los_Angeles"
+    ),
+    "September 2026"
+  );
+});
+
+test("every overlay theme ships its font and renders a title card", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "overlay-"));
+  try {
+    for (const [name, theme] of Object.entries(OVERLAY_THEMES)) {
+      await fs.access(new URL(`../assets/fonts/${theme.fontFile}`, import.meta.url));
+
+      const outputPath = await renderTitleCard({
+        title: "Week of Oct 13–19",
+        theme: name,
+        width: 540,
+        height: 960,
+        outputPath: path.join(dir, `${name}.png`),
+      });
+      const { width, height } = await sharp(outputPath).metadata();
+      assert.deepEqual({ width, height }, { width: 540, height: 960 });
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { stubSupabase, findCall } from "./fakeSupabase.js";
+import { JOB_TYPES } from "../src/services/jobQueueService.js";
+import { runJob } from "../src/workers/queueWorker.js";
+
+const HEARTBEAT_MS = (120 * 1000) / 3;
+
+const job = {
+  id: "queue-1",
+  type: JOB_TYPES.REANALYZE_CLIP,
+  attempts: 1,
+  max_attempts: 3,
+  payload: { jobId: "job-1", userId: "u1", clipId: "c1", userPrompt: "fun" },
+};
+
+/**
+ * Runs a re-analysis job whose compressed copy is missing from storage, so
+ * the handler fails. The heartbeat fires once the job reports "processing"
+ * and finds the lease `leaseHeld` or not. Returns the job_queue updates
+ * other than heartbeats.
+ */
+async function runFailingJob(t, { leaseHeld }) {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const queries = stubSupabase(t, (query) => {
+    const update = findCall(query, "update")?.[0];
+    if (query.table === "processing_jobs" && update?.status === "processing") {
+      t.mock.timers.tick(HEARTBEAT_MS);
+    }
+    if (query.table === "job_queue" && update?.heartbeat_at) {
+      return { data: leaseHeld ? [{ id: job.id }] : [] };
+    }
+    if (query.table === "clips") {
+      return {
+        data: {
+          id: "c1",
+          compressed_url: "http://files.test/files/clips/compressed/u1/missing.mp4",
+        },
+      };
+    }
+    return {};
+  });
+
+  await runJob(job, "worker-1");
+
+  return queries
+    .filter((q) => q.table === "job_queue")
+    .map((q) => findCall(q, "update")[0])
+    .filter((update) => !update.heartbeat_at);
+}
+
+test("runJob records a failed attempt while it holds the lease", async (t) => {
+  const updates = await runFailingJob(t, { leaseHeld: true });
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].status, "queued");
+});
+
+test("runJob records nothing for a job whose lease was lost", async (t) => {
+  const updates = await runFailingJob(t, { leaseHeld: false });
+
+  assert.deepEqual(updates, []);
+});
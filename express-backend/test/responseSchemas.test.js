@@ -0,0 +1,175 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ResponseValidationError,
+  getSegmentLimit,
+  parseJsonResponse,
+  validateSegmentsResponse,
+  validatePruningResponse,
+} from "../src/services/analysis/responseSchemas.js";
+
+const scores = { relevance: 0.8, quality: 0.6, confidence: 0.9 };
+
+const validateOne = (segment, videoDuration = 10) =>
+  validateSegmentsResponse({ segments: [segment] }, videoDuration);
+
+test("parseJsonResponse strips code fences and surrounding prose", () => {
+  assert.deepEqual(parseJsonResponse('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(parseJsonResponse('Here you go: {"a": 1} Thanks!'), {
+    a: 1,
+  });
+});
+
+test("parseJsonResponse keeps the raw text of an unreadable answer", () => {
+  assert.throws(
+    () => parseJsonResponse("I can't watch videos."),
+    (error) =>
+      error instanceof ResponseValidationError &&
+      error.response === "I can't watch videos."
+  );
+});
+
+test("validateSegmentsResponse accepts a well-formed segment as is", () => {
+  const { segments, repairs } = validateOne({
+    start_sec: 1,
+    end_sec: 4,
+    description: " Waves ",
+    tags: ["Beach", "beach", "friends"],
+    scores,
+  });
+
+  assert.deepEqual(segments, [
+    {
+      startSec: 1,
+      endSec: 4,
+      description: "Waves",
+      tags: ["beach", "friends"],
+      scores,
+    },
+  ]);
+  assert.deepEqual(repairs, ["Dropped invalid, repeated or extra tags."]);
+});
+
+test("validateSegmentsResponse repairs times that don't fit the video", () => {
+  const swapped = validateOne({
+    start_sec: "6",
+    end_sec: "3",
+    description: "x",
+    scores,
+  });
+  assert.deepEqual(
+    [swapped.segments[0].startSec, swapped.segments[0].endSec],
+    [3, 6]
+  );
+  assert.deepEqual(swapped.repairs, ["Swapped start_sec and end_sec."]);
+
+  const tooShort = validateOne({
+    start_sec: 9.5,
+    end_sec: 12,
+    description: "x",
+    scores,
+  });
+  assert.deepEqual(
+    [tooShort.segments[0].startSec, tooShort.segments[0].endSec],
+    [8, 10]
+  );
+
+  const tooLong = validateOne({
+    start_sec: 0,
+    end_sec: 10,
+    description: "x",
+    scores,
+  });
+  assert.equal(tooLong.segments[0].endSec, 8);
+});
+
+test("validateSegmentsResponse fills and clamps scores", () => {
+  const { segments, repairs } = validateOne({
+    start_sec: 0,
+    end_sec: 3,
+    scores: { relevance: 1.4, quality: "0.7" },
+  });
+
+  assert.equal(segments[0].description, "No description");
+  assert.deepEqual(segments[0].scores, {
+    relevance: 1,
+    quality: 0.7,
+    confidence: 0.5,
+  });
+  assert.deepEqual(repairs, [
+    "Missing description.",
+    "Clamped relevance score 1.4 to 0..1.",
+    "Missing confidence score; used 0.5.",
+  ]);
+});
+
+test("validateSegmentsResponse rejects answers with nothing usable", () => {
+  assert.throws(
+    () => validateSegmentsResponse({ segments: [] }, 10),
+    /Response has no segments/
+  );
+  assert.throws(
+    () => validateOne({ start_sec: "soon", end_sec: 3, scores }),
+    /start_sec and end_sec must be numbers/
+  );
+});
+
+test("validatePruningResponse drops indices that name no clip", () => {
+  const { indices, repairs } = validatePruningResponse(
+    { remove_indices: [2, "1", 2, 7, -1, 0.5] },
+    3
+  );
+
+  assert.deepEqual(indices, [2, 1]);
+  assert.deepEqual(repairs, [
+    "Dropped invalid or repeated indices: [2,7,-1,0.5].",
+  ]);
+  assert.throws(
+    () => validatePruningResponse({ remove: [] }, 3),
+    ResponseValidationError
+  );
+});
+
+test("getSegmentLimit asks long videos for more moments", () => {
+  assert.equal(getSegmentLimit(undefined), 1);
+  assert.equal(getSegmentLimit(19), 1);
+  assert.equal(getSegmentLimit(20), 2);
+  assert.equal(getSegmentLimit(35), 3);
+  assert.equal(getSegmentLimit(600), 4);
+});
+
+test("validateSegmentsResponse keeps separate moments up to the limit", () => {
+  const segment = (startSec, endSec) => ({
+    start_sec: startSec,
+    end_sec: endSec,
+    description: `From ${startSec}s`,
+    scores,
+  });
+
+  const { segments, repairs } = validateSegmentsResponse(
+    {
+      segments: [
+        segment(10, 14),
+        segment(12, 16),
+        { start_sec: "later", end_sec: 30, scores },
+        segment(30, 33),
+        segment(0, 3),
+      ],
+    },
+    40,
+    2
+  );
+
+  assert.deepEqual(
+    segments.map(({ startSec, endSec }) => [startSec, endSec]),
+    [
+      [10, 14],
+      [30, 33],
+    ]
+  );
+  assert.deepEqual(repairs, [
+    "Segment 2: Dropped a segment overlapping an earlier one.",
+    "Segment 3: Dropped an invalid segment: start_sec and end_sec must be numbers.",
+    "Dropped 1 segment(s) beyond the limit of 2.",
+  ]);
+});
@@ -0,0 +1,20 @@
+import os from "node:os";
+import path from "node:path";
+
+// Loaded before every test file (see the "test" script). Services read
+// their configuration at import time, so point them at nothing real: no
+// database is reached, storage lives in a temp directory and analysis
+// never calls Gemini.
+process.env.NEXT_PUBLIC_SUPABASE_URL = "http://supabase.test";
+process.env.SUPABASE_SERVICE_KEY = "test-service-key";
+process.env.STORAGE_DRIVER = "local";
+process.env.LOCAL_STORAGE_DIR = path.join(
+  os.tmpdir(),
+  `mylyfe-test-storage-${process.pid}`
+);
+process.env.LOCAL_STORAGE_PUBLIC_URL = "http://files.test/files";
+process.env.LOCAL_STORAGE_SECRET = "test-secret";
+delete process.env.GOOGLE_API_KEY;
+process.env.ANALYSIS_PROVIDERS = "gemini,heuristic";
+process.env.DEFAULT_TIME_ZONE = "UTC";
+delete process.env.PRUNING_AI_TIEBREAK;
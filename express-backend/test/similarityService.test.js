@@ -0,0 +1,80 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import sharp from "sharp";
+import { stubSupabase, findCall } from "./fakeSupabase.js";
+import {
+  cosineSimilarity,
+  embedDescriptions,
+  computeThumbnailHash,
+  getThumbnailHashes,
+} from "../src/services/similarityService.js";
+import { storage } from "../src/services/storageService.js";
+import { fingerprintDistance } from "../src/services/duplicateService.js";
+
+after(() => fs.rm(storage.rootDir, { recursive: true, force: true }));
+
+/**
+ * A 90x80 grayscale PNG that brightens left to right, or right to left
+ * when `reversed`.
+ */
+function gradientImage({ reversed = false, width = 90 } = {}) {
+  const pixels = Buffer.alloc(width * 80);
+  for (let i = 0; i < pixels.length; i++) {
+    const x = i % width;
+    pixels[i] = Math.round(((reversed ? width - 1 - x : x) / width) * 255);
+  }
+  return sharp(pixels, { raw: { width, height: 80, channels: 1 } })
+    .png()
+    .toBuffer();
+}
+
+test("embedDescriptions works offline and scores shared wording", async () => {
+  const { vectors, source } = await embedDescriptions([
+    "Building a sandcastle on the beach",
+    "building a big sandcastle at the beach",
+    "Birthday cake with candles",
+  ]);
+
+  assert.equal(source, "local");
+  assert.ok(Math.abs(cosineSimilarity(vectors[0], vectors[0]) - 1) < 1e-9);
+  assert.ok(cosineSimilarity(vectors[0], vectors[1]) > 0.5);
+  assert.equal(cosineSimilarity(vectors[0], vectors[2]), 0);
+});
+
+test("computeThumbnailHash ignores size but not content", async () => {
+  const hash = await computeThumbnailHash(await gradientImage());
+  const resized = await computeThumbnailHash(
+    await gradientImage({ width: 180 })
+  );
+  const mirrored = await computeThumbnailHash(
+    await gradientImage({ reversed: true })
+  );
+
+  assert.equal(fingerprintDistance(hash, resized), 0);
+  assert.equal(fingerprintDistance(hash, mirrored) > 50, true);
+});
+
+test("getThumbnailHashes hashes stored thumbnails once and saves them", async (t) => {
+  const thumbnailUrl = await storage.put(
+    "thumbnails/user-1/clip-2.png",
+    await gradientImage()
+  );
+  const queries = stubSupabase(t);
+
+  const hashes = await getThumbnailHashes([
+    { id: "clip-1", thumbnail_hash: "00000000000000ff" },
+    { id: "clip-2", thumbnail_url: thumbnailUrl },
+    { id: "clip-3", thumbnail_url: null },
+  ]);
+
+  assert.equal(hashes.get("clip-1"), "00000000000000ff");
+  assert.equal(
+    hashes.get("clip-2"),
+    await computeThumbnailHash(await gradientImage())
+  );
+  assert.equal(hashes.has("clip-3"), false);
+  assert.deepEqual(findCall(queries[0], "update"), [
+    { thumbnail_hash: hashes.get("clip-2") },
+  ]);
+});
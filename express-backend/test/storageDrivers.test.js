@@ -0,0 +1,164 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { createResponse } from "./fakeSupabase.js";
+import { createStorage, storage } from "../src/services/storage/index.js";
+import { createLocalDriver } from "../src/services/storage/localDriver.js";
+import { putFile } from "../src/controllers/filesController.js";
+import { MAX_CLIP_UPLOAD_BYTES } from "../src/services/storageService.js";
+
+const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mylyfe-local-"));
+const driver = createLocalDriver({
+  rootDir,
+  publicUrl: "http://files.test/files/",
+  signingSecret: "secret",
+});
+
+after(async () => {
+  await fs.rm(rootDir, { recursive: true, force: true });
+  await fs.rm(storage.rootDir, { recursive: true, force: true });
+});
+
+test("the local driver stores, lists and deletes objects", async () => {
+  const url = await driver.put("clips/user-1/My Clip.mp4", Buffer.from("abc"), {
+    contentType: "video/mp4",
+  });
+  await driver.put("clips/user-2/b.mp4", Buffer.from("de"));
+
+  assert.equal(url, "http://files.test/files/clips/user-1/My%20Clip.mp4");
+  assert.equal(driver.getKeyFromUrl(url), "clips/user-1/My Clip.mp4");
+  assert.deepEqual(await driver.head("clips/user-1/My Clip.mp4"), {
+    size: 3,
+    contentType: "video/mp4",
+  });
+  assert.deepEqual(
+    (await driver.list("clips/user-1/")).map(({ key, size }) => [key, size]),
+    [["clips/user-1/My Clip.mp4", 3]]
+  );
+
+  await driver.delete("clips/user-1/My Clip.mp4");
+  assert.equal(await driver.head("clips/user-1/My Clip.mp4"), null);
+  // Deleting twice is not an error.
+  await driver.delete("clips/user-1/My Clip.mp4");
+});
+
+test("the local driver refuses keys outside its directory", async () => {
+  await assert.rejects(
+    driver.put("../escape.txt", Buffer.from("x")),
+    /Invalid storage key/
+  );
+});
+
+test("the local driver checks signed URL method, key and expiry", async () => {
+  const url = new URL(
+    await driver.getSignedUrl("clips/user-1/c.mp4", { method: "PUT" })
+  );
+  const expires = url.searchParams.get("expires");
+  const signature = url.searchParams.get("signature");
+
+  assert.equal(
+    driver.verifySignature("PUT", "clips/user-1/c.mp4", expires, signature),
+    true
+  );
+  assert.equal(
+    driver.verifySignature("GET", "clips/user-1/c.mp4", expires, signature),
+    false
+  );
+  assert.equal(
+    driver.verifySignature("PUT", "clips/user-2/c.mp4", expires, signature),
+    false
+  );
+  assert.equal(
+    driver.verifySignature("PUT", "clips/user-1/c.mp4", "1", signature),
+    false
+  );
+});
+
+test("createStorage rejects an unknown driver", () => {
+  assert.throws(
+    () => createStorage({ STORAGE_DRIVER: "ftp" }),
+    /Unknown STORAGE_DRIVER "ftp"/
+  );
+});
+
+test("the s3 driver presigns uploads for their content type", async () => {
+  const driver = createStorage({
+    STORAGE_DRIVER: "s3",
+    S3_BUCKET_NAME: "mylyfe-clips",
+    AWS_REGION: "us-east-1",
+    AWS_ACCESS_KEY_ID: "AKIDEXAMPLE",
+    AWS_SECRET_ACCESS_KEY: "secret",
+  });
+
+  const url = new URL(
+    await driver.getSignedUrl("clips/user-1/c.mp4", {
+      method: "PUT",
+      contentType: "video/mp4",
+      expiresIn: 60,
+    })
+  );
+
+  assert.equal(url.host, "mylyfe-clips.s3.us-east-1.amazonaws.com");
+  assert.equal(url.pathname, "/clips/user-1/c.mp4");
+  assert.equal(url.searchParams.get("X-Amz-Expires"), "60");
+  assert.equal(url.searchParams.get("X-Amz-SignedHeaders"), "content-type;host");
+  assert.equal(url.searchParams.get("x-amz-checksum-crc32"), null);
+});
+
+/**
+ * Builds a PUT /files request for `key` carrying `body`.
+ */
+async function putRequest(key, body, { signed = true, headers = {} } = {}) {
+  const url = new URL(await storage.getSignedUrl(key, { method: "PUT" }));
+  const req = Readable.from([body]);
+  req.params = { 0: key };
+  req.query = signed
+    ? Object.fromEntries(url.searchParams)
+    : { expires: url.searchParams.get("expires"), signature: "forged" };
+  req.headers = { "content-type": "video/mp4", ...headers };
+  return req;
+}
+
+test("putFile stores a body sent to a signed URL", async () => {
+  const res = createResponse();
+
+  await putFile(
+    await putRequest("clips/user-1/d.mp4", Buffer.from("video")),
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(await storage.head("clips/user-1/d.mp4"), {
+    size: 5,
+    contentType: "video/mp4",
+  });
+});
+
+test("putFile rejects a forged signature", async () => {
+  const res = createResponse();
+
+  await putFile(
+    await putRequest("clips/user-1/e.mp4", Buffer.from("x"), { signed: false }),
+    res
+  );
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(await storage.head("clips/user-1/e.mp4"), null);
+});
+
+test("putFile rejects bodies over the upload limit", async () => {
+  const res = createResponse();
+
+  await putFile(
+    await putRequest("clips/user-1/f.mp4", Buffer.from("x"), {
+      headers: { "content-length": String(MAX_CLIP_UPLOAD_BYTES + 1) },
+    }),
+    res
+  );
+
+  assert.equal(res.statusCode, 413);
+  assert.equal(await storage.head("clips/user-1/f.mp4"), null);
+});
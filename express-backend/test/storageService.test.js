@@ -0,0 +1,65 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  storage,
+  downloadFile,
+  uploadFile,
+  logTransferProgress,
+} from "../src/services/storageService.js";
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "mylyfe-transfer-"));
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+  await fs.rm(storage.rootDir, { recursive: true, force: true });
+});
+
+test("uploadFile and downloadFile stream a file through storage", async () => {
+  const source = path.join(workDir, "source.bin");
+  const contents = Buffer.alloc(256 * 1024, 7);
+  await fs.writeFile(source, contents);
+
+  const uploads = [];
+  const url = await uploadFile(source, "clips/user-1/a.bin", "video/mp4", {
+    onProgress: (progress) => uploads.push(progress),
+  });
+  assert.equal(url, "http://files.test/files/clips/user-1/a.bin");
+  assert.deepEqual(uploads.at(-1), {
+    loaded: contents.length,
+    total: contents.length,
+  });
+
+  const target = path.join(workDir, "target.bin");
+  const downloads = [];
+  await downloadFile("clips/user-1/a.bin", target, {
+    onProgress: (progress) => downloads.push(progress),
+  });
+  assert.deepEqual(await fs.readFile(target), contents);
+  assert.equal(downloads.at(-1).loaded, contents.length);
+});
+
+test("downloadFile removes the partial file when the object is missing", async () => {
+  const target = path.join(workDir, "missing.bin");
+
+  await assert.rejects(
+    downloadFile("clips/user-1/missing.bin", target, { onProgress: null }),
+    /Download of clips\/user-1\/missing.bin failed/
+  );
+  await assert.rejects(fs.access(target));
+});
+
+test("logTransferProgress logs once per tenth of a transfer", (t) => {
+  const log = t.mock.method(console, "log", () => {});
+  const onProgress = logTransferProgress("Uploading x");
+
+  for (let loaded = 0; loaded <= 100; loaded += 5) {
+    onProgress({ loaded, total: 100 });
+  }
+  onProgress({ loaded: 50 });
+
+  assert.equal(log.mock.callCount(), 11);
+  assert.match(log.mock.calls.at(-1).arguments[0], /Uploading x: 100% of/);
+});
@@ -0,0 +1,164 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { Readable } from "node:stream";
+import { stubSupabase, findCall, findCalls } from "./fakeSupabase.js";
+import {
+  appendChunk,
+  deleteExpiredUploads,
+  isExpired,
+  TusUploadError,
+} from "../src/services/tusUploadService.js";
+import { storage } from "../src/services/storageService.js";
+
+after(() => fs.rm(storage.rootDir, { recursive: true, force: true }));
+
+let nextId = 0;
+
+const newUpload = (fields = {}) => {
+  nextId += 1;
+  return {
+    id: `upload-${nextId}`,
+    user_id: "user-1",
+    upload_length: 6,
+    upload_offset: 0,
+    chunk_keys: [],
+    final_key: null,
+    filename: "clip.mp4",
+    content_type: "video/mp4",
+    status: "uploading",
+    ...fields,
+  };
+};
+
+/**
+ * Plays the database for appendChunk. `committed` decides whether the
+ * offset update finds the row; `existingJobId` is the processing job
+ * already recorded for the assembled clip.
+ */
+const tusResponder =
+  (upload, { committed = true, existingJobId = null } = {}) =>
+  (query) => {
+    const update = findCall(query, "update")?.[0];
+    if (query.table === "processing_jobs") {
+      return { data: existingJobId ? [{ job_id: existingJobId }] : [] };
+    }
+    if (query.table !== "clip_uploads" || !update) return { data: null };
+    if ("upload_offset" in update) {
+      return { data: committed ? [{ ...upload, ...update }] : [] };
+    }
+    if ("status" in update) return { data: { ...upload, ...update } };
+    return { data: [update] };
+  };
+
+test("isExpired ignores finished uploads", () => {
+  const past = new Date(Date.now() - 1000).toISOString();
+  const future = new Date(Date.now() + 60_000).toISOString();
+
+  assert.equal(isExpired({ status: "uploading", expires_at: past }), true);
+  assert.equal(isExpired({ status: "uploading", expires_at: future }), false);
+  assert.equal(isExpired({ status: "complete", expires_at: past }), false);
+});
+
+test("appendChunk rejects a PATCH at the wrong offset", async (t) => {
+  const queries = stubSupabase(t);
+
+  await assert.rejects(
+    appendChunk(newUpload({ upload_offset: 2 }), 0, Readable.from(["ab"])),
+    (error) => error instanceof TusUploadError && error.status === 409
+  );
+  assert.equal(queries.length, 0);
+});
+
+test("appendChunk rejects bytes past the upload length", async (t) => {
+  const upload = newUpload();
+  stubSupabase(t, tusResponder(upload));
+
+  await assert.rejects(
+    appendChunk(upload, 0, Readable.from(["abcdefg"])),
+    (error) => error instanceof TusUploadError && error.status === 413
+  );
+  assert.deepEqual(await storage.list(`uploads/tus/${upload.id}/`), []);
+});
+
+test("appendChunk commits the chunk and its key at the current offset", async (t) => {
+  const upload = newUpload();
+  const queries = stubSupabase(t, tusResponder(upload));
+
+  const updated = await appendChunk(upload, 0, Readable.from(["abc"]));
+
+  assert.equal(updated.upload_offset, 3);
+  const query = queries.find((q) => q.table === "clip_uploads");
+  assert.deepEqual(findCalls(query, "eq"), [
+    ["id", upload.id],
+    ["upload_offset", 0],
+  ]);
+  const [key] = findCall(query, "update")[0].chunk_keys;
+  assert.match(key, new RegExp(`^uploads/tus/${upload.id}/000000000000-`));
+  assert.deepEqual(
+    (await storage.list(`uploads/tus/${upload.id}/`)).map((c) => c.key),
+    [key]
+  );
+});
+
+test("appendChunk drops only its own chunk when another request wins", async (t) => {
+  const winnerKey = "uploads/tus/upload-race/000000000000-winner";
+  await storage.put(winnerKey, Buffer.from("abc"));
+  const upload = newUpload({ id: "upload-race" });
+  stubSupabase(t, tusResponder(upload, { committed: false }));
+
+  await assert.rejects(
+    appendChunk(upload, 0, Readable.from(["xyz"])),
+    (error) => error instanceof TusUploadError && error.status === 409
+  );
+  assert.deepEqual(
+    (await storage.list("uploads/tus/upload-race/")).map((c) => c.key),
+    [winnerKey]
+  );
+});
+
+test("the last chunk assembles the clip and reuses a queued job", async (t) => {
+  const upload = newUpload();
+  const firstKey = `uploads/tus/${upload.id}/000000000000-first`;
+  await storage.put(firstKey, Buffer.from("abc"));
+  const received = { ...upload, upload_offset: 3, chunk_keys: [firstKey] };
+  const queries = stubSupabase(
+    t,
+    tusResponder(received, { existingJobId: "job-1" })
+  );
+
+  const finished = await appendChunk(received, 3, Readable.from(["def"]));
+
+  assert.equal(finished.status, "complete");
+  assert.equal(finished.job_id, "job-1");
+  assert.equal(
+    queries.some((q) => q.table === "job_queue"),
+    false
+  );
+  const reserve = queries.find(
+    (q) => q.table === "clip_uploads" && findCall(q, "is")
+  );
+  assert.deepEqual(findCall(reserve, "is"), ["final_key", null]);
+
+  const { stream } = await storage.getStream(finished.final_key);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  assert.equal(Buffer.concat(chunks).toString(), "abcdef");
+  assert.deepEqual(await storage.list(`uploads/tus/${upload.id}/`), []);
+});
+
+test("deleteExpiredUploads only removes unfinished uploads", async (t) => {
+  const queries = stubSupabase(t, (query) =>
+    findCall(query, "select") ? { data: [{ id: "upload-old" }] } : {}
+  );
+
+  assert.equal(await deleteExpiredUploads(), 1);
+
+  const [select, remove] = queries;
+  assert.deepEqual(findCall(select, "eq"), ["status", "uploading"]);
+  assert.equal(findCall(select, "lt")[0], "expires_at");
+  assert.deepEqual(findCalls(remove, "eq"), [
+    ["id", "upload-old"],
+    ["status", "uploading"],
+  ]);
+});
@@ -0,0 +1,95 @@
+import test, { before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { getVideoMetadata } from "../src/services/ffmpegService.js";
+
+// ffprobe is swapped for a script that prints FAKE_FFPROBE_OUTPUT, so the
+// tag parsing can be tested without real video files.
+let binDir;
+const originalPath = process.env.PATH;
+
+before(async () => {
+  binDir = await fs.mkdtemp(path.join(os.tmpdir(), "mylyfe-ffprobe-"));
+  const script = path.join(binDir, "ffprobe");
+  await fs.writeFile(script, '#!/bin/sh\nprintf "%s" "$FAKE_FFPROBE_OUTPUT"\n');
+  await fs.chmod(script, 0o755);
+  process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+});
+
+after(async () => {
+  process.env.PATH = originalPath;
+  delete process.env.FAKE_FFPROBE_OUTPUT;
+  await fs.rm(binDir, { recursive: true, force: true });
+});
+
+const probe = (format = {}, streams = []) => {
+  process.env.FAKE_FFPROBE_OUTPUT = JSON.stringify({
+    format: { tags: format },
+    streams: streams.map((tags) => ({ tags })),
+  });
+  return getVideoMetadata("clip.mov");
+};
+
+test("getVideoMetadata reads an iPhone's date, location and device", async () => {
+  const metadata = await probe({
+    "com.apple.quicktime.creationdate": "2026-10-14T18:30:00-0700",
+    creation_time: "2026-10-16T09:00:00.000000Z",
+    "com.apple.quicktime.location.ISO6709": "+37.7749-122.4194+010.000/",
+    "com.apple.quicktime.make": "Apple",
+    "com.apple.quicktime.model": "iPhone 15",
+  });
+
+  assert.equal(metadata.capturedAt.toISOString(), "2026-10-15T01:30:00.000Z");
+  assert.deepEqual(metadata.location, {
+    latitude: 37.7749,
+    longitude: -122.4194,
+    altitude: 10,
+  });
+  assert.equal(metadata.deviceMake, "Apple");
+  assert.equal(metadata.deviceModel, "iPhone 15");
+});
+
+test("getVideoMetadata reads Android tags and stream dates", async () => {
+  const metadata = await probe(
+    {
+      location: "-33.8688+151.2093/",
+      "com.android.manufacturer": "Google",
+      "com.android.model": "Pixel 8",
+    },
+    [{ creation_time: "2026-10-12T07:15:00.000000Z" }]
+  );
+
+  assert.equal(metadata.capturedAt.toISOString(), "2026-10-12T07:15:00.000Z");
+  assert.deepEqual(metadata.location, {
+    latitude: -33.8688,
+    longitude: 151.2093,
+    altitude: null,
+  });
+  assert.equal(metadata.deviceModel, "Pixel 8");
+});
+
+test("getVideoMetadata ignores unset clocks and empty GPS fixes", async () => {
+  const metadata = await probe({
+    creation_time: "1970-01-01T00:00:00.000000Z",
+    location: "+00.0000+000.0000/",
+  });
+
+  assert.deepEqual(metadata, {
+    capturedAt: null,
+    location: null,
+    deviceMake: null,
+    deviceModel: null,
+  });
+});
+
+test("getVideoMetadata returns empty fields when ffprobe fails", async (t) => {
+  t.mock.method(console, "error", () => {});
+  process.env.FAKE_FFPROBE_OUTPUT = "not json";
+
+  const metadata = await getVideoMetadata("clip.mov");
+
+  assert.equal(metadata.capturedAt, null);
+  assert.equal(metadata.location, null);
+});
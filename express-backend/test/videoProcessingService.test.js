@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { stubSupabase, findCall, findCalls } from "./fakeSupabase.js";
+import {
+  processVideoInBackground,
+} from "../src/services/videoProcessingService.js";
+
+const jobData = {
+  file: {
+    key: "clips/user-1/2026-10-25/1-a.mp4",
+    location: "http://files.test/files/clips/user-1/2026-10-25/1-a.mp4",
+  },
+  user: { id: "user-1" },
+  userPrompt: "Beach day",
+  jobId: "job-1",
+};
+
+test("a retried job finishes with the clip it already saved", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const saved = { id: "clip-1", user_id: "user-1", duplicate_of: null };
+  const queries = stubSupabase(t, (query) =>
+    query.table === "clips" ? { data: [saved] } : { data: null }
+  );
+
+  // The original isn't in storage here, so any processing would throw.
+  await processVideoInBackground(jobData);
+
+  assert.deepEqual(findCalls(queries[0], "eq"), [
+    ["user_id", "user-1"],
+    ["clip_url", jobData.file.location],
+  ]);
+  const jobUpdates = queries
+    .filter((q) => q.table === "processing_jobs")
+    .map((q) => findCall(q, "update")[0]);
+  assert.equal(jobUpdates.length, 1);
+  assert.equal(jobUpdates[0].status, "completed");
+  assert.equal(jobUpdates[0].clip_id, "clip-1");
+  assert.equal(
+    queries.some((q) => q.table === "clips" && findCall(q, "insert")),
+    false
+  );
+});
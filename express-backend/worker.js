@@ -0,0 +1,26 @@
+import 'dotenv/config';
+import { startWorker } from './src/workers/queueWorker.js';
+import { startMontageScheduler } from './src/workers/montageScheduler.js';
+import { startUploadCleanup } from './src/workers/uploadCleanup.js';
+
+const worker = startWorker();
+
+// Every worker process runs the scheduler; per-week run records keep
+// several of them from building the same montage twice.
+const scheduler =
+  process.env.MONTAGE_SCHEDULER_ENABLED !== 'false' ? startMontageScheduler() : null;
+
+const uploadCleanup = startUploadCleanup();
+
+// Let in-flight jobs finish on deploys. Anything cut short is picked up
+// again by orphan recovery once its lease expires.
+const shutdown = async (signal) => {
+  console.log(`Received ${signal}, shutting down worker...`);
+  scheduler?.stop();
+  uploadCleanup.stop();
+  await worker.stop();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,77 @@
+import { createHash } from "node:crypto";
+
+// Reads and writes the analysis_cache table shared with the express worker
+// (see express-backend/migrations/018_analysis_cache.sql). The cache is an
+// optimisation only: every failure is logged and treated as a miss.
+
+export const sha256 = (data) => createHash("sha256").update(data).digest("hex");
+
+async function getSupabase() {
+  try {
+    // Imported lazily: lib/supabase throws when its env vars are missing,
+    // which should disable the cache rather than the route.
+    const { supabase } = await import("./supabase.js");
+    return supabase;
+  } catch (error) {
+    console.warn(`Analysis cache disabled: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * @param {{ contentHash: string, promptHash: string, model: string }} key
+ * @returns {Promise<object|null>} The stored result.
+ */
+export async function getCachedAnalysis({ contentHash, promptHash, model }) {
+  const supabase = await getSupabase();
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from("analysis_cache")
+    .select("result, hit_count")
+    .eq("content_hash", contentHash)
+    .eq("prompt_hash", promptHash)
+    .eq("model", model)
+    .maybeSingle();
+
+  if (error) {
+    console.error("Analysis cache lookup failed:", error);
+    return null;
+  }
+  if (!data) return null;
+
+  await supabase
+    .from("analysis_cache")
+    .update({
+      hit_count: data.hit_count + 1,
+      last_used_at: new Date().toISOString(),
+    })
+    .eq("content_hash", contentHash)
+    .eq("prompt_hash", promptHash)
+    .eq("model", model);
+
+  return data.result;
+}
+
+/**
+ * @param {{ contentHash: string, promptHash: string, model: string }} key
+ * @param {object} result
+ */
+export async function saveCachedAnalysis({ contentHash, promptHash, model }, result) {
+  const supabase = await getSupabase();
+  if (!supabase) return;
+
+  const { error } = await supabase.from("analysis_cache").upsert({
+    content_hash: contentHash,
+    prompt_hash: promptHash,
+    model,
+    result,
+    created_at: new Date().toISOString(),
+    last_used_at: new Date().toISOString(),
+    hit_count: 0,
+  });
+
+  if (error) {
+    console.error("Failed to save analysis cache entry:", error);
+  }
+}
@@ -37,9 +37,16 @@ export async function uploadVideo(localPath) {
  * @param {object} options
  * @param {Array<object>} options.chosen - The array of selected segment objects.
  * @param {object} options.videoPublicIds - A map of { localPath: cloudinary_public_id }.
+ * @param {number} [options.width=1080] - Output width in pixels.
+ * @param {number} [options.height=1920] - Output height in pixels.
  * @returns {Promise<string>} The URL of the final, processed video.
  */
-export async function createVideoFromSegments({ chosen, videoPublicIds }) {
+export async function createVideoFromSegments({
+  chosen,
+  videoPublicIds,
+  width = 1080,
+  height = 1920,
+}) {
   if (!chosen || chosen.length === 0) {
     throw new Error("Cannot create video from empty selection.");
   }
@@ -49,8 +56,8 @@ export async function createVideoFromSegments({ chosen, videoPublicIds }) {
   const basePublicId = baseVideo.public_id;
   const baseFormat = baseVideo.format;
 
-  const targetWidth = 1080;
-  const targetHeight = 1920;
+  const targetWidth = width;
+  const targetHeight = height;
 
   // Start transformation chain with resize for the base video
   const transformChain = [
@@ -2,6 +2,11 @@ import { GoogleGenerativeAI } from "@google/generative-ai";
 import { readFileAsBase64 } from "./util.js";
 import { v4 as uuidv4 } from "uuid";
 import path from "node:path";
+import {
+  sha256,
+  getCachedAnalysis,
+  saveCachedAnalysis,
+} from "./analysisCache.js";
 
 const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
 
@@ -61,6 +66,20 @@ Example: { "segments": [ { "start_sec": 12.5, "end_sec": 17.0, "description": ".
 
     const instructions = isFastMode ? instructionsFast : instructionsLegacy;
 
+    const cacheKey = {
+      contentHash: sha256(Buffer.from(videoBase64, "base64")),
+      promptHash: sha256(instructions),
+      model: MODEL,
+    };
+    const cached = await getCachedAnalysis(cacheKey);
+    if (cached?.segments) {
+      progressCallback?.("Using cached analysis...");
+      return {
+        file,
+        segments: cached.segments.map((s) => ({ ...s, id: uuidv4(), file })),
+      };
+    }
+
     const inputs = [
       { text: instructions },
       {
@@ -134,6 +153,9 @@ Example: { "segments": [ { "start_sec": 12.5, "end_sec": 17.0, "description": ".
     console.log(
       `Successfully analyzed video: ${segments.length} segments found`
     );
+    await saveCachedAnalysis(cacheKey, {
+      segments: segments.map(({ id, file, ...segment }) => segment),
+    });
     return { file, segments };
   } catch (error) {
     console.error("Gemini analysis error:", error);
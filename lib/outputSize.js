@@ -0,0 +1,27 @@
+// Output shapes for the final edit; same choices as the express backend.
+// Kept free of Node imports so the upload page can list them too.
+// The resolution sets the length of the shorter side.
+export const OUTPUT_ASPECT_RATIOS = {
+  "9:16": [9, 16],
+  "1:1": [1, 1],
+  "4:5": [4, 5],
+  "16:9": [16, 9],
+};
+export const OUTPUT_RESOLUTIONS = { "720p": 720, "1080p": 1080 };
+
+/**
+ * Pixel size of an output shape, e.g. 1080x1350 for 4:5 at 1080p. Unknown
+ * values fall back to 9:16 at 1080p.
+ * @returns {{ width: number, height: number }} Even dimensions.
+ */
+export function getOutputSize(aspectRatio, resolution) {
+  const [ratioW, ratioH] =
+    OUTPUT_ASPECT_RATIOS[aspectRatio] || OUTPUT_ASPECT_RATIOS["9:16"];
+  const shortSide =
+    OUTPUT_RESOLUTIONS[resolution] || OUTPUT_RESOLUTIONS["1080p"];
+  const scale = Math.max(ratioW, ratioH) / Math.min(ratioW, ratioH);
+  const longSide = Math.round((shortSide * scale) / 2) * 2;
+  return ratioW <= ratioH
+    ? { width: shortSide, height: longSide }
+    : { width: longSide, height: shortSide };
+}
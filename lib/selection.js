@@ -1,27 +1,65 @@
+// Same defaults as the express backend's DEFAULT_SCORE_WEIGHTS.
+export const DEFAULT_SCORE_WEIGHTS = {
+  relevance: 0.7,
+  quality: 0.2,
+  confidence: 0.1,
+};
+
+/**
+ * Weighted mean of a segment's scores. Missing relevance counts as 0 and
+ * missing quality or confidence as 0.5.
+ */
+export function scoreSegment(scores = {}, weights = DEFAULT_SCORE_WEIGHTS) {
+  const { relevance = 0, quality = 0, confidence = 0 } = {
+    ...DEFAULT_SCORE_WEIGHTS,
+    ...weights,
+  };
+  const total = relevance + quality + confidence;
+  if (total <= 0) return 0;
+  return (
+    ((scores.relevance ?? 0) * relevance +
+      (scores.quality ?? 0.5) * quality +
+      (scores.confidence ?? 0.5) * confidence) /
+    total
+  );
+}
+
+/**
+ * Picks at most one segment per video, lowering the score threshold until
+ * the total reaches the minimum duration. The best segment of every pinned
+ * video is always kept, even over the maximum duration.
+ * @param {object} input
+ * @param {object[]} input.videos Analyses with their `segments`.
+ * @param {string[]} [input.pinnedFiles] Files of videos the user pinned.
+ * @param {object} [input.weights] Score weights, see DEFAULT_SCORE_WEIGHTS.
+ * @param {number} [input.minDurationSec] Defaults to 60.
+ * @param {number} [input.maxDurationSec] Defaults to 180.
+ * @returns {{ chosen: object[], totalDurationSec: number, report: object }}
+ *   `report.segments` says why each segment was included or dropped.
+ */
 export function selectBestSegments(input) {
   const { videos } = input;
+  const weights = { ...DEFAULT_SCORE_WEIGHTS, ...input.weights };
+  const pinnedFiles = new Set(input.pinnedFiles || []);
 
   const all = videos.flatMap((v) => v.segments);
 
   const scored = all
     .map((s) => {
-      const rel = s.scores.relevance ?? 0;
-      const qual = s.scores.quality ?? 0.5;
-      const conf = s.scores.confidence ?? 0.5;
       const durPenalty = s.durationSec > 12 ? 0.9 : 1;
-      const score = rel * 0.7 + qual * 0.2 + conf * 0.1;
-      return { s, score: score * durPenalty };
+      return { s, score: scoreSegment(s.scores, weights) * durPenalty };
     })
     .sort((a, b) => b.score - a.score);
 
-  const MIN_DURATION = 60; // 1 min
-  const MAX_DURATION = 180; // 3 min
+  const MIN_DURATION = input.minDurationSec ?? 60; // 1 min
+  const MAX_DURATION = input.maxDurationSec ?? 180; // 3 min
   let currentThreshold = 0.7; // Start with high threshold
   const thresholdStep = 0.1; // How much to lower threshold each iteration
   const minThreshold = 0.1; // Don't go below this
 
   let chosen = [];
   let total = 0;
+  let reasons = new Map();
 
   // Keep trying with lower thresholds until we reach MIN_DURATION or use all videos
   while (total < MIN_DURATION && currentThreshold >= minThreshold) {
@@ -29,17 +67,39 @@ export function selectBestSegments(input) {
 
     chosen = [];
     total = 0;
+    reasons = new Map();
     const usedFiles = new Set();
 
+    // Pinned videos first, whatever their score
+    for (const { s } of scored) {
+      if (!pinnedFiles.has(s.file) || usedFiles.has(s.file)) continue;
+      chosen.push(s);
+      total += s.durationSec;
+      usedFiles.add(s.file);
+      reasons.set(s, "pinned");
+    }
+
     // Select best segment from each video that meets current threshold
     for (const { s, score } of scored) {
-      if (usedFiles.has(s.file)) continue; // Skip if we already have a segment from this video
-      if (score < currentThreshold) continue; // Skip if score too low
-      if (total + s.durationSec > MAX_DURATION) continue; // Skip if would exceed max
+      if (reasons.get(s) === "pinned") continue;
+      // Skip if we already have a segment from this video
+      if (usedFiles.has(s.file)) {
+        reasons.set(s, "same_video");
+        continue;
+      }
+      if (score < currentThreshold) {
+        reasons.set(s, "below_threshold");
+        continue;
+      }
+      if (total + s.durationSec > MAX_DURATION) {
+        reasons.set(s, "max_duration");
+        continue;
+      }
 
       chosen.push(s);
       total += s.durationSec;
       usedFiles.add(s.file);
+      reasons.set(s, "score");
 
       console.log(
         `Added segment from ${s.file}: ${s.durationSec.toFixed(
@@ -85,5 +145,37 @@ export function selectBestSegments(input) {
     );
   });
 
-  return { chosen, totalDurationSec: total };
+  const warnings = [];
+  const pinnedDuration = chosen
+    .filter((s) => reasons.get(s) === "pinned")
+    .reduce((sum, s) => sum + s.durationSec, 0);
+  if (pinnedDuration > MAX_DURATION) {
+    warnings.push(
+      `Pinned videos run ${pinnedDuration.toFixed(
+        1
+      )}s, over the ${MAX_DURATION}s maximum.`
+    );
+  }
+  warnings.forEach((warning) => console.warn(warning));
+
+  const report = {
+    weights,
+    minDurationSec: MIN_DURATION,
+    maxDurationSec: MAX_DURATION,
+    threshold: Math.max(currentThreshold, minThreshold),
+    totalDurationSec: total,
+    warnings,
+    segments: scored.map(({ s, score }) => ({
+      id: s.id,
+      file: s.file,
+      startSec: s.startSec,
+      endSec: s.endSec,
+      score,
+      included: chosen.includes(s),
+      // Segments after the loop stopped early were never considered.
+      reason: reasons.get(s) || "not_needed",
+    })),
+  };
+
+  return { chosen, totalDurationSec: total, report };
 }
@@ -0,0 +1,61 @@
+import path from "node:path";
+import { createLocalDriver } from "./localDriver.js";
+import { createSupabaseDriver } from "./supabaseDriver.js";
+
+/**
+ * The subset of express-backend's storage interface the Next.js app needs.
+ * @typedef {object} StorageDriver
+ * @property {string} name "supabase" or "local".
+ * @property {(key: string, body: Buffer, options?: { contentType?: string }) => Promise<string>} put
+ *   Stores an object and returns its public URL.
+ * @property {(key: string) => Promise<void>} delete
+ * @property {(key: string, options?: { method?: "GET"|"PUT", expiresIn?: number }) => Promise<string>} getSignedUrl
+ *   A time-limited URL to download (GET) or upload (PUT) the object directly.
+ * @property {(key: string) => string} getPublicUrl
+ * @property {(url: string) => string|null} getKeyFromUrl
+ *   Inverse of getPublicUrl.
+ */
+
+export const STORAGE_DRIVERS = ["supabase", "local"];
+
+/**
+ * Builds the driver selected by STORAGE_DRIVER (default "supabase").
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {Promise<StorageDriver>}
+ */
+export async function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || "supabase";
+
+  switch (driver) {
+    case "supabase": {
+      // Imported here because the client throws without Supabase credentials.
+      const { supabase } = await import("../supabase.js");
+      return createSupabaseDriver({
+        client: supabase,
+        bucket: env.SUPABASE_STORAGE_BUCKET || "videos",
+      });
+    }
+    case "local":
+      return createLocalDriver({
+        rootDir: env.LOCAL_STORAGE_DIR || path.resolve("storage"),
+        publicUrl:
+          env.LOCAL_STORAGE_PUBLIC_URL || "http://localhost:3000/api/files",
+        signingSecret: env.LOCAL_STORAGE_SECRET || "local-dev-secret",
+      });
+    default:
+      throw new Error(
+        `Unknown STORAGE_DRIVER "${driver}". Use one of: ${STORAGE_DRIVERS.join(", ")}.`
+      );
+  }
+}
+
+let storagePromise;
+
+/**
+ * The app-wide driver, built on first use.
+ * @returns {Promise<StorageDriver>}
+ */
+export function getStorage() {
+  storagePromise ??= createStorage();
+  return storagePromise;
+}
@@ -0,0 +1,91 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Storage driver that keeps objects in a local directory, for running the app
+ * offline. Files are served by the /api/files route.
+ * @param {object} config
+ * @param {string} config.rootDir Directory objects are stored in.
+ * @param {string} config.publicUrl Base URL the /api/files route is reachable at.
+ * @param {string} config.signingSecret Key for signed URLs.
+ * @returns {import("./index.js").StorageDriver}
+ */
+export function createLocalDriver({ rootDir, publicUrl, signingSecret }) {
+  const root = path.resolve(rootDir);
+  const baseUrl = publicUrl.replace(/\/+$/, "");
+
+  const sign = (method, key, expires) =>
+    createHmac("sha256", signingSecret)
+      .update(`${method}\n${key}\n${expires}`)
+      .digest("hex");
+
+  return {
+    name: "local",
+    rootDir: root,
+
+    /**
+     * Maps a key to its file, refusing keys that escape the root directory.
+     * @returns {string}
+     */
+    resolveKey(key) {
+      const filePath = path.resolve(root, key);
+      if (!filePath.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return filePath;
+    },
+
+    async put(key, body) {
+      const filePath = this.resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write next to the target and rename, so readers never see half a file.
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.part`;
+      try {
+        await fs.writeFile(tempPath, body);
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+      return this.getPublicUrl(key);
+    },
+
+    async delete(key) {
+      await fs.unlink(this.resolveKey(key)).catch((error) => {
+        if (error.code !== "ENOENT") throw error;
+      });
+    },
+
+    async getSignedUrl(key, { method = "GET", expiresIn = 900 } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({
+        expires: String(expires),
+        signature: sign(method, key, expires),
+      });
+      return `${this.getPublicUrl(key)}?${query}`;
+    },
+
+    /**
+     * Checks a signature from a URL made by getSignedUrl.
+     * @returns {boolean}
+     */
+    verifySignature(method, key, expires, signature) {
+      if (!signature || !(Number(expires) * 1000 > Date.now())) return false;
+      const expected = Buffer.from(sign(method, key, expires));
+      const given = Buffer.from(String(signature));
+      return expected.length === given.length && timingSafeEqual(expected, given);
+    },
+
+    getPublicUrl(key) {
+      return `${baseUrl}/${key.split("/").map(encodeURIComponent).join("/")}`;
+    },
+
+    getKeyFromUrl(url) {
+      const { pathname } = new URL(url);
+      const basePath = new URL(baseUrl).pathname.replace(/\/+$/, "");
+      if (!pathname.startsWith(`${basePath}/`)) return null;
+      return decodeURIComponent(pathname.slice(basePath.length + 1));
+    },
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Storage driver backed by a Supabase Storage bucket.
+ * @param {object} config
+ * @param {import("@supabase/supabase-js").SupabaseClient} config.client A service-role client.
+ * @param {string} config.bucket
+ * @returns {import("./index.js").StorageDriver}
+ */
+export function createSupabaseDriver({ client, bucket }) {
+  const storage = () => client.storage.from(bucket);
+  const objectPathPattern = new RegExp(
+    `/storage/v1/object/(?:public|sign|upload/sign|authenticated)/${bucket}/(.+)$`
+  );
+
+  return {
+    name: "supabase",
+
+    async put(key, body, { contentType } = {}) {
+      const { error } = await storage().upload(key, body, {
+        contentType,
+        upsert: true,
+      });
+      if (error) {
+        throw new Error(`Supabase storage upload failed: ${error.message}`);
+      }
+      return this.getPublicUrl(key);
+    },
+
+    async delete(key) {
+      const { error } = await storage().remove([key]);
+      if (error) {
+        throw new Error(`Supabase storage delete failed: ${error.message}`);
+      }
+    },
+
+    async getSignedUrl(key, { method = "GET", expiresIn = 900 } = {}) {
+      // Signed upload URLs have a fixed lifetime set by Supabase.
+      const { data, error } =
+        method === "PUT"
+          ? await storage().createSignedUploadUrl(key, { upsert: true })
+          : await storage().createSignedUrl(key, expiresIn);
+      if (error) {
+        throw new Error(`Supabase storage signing failed: ${error.message}`);
+      }
+      return data.signedUrl;
+    },
+
+    getPublicUrl(key) {
+      return storage().getPublicUrl(key).data.publicUrl;
+    },
+
+    getKeyFromUrl(url) {
+      const match = objectPathPattern.exec(new URL(url).pathname);
+      return match ? decodeURIComponent(match[1]) : null;
+    },
+  };
+}
@@ -0,0 +1,14 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getOutputSize } from "../lib/outputSize.js";
+
+test("getOutputSize matches the backend's rendition sizes", () => {
+  assert.deepEqual(getOutputSize("9:16", "1080p"), { width: 1080, height: 1920 });
+  assert.deepEqual(getOutputSize("4:5", "1080p"), { width: 1080, height: 1350 });
+  assert.deepEqual(getOutputSize("16:9", "720p"), { width: 1280, height: 720 });
+});
+
+test("getOutputSize falls back to 9:16 at 1080p", () => {
+  assert.deepEqual(getOutputSize("21:9", "4k"), { width: 1080, height: 1920 });
+  assert.deepEqual(getOutputSize(undefined, "720p"), { width: 720, height: 1280 });
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { scoreSegment, selectBestSegments } from "../lib/selection.js";
+
+const segment = (file, id, relevance, durationSec = 5) => ({
+  id,
+  file,
+  startSec: 0,
+  endSec: durationSec,
+  durationSec,
+  scores: { relevance, quality: relevance, confidence: relevance },
+});
+
+test("scoreSegment fills in missing scores and weights", () => {
+  assert.equal(scoreSegment({ relevance: 1, quality: 1, confidence: 1 }), 1);
+  // Missing quality and confidence count as 0.5.
+  assert.ok(Math.abs(scoreSegment({ relevance: 1 }) - 0.85) < 1e-9);
+  assert.equal(scoreSegment({ relevance: 0.5 }, { quality: 0 }), 0.5);
+  assert.equal(
+    scoreSegment({ relevance: 1 }, { relevance: 0, quality: 0, confidence: 0 }),
+    0
+  );
+});
+
+test("selectBestSegments explains why each segment was left out", (t) => {
+  t.mock.method(console, "log", () => {});
+  const videos = [
+    { segments: [segment("a.mp4", "a1", 0.9), segment("a.mp4", "a2", 0.8)] },
+    { segments: [segment("b.mp4", "b1", 0.85, 20)] },
+    { segments: [segment("c.mp4", "c1", 0.05)] },
+  ];
+
+  const { chosen, report } = selectBestSegments({
+    videos,
+    minDurationSec: 1,
+    maxDurationSec: 10,
+  });
+
+  assert.deepEqual(chosen.map((s) => s.id), ["a1"]);
+  assert.deepEqual(
+    Object.fromEntries(report.segments.map((s) => [s.id, s.reason])),
+    {
+      a1: "score",
+      b1: "max_duration",
+      a2: "same_video",
+      c1: "below_threshold",
+    }
+  );
+});
+
+test("selectBestSegments keeps pinned videos over the maximum", (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const videos = [
+    { segments: [segment("a.mp4", "a1", 0.9, 8)] },
+    { segments: [segment("b.mp4", "b1", 0.1, 8)] },
+  ];
+
+  const { chosen, report } = selectBestSegments({
+    videos,
+    pinnedFiles: ["a.mp4", "b.mp4"],
+    minDurationSec: 1,
+    maxDurationSec: 10,
+  });
+
+  assert.deepEqual(chosen.map((s) => s.id).sort(), ["a1", "b1"]);
+  assert.deepEqual(report.segments.map((s) => s.reason), [
+    "pinned",
+    "pinned",
+  ]);
+  assert.match(report.warnings[0], /over the 10s maximum/);
+});
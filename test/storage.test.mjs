@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createStorage } from "../lib/storage/index.js";
+
+const rootDir = path.join(os.tmpdir(), `mylyfe-web-storage-${process.pid}`);
+const storage = await createStorage({
+  STORAGE_DRIVER: "local",
+  LOCAL_STORAGE_DIR: rootDir,
+  LOCAL_STORAGE_PUBLIC_URL: "http://files.test/api/files",
+});
+
+test.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+
+test("local storage round-trips a file through its public URL", async () => {
+  const url = await storage.put("final-montages/my clip.mp4", Buffer.from("video"));
+
+  assert.equal(url, "http://files.test/api/files/final-montages/my%20clip.mp4");
+  assert.equal(storage.getKeyFromUrl(url), "final-montages/my clip.mp4");
+  assert.equal(
+    await fs.readFile(path.join(rootDir, "final-montages/my clip.mp4"), "utf8"),
+    "video"
+  );
+
+  await storage.delete("final-montages/my clip.mp4");
+  await assert.rejects(fs.stat(path.join(rootDir, "final-montages/my clip.mp4")), {
+    code: "ENOENT",
+  });
+});
+
+test("local storage signs uploads for one key and method", async () => {
+  const url = new URL(await storage.getSignedUrl("public/a.mp4", { method: "PUT" }));
+  const expires = url.searchParams.get("expires");
+  const signature = url.searchParams.get("signature");
+
+  assert.equal(storage.verifySignature("PUT", "public/a.mp4", expires, signature), true);
+  assert.equal(storage.verifySignature("GET", "public/a.mp4", expires, signature), false);
+  assert.equal(storage.verifySignature("PUT", "public/b.mp4", expires, signature), false);
+});
+
+test("local storage refuses keys outside its directory", async () => {
+  await assert.rejects(storage.put("../escape.mp4", Buffer.from("x")), /Invalid storage key/);
+});
+
+test("createStorage rejects an unknown driver", async () => {
+  await assert.rejects(createStorage({ STORAGE_DRIVER: "blob" }), /Unknown STORAGE_DRIVER "blob"/);
+});